@@ -5,6 +5,11 @@ import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
 import { jsPDF } from "https://esm.sh/jspdf@2.5.1";
 import { default as autoTable } from 'https://esm.sh/jspdf-autotable@3.8.2';
 import { encodeBase64 } from "https://deno.land/std@0.224.0/encoding/base64.ts"; // Corrected import
+import { addJalaliMonths, dateToJalali, isValidJalaliDate, jalaliMonthLength, jalaliToDate, jalaliWeekday } from "./jalali.js";
+import { formatJalaliDateKey, getPersianMonthName, getStartOfWeekPersian, parseDateExpression, parsePersianDate, toLatinDigits } from "./date_input.js";
+import { buildScheduleIcs, getLessonOccurrences, getSemesterParitySegments } from "./ics.js";
+import { applyScheduleOverrides, normalizeScheduleOverride } from "./overrides.js";
+import { ENGLISH_WEEKDAYS, LESSON_DETAIL_STEPS, LESSON_EDIT_FIELDS, PERSIAN_WEEKDAYS, SCHEDULE_EXPORT_FIELDS, SCHEDULE_TIME_REGEX, normalizeLessonTime, parseBulkLessonLine, parseLessonFieldValue, parseScheduleFile, parseTime, validateLessonTimes } from "./lesson_input.js";
 // --- Configuration ---
 const BOT_TOKEN = Deno.env.get("BOT_TOKEN") || "YOUR_BOT_TOKEN"; // REQUIRED
 const ADMIN_CHAT_ID = Deno.env.get("ADMIN_CHAT_ID") || "YOUR_ADMIN_CHAT_ID"; // REQUIRED
@@ -13,19 +18,92 @@ const SUPABASE_KEY = Deno.env.get("SUPABASE_KEY") || "YOUR_SUPABASE_KEY"; // REQ
 const TELEGRAM_URL = `https://api.telegram.org/bot${BOT_TOKEN}`;
 const TEHRAN_TIMEZONE = "Asia/Tehran";
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
-// --- Reference Point for Week Calculation ---
-const REFERENCE_PERSIAN_YEAR = 1403;
-const REFERENCE_PERSIAN_MONTH = 11; // بهمن
-const REFERENCE_PERSIAN_DAY = 20;
-const REFERENCE_STATUS = "فرد"; // "فرد" (odd) or "زوج" (even)
+// --- Academic Calendar ---
+const PARITY_LABELS = { odd: "فرد", even: "زوج" }; // Stored parity keys -> display status
+const OUT_OF_SEMESTER_STATUS = "خارج از ترم";
+// Recurring official holidays. Hijri months: 1 محرم, 2 صفر, 3 ربیع‌الاول, 6 جمادی‌الثانی, 7 رجب, 8 شعبان, 9 رمضان, 10 شوال, 12 ذی‌الحجه
+const OFFICIAL_HOLIDAYS = [
+    { calendar: "jalali", month: 1, day: 1, title: "عید نوروز" },
+    { calendar: "jalali", month: 1, day: 2, title: "عید نوروز" },
+    { calendar: "jalali", month: 1, day: 3, title: "عید نوروز" },
+    { calendar: "jalali", month: 1, day: 4, title: "عید نوروز" },
+    { calendar: "jalali", month: 1, day: 12, title: "روز جمهوری اسلامی" },
+    { calendar: "jalali", month: 1, day: 13, title: "روز طبیعت" },
+    { calendar: "jalali", month: 3, day: 14, title: "رحلت امام خمینی" },
+    { calendar: "jalali", month: 3, day: 15, title: "قیام ۱۵ خرداد" },
+    { calendar: "jalali", month: 11, day: 22, title: "پیروزی انقلاب اسلامی" },
+    { calendar: "jalali", month: 12, day: 29, title: "ملی شدن صنعت نفت" },
+    { calendar: "hijri", month: 1, day: 9, title: "تاسوعا" },
+    { calendar: "hijri", month: 1, day: 10, title: "عاشورا" },
+    { calendar: "hijri", month: 2, day: 20, title: "اربعین حسینی" },
+    { calendar: "hijri", month: 2, day: 28, title: "رحلت پیامبر و شهادت امام حسن مجتبی" },
+    { calendar: "hijri", month: 2, day: 30, title: "شهادت امام رضا" },
+    { calendar: "hijri", month: 3, day: 8, title: "شهادت امام حسن عسکری" },
+    { calendar: "hijri", month: 3, day: 17, title: "میلاد پیامبر و امام جعفر صادق" },
+    { calendar: "hijri", month: 6, day: 3, title: "شهادت حضرت فاطمه زهرا" },
+    { calendar: "hijri", month: 7, day: 13, title: "ولادت امام علی" },
+    { calendar: "hijri", month: 7, day: 27, title: "مبعث پیامبر" },
+    { calendar: "hijri", month: 8, day: 15, title: "ولادت امام مهدی" },
+    { calendar: "hijri", month: 9, day: 21, title: "شهادت امام علی" },
+    { calendar: "hijri", month: 10, day: 1, title: "عید فطر" },
+    { calendar: "hijri", month: 10, day: 2, title: "تعطیلی عید فطر" },
+    { calendar: "hijri", month: 10, day: 25, title: "شهادت امام جعفر صادق" },
+    { calendar: "hijri", month: 12, day: 10, title: "عید قربان" },
+    { calendar: "hijri", month: 12, day: 18, title: "عید غدیر خم" },
+];
+const CALENDAR_CACHE_TTL_MS = 5 * 60 * 1000;
+const HIJRI_MONTH_MAX_DAYS = 30;
+const HIJRI_MONTH_NAMES = ["محرم", "صفر", "ربیع‌الاول", "ربیع‌الثانی", "جمادی‌الاول", "جمادی‌الثانی", "رجب", "شعبان", "رمضان", "شوال", "ذی‌القعده", "ذی‌الحجه"];
+const HOLIDAY_VIEW_DAYS = 14; // The full schedule view lists holidays of this week and the next
+const PDF_HOLIDAY_MAX_DAYS = 180;
+const DEFAULT_CALENDAR_PROFILE_NAME = "تقویم پیش‌فرض";
+const MAX_SEMESTER_DAYS = 200; // A term with its exam period; longer ranges are typos (or not a term at all)
 // --- Constants ---
-const PERSIAN_WEEKDAYS = ["شنبه", "یکشنبه", "دوشنبه", "سه‌شنبه", "چهارشنبه"]; // Relevant weekdays
-const PERSIAN_WEEKDAYS_FULL = ["شنبه", "یکشنبه", "دوشنبه", "سه‌شنبه", "چهارشنبه", "پنج‌شنبه", "جمعه"];
-const ENGLISH_WEEKDAYS = ["saturday", "sunday", "monday", "tuesday", "wednesday"];
-const SCHEDULE_TIME_REGEX = /^(?:[01]\d|2[0-3]|[89]):[0-5]\d$/; // HH:MM or H:MM
+const DEFAULT_WORKING_DAYS = ENGLISH_WEEKDAYS.slice(0, 5); // Saturday–Wednesday unless the user/profile says otherwise
+const LESSON_COLUMNS = "lesson_id, week_type, day, lesson, start_time, end_time, location, instructor, course_code, units, notes, version";
+// Class periods used when neither the user nor their calendar profile defines its own ("time_slots" jsonb)
+const DEFAULT_TIME_SLOTS = [
+    { start: "08:00", end: "10:00" },
+    { start: "10:00", end: "12:00" },
+    { start: "13:00", end: "15:00" },
+    { start: "15:00", end: "17:00" },
+    { start: "17:00", end: "19:00" },
+];
+const TIME_SLOT_ORDINALS = ["اول", "دوم", "سوم", "چهارم", "پنجم", "ششم", "هفتم", "هشتم"];
+const BULK_IMPORT_MAX_LINES = 40; // Lessons per bulk-import message; lesson_input.js parses each line
+const SCHEDULE_IMPORT_MAX_BYTES = 256 * 1024;
+const SHARE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789"; // No look-alike characters
+const SHARE_CODE_LENGTH = 10;
+const SHARE_START_PREFIX = "share_"; // /start payload: share_<code>
+const GROUP_EDIT_START_PREFIX = "groupedit_"; // /start payload: groupedit_<group chat id>
+const GROUP_EDIT_TARGET_TTL_MS = 2 * 60 * 60 * 1000;
+const GROUP_EDIT_REVOKED_TEXT = "⚠️ شما دیگر ادمین این گروه نیستید و ویرایش برنامه گروه متوقف شد. تغییری ذخیره نشد.";
+const TRASH_RETENTION_DAYS = 7; // Deleted lessons can be restored for this long
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * MS_PER_DAY;
+const TRASH_MAX_LISTED = 15;
+const SCHEDULE_VERSION_KEEP = 20; // Older versions are pruned
+const SCHEDULE_VERSION_COALESCE_MS = 2 * 60 * 1000; // Changes this close together share one version (bulk adds, imports)
+const ARCHIVE_NAME_MAX_LENGTH = 60;
+const EXAM_TYPES = { midterm: "میان‌ترم", final: "پایان‌ترم", other: "امتحان" };
+const EXAM_COLUMNS = "exam_id, course, exam_date, start_time, location, exam_type";
+const EXAM_INPUT_FORMAT = "`نام درس` | `تاریخ` | `ساعت` | `محل (اختیاری)`\nمثال: `ریاضی ۲ | 1403/10/20 | 9:00 | سالن ۳`";
+const TASK_COLUMNS = "task_id, title, lesson_id, lesson_name, due_date, due_time, completed_at";
+const TASK_TITLE_MAX_LENGTH = 100;
+const TASK_DEFAULT_DUE_TIME = "23:59"; // When the user skips the time step
+const TASK_STATE_TTL_MS = 15 * 60 * 1000;
+const TASK_MAX_LISTED = 20;
+const ABSENCE_LIMIT_RATIO = 3 / 16; // Missing more than 3/16 of a course's sessions fails it
+const ABSENCE_WARNING_MARGIN = 1; // Warn when this many allowed absences (or fewer) are left
+const ATTENDANCE_STATUS_CODES = { p: "present", a: "absent" }; // Short codes used in callback data
+const ATTENDANCE_PROMPT_INTERVAL_MIN = 10; // Post-class prompt cron interval
+const ATTENDANCE_PROMPT_PAGE_SIZE = 100; // Users per page; keeps the page's lessons of the day under PostgREST's 1000-row cap
+const OVERRIDE_COLUMNS = "override_id, user_id, override_type, lesson_id, lesson_name, override_date, new_date, start_time, end_time, location";
+const OVERRIDE_SESSION_FORMAT = "`تاریخ` | `ساعت شروع-پایان` | `محل (اختیاری)`\nمثال: `پنجشنبه | 10:00-12:00 | کلاس 204`";
+const OVERRIDE_MAX_LISTED = 15;
 const LUNCH_START_MINUTES = 12 * 60;
 const LUNCH_END_MINUTES = 13 * 60;
 const LRM = "\u200E"; // Left-to-Right Mark for PDF text
+const TELEPORT_DATE_PROMPT = "🔮 لطفاً تاریخ مورد نظر را ارسال کنید.\nمثال: `1403/08/25`، `15 آذر`، `فردا`، `دوشنبه بعد`، `3 هفته دیگر` یا `next monday`";
 // --- Supabase Setup ---
 if (!SUPABASE_URL || !SUPABASE_KEY || !BOT_TOKEN || !ADMIN_CHAT_ID) {
     console.error("CRITICAL ERROR: Required environment variables (BOT_TOKEN, ADMIN_CHAT_ID, SUPABASE_URL, SUPABASE_KEY) are missing.");
@@ -40,21 +118,11 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
 });
 // --- Deno KV Setup ---
 const kv = await Deno.openKv();
-// --- Pre-calculate Gregorian Reference Date ---
-let REFERENCE_DATE_GREGORIAN;
-try {
-    const refGregorianArray = jalaliToGregorian(REFERENCE_PERSIAN_YEAR, REFERENCE_PERSIAN_MONTH, REFERENCE_PERSIAN_DAY);
-    if (!refGregorianArray || refGregorianArray.length !== 3) throw new Error("jalaliToGregorian returned invalid data.");
-    REFERENCE_DATE_GREGORIAN = new Date(Date.UTC(refGregorianArray[0], refGregorianArray[1] - 1, refGregorianArray[2]));
-    REFERENCE_DATE_GREGORIAN.setUTCHours(0, 0, 0, 0);
-    if (isNaN(REFERENCE_DATE_GREGORIAN.getTime())) throw new Error("Calculated Gregorian reference date is invalid.");
-    console.log(`Reference Gregorian Date (UTC): ${REFERENCE_DATE_GREGORIAN.toISOString()} for Persian ${REFERENCE_PERSIAN_YEAR}/${REFERENCE_PERSIAN_MONTH}/${REFERENCE_PERSIAN_DAY} (${REFERENCE_STATUS})`);
-} catch (e) {
-    console.error(`CRITICAL ERROR: Failed to calculate reference Gregorian date: ${e.stack}`);
-    // Attempt to notify admin, but don't let it block startup
-    sendMessage(ADMIN_CHAT_ID, `🆘 CRITICAL INIT ERROR: Failed to calculate reference Gregorian date: ${e.message}`).catch(err => console.error("Failed to send admin notification on startup date error:", err));
-    throw new Error(`Failed to initialize reference date. Bot cannot function. Error: ${e.message}`);
-}
+// --- Semester Cache ---
+let semesterCache = { loadedAt: 0, semesters: null };
+let holidayCache = { loadedAt: 0, holidays: null, hijriMonthStarts: [] };
+let calendarProfileCache = { loadedAt: 0, profiles: null };
+const migratedScheduleUsers = new Set(); // Users whose legacy JSON schedule was already copied
 // --- Font Cache ---
 let vazirFontArrayBuffer = null;
 // --- Utility Functions ---
@@ -79,196 +147,400 @@ function reshapePersianText(text) {
     return text.split('').reverse().join('');
 }
 
-function isValidPersianDate(year, month, day) {
+function getPersianDate() {
     try {
-        if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) return false;
-        if (year < 1300 || year > 1500 || month < 1 || month > 12 || day < 1) return false;
-        if (month <= 6 && day > 31) return false;
-        if (month >= 7 && month <= 11 && day > 30) return false;
-        if (month == 12) {
-            const rem = year % 33;
-            const isLeapYear = [1, 5, 9, 13, 17, 22, 26, 30].includes(rem);
-            if (day > (isLeapYear ? 30 : 29)) return false;
-        }
-        return true;
+        const today = dateToJalali(getTehranTodayUTC());
+        const weekday = PERSIAN_WEEKDAYS[jalaliWeekday(today)];
+        return `📅 امروز ${weekday} ${today.day} ${getPersianMonthName(today.month)} سال ${today.year} است`;
     } catch (e) {
-        console.error(`Error in isValidPersianDate: ${e}`);
-        return false;
+        console.error(`[Util] Error generating Persian date: ${e.stack}`);
+        const fallbackDate = DateTime.now().setZone(TEHRAN_TIMEZONE).toLocaleString(DateTime.DATE_FULL, { locale: "en-US" });
+        return `📅 Date (Gregorian): ${fallbackDate} (Error displaying Persian date)`;
+    }
+}
+function getTehranTodayUTC() {
+    const now = DateTime.now().setZone(TEHRAN_TIMEZONE);
+    const todayTehranAsUTC = new Date(Date.UTC(now.year, now.month - 1, now.day));
+    todayTehranAsUTC.setUTCHours(0, 0, 0, 0);
+    return todayTehranAsUTC;
+}
+function jalaliDateToUTC(jalaliDate) {
+    if (!jalaliDate || !isValidJalaliDate(jalaliDate.year, jalaliDate.month, jalaliDate.day)) return null;
+    return jalaliToDate(jalaliDate);
+}
+function formatJalaliDate(jalaliDate) {
+    return `${jalaliDate.day} ${getPersianMonthName(jalaliDate.month)} ${jalaliDate.year}`;
+}
+function oppositeParity(parity) {
+    return parity === "odd" ? "even" : "odd";
+}
+// --- Academic Calendar (Semesters) ---
+// Semesters live in the "semesters" table. Dates are stored as Jalali "YYYY/MM/DD" strings and
+// start_parity is "odd" or "even". Parity resets are rows of "semester_parity_resets" (one per
+// semester and date); the older parity_resets JSON array of { date, parity } is still read.
+function normalizeSemester(row) {
+    const startJalali = parsePersianDate(row.start_date);
+    const endJalali = parsePersianDate(row.end_date);
+    if (!startJalali || !endJalali || !PARITY_LABELS[row.start_parity]) {
+        console.warn(`[Calendar] Ignoring semester ${row.semester_id} with invalid dates or parity.`);
+        return null;
+    }
+    const startDate = jalaliDateToUTC(startJalali);
+    const endDate = jalaliDateToUTC(endJalali);
+    if (!startDate || !endDate || startDate > endDate) {
+        console.warn(`[Calendar] Ignoring semester ${row.semester_id}: start/end dates are invalid.`);
+        return null;
     }
+    if ((endDate - startDate) / MS_PER_DAY + 1 > MAX_SEMESTER_DAYS) {
+        console.warn(`[Calendar] Ignoring semester ${row.semester_id}: longer than ${MAX_SEMESTER_DAYS} days.`);
+        return null;
+    }
+    const resets = (Array.isArray(row.parity_resets) ? row.parity_resets : [])
+        .map(reset => {
+            const jalali = parsePersianDate(reset?.date);
+            const date = jalali ? jalaliDateToUTC(jalali) : null;
+            if (!date || !PARITY_LABELS[reset.parity]) return null;
+            return { date, jalali, parity: reset.parity };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date - b.date);
+    return {
+        id: row.semester_id,
+        name: row.name || `ترم ${row.semester_id}`,
+        startDate,
+        endDate,
+        startJalali,
+        endJalali,
+        startParity: row.start_parity,
+        profileId: row.profile_id ?? null,
+        resets,
+    };
 }
-function parsePersianDate(dateStr) {
+async function getSemesters(forceRefresh = false) {
+    if (!forceRefresh && semesterCache.semesters && Date.now() - semesterCache.loadedAt < CALENDAR_CACHE_TTL_MS) {
+        return semesterCache.semesters;
+    }
     try {
-        if (!dateStr) return null;
-        dateStr = String(dateStr).trim();
-        const persianArabicDigits = /[۰-۹٠-٩]/g;
-        const digitMap = {
-            '۰': 0, '۱': 1, '۲': 2, '۳': 3, '۴': 4, '۵': 5, '۶': 6, '۷': 7, '۸': 8, '۹': 9,
-            '٠': 0, '١': 1, '٢': 2, '٣': 3, '٤': 4, '٥': 5, '٦': 6, '٧': 7, '٨': 8, '٩': 9
-        };
-        dateStr = dateStr.replace(persianArabicDigits, d => digitMap[d]);
-        dateStr = dateStr.replace(/[^\d\/\-\.]/g, ''); // Keep only digits and separators
-        let parts = [];
-        if (dateStr.includes('/')) parts = dateStr.split('/');
-        else if (dateStr.includes('-')) parts = dateStr.split('-');
-        else if (dateStr.includes('.')) parts = dateStr.split('.');
-        else if (dateStr.length === 8 && /^\d{8}$/.test(dateStr)) {
-            parts = [dateStr.substring(0, 4), dateStr.substring(4, 6), dateStr.substring(6, 8)];
-        }
-        else if (dateStr.length === 6 && /^\d{6}$/.test(dateStr)) {
-            parts = ["14" + dateStr.substring(0, 2), dateStr.substring(2, 4), dateStr.substring(4, 6)];
-        }
-        else return null;
-        if (parts.length !== 3) return null;
-        let p1 = parseInt(parts[0], 10);
-        let p2 = parseInt(parts[1], 10);
-        let p3 = parseInt(parts[2], 10);
-        if (isNaN(p1) || isNaN(p2) || isNaN(p3)) return null;
-        let year, month, day;
-        // YYYY/MM/DD
-        if (p1 >= 1300 && p1 <= 1500 && p2 >= 1 && p2 <= 12 && p3 >= 1 && p3 <= 31) {
-            year = p1; month = p2; day = p3;
-        }
-        // DD/MM/YYYY
-        else if (p3 >= 1300 && p3 <= 1500 && p2 >= 1 && p2 <= 12 && p1 >= 1 && p1 <= 31) {
-            year = p3; month = p2; day = p1;
-        }
-        // YYYY/DD/MM
-        else if (p1 >= 1300 && p1 <= 1500 && p3 >= 1 && p3 <= 12 && p2 >= 1 && p2 <= 31) {
-            year = p1; month = p3; day = p2;
-        }
-        // YY/MM/DD (Assume 14YY)
-        else if (p1 >= 0 && p1 <= 99 && p2 >= 1 && p2 <= 12 && p3 >= 1 && p3 <= 31) {
-            year = 1400 + p1; month = p2; day = p3;
-        }
-        else return null;
-        if (!isValidPersianDate(year, month, day)) return null;
-        return { year, month, day };
+        const { data, error } = await supabase
+            .from("semesters")
+            .select("semester_id, name, start_date, end_date, start_parity, parity_resets, profile_id");
+        if (error) throw error;
+        const { data: resetRows, error: resetError } = await supabase
+            .from("semester_parity_resets")
+            .select("semester_id, reset_date, parity");
+        if (resetError) throw resetError;
+        const semesters = (data || []).map(row => {
+            const rowResets = (resetRows || []).filter(r => r.semester_id === row.semester_id).map(r => ({ date: r.reset_date, parity: r.parity }));
+            const legacyResets = (Array.isArray(row.parity_resets) ? row.parity_resets : []).filter(r => !rowResets.some(rr => rr.date === r?.date));
+            return normalizeSemester({ ...row, parity_resets: [...legacyResets, ...rowResets] });
+        }).filter(Boolean).sort((a, b) => a.startDate - b.startDate);
+        semesterCache = { loadedAt: Date.now(), semesters };
+        return semesters;
     } catch (e) {
-        console.error(`Date parse exception: ${e}`);
-        return null;
+        console.error(`[Calendar] Error loading semesters: ${e.stack}`);
+        if (semesterCache.semesters) return semesterCache.semesters; // Serve stale data rather than failing
+        throw e;
     }
 }
-function getPersianMonthName(monthNumber) {
-    const persianMonths = ["فروردین", "اردیبهشت", "خرداد", "تیر", "مرداد", "شهریور", "مهر", "آبان", "آذر", "دی", "بهمن", "اسفند"];
-    monthNumber = parseInt(monthNumber);
-    return (monthNumber >= 1 && monthNumber <= 12) ? persianMonths[monthNumber - 1] : "نامعتبر";
+// Resolves the parity of the week containing dateUTC from the semester that contains it.
+// The latest parity reset on or before the date (or the semester start) is the anchor.
+function resolveWeekParity(dateUTC, semesters) {
+    const semester = semesters.find(s => dateUTC >= s.startDate && dateUTC <= s.endDate);
+    if (!semester) return null;
+    let anchorDate = semester.startDate;
+    let anchorParity = semester.startParity;
+    for (const reset of semester.resets) {
+        if (reset.date <= dateUTC) {
+            anchorDate = reset.date;
+            anchorParity = reset.parity;
+        }
+    }
+    const weeksPassed = Math.round((getStartOfWeekPersian(dateUTC).getTime() - getStartOfWeekPersian(anchorDate).getTime()) / (7 * MS_PER_DAY));
+    const parity = weeksPassed % 2 === 0 ? anchorParity : oppositeParity(anchorParity);
+    return { parity, semester };
 }
-function jalaliToGregorian(jy, jm, jd) {
-  try {
-    jy = parseInt(jy);
-    jm = parseInt(jm);
-    jd = parseInt(jd);
-    if (isNaN(jy) || isNaN(jm) || isNaN(jd)) {
-      throw new Error("Invalid input to jalaliToGregorian");
-    }
-    let gy = jy <= 979 ? 621 : 1600;
-    jy -= jy <= 979 ? 0 : 979;
-    let days =
-      365 * jy +
-      Math.floor(jy / 33) * 8 +
-      Math.floor(((jy % 33) + 3) / 4) +
-      78 +
-      jd +
-      (jm < 7 ? (jm - 1) * 31 : (jm - 7) * 30 + 186);
-    gy += 400 * Math.floor(days / 146097);
-    days %= 146097;
-    if (days > 36524) {
-      gy += 100 * Math.floor(--days / 36524);
-      days %= 36524;
-      if (days >= 365) days++;
-    }
-    gy += 4 * Math.floor(days / 1461);
-    days %= 1461;
-    gy += Math.floor((days - 1) / 365);
-    days = (days - 1) % 365;
-    let gd = days + 1;
-    const sal_a = [
-      0,
-      31,
-      (gy % 4 === 0 && gy % 100 !== 0) || gy % 400 === 0 ? 29 : 28,
-      31,
-      30,
-      31,
-      30,
-      31,
-      31,
-      30,
-      31,
-      30,
-      31,
-    ];
-    let gm;
-    for (gm = 0; gm < 13 && gd > sal_a[gm]; gm++) gd -= sal_a[gm];
-    return [gy, gm, gd];
-  } catch (e) {
-    console.error(`Error in jalaliToGregorian(${jy},${jm},${jd}): ${e}`);
-    return null;
-  }
+// A profile without semesters of its own follows the default (profile-less) semesters.
+function getProfileSemesters(semesters, profileId) {
+    const profileSemesters = semesters.filter(s => s.profileId === (profileId ?? null));
+    if (profileSemesters.length > 0 || profileId == null) return profileSemesters;
+    return semesters.filter(s => s.profileId === null);
 }
-// Function to get start of Persian week (Saturday) UTC
-function getStartOfWeekPersian(date) {
-    const targetDate = new Date(date.getTime());
-    const dayOfWeekUTC = targetDate.getUTCDay(); // Sunday = 0, Saturday = 6
-    const daysToSubtract = (dayOfWeekUTC + 1) % 7;
-    targetDate.setUTCDate(targetDate.getUTCDate() - daysToSubtract);
-    targetDate.setUTCHours(0, 0, 0, 0);
-    return targetDate;
+async function getWeekStatusForDate(dateUTC, profileId = null) {
+    try {
+        if (!dateUTC || isNaN(dateUTC.getTime())) throw new Error("Invalid date passed to getWeekStatusForDate.");
+        const semesters = getProfileSemesters(await getSemesters(), profileId);
+        const resolved = resolveWeekParity(dateUTC, semesters);
+        if (!resolved) {
+            const nextSemester = semesters.find(s => s.startDate > dateUTC) || null;
+            return { status: OUT_OF_SEMESTER_STATUS, parity: null, semester: null, outOfSemester: true, nextSemester };
+        }
+        return { status: PARITY_LABELS[resolved.parity], parity: resolved.parity, semester: resolved.semester, outOfSemester: false };
+    } catch (e) {
+        console.error(`[WeekStatus] Error resolving week status for ${dateUTC?.toISOString?.()}: ${e.stack}`);
+        return { status: "نامشخص (خطا)", parity: null, semester: null, outOfSemester: false, error: e.message };
+    }
 }
-function getPersianDate() {
+async function getWeekStatus(profileId = null) {
+    const weekInfo = await getWeekStatusForDate(getTehranTodayUTC(), profileId);
+    return weekInfo.status;
+}
+// --- Calendar Profiles ---
+// Faculties with their own odd/even cycle get a row in "calendar_profiles"; semesters with a
+// matching profile_id apply to users/groups that picked it (calendar_profile_id column).
+async function getCalendarProfiles(forceRefresh = false) {
+    if (!forceRefresh && calendarProfileCache.profiles && Date.now() - calendarProfileCache.loadedAt < CALENDAR_CACHE_TTL_MS) {
+        return calendarProfileCache.profiles;
+    }
     try {
-        const now = DateTime.now().setZone(TEHRAN_TIMEZONE);
-        // Ensure correct locale for numbers and day/month names
-        const weekday = now.setLocale("fa-IR").toLocaleString({ weekday: "long" });
-        const day = now.setLocale("fa-IR-u-nu-latn").toLocaleString({ day: "numeric" }); // Use Latin numerals for day
-        const month = now.setLocale("fa-IR").toLocaleString({ month: "long" });
-        const year = now.setLocale("fa-IR-u-nu-latn").toLocaleString({ year: "numeric" }); // Use Latin numerals for year
-        if (!weekday || !day || !month || !year) {
-            throw new Error("One or more Persian date components could not be retrieved.");
-        }
-        return `📅 امروز ${weekday} ${day} ${month} سال ${year} است`;
+        const { data, error } = await supabase
+            .from("calendar_profiles")
+            .select("profile_id, name, time_slots, working_days")
+            .order("name", { ascending: true });
+        if (error) throw error;
+        const profiles = (data || []).map(row => ({
+            id: row.profile_id,
+            name: row.name || `پروفایل ${row.profile_id}`,
+            timeSlots: normalizeTimeSlots(row.time_slots),
+            workingDays: normalizeWorkingDays(row.working_days),
+        }));
+        calendarProfileCache = { loadedAt: Date.now(), profiles };
+        return profiles;
     } catch (e) {
-        console.error(`[Util] Error generating Persian date: ${e.stack}`);
-        const fallbackDate = DateTime.now().setZone(TEHRAN_TIMEZONE).toLocaleString(DateTime.DATE_FULL, { locale: "en-US" });
-        return `📅 Date (Gregorian): ${fallbackDate} (Error displaying Persian date)`;
+        console.error(`[Calendar] Error loading calendar profiles: ${e.stack}`);
+        return calendarProfileCache.profiles || [];
+    }
+}
+async function getCalendarProfileName(profileId) {
+    if (profileId == null) return DEFAULT_CALENDAR_PROFILE_NAME;
+    const profile = (await getCalendarProfiles()).find(p => p.id === profileId);
+    return profile ? profile.name : DEFAULT_CALENDAR_PROFILE_NAME;
+}
+// Private chats use the user's profile, groups use the group's profile.
+async function getChatCalendarProfileId(chat, userId) {
+    try {
+        const isGroup = chat.type === "group" || chat.type === "supergroup";
+        const { data, error } = isGroup
+            ? await supabase.from("groups").select("calendar_profile_id").eq("group_id", chat.id).maybeSingle()
+            : await supabase.from("users").select("calendar_profile_id").eq("user_id", userId).maybeSingle();
+        if (error) throw error;
+        const profileId = data?.calendar_profile_id ?? null;
+        if (profileId == null) return null;
+        // Ignore profiles that were removed after being picked
+        return (await getCalendarProfiles()).some(p => p.id === profileId) ? profileId : null;
+    } catch (e) {
+        console.error(`[Calendar] Error fetching calendar profile for chat ${chat?.id}: ${e.stack}`);
+        return null;
     }
 }
-function getWeekStatus() {
+// --- Class Time Slots & Working Days ---
+// A user's own "time_slots"/"working_days" win over their calendar profile's, which win over the defaults.
+// Group schedules (negative ids) have no settings of their own and follow the group's calendar profile.
+async function resolveUserScheduleSetting(userId, column, profileField, normalize, fallback) {
     try {
-        if (!REFERENCE_DATE_GREGORIAN || isNaN(REFERENCE_DATE_GREGORIAN.getTime())) {
-            console.error("CRITICAL ERROR: REFERENCE_DATE_GREGORIAN is not valid in getWeekStatus.");
-            return "نامشخص (خطای تنظیمات)";
+        let profileId;
+        if (userId < 0) {
+            profileId = await getChatCalendarProfileId({ type: "group", id: userId }, userId);
+        } else {
+            const { data, error } = await supabase
+                .from("users")
+                .select(`${column}, calendar_profile_id`)
+                .eq("user_id", userId)
+                .maybeSingle();
+            if (error) throw error;
+            const userValue = normalize(data?.[column]);
+            if (userValue) return { value: userValue, source: "user" };
+            profileId = data?.calendar_profile_id ?? null;
         }
-        const now = DateTime.now().setZone(TEHRAN_TIMEZONE);
-        // console.log(`[WeekStatus] Current Tehran time: ${now.toISO()}`);
-        
-        const todayTehranAsUTC = new Date(Date.UTC(
-            now.year,
-            now.month - 1, 
-            now.day
-        ));
-        todayTehranAsUTC.setUTCHours(0, 0, 0, 0);
-        // console.log(`[WeekStatus] Today Tehran as UTC: ${todayTehranAsUTC.toISOString()}`);
-        const currentWeekStartDate = getStartOfWeekPersian(todayTehranAsUTC);
-        const referenceWeekStartDate = getStartOfWeekPersian(REFERENCE_DATE_GREGORIAN);
-        // console.log(`[WeekStatus] Current week start (UTC): ${currentWeekStartDate.toISOString()}`);
-        // console.log(`[WeekStatus] Reference week start (UTC): ${referenceWeekStartDate.toISOString()}`);
-        if (isNaN(currentWeekStartDate.getTime()) || isNaN(referenceWeekStartDate.getTime())) {
-            console.error(`Error: Invalid date calculation. CurrentStart: ${currentWeekStartDate}, ReferenceStart: ${referenceWeekStartDate}`);
-            return "نامشخص (خطای محاسبه تاریخ)";
-        }
-        const timeDifference = currentWeekStartDate.getTime() - referenceWeekStartDate.getTime();
-        const daysDifference = Math.floor(timeDifference / MS_PER_DAY);
-        const weeksPassed = Math.floor(daysDifference / 7);
-        const currentStatus = weeksPassed % 2 === 0 
-            ? REFERENCE_STATUS 
-            : REFERENCE_STATUS === "زوج" ? "فرد" : "زوج";
-        // console.log(`[WeekStatus] Reference: ${REFERENCE_STATUS}, WeeksPassed: ${weeksPassed}, Result: ${currentStatus}`);
-        
-        return currentStatus;
+        if (profileId != null) {
+            const profile = (await getCalendarProfiles()).find(p => p.id === profileId);
+            if (profile?.[profileField]) return { value: profile[profileField], source: "profile" };
+        }
+    } catch (e) {
+        console.error(`[ScheduleSettings] Error loading ${column} for user ${userId}: ${e.stack}`);
+    }
+    return { value: fallback, source: "default" };
+}
+function normalizeTimeSlots(value) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > TIME_SLOT_ORDINALS.length) return null;
+    const slots = value.map(slot => ({ start: slot?.start, end: slot?.end }));
+    if (slots.some(slot => typeof slot.start !== 'string' || typeof slot.end !== 'string' || validateLessonTimes(slot.start, slot.end))) return null;
+    return slots.sort((a, b) => parseTime(a.start) - parseTime(b.start));
+}
+// "8:00-10:00, 10:00-12:00" (comma or newline separated) -> { slots } or { error }
+function parseTimeSlotsInput(text) {
+    const entries = toLatinDigits(text).split(/[\n,،]+/).map(e => e.trim()).filter(Boolean);
+    if (entries.length === 0) return { error: "⚠️ هیچ بازه زمانی وارد نشده است." };
+    if (entries.length > TIME_SLOT_ORDINALS.length) return { error: `⚠️ حداکثر ${TIME_SLOT_ORDINALS.length} کلاس در روز قابل تعریف است.` };
+    const slots = [];
+    for (const entry of entries) {
+        const [start, end] = entry.split('-').map(p => p.trim());
+        const timeError = validateLessonTimes(start || "", end || "");
+        if (timeError) return { error: `${timeError}\n(بازه: \`${entry}\`)` };
+        slots.push({ start, end });
+    }
+    slots.sort((a, b) => parseTime(a.start) - parseTime(b.start));
+    for (let i = 1; i < slots.length; i++) {
+        if (parseTime(slots[i].start) < parseTime(slots[i - 1].end)) {
+            return { error: `⚠️ بازه‌های \`${slots[i - 1].start}-${slots[i - 1].end}\` و \`${slots[i].start}-${slots[i].end}\` با هم تداخل دارند.` };
+        }
+    }
+    return { slots };
+}
+async function getUserTimeSlots(userId) {
+    const { value, source } = await resolveUserScheduleSetting(userId, "time_slots", "timeSlots", normalizeTimeSlots, DEFAULT_TIME_SLOTS);
+    return { slots: value, source };
+}
+async function saveUserTimeSlots(userId, slots) {
+    const { error } = await supabase.from("users").update({ time_slots: slots }).eq("user_id", userId);
+    if (error) throw error;
+    console.log(`[TimeSlots] ${slots ? `Saved ${slots.length}` : "Cleared"} time slots for user ${userId}`);
+}
+async function saveProfileTimeSlots(profileId, slots) {
+    const { error } = await supabase.from("calendar_profiles").update({ time_slots: slots }).eq("profile_id", profileId);
+    if (error) throw error;
+    await getCalendarProfiles(true);
+    console.log(`[TimeSlots] ${slots ? `Saved ${slots.length}` : "Cleared"} time slots for calendar profile ${profileId}`);
+}
+// Index of the slot a lesson starting at startTime belongs to, or -1 when it falls outside all slots.
+function findTimeSlotIndex(slots, startTime) {
+    const startMinutes = parseTime(startTime);
+    if (startMinutes == null) return -1;
+    return slots.findIndex(slot => startMinutes >= parseTime(slot.start) && startMinutes < parseTime(slot.end));
+}
+function formatTimeSlotLabel(index) {
+    return `کلاس ${TIME_SLOT_ORDINALS[index] || index + 1}`;
+}
+function formatTimeSlots(slots) {
+    return slots.map((slot, idx) => `${idx + 1}. ${formatTimeSlotLabel(idx)}: ${slot.start} - ${slot.end}`).join("\n");
+}
+// Working days are stored as day keys ("saturday", ...); always returned in week order.
+function normalizeWorkingDays(value) {
+    if (!Array.isArray(value)) return null;
+    const days = ENGLISH_WEEKDAYS.filter(day => value.includes(day));
+    return days.length > 0 ? days : null;
+}
+async function getUserWorkingDays(userId) {
+    const { value, source } = await resolveUserScheduleSetting(userId, "working_days", "workingDays", normalizeWorkingDays, DEFAULT_WORKING_DAYS);
+    return { days: value, source };
+}
+async function saveUserWorkingDays(userId, days) {
+    const { error } = await supabase.from("users").update({ working_days: days }).eq("user_id", userId);
+    if (error) throw error;
+    console.log(`[WorkingDays] ${days ? `Saved [${days.join(", ")}]` : "Cleared"} working days for user ${userId}`);
+}
+async function saveProfileWorkingDays(profileId, days) {
+    const { error } = await supabase.from("calendar_profiles").update({ working_days: days }).eq("profile_id", profileId);
+    if (error) throw error;
+    await getCalendarProfiles(true);
+    console.log(`[WorkingDays] ${days ? `Saved [${days.join(", ")}]` : "Cleared"} working days for calendar profile ${profileId}`);
+}
+// Lessons stored on days that are not working days any more; the schedule views skip them until they are moved or deleted.
+async function getLessonsOutsideWorkingDays(userId, days) {
+    return (await getUserScheduleLessons(userId)).filter(l => !days.includes(l.day));
+}
+function formatWorkingDays(days) {
+    return days.map(day => PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)]).join("، ");
+}
+// Toggle buttons for picking working days; callbackPrefix gets ":<dayKey>" appended.
+function buildWorkingDayButtons(days, callbackPrefix) {
+    const buttons = ENGLISH_WEEKDAYS.map((day, index) => ({
+        text: `${days.includes(day) ? "✅" : "⬜️"} ${PERSIAN_WEEKDAYS[index]}`,
+        callback_data: `${callbackPrefix}:${day}`
+    }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+    return rows;
+}
+// --- Holidays & Closures ---
+// Extra holidays live in the "holidays" table. calendar is "jalali" or "hijri" for yearly
+// recurring days (month/day), or "closure" for a one-off Jalali range (start_date/end_date).
+// Iran's lunar months start on sighting, so admins record each announced month start in
+// "hijri_month_starts" (hijri_year, hijri_month, Jalali start_date); the arithmetic calendar is
+// only a fallback for months nobody has recorded yet and can be a day or two off.
+const HIJRI_CIVIL_FORMAT = new Intl.DateTimeFormat("en-US-u-ca-islamic-civil", {
+    timeZone: "UTC", year: "numeric", month: "numeric", day: "numeric"
+});
+function getHijriDateParts(dateUTC, monthStarts = []) {
+    const recorded = monthStarts.filter(m => m.startDate <= dateUTC).at(-1);
+    if (recorded) {
+        const dayIndex = Math.round((dateUTC - recorded.startDate) / MS_PER_DAY);
+        if (dayIndex < HIJRI_MONTH_MAX_DAYS) return { year: recorded.year, month: recorded.month, day: dayIndex + 1 };
+    }
+    const parts = HIJRI_CIVIL_FORMAT.formatToParts(dateUTC);
+    const get = (type) => parseInt(parts.find(p => p.type === type)?.value, 10);
+    return { year: get("year"), month: get("month"), day: get("day") };
+}
+function normalizeHijriMonthStart(row) {
+    const jalali = parsePersianDate(row.start_date);
+    const month = parseInt(row.hijri_month), year = parseInt(row.hijri_year);
+    if (!jalali || !(month >= 1 && month <= 12) || !(year > 0)) return null;
+    return { id: row.month_start_id, year, month, jalali, startDate: jalaliDateToUTC(jalali) };
+}
+function normalizeHoliday(row) {
+    if (row.calendar === "jalali" || row.calendar === "hijri") {
+        const month = parseInt(row.month), day = parseInt(row.day);
+        if (!(month >= 1 && month <= 12 && day >= 1 && day <= 31)) return null;
+        return { id: row.holiday_id, calendar: row.calendar, month, day, title: row.title || "تعطیل" };
+    }
+    if (row.calendar === "closure") {
+        const startJalali = parsePersianDate(row.start_date);
+        const endJalali = parsePersianDate(row.end_date || row.start_date);
+        const startDate = startJalali ? jalaliDateToUTC(startJalali) : null;
+        const endDate = endJalali ? jalaliDateToUTC(endJalali) : null;
+        if (!startDate || !endDate || startDate > endDate) return null;
+        return { id: row.holiday_id, calendar: "closure", startDate, endDate, startJalali, endJalali, title: row.title || "تعطیلی" };
+    }
+    return null;
+}
+async function getHolidays(forceRefresh = false) {
+    if (!forceRefresh && holidayCache.holidays && Date.now() - holidayCache.loadedAt < CALENDAR_CACHE_TTL_MS) {
+        return holidayCache.holidays;
+    }
+    try {
+        const { data, error } = await supabase
+            .from("holidays")
+            .select("holiday_id, calendar, month, day, start_date, end_date, title");
+        if (error) throw error;
+        const holidays = (data || []).map(normalizeHoliday).filter(Boolean);
+        const { data: monthRows, error: monthError } = await supabase
+            .from("hijri_month_starts")
+            .select("month_start_id, hijri_year, hijri_month, start_date");
+        if (monthError) throw monthError;
+        const hijriMonthStarts = (monthRows || []).map(normalizeHijriMonthStart).filter(Boolean).sort((a, b) => a.startDate - b.startDate);
+        holidayCache = { loadedAt: Date.now(), holidays, hijriMonthStarts };
+        return holidays;
     } catch (e) {
-        console.error(`[WeekStatus] Error in getWeekStatus: ${e.stack}`);
-        return "نامشخص (خطا)";
+        console.error(`[Holidays] Error loading holidays: ${e.stack}`);
+        return holidayCache.holidays || []; // Built-in official holidays still apply
+    }
+}
+// Returns the holidays/closures that fall on dateUTC (empty array on a regular day).
+async function getHolidaysForDate(dateUTC) {
+    return matchHolidays(dateUTC, await getHolidays());
+}
+// The official and stored holidays that fall on dateUTC; callers load storedHolidays once for a whole range.
+function matchHolidays(dateUTC, storedHolidays) {
+    const jalali = dateToJalali(dateUTC);
+    const hijri = getHijriDateParts(dateUTC, holidayCache.hijriMonthStarts);
+    const matchesRecurring = (h) => (h.calendar === "jalali" && h.month === jalali.month && h.day === jalali.day) ||
+                                    (h.calendar === "hijri" && h.month === hijri.month && h.day === hijri.day);
+    return [...OFFICIAL_HOLIDAYS, ...storedHolidays].filter(h =>
+        h.calendar === "closure" ? (dateUTC >= h.startDate && dateUTC <= h.endDate) : matchesRecurring(h)
+    );
+}
+function formatHolidayTitles(holidays) {
+    return [...new Set(holidays.map(h => h.title))].join("، ");
+}
+// Holidays in the `days` days from fromUTC: [{ date, jalali, holidays }], only days that have one.
+async function getHolidayDaysInRange(fromUTC, days) {
+    const storedHolidays = await getHolidays();
+    const result = [];
+    for (let i = 0; i < days; i++) {
+        const date = new Date(fromUTC.getTime() + i * MS_PER_DAY);
+        const holidays = matchHolidays(date, storedHolidays);
+        if (holidays.length > 0) result.push({ date, jalali: dateToJalali(date), holidays });
     }
+    return result;
 }
 async function getVazirFont() {
     if (vazirFontArrayBuffer) return vazirFontArrayBuffer;
@@ -293,25 +565,6 @@ async function getVazirFont() {
         return null; 
     }
 }
-function parseTime(timeStr) {
-    if (!timeStr || !SCHEDULE_TIME_REGEX.test(timeStr)) {
-        console.warn(`[Util] Invalid time format for parsing: ${timeStr}`);
-        return null;
-    }
-    try {
-        const parts = timeStr.split(":");
-        const hours = parseInt(parts[0], 10);
-        const minutes = parseInt(parts[1], 10);
-        if (isNaN(hours) || isNaN(minutes) || hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-            console.warn(`[Util] Invalid time values after parsing: ${timeStr}`);
-            return null;
-        }
-        return hours * 60 + minutes;
-    } catch (e) {
-        console.error(`[Util] Error parsing time string ${timeStr}:`, e);
-        return null;
-    }
-}
 function formatDuration(totalMinutes) {
     if (totalMinutes <= 0) return "-";
     const hours = Math.floor(totalMinutes / 60);
@@ -396,10 +649,10 @@ async function answerCallbackQuery(queryId, text = "", showAlert = false) {
     }
     return response;
 }
-async function sendDocument(chatId, documentBuffer, filename, caption = null, replyMarkup = null) {
+async function sendDocument(chatId, documentBuffer, filename, caption = null, replyMarkup = null, mimeType = "application/pdf") {
   const form = new FormData();
   form.append("chat_id", String(chatId));
-  form.append("document", new Blob([documentBuffer], { type: "application/pdf" }), filename);
+  form.append("document", new Blob([documentBuffer], { type: mimeType }), filename);
   if (caption) form.append("caption", caption);
   if (replyMarkup) form.append("reply_markup", JSON.stringify(replyMarkup));
   try {
@@ -417,6 +670,16 @@ async function sendDocument(chatId, documentBuffer, filename, caption = null, re
     return { ok: false, description: `Network/Fetch Error: ${e.message}` };
   }
 }
+// Downloads a file the user sent (document, photo, ...) as text.
+async function downloadTelegramFile(fileId) {
+    const fileInfo = await telegramApiCall("getFile", { file_id: fileId });
+    if (!fileInfo.ok || !fileInfo.result?.file_path) {
+        throw new Error(fileInfo.description || "file not available");
+    }
+    const response = await fetch(`https://api.telegram.org/file/bot${BOT_TOKEN}/${fileInfo.result.file_path}`);
+    if (!response.ok) throw new Error(`download failed with status ${response.status}`);
+    return await response.text();
+}
 async function forwardMessage(toChatId, fromChatId, messageId) {
     const payload = {
         chat_id: String(toChatId),
@@ -426,6 +689,13 @@ async function forwardMessage(toChatId, fromChatId, messageId) {
     };
     return await telegramApiCall("forwardMessage", payload);
 }
+async function getChatMember(chatId, userId) {
+    return await telegramApiCall("getChatMember", { chat_id: String(chatId), user_id: userId });
+}
+async function isGroupAdmin(chatId, userId) {
+    const response = await getChatMember(chatId, userId);
+    return Boolean(response.ok && ["creator", "administrator"].includes(response.result?.status));
+}
 async function getBotInfo(forceUpdate = false) {
     let botInfo = (await kv.get(["botInfo"])).value;
     if (!botInfo || forceUpdate) {
@@ -472,20 +742,23 @@ async function logUsage(user, chat, command) {
         console.error(`[Log] Exception preparing usage log: ${e.stack}`);
     }
 }
-async function addUser(user, chat) { 
+// calendarProfileId: undefined keeps the stored profile, null resets to the default calendar.
+async function addUser(user, chat, calendarProfileId = undefined) { 
     if (!user || !user.id || !chat || !chat.id) {
         console.error(`[Data] Invalid user or chat object in addUser`);
         return { success: false, error: "Invalid user or chat data" };
     }
     try {
         const fullName = `${user.first_name || ""} ${user.last_name || ""}`.trim() || "کاربر تلگرام";
-        const { error } = await supabase.from("users").upsert({
+        const payload = {
             user_id: user.id,
-            chat_id: chat.id, 
+            chat_id: chat.id, 
             full_name: fullName.substring(0, 255),
             username: user.username?.substring(0, 255),
             last_seen_at: new Date().toISOString(),
-        }, { onConflict: "user_id" }); 
+        };
+        if (calendarProfileId !== undefined) payload.calendar_profile_id = calendarProfileId;
+        const { error } = await supabase.from("users").upsert(payload, { onConflict: "user_id" }); 
         if (error) {
             if (error.code === '23505' && error.details?.includes('chat_id')) {
                 console.warn(`[Data] Chat ID ${chat.id} already exists for a different user. Ignoring upsert for user ${user.id}.`);
@@ -502,138 +775,375 @@ async function addUser(user, chat) { 
         return { success: false, error: e.message };
     }
 }
-async function addGroup(chat) {
-    if (!chat || !chat.id || (chat.type !== "group" && chat.type !== "supergroup")) return;
+// calendarProfileId: undefined keeps the stored profile, null resets to the default calendar.
+async function addGroup(chat, calendarProfileId = undefined) {
+    if (!chat || !chat.id || (chat.type !== "group" && chat.type !== "supergroup")) return { success: false, error: "Invalid group chat" };
     try {
-        const { error } = await supabase.from("groups").upsert({
+        const payload = {
             group_id: chat.id,
             group_name: (chat.title || `گروه ${chat.id}`).substring(0, 255),
             last_seen_at: new Date().toISOString(),
-        }, { onConflict: "group_id" });
+        };
+        if (calendarProfileId !== undefined) payload.calendar_profile_id = calendarProfileId;
+        const { error } = await supabase.from("groups").upsert(payload, { onConflict: "group_id" });
         if (error) {
             console.error(`[Data] Error upserting group ${chat.id}: ${error.message}`);
-        } else {
-            console.log(`[Data] Group ${chat.title || chat.id} added/updated.`);
+            return { success: false, error: error.message };
         }
+        console.log(`[Data] Group ${chat.title || chat.id} added/updated.`);
+        return { success: true };
     } catch (e) {
         console.error(`[Data] Exception in addGroup for ${chat.id}: ${e.stack}`);
+        return { success: false, error: e.message };
+    }
+}
+// Lessons live one per row in "schedule_lessons" (lesson_id, user_id, week_type, day, lesson,
+// start_time, end_time, location, version). Updates and deletes are conditioned on the version the
+// user last saw, so a stale button can never clobber a newer change.
+// Schedules from the old user_schedules JSON columns are copied over on first access.
+async function migrateLegacySchedule(userId) {
+    if (migratedScheduleUsers.has(userId)) return;
+    // Claiming the row by setting migrated_at first keeps two concurrent requests from copying it twice
+    const { data: legacyRow, error: claimError } = await supabase
+        .from("user_schedules")
+        .update({ migrated_at: new Date().toISOString() })
+        .eq("user_id", userId)
+        .is("migrated_at", null)
+        .select("odd_week_schedule, even_week_schedule")
+        .maybeSingle();
+    if (claimError) throw claimError;
+    if (legacyRow) {
+        const rows = [];
+        for (const [weekType, field] of [["odd", "odd_week_schedule"], ["even", "even_week_schedule"]]) {
+            const weekSchedule = legacyRow[field];
+            if (!weekSchedule || typeof weekSchedule !== 'object' || Array.isArray(weekSchedule)) continue;
+            for (const day of ENGLISH_WEEKDAYS) {
+                for (const lesson of (Array.isArray(weekSchedule[day]) ? weekSchedule[day] : [])) {
+                    if (!lesson || typeof lesson.lesson !== 'string' ||
+                        !SCHEDULE_TIME_REGEX.test(lesson.start_time || "") || !SCHEDULE_TIME_REGEX.test(lesson.end_time || "")) continue;
+                    rows.push({
+                        user_id: userId, week_type: weekType, day,
+                        lesson: lesson.lesson, start_time: lesson.start_time, end_time: lesson.end_time,
+                        location: typeof lesson.location === 'string' ? lesson.location : "",
+                    });
+                }
+            }
+        }
+        if (rows.length > 0) {
+            const { error: insertError } = await supabase.from("schedule_lessons").insert(rows);
+            if (insertError) {
+                await supabase.from("user_schedules").update({ migrated_at: null }).eq("user_id", userId);
+                throw insertError;
+            }
+        }
+        console.log(`[Schedule] Migrated ${rows.length} legacy lessons for user ${userId}`);
     }
+    migratedScheduleUsers.add(userId);
 }
+function toScheduleLesson(row) {
+    return {
+        id: row.lesson_id,
+        version: row.version,
+        weekType: row.week_type,
+        day: row.day,
+        lesson: row.lesson,
+        start_time: row.start_time,
+        end_time: row.end_time,
+        location: row.location || "",
+        instructor: row.instructor || "",
+        course_code: row.course_code || "",
+        units: row.units ?? null,
+        notes: row.notes || "",
+    };
+}
+// Only the user's working days are present in the returned weeks.
 async function getUserSchedule(userId) {
     try {
+        await migrateLegacySchedule(userId);
+        const { days: workingDays } = await getUserWorkingDays(userId);
         const { data, error } = await supabase
-            .from("user_schedules")
-            .select("odd_week_schedule, even_week_schedule")
-            .eq("user_id", userId)
-            .maybeSingle();
+            .from("schedule_lessons")
+            .select(LESSON_COLUMNS)
+            .eq("user_id", userId);
         if (error) throw error;
-        const oddSchedule = (data?.odd_week_schedule && typeof data.odd_week_schedule === 'object' && !Array.isArray(data.odd_week_schedule))
-                            ? data.odd_week_schedule : {};
-        const evenSchedule = (data?.even_week_schedule && typeof data.even_week_schedule === 'object' && !Array.isArray(data.even_week_schedule))
-                            ? data.even_week_schedule : {};
-        const cleanSchedule = (schedule) => {
-             const cleaned = {};
-             for (const day of ENGLISH_WEEKDAYS) {
-                 if(Array.isArray(schedule[day])) {
-                     cleaned[day] = schedule[day].filter(lesson =>
-                         lesson && typeof lesson.lesson === 'string' &&
-                         typeof lesson.start_time === 'string' && SCHEDULE_TIME_REGEX.test(lesson.start_time) &&
-                         typeof lesson.end_time === 'string' && SCHEDULE_TIME_REGEX.test(lesson.end_time) &&
-                         typeof lesson.location === 'string'
-                     ).sort((a, b) => (parseTime(a.start_time) ?? 9999) - (parseTime(b.start_time) ?? 9999));
-                 } else {
-                    cleaned[day] = []; // Ensure day exists as an empty array if no lessons
-                 }
-             }
-             return cleaned;
-        };
-        return {
-            odd_week_schedule: cleanSchedule(oddSchedule),
-            even_week_schedule: cleanSchedule(evenSchedule)
-        };
+        return buildScheduleFromRows(data || [], workingDays);
     } catch (e) {
         console.error(`[Schedule] Error fetching schedule for user ${userId}: ${e.stack}`);
         await sendMessage(ADMIN_CHAT_ID, `🆘 DB Error fetching schedule for user ${userId}: ${e.message}`);
-        return { odd_week_schedule: {}, even_week_schedule: {} }; 
+        return { odd_week_schedule: {}, even_week_schedule: {} }; 
+    }
+}
+// Groups lesson rows (schedule_lessons columns) into odd/even weeks; only the given days are kept.
+function buildScheduleFromRows(rows, days) {
+    const schedule = { odd_week_schedule: {}, even_week_schedule: {} };
+    for (const day of days) {
+        schedule.odd_week_schedule[day] = [];
+        schedule.even_week_schedule[day] = [];
+    }
+    for (const row of rows) {
+        if (!schedule.odd_week_schedule[row.day]) continue;
+        // "Every week" lessons are stored once and show up in both weeks
+        if (row.week_type !== "even") schedule.odd_week_schedule[row.day].push(toScheduleLesson(row));
+        if (row.week_type !== "odd") schedule.even_week_schedule[row.day].push(toScheduleLesson(row));
+    }
+    for (const weekSchedule of [schedule.odd_week_schedule, schedule.even_week_schedule]) {
+        for (const day of days) {
+            weekSchedule[day].sort((a, b) => ((parseTime(a.start_time) ?? 9999) - (parseTime(b.start_time) ?? 9999)) || (a.id - b.id));
+        }
+    }
+    return schedule;
+}
+// Each lesson of a schedule once; an every-week lesson sits in both weeks.
+function getDistinctScheduleLessons(schedule) {
+    const lessons = new Map();
+    for (const weekSchedule of [schedule.odd_week_schedule, schedule.even_week_schedule]) {
+        for (const dayLessons of Object.values(weekSchedule)) {
+            for (const lesson of dayLessons) lessons.set(lesson.id, lesson);
+        }
+    }
+    return [...lessons.values()];
+}
+async function getScheduleLesson(userId, lessonId) {
+    const { data, error } = await supabase
+        .from("schedule_lessons")
+        .select(LESSON_COLUMNS)
+        .eq("user_id", userId)
+        .eq("lesson_id", lessonId)
+        .maybeSingle();
+    if (error) throw error;
+    return data ? toScheduleLesson(data) : null;
+}
+// Every stored lesson of the user once (every-week lessons are not duplicated), regardless of working days.
+async function getUserScheduleLessons(userId) {
+    await migrateLegacySchedule(userId);
+    const { data, error } = await supabase
+        .from("schedule_lessons")
+        .select(LESSON_COLUMNS)
+        .eq("user_id", userId)
+        .order("lesson_id", { ascending: true });
+    if (error) throw error;
+    return (data || []).map(toScheduleLesson);
+}
+function formatWeekTypeLabel(weekType) {
+    if (weekType === "both") return "فرد و زوج 🔁";
+    return weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+}
+// Lessons listed under a week type: odd/even include the every-week lessons, "both" lists only those.
+function getWeekTypeLessons(schedule, weekType, day) {
+    if (weekType === "both") return (schedule.odd_week_schedule[day] || []).filter(l => l.weekType === "both");
+    return (weekType === "odd" ? schedule.odd_week_schedule[day] : schedule.even_week_schedule[day]) || [];
+}
+// Extra lines (instructor, code, units, notes) shown under a lesson; empty when none are set.
+function formatLessonExtras(lesson, indent = "   ") {
+    const infoParts = [
+        lesson.instructor ? `👨‍🏫 ${lesson.instructor}` : null,
+        lesson.course_code ? `🔢 ${lesson.course_code}` : null,
+        lesson.units != null ? `🎓 ${lesson.units} واحد` : null,
+    ].filter(Boolean);
+    let text = infoParts.length > 0 ? `${indent}${infoParts.join(" | ")}\n` : "";
+    if (lesson.notes) text += `${indent}📝 ${lesson.notes}\n`;
+    return text;
+}
+// Units per distinct course (by course code, else name), so a course held in both weeks counts once.
+function summarizeScheduleUnits(schedule) {
+    const courses = new Map();
+    for (const weekSchedule of [schedule.odd_week_schedule, schedule.even_week_schedule]) {
+        for (const lessons of Object.values(weekSchedule)) {
+            for (const lesson of lessons) {
+                const key = lesson.course_code || lesson.lesson;
+                const units = courses.get(key) ?? null;
+                courses.set(key, lesson.units != null ? Math.max(units ?? 0, lesson.units) : units);
+            }
+        }
+    }
+    const unitValues = [...courses.values()];
+    return {
+        courseCount: courses.size,
+        totalUnits: unitValues.reduce((sum, units) => sum + (units ?? 0), 0),
+        missingCount: unitValues.filter(units => units == null).length,
+    };
+}
+function lessonsOverlap(a, b) {
+    const aStart = parseTime(a.start_time), aEnd = parseTime(a.end_time);
+    const bStart = parseTime(b.start_time), bEnd = parseTime(b.end_time);
+    if ([aStart, aEnd, bStart, bEnd].some(minutes => minutes == null)) return false;
+    return aStart < bEnd && bStart < aEnd;
+}
+// Stored lessons that clash with `lesson` placed on weekType/day; an every-week lesson is checked against both weeks.
+function findLessonConflicts(schedule, weekType, day, lesson) {
+    const candidates = weekType === "both"
+        ? [...(schedule.odd_week_schedule[day] || []), ...(schedule.even_week_schedule[day] || []).filter(l => l.weekType !== "both")]
+        : getWeekTypeLessons(schedule, weekType, day);
+    return candidates.filter(other => other.id !== lesson.id && lessonsOverlap(lesson, other));
+}
+// Every overlapping pair in the stored schedule; a pair of every-week lessons is reported once, as "both".
+function findScheduleConflicts(schedule) {
+    const conflicts = [];
+    const seenPairs = new Set();
+    for (const weekType of ["odd", "even"]) {
+        const weekSchedule = weekType === "odd" ? schedule.odd_week_schedule : schedule.even_week_schedule;
+        for (const day of Object.keys(weekSchedule)) {
+            const lessons = weekSchedule[day];
+            for (let i = 0; i < lessons.length; i++) {
+                for (let j = i + 1; j < lessons.length; j++) {
+                    if (!lessonsOverlap(lessons[i], lessons[j])) continue;
+                    const pairKey = [lessons[i].id, lessons[j].id].sort((a, b) => a - b).join(":");
+                    if (seenPairs.has(pairKey)) continue;
+                    seenPairs.add(pairKey);
+                    const everyWeek = lessons[i].weekType === "both" && lessons[j].weekType === "both";
+                    conflicts.push({ weekType: everyWeek ? "both" : weekType, day, lessons: [lessons[i], lessons[j]] });
+                }
+            }
+        }
+    }
+    return conflicts;
+}
+// Removing an every-week lesson from one week keeps it in the other: it becomes an
+// opposite-parity lesson. Used when a single odd/even day or week is cleared.
+async function keepEveryWeekLessonsInOtherWeek(userId, weekType, day = null) {
+    let query = supabase
+        .from("schedule_lessons")
+        .select("lesson_id, version")
+        .eq("user_id", userId)
+        .eq("week_type", "both");
+    if (day) query = query.eq("day", day);
+    const { data, error } = await query;
+    if (error) throw error;
+    for (const row of data || []) {
+        await updateUserScheduleLesson(userId, row.lesson_id, row.version, { week_type: oppositeParity(weekType) });
+    }
+    return (data || []).length;
+}
+// Lessons a user actually has on a given day: picked by that week's parity and the weekday (none on
+// holidays or outside the semester), then adjusted by the date's overrides. `cancelled` lists the
+// regular lessons that were cancelled or moved away.
+async function getLessonsForDate(userId, dateUTC, profileId = null) {
+    const weekInfo = await getWeekStatusForDate(dateUTC, profileId);
+    const holidays = await getHolidaysForDate(dateUTC);
+    const dayIndex = jalaliWeekday(dateToJalali(dateUTC));
+    const { days: workingDays } = await getUserWorkingDays(userId);
+    const dayKey = workingDays.includes(ENGLISH_WEEKDAYS[dayIndex]) ? ENGLISH_WEEKDAYS[dayIndex] : null; // null on days off
+    let lessons = [];
+    if (dayKey && weekInfo.parity && holidays.length === 0) {
+        const schedule = await getUserSchedule(userId);
+        const weekSchedule = weekInfo.parity === "even" ? schedule.even_week_schedule : schedule.odd_week_schedule;
+        lessons = weekSchedule[dayKey] || [];
     }
+    const dateKey = formatJalaliDateKey(dateToJalali(dateUTC));
+    let overrides = [];
+    try {
+        overrides = await getScheduleOverrides(userId, dateKey);
+    } catch (e) {
+        console.error(`[Overrides] Error loading overrides for user ${userId} on ${dateKey}: ${e.stack}`);
+    }
+    return { weekInfo, holidays, dayIndex, dayKey, ...applyScheduleOverrides(lessons, overrides, dateKey) };
 }
 async function saveUserSchedule(userId, weekType, day, lesson) {
     try {
-        const currentSchedules = await getUserSchedule(userId); 
-        const scheduleField = weekType === "odd" ? "odd_week_schedule" : "even_week_schedule";
-        const daySchedule = currentSchedules[scheduleField]?.[day] || [];
-        const updatedDaySchedule = [...daySchedule, lesson];
-        updatedDaySchedule.sort((a, b) => (parseTime(a.start_time) ?? 9999) - (parseTime(b.start_time) ?? 9999));
-        const finalWeekSchedule = {
-            ...(currentSchedules[scheduleField] || {}),
-            [day]: updatedDaySchedule 
-        };
-        const updatePayload = {
-            user_id: userId,
-            [scheduleField]: finalWeekSchedule,
-            [weekType === "odd" ? "even_week_schedule" : "odd_week_schedule"]: currentSchedules[weekType === "odd" ? "even_week_schedule" : "odd_week_schedule"],
-            updated_at: new Date().toISOString(),
-        };
-        const { error } = await supabase
-            .from("user_schedules")
-            .upsert(updatePayload, { onConflict: "user_id" });
+        await migrateLegacySchedule(userId);
+        await recordScheduleVersion(userId, `افزودن درس ${lesson.lesson}`);
+        const { data, error } = await supabase
+            .from("schedule_lessons")
+            .insert({
+                user_id: userId,
+                week_type: weekType,
+                day: day,
+                lesson: lesson.lesson,
+                start_time: lesson.start_time,
+                end_time: lesson.end_time,
+                location: lesson.location,
+                instructor: lesson.instructor || null,
+                course_code: lesson.course_code || null,
+                units: lesson.units ?? null,
+                notes: lesson.notes || null,
+            })
+            .select(LESSON_COLUMNS)
+            .single();
         if (error) throw error;
-        console.log(`[Schedule] Saved lesson for user ${userId}, week ${weekType}, day ${day}`);
+        console.log(`[Schedule] Saved lesson ${data.lesson_id} for user ${userId}, week ${weekType}, day ${day}`);
+        return toScheduleLesson(data);
     } catch (e) {
         console.error(`[Schedule] Error saving schedule for user ${userId}: ${e.stack}`);
-        throw e; 
+        throw e; 
     }
 }
-async function deleteUserScheduleLesson(userId, weekType, day, lessonIndex) {
+// Returns the updated lesson, or null when it is gone or was changed since `version` was read.
+// The restore point for an edit or delete is only recorded while the lesson is still at `version`, so a stale
+// button that then fails the version-checked write leaves the history alone.
+async function isLessonAtVersion(userId, lessonId, version) {
+    const { data, error } = await supabase
+        .from("schedule_lessons")
+        .select("lesson_id")
+        .eq("user_id", userId)
+        .eq("lesson_id", lessonId)
+        .eq("version", version)
+        .maybeSingle();
+    if (error) throw error;
+    return !!data;
+}
+async function updateUserScheduleLesson(userId, lessonId, version, changes) {
     try {
-        const currentSchedules = await getUserSchedule(userId);
-        const scheduleField = weekType === "odd" ? "odd_week_schedule" : "even_week_schedule";
-        if (!currentSchedules[scheduleField]?.[day] || !currentSchedules[scheduleField][day][lessonIndex]) {
-            console.warn(`[Schedule] Lesson index ${lessonIndex} not found for deletion: user ${userId}, week ${weekType}, day ${day}`);
-            return false; 
-        }
-        const updatedDaySchedule = [...currentSchedules[scheduleField][day]];
-        const deletedLesson = updatedDaySchedule.splice(lessonIndex, 1)[0]; 
-        const finalWeekSchedule = {
-            ...currentSchedules[scheduleField],
-            [day]: updatedDaySchedule 
-        };
-        if (updatedDaySchedule.length === 0) {
-            delete finalWeekSchedule[day];
+        if (await isLessonAtVersion(userId, lessonId, version)) await recordScheduleVersion(userId, "ویرایش درس");
+        const { data, error } = await supabase
+            .from("schedule_lessons")
+            .update({ ...changes, version: version + 1 })
+            .eq("user_id", userId)
+            .eq("lesson_id", lessonId)
+            .eq("version", version)
+            .select(LESSON_COLUMNS)
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) {
+            console.warn(`[Schedule] Lesson ${lessonId} (v${version}) not found for update: user ${userId}`);
+            return null;
         }
-        const { error } = await supabase
-            .from("user_schedules")
-            .update({
-                [scheduleField]: finalWeekSchedule,
-                updated_at: new Date().toISOString(),
-            })
-            .eq("user_id", userId);
+        console.log(`[Schedule] Lesson ${lessonId} updated for user ${userId}: ${Object.keys(changes).join(", ")}`);
+        return toScheduleLesson(data);
+    } catch (e) {
+        console.error(`[Schedule] Error updating schedule lesson for user ${userId}: ${e.stack}`);
+        throw e;
+    }
+}
+// Returns the deleted lesson, or null when it is gone or was changed since `version` was read.
+async function deleteUserScheduleLesson(userId, lessonId, version) {
+    try {
+        if (await isLessonAtVersion(userId, lessonId, version)) await recordScheduleVersion(userId, "حذف درس");
+        const { data, error } = await supabase
+            .from("schedule_lessons")
+            .delete()
+            .eq("user_id", userId)
+            .eq("lesson_id", lessonId)
+            .eq("version", version)
+            .select(LESSON_COLUMNS);
         if (error) throw error;
-        console.log(`[Schedule] Lesson '${deletedLesson.lesson}' deleted for user ${userId}, week ${weekType}, day ${day}`);
-        return true; 
+        if (!data || data.length === 0) {
+            console.warn(`[Schedule] Lesson ${lessonId} (v${version}) not found for deletion: user ${userId}`);
+            return null; 
+        }
+        console.log(`[Schedule] Lesson '${data[0].lesson}' deleted for user ${userId}`);
+        return toScheduleLesson(data[0]); 
     } catch (e) {
         console.error(`[Schedule] Error deleting schedule lesson for user ${userId}: ${e.stack}`);
-        throw e; 
+        throw e; 
     }
 }
 async function deleteUserScheduleDay(userId, weekType, day) {
     try {
-        const currentSchedules = await getUserSchedule(userId);
-        const scheduleField = weekType === "odd" ? "odd_week_schedule" : "even_week_schedule";
-        if (!currentSchedules[scheduleField]?.[day]) {
+        await migrateLegacySchedule(userId);
+        await recordScheduleVersion(userId, `حذف روز ${PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)]}`);
+        const { data, error } = await supabase
+            .from("schedule_lessons")
+            .delete()
+            .eq("user_id", userId)
+            .eq("week_type", weekType)
+            .eq("day", day)
+            .select("lesson_id");
+        if (error) throw error;
+        const keptCount = weekType === "both" ? 0 : await keepEveryWeekLessonsInOtherWeek(userId, weekType, day);
+        if ((!data || data.length === 0) && keptCount === 0) {
             console.log(`[Schedule] No lessons found to delete for user ${userId}, week ${weekType}, day ${day}`);
-            return false; 
+            return false; 
         }
-        const finalWeekSchedule = { ...currentSchedules[scheduleField] };
-        delete finalWeekSchedule[day];
-        const { error } = await supabase
-            .from("user_schedules")
-            .update({
-                [scheduleField]: finalWeekSchedule,
-                updated_at: new Date().toISOString(),
-            })
-            .eq("user_id", userId);
-        if (error) throw error;
         console.log(`[Schedule] All lessons deleted for user ${userId}, week ${weekType}, day ${day}`);
         return true;
     } catch (e) {
@@ -643,15 +1153,15 @@ async function deleteUserScheduleDay(userId, weekType, day) {
 }
 async function deleteEntireWeekSchedule(userId, weekType) {
     try {
-        const scheduleField = weekType === "odd" ? "odd_week_schedule" : "even_week_schedule";
+        await migrateLegacySchedule(userId);
+        await recordScheduleVersion(userId, `حذف هفته ${PARITY_LABELS[weekType] || "هر هفته"}`);
         const { error } = await supabase
-            .from("user_schedules")
-            .update({
-                [scheduleField]: {}, 
-                updated_at: new Date().toISOString(),
-            })
-            .eq("user_id", userId);
+            .from("schedule_lessons")
+            .delete()
+            .eq("user_id", userId)
+            .eq("week_type", weekType);
         if (error) throw error;
+        if (weekType !== "both") await keepEveryWeekLessonsInOtherWeek(userId, weekType);
         console.log(`[Schedule] Entire ${weekType} week schedule deleted for user ${userId}`);
         return true;
     } catch (e) {
@@ -659,41 +1169,986 @@ async function deleteEntireWeekSchedule(userId, weekType) {
         throw e;
     }
 }
-// --- PDF Generation (Fixed) ---
-async function generateSchedulePDF(userId, fullName) {
-    console.log(`[PDF] Generating schedule PDF for user ${userId} (${fullName})`);
+async function deleteScheduleLessonsByIds(userId, lessonIds) {
+    for (let i = 0; i < lessonIds.length; i += 100) {
+        const { error } = await supabase
+            .from("schedule_lessons")
+            .delete()
+            .eq("user_id", userId)
+            .in("lesson_id", lessonIds.slice(i, i + 100));
+        if (error) throw error;
+    }
+}
+// Replaces the whole schedule with entries without ever leaving it empty or half-saved: the old lessons go
+// to the trash and a version first, the new ones are inserted, and only then are the old rows deleted. If
+// any insert fails the inserted rows are removed again and the old schedule stays as it was.
+// Returns copyLessonsIntoSchedule's result plus { trashId, rolledBack }.
+async function replaceUserSchedule(userId, entries, trashLabel) {
+    await migrateLegacySchedule(userId);
+    const oldLessons = await getUserScheduleLessons(userId);
+    await recordScheduleVersion(userId, "جایگزینی کل برنامه", true);
+    const trashId = await moveToScheduleTrash(userId, trashLabel, oldLessons.map(toLessonEntry));
+    const outcome = await copyLessonsIntoSchedule(userId, entries, false);
+    if (outcome.failures.length > 0) {
+        const oldIds = new Set(oldLessons.map(l => l.id));
+        const insertedIds = (await getUserScheduleLessons(userId)).map(l => l.id).filter(id => !oldIds.has(id));
+        await deleteScheduleLessonsByIds(userId, insertedIds);
+        await discardScheduleTrashItem(userId, trashId);
+        console.warn(`[Schedule] Replace for user ${userId} rolled back after ${outcome.failures.length} failed insert(s)`);
+        return { ...outcome, trashId: null, rolledBack: true };
+    }
+    await deleteScheduleLessonsByIds(userId, oldLessons.map(l => l.id));
+    console.log(`[Schedule] Schedule of user ${userId} replaced: ${oldLessons.length} lesson(s) out, ${outcome.savedCount} in`);
+    return { ...outcome, trashId, rolledBack: false };
+}
+// Saves { weekType, day, lesson } entries; with skipDuplicates, entries already in the schedule
+// (same week, day, name and times) are left out.
+async function copyLessonsIntoSchedule(userId, entries, skipDuplicates = true) {
+    const existing = skipDuplicates ? await getUserScheduleLessons(userId) : [];
+    let savedCount = 0, skippedCount = 0;
+    const failures = [];
+    for (const entry of entries) {
+        const isDuplicate = existing.some(l => l.weekType === entry.weekType && l.day === entry.day && l.lesson === entry.lesson.lesson &&
+                                               l.start_time === entry.lesson.start_time && l.end_time === entry.lesson.end_time);
+        if (isDuplicate) { skippedCount++; continue; }
+        try {
+            await saveUserSchedule(userId, entry.weekType, entry.day, entry.lesson);
+            savedCount++;
+        } catch (e) {
+            failures.push(`• ${entry.lesson.lesson}: ${e.message}`);
+        }
+    }
+    return { savedCount, skippedCount, failures };
+}
+function toLessonEntry(lesson) {
+    const { weekType, day, lesson: name, start_time, end_time, location, instructor, course_code, units, notes } = lesson;
+    return { weekType, day, lesson: { lesson: name, start_time, end_time, location, instructor, course_code, units, notes } };
+}
+// Schedule trash: deleted lessons are kept in KV as { id, label, entries, deletedAt } for TRASH_RETENTION_MS;
+// KV expiry purges them afterwards.
+// Entries a day/week deletion removes from weekType; every-week lessons only lose that week.
+async function collectWeekTypeEntries(userId, weekType, day = null) {
+    const lessons = await getUserScheduleLessons(userId);
+    return lessons
+        .filter(l => (l.weekType === weekType || (weekType !== "both" && l.weekType === "both")) && (!day || l.day === day))
+        .map(l => ({ ...toLessonEntry(l), weekType }));
+}
+async function moveToScheduleTrash(userId, label, entries) {
+    if (entries.length === 0) return null;
+    const trashId = Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
+    const item = { id: trashId, label, entries, deletedAt: Date.now() };
+    await kv.set([`trash:${userId}`, trashId], JSON.stringify(item), { expireIn: TRASH_RETENTION_MS });
+    console.log(`[Trash] ${entries.length} lesson(s) moved to trash ${trashId} for user ${userId}`);
+    return trashId;
+}
+// Drops a trash item whose deletion did not go through, so the trash never offers lessons that are still there.
+async function discardScheduleTrashItem(userId, trashId) {
+    if (trashId) await kv.delete([`trash:${userId}`, trashId]);
+}
+// Every destructive path goes through here: the entries are trashed before deleteFn runs, and the trash item
+// is dropped again when deleteFn throws or reports nothing was removed. Returns { result, trashId }.
+async function deleteThroughScheduleTrash(userId, label, entries, deleteFn) {
+    const trashId = await moveToScheduleTrash(userId, label, entries);
+    let result;
     try {
-        const doc = new jsPDF({ 
-            orientation: "landscape", 
-            unit: "mm", 
-            format: "a4",
-            putOnlyUsedFonts: true,
-            floatPrecision: 16
-        });
-        const schedule = await getUserSchedule(userId);
-        const fontArrayBuffer = await getVazirFont();
-        if (!fontArrayBuffer) {
-            throw new Error("Failed to load Vazir font for PDF.");
+        result = await deleteFn();
+    } catch (e) {
+        await discardScheduleTrashItem(userId, trashId);
+        throw e;
+    }
+    if (!result) await discardScheduleTrashItem(userId, trashId);
+    return { result, trashId: result ? trashId : null };
+}
+async function getScheduleTrash(userId) {
+    const items = [];
+    for await (const entry of kv.list({ prefix: [`trash:${userId}`] })) {
+        const item = JSON.parse(entry.value);
+        if (Date.now() - item.deletedAt < TRASH_RETENTION_MS) items.push(item); // KV expiry is not immediate
+    }
+    return items.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+// Puts a trash item's lessons back and removes it from the trash. Returns null when it is gone or expired.
+async function restoreFromScheduleTrash(userId, trashId) {
+    const key = [`trash:${userId}`, trashId];
+    const result = await kv.get(key);
+    if (!result.value) return null;
+    const item = JSON.parse(result.value);
+    if (Date.now() - item.deletedAt >= TRASH_RETENTION_MS) return null;
+    const existing = await getUserScheduleLessons(userId);
+    const remaining = [];
+    let mergedCount = 0;
+    for (const entry of item.entries) {
+        // An every-week lesson removed from one week was kept in the other one: make it every-week again
+        const counterpart = entry.weekType !== "both" && existing.find(l => l.weekType === oppositeParity(entry.weekType) && l.day === entry.day &&
+            l.lesson === entry.lesson.lesson && l.start_time === entry.lesson.start_time && l.end_time === entry.lesson.end_time);
+        if (counterpart && await updateUserScheduleLesson(userId, counterpart.id, counterpart.version, { week_type: "both" })) {
+            existing.splice(existing.indexOf(counterpart), 1);
+            mergedCount++;
+            continue;
         }
-        
-        const base64Font = encodeBase64(fontArrayBuffer); // Use Deno std for base64 encoding
-        doc.addFileToVFS('Vazirmatn-Regular.ttf', base64Font);
-        doc.addFont('Vazirmatn-Regular.ttf', 'Vazir', 'normal');
-        doc.setFont('Vazir');
-        doc.setR2L(true); // Enable RTL mode for the document
-        const pageWidth = doc.internal.pageSize.getWidth();
-        const pageHeight = doc.internal.pageSize.getHeight();
-        const margin = 10;
-        // Define logical titles (will be reshaped)
-        const pdfTitle = "برنامه هفتگی";
-        const nameLabel = "نام: ";
-        const weekLabelPrefix = "هفته ";
-        const weekTypes = [
-            { type: "odd", label: "فرد", emoji: "🟣", data: schedule.odd_week_schedule },
-            { type: "even", label: "زوج", emoji: "🟢", data: schedule.even_week_schedule }
-        ];
-        for (let pageIndex = 0; pageIndex < weekTypes.length; pageIndex++) {
-            if (pageIndex > 0) {
+        remaining.push(entry);
+    }
+    const outcome = await copyLessonsIntoSchedule(userId, remaining);
+    if (outcome.failures.length === 0) await kv.delete(key);
+    console.log(`[Trash] Trash ${trashId} restored for user ${userId}: ${outcome.savedCount + mergedCount} lesson(s)`);
+    return { item, ...outcome, savedCount: outcome.savedCount + mergedCount };
+}
+// Schedule shares: "schedule_shares" rows link a share code to its owner; recipients always see the owner's current lessons.
+function generateShareCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(SHARE_CODE_LENGTH));
+    return Array.from(bytes, b => SHARE_CODE_ALPHABET[b % SHARE_CODE_ALPHABET.length]).join("");
+}
+async function getActiveScheduleShare(ownerId) {
+    const { data, error } = await supabase
+        .from("schedule_shares")
+        .select("share_code, owner_id, created_at")
+        .eq("owner_id", ownerId)
+        .is("revoked_at", null)
+        .order("created_at", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+async function getScheduleShareByCode(code) {
+    const { data, error } = await supabase
+        .from("schedule_shares")
+        .select("share_code, owner_id, created_at")
+        .eq("share_code", code)
+        .is("revoked_at", null)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+// One active code per user: an existing code is returned instead of creating another.
+async function createScheduleShare(ownerId) {
+    const existing = await getActiveScheduleShare(ownerId);
+    if (existing) return existing;
+    const { data, error } = await supabase
+        .from("schedule_shares")
+        .insert({ share_code: generateShareCode(), owner_id: ownerId })
+        .select("share_code, owner_id, created_at")
+        .single();
+    if (error) throw error;
+    console.log(`[Share] User ${ownerId} created share code ${data.share_code}`);
+    return data;
+}
+async function revokeScheduleShares(ownerId) {
+    const { data, error } = await supabase
+        .from("schedule_shares")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("owner_id", ownerId)
+        .is("revoked_at", null)
+        .select("share_code");
+    if (error) throw error;
+    console.log(`[Share] User ${ownerId} revoked ${(data || []).length} share code(s)`);
+    return (data || []).length;
+}
+async function buildShareLink(code) {
+    const botInfo = await getBotInfo();
+    return `https://t.me/${botInfo.username}?start=${SHARE_START_PREFIX}${code}`;
+}
+async function addSemester(semester) {
+    try {
+        const { error } = await supabase.from("semesters").insert({
+            name: semester.name.substring(0, 255),
+            start_date: semester.startDate,
+            end_date: semester.endDate,
+            start_parity: semester.startParity,
+            parity_resets: [],
+            profile_id: semester.profileId ?? null,
+        });
+        if (error) throw error;
+        await getSemesters(true);
+        console.log(`[Calendar] Semester '${semester.name}' added (${semester.startDate} - ${semester.endDate}).`);
+    } catch (e) {
+        console.error(`[Calendar] Error adding semester: ${e.stack}`);
+        throw e;
+    }
+}
+async function addCalendarProfile(name) {
+    try {
+        const { error } = await supabase.from("calendar_profiles").insert({ name: name.substring(0, 255) });
+        if (error) throw error;
+        await getCalendarProfiles(true);
+        console.log(`[Calendar] Calendar profile '${name}' added.`);
+    } catch (e) {
+        console.error(`[Calendar] Error adding calendar profile: ${e.stack}`);
+        throw e;
+    }
+}
+async function deleteSemester(semesterId) {
+    try {
+        const { error } = await supabase.from("semesters").delete().eq("semester_id", semesterId);
+        if (error) throw error;
+        await getSemesters(true);
+        console.log(`[Calendar] Semester ${semesterId} deleted.`);
+    } catch (e) {
+        console.error(`[Calendar] Error deleting semester ${semesterId}: ${e.stack}`);
+        throw e;
+    }
+}
+// One row per reset, so admins adding resets at the same time cannot overwrite each other.
+async function addParityReset(semesterId, reset) {
+    try {
+        const { error } = await supabase
+            .from("semester_parity_resets")
+            .upsert({ semester_id: semesterId, reset_date: reset.date, parity: reset.parity }, { onConflict: "semester_id,reset_date" });
+        if (error) throw error;
+        await getSemesters(true);
+        console.log(`[Calendar] Parity reset ${reset.date} (${reset.parity}) added to semester ${semesterId}.`);
+    } catch (e) {
+        console.error(`[Calendar] Error adding parity reset to semester ${semesterId}: ${e.stack}`);
+        throw e;
+    }
+}
+async function addClosure(closure) {
+    try {
+        const { error } = await supabase.from("holidays").insert({
+            calendar: "closure",
+            start_date: closure.startDate,
+            end_date: closure.endDate,
+            title: closure.title.substring(0, 255),
+        });
+        if (error) throw error;
+        await getHolidays(true);
+        console.log(`[Holidays] Closure '${closure.title}' added (${closure.startDate} - ${closure.endDate}).`);
+    } catch (e) {
+        console.error(`[Holidays] Error adding closure: ${e.stack}`);
+        throw e;
+    }
+}
+async function saveHijriMonthStart(monthStart) {
+    try {
+        const { error } = await supabase.from("hijri_month_starts").upsert({
+            hijri_year: monthStart.year,
+            hijri_month: monthStart.month,
+            start_date: monthStart.startDate,
+        }, { onConflict: "hijri_year,hijri_month" });
+        if (error) throw error;
+        await getHolidays(true);
+        console.log(`[Holidays] Hijri month ${monthStart.year}/${monthStart.month} starts on ${monthStart.startDate}.`);
+    } catch (e) {
+        console.error(`[Holidays] Error saving hijri month start: ${e.stack}`);
+        throw e;
+    }
+}
+async function deleteHijriMonthStart(monthStartId) {
+    try {
+        const { error } = await supabase.from("hijri_month_starts").delete().eq("month_start_id", monthStartId);
+        if (error) throw error;
+        await getHolidays(true);
+        console.log(`[Holidays] Hijri month start ${monthStartId} deleted.`);
+    } catch (e) {
+        console.error(`[Holidays] Error deleting hijri month start ${monthStartId}: ${e.stack}`);
+        throw e;
+    }
+}
+async function deleteHoliday(holidayId) {
+    try {
+        const { error } = await supabase.from("holidays").delete().eq("holiday_id", holidayId);
+        if (error) throw error;
+        await getHolidays(true);
+        console.log(`[Holidays] Holiday ${holidayId} deleted.`);
+    } catch (e) {
+        console.error(`[Holidays] Error deleting holiday ${holidayId}: ${e.stack}`);
+        throw e;
+    }
+}
+// --- Group Schedules ---
+// A group's schedule is stored in schedule_lessons under the group's (negative) chat id. Group admins
+// edit it from their private chat: while an edit target is set in KV, the schedule menus work on the
+// group instead of the admin's own schedule. Members subscribe through "group_subscriptions".
+async function getScheduleEditTarget(userId) {
+    const result = await kv.get([`schedule_target:${userId}`]);
+    return result.value ? JSON.parse(result.value) : null;
+}
+// The schedule the user's schedule menus currently work on: their own, or a group's. Admin status is
+// checked again on every call, so a demoted admin loses the target at once; null means it was just revoked.
+async function getScheduleOwnerId(userId) {
+    const target = await getScheduleEditTarget(userId);
+    if (!target) return userId;
+    if (await isGroupAdmin(target.groupId, userId)) return target.groupId;
+    await kv.delete([`schedule_target:${userId}`]);
+    console.log(`[GroupSchedule] User ${userId} is no longer an admin of group ${target.groupId}; edit target cleared`);
+    return null;
+}
+async function getGroupSubscriptions(userId) {
+    const { data, error } = await supabase
+        .from("group_subscriptions")
+        .select("group_id, group_title")
+        .eq("user_id", userId);
+    if (error) throw error;
+    return data || [];
+}
+async function subscribeToGroupSchedule(userId, groupId, groupTitle) {
+    const { error } = await supabase
+        .from("group_subscriptions")
+        .upsert({ user_id: userId, group_id: groupId, group_title: groupTitle?.substring(0, 255) || null }, { onConflict: "user_id,group_id" });
+    if (error) throw error;
+    console.log(`[GroupSchedule] User ${userId} subscribed to group ${groupId}`);
+}
+async function unsubscribeFromGroupSchedule(userId, groupId) {
+    const { data, error } = await supabase
+        .from("group_subscriptions")
+        .delete()
+        .eq("user_id", userId)
+        .eq("group_id", groupId)
+        .select("group_id");
+    if (error) throw error;
+    console.log(`[GroupSchedule] User ${userId} unsubscribed from group ${groupId}`);
+    return (data || []).length > 0;
+}
+// The user's own schedule with the lessons of subscribed groups merged in (tagged with groupTitle).
+// Read-only: editing menus keep using getUserSchedule.
+async function getMergedSchedule(userId) {
+    const schedule = await getUserSchedule(userId);
+    let subscriptions = [];
+    try {
+        subscriptions = await getGroupSubscriptions(userId);
+    } catch (e) {
+        console.error(`[GroupSchedule] Error loading subscriptions for user ${userId}: ${e.stack}`);
+    }
+    for (const subscription of subscriptions) {
+        const groupSchedule = await getUserSchedule(subscription.group_id);
+        for (const week of ["odd_week_schedule", "even_week_schedule"]) {
+            for (const day of Object.keys(schedule[week])) {
+                const groupLessons = (groupSchedule[week][day] || []).map(l => ({ ...l, groupTitle: subscription.group_title || "گروه" }));
+                if (groupLessons.length === 0) continue;
+                schedule[week][day] = [...schedule[week][day], ...groupLessons]
+                    .sort((a, b) => (parseTime(a.start_time) ?? 9999) - (parseTime(b.start_time) ?? 9999));
+            }
+        }
+    }
+    return schedule;
+}
+// One line per day: the read-only overview used for group and archived schedules.
+function formatCompactScheduleText(schedule) {
+    let text = "";
+    for (const [type, scheduleData] of [["odd", schedule.odd_week_schedule], ["even", schedule.even_week_schedule]]) {
+        const days = Object.keys(scheduleData).filter(day => scheduleData[day].length > 0);
+        if (days.length === 0) continue;
+        text += `*--- هفته ${formatWeekTypeLabel(type)} ---*\n`;
+        for (const day of days) {
+            text += `*${PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)]}:* ` +
+                    scheduleData[day].map(l => `${l.lesson} (${l.start_time}-${l.end_time})`).join("، ") + "\n";
+        }
+        text += "\n";
+    }
+    return text;
+}
+// --- Schedule Archives & Versions ---
+// Both store the lessons as export rows (see toScheduleExportRow) in a jsonb "lessons" column.
+// "schedule_archives" holds named snapshots (usually one per semester) kept until the user deletes them.
+// "schedule_versions" holds automatic restore points: the schedule as it was right before a change.
+async function recordScheduleVersion(userId, reason, force = false) {
+    try {
+        const { data: latest, error: latestError } = await supabase
+            .from("schedule_versions")
+            .select("created_at, lessons")
+            .eq("user_id", userId)
+            .order("created_at", { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        if (latestError) throw latestError;
+        // The first change of a burst already saved the state before it
+        if (!force && latest && Date.now() - new Date(latest.created_at).getTime() < SCHEDULE_VERSION_COALESCE_MS) return;
+        const lessons = (await getUserScheduleLessons(userId)).map(toScheduleExportRow);
+        if (latest && JSON.stringify(latest.lessons) === JSON.stringify(lessons)) return;
+        const { error } = await supabase.from("schedule_versions").insert({ user_id: userId, reason, lessons });
+        if (error) throw error;
+        const { data: old, error: oldError } = await supabase
+            .from("schedule_versions")
+            .select("version_id")
+            .eq("user_id", userId)
+            .order("created_at", { ascending: false })
+            .range(SCHEDULE_VERSION_KEEP, SCHEDULE_VERSION_KEEP + 49);
+        if (oldError) throw oldError;
+        if (old && old.length > 0) {
+            const { error: pruneError } = await supabase.from("schedule_versions").delete().in("version_id", old.map(v => v.version_id));
+            if (pruneError) throw pruneError;
+        }
+    } catch (e) {
+        // A missing restore point must never block the change itself
+        console.error(`[Versions] Error recording schedule version for user ${userId}: ${e.stack}`);
+    }
+}
+async function getScheduleVersions(userId) {
+    const { data, error } = await supabase
+        .from("schedule_versions")
+        .select("version_id, reason, lessons, created_at")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .limit(SCHEDULE_VERSION_KEEP);
+    if (error) throw error;
+    return data || [];
+}
+async function getScheduleVersion(userId, versionId) {
+    const { data, error } = await supabase
+        .from("schedule_versions")
+        .select("version_id, reason, lessons, created_at")
+        .eq("user_id", userId)
+        .eq("version_id", versionId)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+async function getScheduleArchives(userId) {
+    const { data, error } = await supabase
+        .from("schedule_archives")
+        .select("archive_id, name, semester_id, lessons, created_at")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false });
+    if (error) throw error;
+    return data || [];
+}
+async function getScheduleArchive(userId, archiveId) {
+    const { data, error } = await supabase
+        .from("schedule_archives")
+        .select("archive_id, name, semester_id, lessons, created_at")
+        .eq("user_id", userId)
+        .eq("archive_id", archiveId)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+async function createScheduleArchive(userId, name, semesterId = null) {
+    const lessons = (await getUserScheduleLessons(userId)).map(toScheduleExportRow);
+    const { data, error } = await supabase
+        .from("schedule_archives")
+        .insert({ user_id: userId, name, semester_id: semesterId, lessons })
+        .select("archive_id, name, semester_id, lessons, created_at")
+        .single();
+    if (error) throw error;
+    console.log(`[Archive] Archive ${data.archive_id} '${name}' created for user ${userId} (${lessons.length} lessons)`);
+    return data;
+}
+async function deleteScheduleArchive(userId, archiveId) {
+    const { error } = await supabase.from("schedule_archives").delete().eq("user_id", userId).eq("archive_id", archiveId);
+    if (error) throw error;
+    console.log(`[Archive] Archive ${archiveId} deleted for user ${userId}`);
+}
+// Replaces the whole schedule with stored export rows (cloning an archive or restoring a version).
+async function replaceScheduleWithRows(userId, rows, trashLabel) {
+    return await replaceUserSchedule(userId, rows.map(row => toLessonEntry(toScheduleLesson(row))), trashLabel);
+}
+// Archived lessons as a schedule: the user's working days plus any other day the archive uses.
+async function buildArchivedSchedule(userId, rows) {
+    const { days: workingDays } = await getUserWorkingDays(userId);
+    return buildScheduleFromRows(rows, ENGLISH_WEEKDAYS.filter(day => workingDays.includes(day) || rows.some(r => r.day === day)));
+}
+// The current semester, or the last one that started (what an archive made now belongs to).
+async function getLatestStartedSemester(profileId) {
+    const semesters = getProfileSemesters(await getSemesters(), profileId);
+    const today = getTehranTodayUTC();
+    return semesters.filter(s => s.startDate <= today).pop() || null;
+}
+// Stored timestamp -> "12 مهر 1404 14:05" in Tehran time
+function formatTehranTimestamp(timestamp) {
+    const local = DateTime.fromISO(timestamp).setZone(TEHRAN_TIMEZONE);
+    return `${formatJalaliDate(dateToJalali(new Date(Date.UTC(local.year, local.month - 1, local.day))))} ${local.toFormat("HH:mm")}`;
+}
+// --- Schedule Overrides ---
+// Cancelled, moved and make-up sessions; see overrides.js for the row format and how they apply to a day.
+// Overrides of one or more schedule owners touching a date from fromKey to toKey (inclusive; null = no end).
+async function getScheduleOverrides(ownerIds, fromKey, toKey = fromKey) {
+    const inRange = (column) => toKey ? `and(${column}.gte.${fromKey},${column}.lte.${toKey})` : `${column}.gte.${fromKey}`;
+    const { data, error } = await supabase
+        .from("schedule_overrides")
+        .select(OVERRIDE_COLUMNS)
+        .in("user_id", [].concat(ownerIds))
+        .or(`${inRange("override_date")},${inRange("new_date")}`);
+    if (error) throw error;
+    return (data || []).map(normalizeScheduleOverride).filter(Boolean)
+        .sort((a, b) => a.dateKey.localeCompare(b.dateKey) || ((parseTime(a.start_time) ?? 0) - (parseTime(b.start_time) ?? 0)));
+}
+// The user's own overrides for a date range plus those of subscribed groups (tagged with groupTitle like getMergedSchedule).
+async function getMergedScheduleOverrides(userId, fromKey, toKey = fromKey) {
+    let subscriptions = [];
+    try {
+        subscriptions = await getGroupSubscriptions(userId);
+    } catch (e) {
+        console.error(`[Overrides] Error loading subscriptions for user ${userId}: ${e.stack}`);
+    }
+    const groupTitles = new Map(subscriptions.map(s => [s.group_id, s.group_title || "گروه"]));
+    const overrides = await getScheduleOverrides([userId, ...groupTitles.keys()], fromKey, toKey);
+    return overrides.map(o => groupTitles.has(o.ownerId) ? { ...o, groupTitle: groupTitles.get(o.ownerId) } : o);
+}
+async function saveScheduleOverride(ownerId, override) {
+    const { data, error } = await supabase
+        .from("schedule_overrides")
+        .insert({
+            user_id: ownerId,
+            override_type: override.type,
+            lesson_id: override.lessonId,
+            lesson_name: override.lessonName,
+            override_date: formatJalaliDateKey(override.jalali),
+            new_date: override.newJalali ? formatJalaliDateKey(override.newJalali) : null,
+            start_time: override.start_time || null,
+            end_time: override.end_time || null,
+            location: override.location || null,
+        })
+        .select(OVERRIDE_COLUMNS)
+        .single();
+    if (error) throw error;
+    console.log(`[Overrides] Saved ${data.override_type} override ${data.override_id} for ${ownerId} on ${data.override_date}`);
+    return normalizeScheduleOverride(data);
+}
+async function deleteScheduleOverride(ownerId, overrideId) {
+    const { data, error } = await supabase.from("schedule_overrides").delete().eq("user_id", ownerId).eq("override_id", overrideId).select("override_id");
+    if (error) throw error;
+    console.log(`[Overrides] Override ${overrideId} deleted for ${ownerId}`);
+    return (data || []).length > 0;
+}
+// Calendar profile for the dates of a schedule owner (group chat ids are negative).
+async function getScheduleOwnerProfileId(ownerId) {
+    return await getChatCalendarProfileId(ownerId < 0 ? { type: "group", id: ownerId } : { type: "private" }, ownerId);
+}
+function formatOverrideDay(jalali) {
+    return `${PERSIAN_WEEKDAYS[jalaliWeekday(jalali)]} ${formatJalaliDate(jalali)}`;
+}
+// What happened to a session on dateKey, e.g. "🚫 لغو شده" or "🔁 جلسه جبرانی".
+function formatOverrideNote(override, dateKey) {
+    if (override.type === "cancel") return "🚫 لغو شده";
+    if (override.type === "extra") return "🔁 جلسه جبرانی";
+    return override.dateKey === dateKey
+        ? `🔀 منتقل شده به ${formatOverrideDay(override.newJalali)} ⏰ ${override.start_time}-${override.end_time}`
+        : `🔀 جابه‌جا شده از ${formatOverrideDay(override.jalali)}`;
+}
+function formatOverrideLine(override) {
+    const location = override.location ? ` | 📍 ${override.location}` : "";
+    if (override.type === "cancel") return `🚫 *${override.lessonName}* — لغو در ${formatOverrideDay(override.jalali)}`;
+    if (override.type === "move") return `🔀 *${override.lessonName}* — از ${formatOverrideDay(override.jalali)} به ${formatOverrideDay(override.newJalali)} ⏰ ${override.start_time}-${override.end_time}${location}`;
+    return `🔁 *${override.lessonName}* — جلسه جبرانی ${formatOverrideDay(override.jalali)} ⏰ ${override.start_time}-${override.end_time}${location}`;
+}
+// "date | start-end | location" (or one field per line) for a moved or make-up session. Returns { session } or { error }.
+function parseOverrideSessionInput(text, todayUTC) {
+    const parts = text.split(/\n|\|/).map(p => p.trim()).filter(Boolean);
+    if (parts.length < 2 || parts.length > 3) return { error: `⚠️ فرمت وارد شده صحیح نیست. لطفاً با فرمت زیر وارد کنید:\n${OVERRIDE_SESSION_FORMAT}` };
+    const [dateText, timeText, location = ""] = parts;
+    const candidates = parseDateExpression(dateText, todayUTC);
+    if (candidates.length === 0) return { error: "⚠️ تاریخ را متوجه نشدم. مثلاً `1404/09/15`، `15 آذر` یا `پنجشنبه` وارد کنید." };
+    if (candidates.length > 1) return { error: "⚠️ تاریخ وارد شده به چند روز می‌خورد؛ لطفاً دقیق‌تر وارد کنید، مثلاً `1404/09/15`." };
+    const times = toLatinDigits(timeText).split("-").map(normalizeLessonTime);
+    if (times.length !== 2) return { error: "⚠️ ساعت را به صورت `شروع-پایان` وارد کنید. مثال: `10:00-12:00`" };
+    const timeError = validateLessonTimes(times[0], times[1]);
+    if (timeError) return { error: timeError };
+    return { session: { jalali: candidates[0], start_time: times[0], end_time: times[1], location } };
+}
+// --- Exams ---
+// One-off, Jalali-dated events in "exams"; exam_date is stored as YYYY/MM/DD like semester dates.
+function normalizeExam(row) {
+    const jalali = parsePersianDate(row.exam_date);
+    if (!jalali) return null;
+    return {
+        id: row.exam_id,
+        course: row.course,
+        jalali,
+        dateUTC: jalaliToDate(jalali),
+        start_time: row.start_time || "",
+        location: row.location || "",
+        examType: EXAM_TYPES[row.exam_type] ? row.exam_type : "other",
+    };
+}
+// Sorted by date and time.
+async function getUserExams(userId) {
+    const { data, error } = await supabase
+        .from("exams")
+        .select(EXAM_COLUMNS)
+        .eq("user_id", userId);
+    if (error) throw error;
+    return (data || []).map(normalizeExam).filter(Boolean)
+        .sort((a, b) => (a.dateUTC - b.dateUTC) || ((parseTime(a.start_time) ?? 0) - (parseTime(b.start_time) ?? 0)));
+}
+async function saveExam(userId, exam) {
+    const { data, error } = await supabase
+        .from("exams")
+        .insert({
+            user_id: userId,
+            course: exam.course,
+            exam_date: formatJalaliDateKey(exam.jalali),
+            start_time: exam.start_time,
+            location: exam.location || null,
+            exam_type: exam.examType,
+        })
+        .select(EXAM_COLUMNS)
+        .single();
+    if (error) throw error;
+    console.log(`[Exams] Saved exam ${data.exam_id} for user ${userId} on ${data.exam_date}`);
+    return normalizeExam(data);
+}
+async function deleteExam(userId, examId) {
+    const { data, error } = await supabase.from("exams").delete().eq("user_id", userId).eq("exam_id", examId).select("exam_id");
+    if (error) throw error;
+    console.log(`[Exams] Exam ${examId} deleted for user ${userId}`);
+    return (data || []).length > 0;
+}
+// "course | date | time | location" (or one field per line). Returns { exam } or { error }.
+function parseExamInput(text, examType) {
+    const parts = text.split(/\n|\|/).map(p => p.trim()).filter(Boolean);
+    if (parts.length < 3 || parts.length > 4) return { error: `⚠️ فرمت وارد شده صحیح نیست. لطفاً با فرمت زیر وارد کنید:\n${EXAM_INPUT_FORMAT}` };
+    const [course, dateText, timeText, location = ""] = parts;
+    const jalali = parsePersianDate(dateText);
+    if (!jalali) return { error: "⚠️ تاریخ نامعتبر است. تاریخ را به صورت شمسی وارد کنید، مثلاً `1403/10/20`." };
+    const startTime = normalizeLessonTime(toLatinDigits(timeText));
+    if (!SCHEDULE_TIME_REGEX.test(startTime)) return { error: "⚠️ فرمت ساعت باید به صورت `HH:MM` باشد. مثال: `09:00`" };
+    return { exam: { course, jalali, start_time: startTime, location, examType } };
+}
+// "امروز", "فردا", "3 روز دیگر" or "2 روز پیش" for a calendar day relative to todayUTC
+function formatDayCountdown(dateUTC, todayUTC) {
+    const days = Math.round((dateUTC - todayUTC) / MS_PER_DAY);
+    if (days === 0) return "امروز";
+    if (days === 1) return "فردا";
+    return days > 0 ? `${days} روز دیگر` : `${-days} روز پیش`;
+}
+// Date keys (YYYY/MM/DD) that have more than one exam.
+function findSameDayExamDates(exams) {
+    const counts = new Map();
+    for (const exam of exams) {
+        const key = formatJalaliDateKey(exam.jalali);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return new Set([...counts].filter(([, count]) => count > 1).map(([key]) => key));
+}
+function formatExamLine(exam, todayUTC, sameDayDates) {
+    const weekday = PERSIAN_WEEKDAYS[jalaliWeekday(exam.jalali)];
+    let line = `*${exam.course}* (${EXAM_TYPES[exam.examType]})\n   📅 ${weekday} ${formatJalaliDate(exam.jalali)} ⏰ ${exam.start_time}`;
+    if (exam.location) line += ` | 📍 ${exam.location}`;
+    line += ` — ${formatDayCountdown(exam.dateUTC, todayUTC)}`;
+    if (sameDayDates.has(formatJalaliDateKey(exam.jalali))) line += "\n   ⚠️ در این روز امتحان دیگری هم دارید";
+    return line;
+}
+// --- Tasks ---
+// Homework/assignment deadlines in "tasks", optionally tied to a lesson (lesson_name is kept in case
+// the lesson is deleted later). due_date is a Jalali YYYY/MM/DD string; open tasks have no completed_at.
+function normalizeTask(row) {
+    const jalali = parsePersianDate(row.due_date);
+    if (!jalali) return null;
+    return {
+        id: row.task_id,
+        title: row.title,
+        lessonId: row.lesson_id ?? null,
+        lessonName: row.lesson_name || "",
+        jalali,
+        dateUTC: jalaliToDate(jalali),
+        due_time: row.due_time || TASK_DEFAULT_DUE_TIME,
+        completedAt: row.completed_at || null,
+    };
+}
+// Open tasks by due date, or the most recently completed ones.
+async function getUserTasks(userId, completed = false) {
+    let query = supabase.from("tasks").select(TASK_COLUMNS).eq("user_id", userId);
+    query = completed
+        ? query.not("completed_at", "is", null).order("completed_at", { ascending: false }).limit(TASK_MAX_LISTED)
+        : query.is("completed_at", null);
+    const { data, error } = await query;
+    if (error) throw error;
+    const tasks = (data || []).map(normalizeTask).filter(Boolean);
+    if (!completed) tasks.sort((a, b) => (a.dateUTC - b.dateUTC) || ((parseTime(a.due_time) ?? 0) - (parseTime(b.due_time) ?? 0)));
+    return tasks;
+}
+async function saveTask(userId, task) {
+    const { data, error } = await supabase
+        .from("tasks")
+        .insert({
+            user_id: userId,
+            title: task.title,
+            lesson_id: task.lessonId ?? null,
+            lesson_name: task.lessonName || null,
+            due_date: formatJalaliDateKey(task.jalali),
+            due_time: task.due_time,
+        })
+        .select(TASK_COLUMNS)
+        .single();
+    if (error) throw error;
+    console.log(`[Tasks] Saved task ${data.task_id} for user ${userId}, due ${data.due_date}`);
+    return normalizeTask(data);
+}
+async function setTaskCompleted(userId, taskId, completed) {
+    const { data, error } = await supabase
+        .from("tasks")
+        .update({ completed_at: completed ? new Date().toISOString() : null })
+        .eq("user_id", userId)
+        .eq("task_id", taskId)
+        .select(TASK_COLUMNS)
+        .maybeSingle();
+    if (error) throw error;
+    console.log(`[Tasks] Task ${taskId} of user ${userId} marked ${completed ? "done" : "open"}`);
+    return data ? normalizeTask(data) : null;
+}
+async function deleteTask(userId, taskId) {
+    const { error } = await supabase.from("tasks").delete().eq("user_id", userId).eq("task_id", taskId);
+    if (error) throw error;
+    console.log(`[Tasks] Task ${taskId} deleted for user ${userId}`);
+}
+function formatTaskLine(task, todayUTC) {
+    const overdue = task.dateUTC < todayUTC;
+    return `*${task.title}*${task.lessonName ? ` (${task.lessonName})` : ""}\n` +
+           `   ${overdue ? "⚠️ مهلت گذشته:" : "⏳"} ${PERSIAN_WEEKDAYS[jalaliWeekday(task.jalali)]} ${formatJalaliDate(task.jalali)} ⏰ ${task.due_time} — ${formatDayCountdown(task.dateUTC, todayUTC)}`;
+}
+// --- Attendance ---
+// One "attendance" row per user, lesson and Jalali session_date (status "present"/"absent"). Courses are
+// counted by lesson name, so two weekly sessions of a course add up; the allowed absences are 3/16 of the
+// course's sessions in the semester, holidays excluded.
+async function markAttendance(userId, lesson, jalaliDate, status) {
+    const { error } = await supabase
+        .from("attendance")
+        .upsert({
+            user_id: userId,
+            lesson_id: lesson.id,
+            lesson_name: lesson.lesson,
+            session_date: formatJalaliDateKey(jalaliDate),
+            status,
+        }, { onConflict: "user_id,lesson_id,session_date" });
+    if (error) throw error;
+    console.log(`[Attendance] User ${userId} marked ${status} for lesson ${lesson.id} on ${formatJalaliDateKey(jalaliDate)}`);
+}
+async function getAttendanceRecord(userId, lessonId, jalaliDate) {
+    const { data, error } = await supabase
+        .from("attendance")
+        .select("status")
+        .eq("user_id", userId)
+        .eq("lesson_id", lessonId)
+        .eq("session_date", formatJalaliDateKey(jalaliDate))
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+function getAbsenceStatus(course) {
+    const allowedAbsences = Math.floor(course.totalSessions * ABSENCE_LIMIT_RATIO);
+    const remaining = allowedAbsences - course.absent;
+    if (course.totalSessions === 0) return { allowedAbsences, remaining, level: "ok" };
+    return { allowedAbsences, remaining, level: remaining < 0 ? "exceeded" : remaining <= ABSENCE_WARNING_MARGIN ? "warning" : "ok" };
+}
+// Sessions per course in the semester ({ course: [total, held] }): the weekly dates of each lesson in every
+// parity segment, minus holidays and cancelled or moved-away dates, plus moved-in and make-up sessions.
+// Holidays are loaded once and the schedule and overrides in two queries, so this is cheap enough to run per mark.
+async function getCourseSessionCounts(userId, semester) {
+    const todayUTC = getTehranTodayUTC();
+    const fromKey = formatJalaliDateKey(semester.startJalali), toKey = formatJalaliDateKey(semester.endJalali);
+    const schedule = await getUserSchedule(userId);
+    const overrides = await getScheduleOverrides(userId, fromKey, toKey);
+    const semesterDays = Math.round((semester.endDate - semester.startDate) / MS_PER_DAY) + 1;
+    const holidayDates = new Set((await getHolidayDaysInRange(semester.startDate, semesterDays)).map(d => d.date.getTime()));
+    const removedSessions = new Set(overrides.filter(o => o.type !== "extra").map(o => `${o.lessonId}:${o.dateKey}`));
+    const counts = {};
+    const countSession = (course, date) => {
+        const entry = counts[course] ||= [0, 0];
+        entry[0]++;
+        if (date <= todayUTC) entry[1]++;
+    };
+    for (const segment of getSemesterParitySegments(semester)) {
+        for (const lesson of getDistinctScheduleLessons(schedule)) {
+            for (const date of getLessonOccurrences(segment, ENGLISH_WEEKDAYS.indexOf(lesson.day), lesson.weekType)) {
+                if (holidayDates.has(date.getTime()) || removedSessions.has(`${lesson.id}:${formatJalaliDateKey(dateToJalali(date))}`)) continue;
+                countSession(lesson.lesson, date);
+            }
+        }
+    }
+    // Make-up and moved-in sessions are held even on a holiday, as in /week
+    for (const override of overrides) {
+        const heldKey = override.type === "extra" ? override.dateKey : override.type === "move" ? override.newDateKey : null;
+        if (!heldKey || heldKey < fromKey || heldKey > toKey) continue;
+        countSession(override.lessonName, jalaliToDate(override.type === "extra" ? override.jalali : override.newJalali));
+    }
+    return counts;
+}
+// Per-course session counts for the current (or last started) semester, merged with the user's marks.
+// With courseName only that course is summarised (what a single mark needs).
+// Returns { semester, courses } or null when no semester has started.
+async function getAttendanceSummary(userId, profileId, courseName = null) {
+    const semester = await getLatestStartedSemester(profileId);
+    if (!semester) return null;
+    const counts = await getCourseSessionCounts(userId, semester);
+    const courses = new Map();
+    const courseEntry = (name) => {
+        if (!courses.has(name)) courses.set(name, { course: name, totalSessions: 0, heldSessions: 0, present: 0, absent: 0 });
+        return courses.get(name);
+    };
+    for (const [name, [total, held]] of Object.entries(counts)) {
+        if (courseName !== null && name !== courseName) continue;
+        Object.assign(courseEntry(name), { totalSessions: total, heldSessions: held });
+    }
+    let query = supabase
+        .from("attendance")
+        .select("lesson_name, status")
+        .eq("user_id", userId)
+        .gte("session_date", formatJalaliDateKey(semester.startJalali))
+        .lte("session_date", formatJalaliDateKey(semester.endJalali));
+    if (courseName !== null) query = query.eq("lesson_name", courseName);
+    const { data, error } = await query;
+    if (error) throw error;
+    for (const record of data || []) {
+        if (record.status === "present" || record.status === "absent") courseEntry(record.lesson_name)[record.status]++;
+    }
+    return {
+        semester,
+        courses: [...courses.values()].map(c => ({ ...c, ...getAbsenceStatus(c) })).sort((a, b) => a.course.localeCompare(b.course, "fa")),
+    };
+}
+function formatAttendanceLine(course) {
+    const icon = { ok: "🟢", warning: "🟠", exceeded: "🔴" }[course.level];
+    let line = `${icon} *${course.course}*: غیبت ${course.absent} از ${course.allowedAbsences} مجاز | حاضر ${course.present} | جلسات ${course.heldSessions}/${course.totalSessions}`;
+    if (course.level === "exceeded") line += "\n   ⛔ از سقف غیبت مجاز گذشته‌اید!";
+    else if (course.level === "warning") line += `\n   ⚠️ فقط ${course.remaining} غیبت مجاز دیگر باقی مانده است.`;
+    return line;
+}
+// ✅/❌ rows for marking lessons of a day; source is "w" (/week) or "p" (post-class prompt).
+function buildAttendanceButtons(lessons, jalaliDate, source) {
+    const dateCode = formatJalaliDateKey(jalaliDate).replace(/\//g, "");
+    return lessons.map(l => [
+        { text: `✅ ${l.lesson}`.substring(0, 40), callback_data: `attendance:mark:${l.id}:${dateCode}:p:${source}` },
+        { text: "❌ غایب", callback_data: `attendance:mark:${l.id}:${dateCode}:a:${source}` }
+    ]);
+}
+// Cron job: users with attendance_prompts on are asked about the classes that ended in the last interval.
+// Users are read a page at a time; one lessons query and one overrides query per page narrow the page to
+// those with a class ending now (or a change for today), and only they get the full per-user lookup.
+async function sendAttendancePrompts() {
+    const now = DateTime.now().setZone(TEHRAN_TIMEZONE);
+    const nowMinutes = now.hour * 60 + now.minute;
+    const todayUTC = getTehranTodayUTC();
+    const todayJalali = dateToJalali(todayUTC);
+    const todayKey = formatJalaliDateKey(todayJalali);
+    const endedJustNow = (endTime) => {
+        const end = parseTime(endTime);
+        return end !== null && end <= nowMinutes && nowMinutes - end < ATTENDANCE_PROMPT_INTERVAL_MIN;
+    };
+    try {
+        for (let offset = 0; ; offset += ATTENDANCE_PROMPT_PAGE_SIZE) {
+            const { data: users, error } = await supabase
+                .from("users")
+                .select("user_id")
+                .eq("attendance_prompts", true)
+                .order("user_id")
+                .range(offset, offset + ATTENDANCE_PROMPT_PAGE_SIZE - 1);
+            if (error) throw error;
+            if (!users || users.length === 0) break;
+            const userIds = users.map(u => u.user_id);
+            // Times are stored as H:MM or HH:MM, so the end-time window is checked here rather than in the query
+            const { data: dayLessons, error: lessonsError } = await supabase
+                .from("schedule_lessons")
+                .select("user_id, end_time")
+                .in("user_id", userIds)
+                .eq("day", ENGLISH_WEEKDAYS[jalaliWeekday(todayJalali)]);
+            if (lessonsError) throw lessonsError;
+            const { data: dayOverrides, error: overridesError } = await supabase
+                .from("schedule_overrides")
+                .select("user_id")
+                .in("user_id", userIds)
+                .or(`override_date.eq.${todayKey},new_date.eq.${todayKey}`);
+            if (overridesError) throw overridesError;
+            const candidates = new Set([
+                ...(dayLessons || []).filter(l => endedJustNow(l.end_time)).map(l => l.user_id),
+                ...(dayOverrides || []).map(o => o.user_id),
+            ]);
+            await sendAttendancePromptsToUsers(userIds.filter(id => candidates.has(id)), todayUTC, endedJustNow);
+            if (users.length < ATTENDANCE_PROMPT_PAGE_SIZE) break;
+        }
+    } catch (e) {
+        console.error(`[Attendance] Error running post-class prompts: ${e.stack}`);
+    }
+}
+async function sendAttendancePromptsToUsers(userIds, todayUTC, endedJustNow) {
+    const todayJalali = dateToJalali(todayUTC);
+    for (const userId of userIds) {
+        try {
+            const { lessons } = await getLessonsForDate(userId, todayUTC, await getChatCalendarProfileId({ type: "private" }, userId));
+            const endedLessons = lessons.filter(l => l.id != null && endedJustNow(l.end_time));
+            for (const lesson of endedLessons) {
+                const promptKey = [`attendance_prompted:${userId}`, lesson.id, formatJalaliDateKey(todayJalali)];
+                if ((await kv.get(promptKey)).value || await getAttendanceRecord(userId, lesson.id, todayJalali)) continue;
+                await kv.set(promptKey, "1", { expireIn: MS_PER_DAY });
+                await sendMessage(userId, `🙋 کلاس *${lesson.lesson}* (⏰ ${lesson.start_time}-${lesson.end_time}) تمام شد. در کلاس حاضر بودید؟`, {
+                    inline_keyboard: buildAttendanceButtons([lesson], todayJalali, "p")
+                });
+            }
+        } catch (e) {
+            console.error(`[Attendance] Error sending prompts to user ${userId}: ${e.stack}`);
+        }
+    }
+}
+async function getAttendancePromptsEnabled(userId) {
+    const { data, error } = await supabase.from("users").select("attendance_prompts").eq("user_id", userId).maybeSingle();
+    if (error) throw error;
+    return data?.attendance_prompts === true;
+}
+async function saveAttendancePromptsEnabled(userId, enabled) {
+    const { error } = await supabase.from("users").update({ attendance_prompts: enabled }).eq("user_id", userId);
+    if (error) throw error;
+    console.log(`[Attendance] Post-class prompts turned ${enabled ? "on" : "off"} for user ${userId}`);
+}
+// --- PDF Generation (Fixed) ---
+// `schedule` overrides the user's current (merged) schedule, e.g. for archived semesters.
+async function generateSchedulePDF(userId, fullName, schedule = null) {
+    console.log(`[PDF] Generating schedule PDF for user ${userId} (${fullName})`);
+    try {
+        const doc = new jsPDF({ 
+            orientation: "landscape", 
+            unit: "mm", 
+            format: "a4",
+            putOnlyUsedFonts: true,
+            floatPrecision: 16
+        });
+        const isArchive = schedule !== null;
+        schedule = schedule || await getMergedSchedule(userId);
+        const { slots: timeSlots } = await getUserTimeSlots(userId);
+        let upcomingExams = [];
+        let attendanceSummary = null;
+        let upcomingOverrides = [];
+        let upcomingHolidayDays = [];
+        if (!isArchive) {
+            try {
+                const todayUTC = getTehranTodayUTC();
+                const weekInfo = await getWeekStatusForDate(todayUTC, await getChatCalendarProfileId({ type: "private" }, userId));
+                const semesterEnd = weekInfo.semester?.endDate || weekInfo.nextSemester?.endDate;
+                const days = semesterEnd ? Math.min(PDF_HOLIDAY_MAX_DAYS, Math.round((semesterEnd - todayUTC) / MS_PER_DAY) + 1) : 0;
+                upcomingHolidayDays = days > 0 ? await getHolidayDaysInRange(todayUTC, days) : [];
+            } catch (e) {
+                console.error(`[PDF] Error loading holidays for user ${userId}: ${e.stack}`);
+            }
+            try {
+                upcomingOverrides = await getMergedScheduleOverrides(userId, formatJalaliDateKey(dateToJalali(getTehranTodayUTC())), null);
+            } catch (e) {
+                console.error(`[PDF] Error loading overrides for user ${userId}: ${e.stack}`);
+            }
+            try {
+                upcomingExams = (await getUserExams(userId)).filter(e => e.dateUTC >= getTehranTodayUTC());
+            } catch (e) {
+                console.error(`[PDF] Error loading exams for user ${userId}: ${e.stack}`);
+            }
+            try {
+                attendanceSummary = await getAttendanceSummary(userId, await getChatCalendarProfileId({ type: "private" }, userId));
+            } catch (e) {
+                console.error(`[PDF] Error loading attendance for user ${userId}: ${e.stack}`);
+            }
+        }
+        // Lessons outside every slot go to an extra "سایر" column instead of being dropped
+        const hasOverflow = [schedule.odd_week_schedule, schedule.even_week_schedule].some(week =>
+            Object.values(week).some(lessons => lessons.some(l => findTimeSlotIndex(timeSlots, l.start_time) === -1)));
+        const fontArrayBuffer = await getVazirFont();
+        if (!fontArrayBuffer) {
+            throw new Error("Failed to load Vazir font for PDF.");
+        }
+        
+        const base64Font = encodeBase64(fontArrayBuffer); // Use Deno std for base64 encoding
+        doc.addFileToVFS('Vazirmatn-Regular.ttf', base64Font);
+        doc.addFont('Vazirmatn-Regular.ttf', 'Vazir', 'normal');
+        doc.setFont('Vazir');
+        doc.setR2L(true); // Enable RTL mode for the document
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const margin = 10;
+        // Define logical titles (will be reshaped)
+        const pdfTitle = "برنامه هفتگی";
+        const nameLabel = "نام: ";
+        const weekLabelPrefix = "هفته ";
+        const weekTypes = [
+            { type: "odd", label: "فرد", emoji: "🟣", data: schedule.odd_week_schedule },
+            { type: "even", label: "زوج", emoji: "🟢", data: schedule.even_week_schedule }
+        ];
+        for (let pageIndex = 0; pageIndex < weekTypes.length; pageIndex++) {
+            if (pageIndex > 0) {
                 doc.addPage();
             }
             doc.setFont('Vazir'); // Ensure font is set for each page
@@ -714,42 +2169,40 @@ async function generateSchedulePDF(userId, fullName) {
             // Time strings will have LRM to enforce LTR rendering
             const logicalHeaders = [
                 reshapePersianText('روز'),
-                reshapePersianText('کلاس اول') + '\n' + LRM + '08:00 - 10:00' + LRM,
-                reshapePersianText('کلاس دوم') + '\n' + LRM + '10:00 - 12:00' + LRM,
-                reshapePersianText('کلاس سوم') + '\n' + LRM + '13:00 - 15:00' + LRM,
-                reshapePersianText('کلاس چهارم') + '\n' + LRM + '15:00 - 17:00' + LRM,
-                reshapePersianText('کلاس پنجم') + '\n' + LRM + '17:00 - 19:00' + LRM
+                ...timeSlots.map((slot, idx) => reshapePersianText(formatTimeSlotLabel(idx)) + '\n' + LRM + `${slot.start} - ${slot.end}` + LRM),
+                ...(hasOverflow ? [reshapePersianText('سایر')] : [])
             ];
+            const overflowColumnIndex = timeSlots.length + 1;
             // Reverse headers for jspdf-autotable if it lays out LTR by default
             const tableHeadersForAutoTable = [...logicalHeaders].reverse();
             const tableData = [];
-            for (const dayKey of ENGLISH_WEEKDAYS) {
+            for (const dayKey of Object.keys(data)) {
                 const lessonsForDay = data[dayKey] || [];
-                // Start with day name (rightmost logical column), then placeholders
-                const logicalRowCells = [
-                    reshapePersianText(PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(dayKey)]),
-                    reshapePersianText('-'), // Placeholder for Class 1
-                    reshapePersianText('-'), // Placeholder for Class 2
-                    reshapePersianText('-'), // Placeholder for Class 3
-                    reshapePersianText('-'), // Placeholder for Class 4
-                    reshapePersianText('-')  // Placeholder for Class 5
-                ];
+                // Lesson texts per logical column (index 0 is the day name)
+                const cellLessons = logicalHeaders.map(() => []);
                 for (const lesson of lessonsForDay) {
-                    const startTime = lesson.start_time;
-                    let slotIndex = -1; // This will be the 1-based index in logicalRowCells (after day name)
-                    
-                    if (startTime >= '08:00' && startTime < '10:00') slotIndex = 1;
-                    else if (startTime >= '10:00' && startTime < '12:00') slotIndex = 2;
-                    else if (startTime >= '13:00' && startTime < '15:00') slotIndex = 3;
-                    else if (startTime >= '15:00' && startTime < '17:00') slotIndex = 4;
-                    else if (startTime >= '17:00' && startTime < '19:00') slotIndex = 5;
-                    
-                    if (slotIndex !== -1) {
-                        const lessonText = reshapePersianText(lesson.lesson);
-                        const locationText = lesson.location ? reshapePersianText(lesson.location) : '';
-                        logicalRowCells[slotIndex] = lessonText + (locationText ? '\n' + locationText : '');
+                    const slotIndex = findTimeSlotIndex(timeSlots, lesson.start_time);
+                    const lessonText = reshapePersianText(lesson.lesson);
+                    const locationText = lesson.location ? reshapePersianText(lesson.location) : '';
+                    const detailLines = [
+                        lesson.instructor ? reshapePersianText(lesson.instructor) : '',
+                        lesson.course_code ? LRM + lesson.course_code + LRM : '',
+                        lesson.units != null ? reshapePersianText(`${lesson.units} واحد`) : '',
+                        lesson.notes ? reshapePersianText(lesson.notes) : '',
+                        lesson.groupTitle ? reshapePersianText(`(${lesson.groupTitle})`) : '',
+                    ].filter(Boolean);
+                    let cellText = [lessonText, locationText, ...detailLines].filter(Boolean).join('\n');
+                    if (slotIndex === -1) {
+                        cellText += '\n' + LRM + `${lesson.start_time} - ${lesson.end_time}` + LRM;
+                        cellLessons[overflowColumnIndex].push(cellText);
+                    } else {
+                        cellLessons[slotIndex + 1].push(cellText);
                     }
                 }
+                // Start with day name (rightmost logical column), then one cell per slot
+                const logicalRowCells = cellLessons.map((texts, idx) => idx === 0
+                    ? reshapePersianText(PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(dayKey)])
+                    : (texts.length > 0 ? texts.join('\n\n') : reshapePersianText('-')));
                 // Reverse the logically ordered row for jspdf-autotable
                 tableData.push([...logicalRowCells].reverse());
             }
@@ -757,15 +2210,13 @@ async function generateSchedulePDF(userId, fullName) {
             // Column styles mapped to VISUAL (LTR) order after reversal
             // If 'روز' (Day) was logically first and now visually last (e.g. 6 columns total, index 5)
             const dayColumnVisualIndex = logicalHeaders.length - 1;
-            const classColumnVisualIndices = Array.from({length: 5}, (_, i) => dayColumnVisualIndex - 1 - i);
+            const classColumnWidth = (pageWidth - 2 * margin - 25) / (logicalHeaders.length - 1);
             const columnStylesConfig = {
                 [dayColumnVisualIndex]: { cellWidth: 25, halign: 'right' }, // Day column (visually last)
-                [classColumnVisualIndices[0]]: { cellWidth: 50, halign: 'right' }, // Class 1 (visually second to last)
-                [classColumnVisualIndices[1]]: { cellWidth: 50, halign: 'right' }, // Class 2
-                [classColumnVisualIndices[2]]: { cellWidth: 50, halign: 'right' }, // Class 3
-                [classColumnVisualIndices[3]]: { cellWidth: 50, halign: 'right' }, // Class 4
-                [classColumnVisualIndices[4]]: { cellWidth: 50, halign: 'right' }, // Class 5 (visually first)
             };
+            for (let visualIndex = 0; visualIndex < dayColumnVisualIndex; visualIndex++) {
+                columnStylesConfig[visualIndex] = { cellWidth: classColumnWidth, halign: 'right' };
+            }
 
             autoTable(doc, {
                 startY: 45,
@@ -802,6 +2253,135 @@ async function generateSchedulePDF(userId, fullName) {
                 }
             });
         }
+        if (upcomingHolidayDays.length > 0) {
+            doc.addPage();
+            doc.setFont('Vazir');
+            doc.setR2L(true);
+            doc.setFontSize(16);
+            doc.text(reshapePersianText("تعطیلات باقی‌مانده ترم (کلاسی برگزار نمی‌شود)"), pageWidth / 2, 15, { align: "center" });
+            const holidayHeaders = ['تاریخ', 'روز', 'مناسبت'].map(h => reshapePersianText(h));
+            const holidayRows = upcomingHolidayDays.map(d => [
+                LRM + formatJalaliDateKey(d.jalali) + LRM,
+                reshapePersianText(PERSIAN_WEEKDAYS[jalaliWeekday(d.jalali)]),
+                reshapePersianText(formatHolidayTitles(d.holidays)),
+            ].reverse());
+            autoTable(doc, {
+                startY: 25,
+                head: [[...holidayHeaders].reverse()],
+                body: holidayRows,
+                theme: 'grid',
+                styles: { font: 'Vazir', fontSize: 10, cellPadding: 2, overflow: 'linebreak', halign: 'right', valign: 'middle', lineWidth: 0.3 },
+                headStyles: { fillColor: [200, 200, 200], textColor: [0, 0, 0], fontSize: 11, fontStyle: 'normal', halign: 'center' },
+                margin: { left: margin, right: margin },
+                didDrawPage: function() {
+                    doc.setFontSize(8);
+                    doc.text("@WeekStatusBot", pageWidth - margin, pageHeight - 5, { align: "right" });
+                }
+            });
+        }
+        if (upcomingOverrides.length > 0) {
+            doc.addPage();
+            doc.setFont('Vazir');
+            doc.setR2L(true);
+            doc.setFontSize(16);
+            doc.text(reshapePersianText("تغییرات پیش رو (لغو، جابه‌جایی و جبرانی)"), pageWidth / 2, 15, { align: "center" });
+            const overrideLabels = { cancel: 'لغو', move: 'جابه‌جایی', extra: 'جلسه جبرانی' };
+            const overrideHeaders = ['تاریخ', 'روز', 'درس', 'تغییر', 'برگزاری', 'ساعت', 'محل'].map(h => reshapePersianText(h));
+            const overrideRows = upcomingOverrides.map(o => {
+                const heldOn = o.type === "move" ? o.newJalali : o.type === "extra" ? o.jalali : null;
+                return [
+                    LRM + o.dateKey + LRM,
+                    reshapePersianText(PERSIAN_WEEKDAYS[jalaliWeekday(o.jalali)]),
+                    reshapePersianText(o.groupTitle ? `${o.lessonName} (${o.groupTitle})` : o.lessonName),
+                    reshapePersianText(overrideLabels[o.type] || o.type),
+                    heldOn ? reshapePersianText(`${PERSIAN_WEEKDAYS[jalaliWeekday(heldOn)]} `) + LRM + formatJalaliDateKey(heldOn) + LRM : '-',
+                    heldOn ? LRM + `${o.start_time}-${o.end_time}` + LRM : '-',
+                    o.location ? reshapePersianText(o.location) : '-',
+                ].reverse();
+            });
+            autoTable(doc, {
+                startY: 25,
+                head: [[...overrideHeaders].reverse()],
+                body: overrideRows,
+                theme: 'grid',
+                styles: { font: 'Vazir', fontSize: 10, cellPadding: 2, overflow: 'linebreak', halign: 'right', valign: 'middle', lineWidth: 0.3 },
+                headStyles: { fillColor: [200, 200, 200], textColor: [0, 0, 0], fontSize: 11, fontStyle: 'normal', halign: 'center' },
+                margin: { left: margin, right: margin },
+                didDrawPage: function() {
+                    doc.setFontSize(8);
+                    doc.text("@WeekStatusBot", pageWidth - margin, pageHeight - 5, { align: "right" });
+                }
+            });
+        }
+        if (upcomingExams.length > 0) {
+            doc.addPage();
+            doc.setFont('Vazir');
+            doc.setR2L(true);
+            doc.setFontSize(16);
+            doc.text(reshapePersianText("برنامه امتحانات"), pageWidth / 2, 15, { align: "center" });
+            const sameDayDates = findSameDayExamDates(upcomingExams);
+            const examHeaders = ['تاریخ', 'روز', 'ساعت', 'درس', 'نوع', 'محل', 'توضیح'].map(h => reshapePersianText(h));
+            const examRows = upcomingExams.map(exam => [
+                LRM + formatJalaliDateKey(exam.jalali) + LRM,
+                reshapePersianText(PERSIAN_WEEKDAYS[jalaliWeekday(exam.jalali)]),
+                LRM + exam.start_time + LRM,
+                reshapePersianText(exam.course),
+                reshapePersianText(EXAM_TYPES[exam.examType]),
+                exam.location ? reshapePersianText(exam.location) : '-',
+                sameDayDates.has(formatJalaliDateKey(exam.jalali)) ? reshapePersianText('چند امتحان در یک روز') : '',
+            ].reverse());
+            autoTable(doc, {
+                startY: 25,
+                head: [[...examHeaders].reverse()],
+                body: examRows,
+                theme: 'grid',
+                styles: { font: 'Vazir', fontSize: 10, cellPadding: 2, overflow: 'linebreak', halign: 'right', valign: 'middle', lineWidth: 0.3 },
+                headStyles: { fillColor: [200, 200, 200], textColor: [0, 0, 0], fontSize: 11, fontStyle: 'normal', halign: 'center' },
+                margin: { left: margin, right: margin },
+                didDrawPage: function() {
+                    doc.setFontSize(8);
+                    doc.text("@WeekStatusBot", pageWidth - margin, pageHeight - 5, { align: "right" });
+                }
+            });
+        }
+        if (attendanceSummary && attendanceSummary.courses.some(c => c.present + c.absent > 0)) {
+            doc.addPage();
+            doc.setFont('Vazir');
+            doc.setR2L(true);
+            doc.setFontSize(16);
+            doc.text(reshapePersianText(`حضور و غیاب - ${attendanceSummary.semester.name}`), pageWidth / 2, 15, { align: "center" });
+            const levelLabels = { ok: 'مجاز', warning: 'نزدیک به سقف', exceeded: 'بیش از سقف' };
+            const attendanceHeaders = ['درس', 'جلسات ترم', 'برگزارشده', 'حاضر', 'غیبت', 'غیبت مجاز', 'وضعیت'].map(h => reshapePersianText(h));
+            const attendanceRows = attendanceSummary.courses.map(c => [
+                reshapePersianText(c.course),
+                String(c.totalSessions),
+                String(c.heldSessions),
+                String(c.present),
+                String(c.absent),
+                String(c.allowedAbsences),
+                reshapePersianText(levelLabels[c.level]),
+            ].reverse());
+            autoTable(doc, {
+                startY: 25,
+                head: [[...attendanceHeaders].reverse()],
+                body: attendanceRows,
+                theme: 'grid',
+                styles: { font: 'Vazir', fontSize: 10, cellPadding: 2, overflow: 'linebreak', halign: 'center', valign: 'middle', lineWidth: 0.3 },
+                headStyles: { fillColor: [200, 200, 200], textColor: [0, 0, 0], fontSize: 11, fontStyle: 'normal', halign: 'center' },
+                columnStyles: { [attendanceHeaders.length - 1]: { halign: 'right' } },
+                didParseCell: function(cellHook) {
+                    const course = attendanceSummary.courses[cellHook.row.index];
+                    if (cellHook.section === 'body' && course.level !== 'ok') cellHook.cell.styles.fillColor = course.level === 'exceeded' ? [255, 205, 205] : [255, 235, 200];
+                },
+                margin: { left: margin, right: margin },
+                didDrawPage: function() {
+                    doc.setFontSize(8);
+                    doc.text("@WeekStatusBot", pageWidth - margin, pageHeight - 5, { align: "right" });
+                }
+            });
+            doc.setFontSize(9);
+            doc.text(reshapePersianText("سقف غیبت هر درس ۳/۱۶ جلسات آن در ترم است."), pageWidth - margin, doc.lastAutoTable.finalY + 8, { align: "right" });
+        }
         console.log(`[PDF] Generation complete for user ${userId}. Outputting buffer.`);
         return new Uint8Array(doc.output('arraybuffer'));
     } catch (e) {
@@ -811,6 +2391,86 @@ async function generateSchedulePDF(userId, fullName) {
     }
 }
 
+// --- Schedule Export / Import (JSON & CSV) ---
+function toScheduleExportRow(l) {
+    return {
+        week_type: l.weekType, day: l.day, lesson: l.lesson, start_time: l.start_time, end_time: l.end_time,
+        location: l.location || null, instructor: l.instructor || null, course_code: l.course_code || null,
+        units: l.units ?? null, notes: l.notes || null,
+    };
+}
+function buildScheduleExportJson(lessons) {
+    const rows = lessons.map(toScheduleExportRow);
+    return JSON.stringify({ format: "weekly-schedule", version: 1, exported_at: new Date().toISOString(), lessons: rows }, null, 2);
+}
+function buildScheduleExportCsv(lessons) {
+    const escapeCsv = (value) => {
+        const text = value == null ? "" : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [SCHEDULE_EXPORT_FIELDS.join(",")];
+    for (const l of lessons) {
+        const row = { ...l, week_type: l.weekType };
+        lines.push(SCHEDULE_EXPORT_FIELDS.map(field => escapeCsv(row[field])).join(","));
+    }
+    return "\uFEFF" + lines.join("\r\n") + "\r\n"; // BOM so spreadsheet apps read Persian text as UTF-8
+}
+// --- iCalendar Export ---
+// The .ics text is built by ics.js; here the semester, merged schedule, overrides and holidays are gathered for it.
+async function generateScheduleIcs(userId, profileId) {
+    const semesters = getProfileSemesters(await getSemesters(), profileId);
+    const today = getTehranTodayUTC();
+    const semester = semesters.find(s => today >= s.startDate && today <= s.endDate) || semesters.find(s => s.startDate > today);
+    if (!semester) return null;
+    // Subscribed groups' lessons and their cancellations/make-ups belong in the calendar too, as in /week and the PDF
+    const schedule = await getMergedSchedule(userId);
+    const overrides = await getMergedScheduleOverrides(userId, formatJalaliDateKey(semester.startJalali), formatJalaliDateKey(semester.endJalali));
+    const fromUTC = getStartOfWeekPersian(today);
+    const holidayDays = await getHolidayDaysInRange(fromUTC, Math.round((semester.endDate - fromUTC) / MS_PER_DAY) + 1);
+    const holidayDates = new Set(holidayDays.map(d => d.date.getTime()));
+    const removedSessions = new Set(overrides.filter(o => o.type !== "extra").map(o => `${o.lessonId}:${o.dateKey}`));
+    const lessons = getDistinctScheduleLessons(schedule).map(lesson => ({
+        id: lesson.id,
+        dayIndex: ENGLISH_WEEKDAYS.indexOf(lesson.day),
+        weekType: lesson.weekType,
+        start_time: lesson.start_time,
+        end_time: lesson.end_time,
+        summary: lesson.lesson,
+        location: lesson.location,
+        description: [
+            `هفته ${formatWeekTypeLabel(lesson.weekType)}`,
+            lesson.groupTitle ? `برنامه گروه ${lesson.groupTitle}` : null,
+            lesson.instructor ? `استاد: ${lesson.instructor}` : null,
+            lesson.course_code ? `کد درس: ${lesson.course_code}` : null,
+            lesson.units != null ? `${lesson.units} واحد` : null,
+            lesson.notes || null,
+        ].filter(Boolean).join("\n"),
+    }));
+    // Moved and make-up sessions are one-off events
+    const sessions = overrides.filter(o => o.type === "move" || o.type === "extra").map(override => ({
+        id: override.id,
+        date: jalaliToDate(override.type === "move" ? override.newJalali : override.jalali),
+        start_time: override.start_time,
+        end_time: override.end_time,
+        summary: override.lessonName,
+        location: override.location,
+        description: (override.type === "move" ? `جابه‌جا شده از ${formatOverrideDay(override.jalali)}` : "جلسه جبرانی") +
+                     (override.groupTitle ? `\nبرنامه گروه ${override.groupTitle}` : ""),
+    }));
+    const botInfo = await getBotInfo();
+    const { ics, eventCount } = buildScheduleIcs({
+        appName: botInfo.username || "schedule-bot",
+        calendarName: `برنامه کلاسی - ${semester.name}`,
+        timeZone: TEHRAN_TIMEZONE,
+        dtStamp: DateTime.utc().toFormat("yyyyMMdd'T'HHmmss'Z'"),
+        semester,
+        fromUTC,
+        lessons,
+        sessions,
+        isSkipped: (lesson, date) => holidayDates.has(date.getTime()) || removedSessions.has(`${lesson.id}:${formatJalaliDateKey(dateToJalali(date))}`),
+    });
+    return { ics, semester, eventCount };
+}
 // --- Broadcast Function (Enhanced) ---
 // ... (Broadcast function remains unchanged) ...
 async function broadcastMessage(fromChatId, messageId, targetType) {
@@ -941,6 +2601,17 @@ async function handleStartCommand(message) {
     const chat = message.chat;
     await logUsage(user, chat, "/start");
     try {
+        const startPayload = (message.text || "").trim().split(/\s+/)[1] || "";
+        if (chat.type === "private" && startPayload.startsWith(SHARE_START_PREFIX)) {
+            await addUser(user, chat);
+            await showSharedSchedule(chatId, user.id, startPayload.slice(SHARE_START_PREFIX.length));
+            return;
+        }
+        if (chat.type === "private" && startPayload.startsWith(GROUP_EDIT_START_PREFIX)) {
+            await addUser(user, chat);
+            await startGroupScheduleEdit(message, Number(startPayload.slice(GROUP_EDIT_START_PREFIX.length)));
+            return;
+        }
         if (chat.type === "private") {
             await addUser(user, chat);
             const welcomeMessage = `سلام ${user.first_name}! 👋\n\nبه ربات مدیریت برنامه هفتگی و وضعیت دانشگاه خوش آمدید. 🎓\n\n*امکانات اصلی:*\n🔄 *وضعیت هفته:* نمایش زوج/فرد بودن هفته و برنامه امروز شما.\n📅 *برنامه شما:* مشاهده و مدیریت کامل برنامه هفتگی.\n⚙️ *تنظیم برنامه:* افزودن، ویرایش و حذف کلاس‌ها.\n📤 *خروجی PDF:* دریافت فایل PDF زیبا از برنامه.\n\n👇 از دکمه‌های زیر استفاده کنید:`;
@@ -982,7 +2653,12 @@ async function handleHelpCommand(message, fromCallback = false) {
         helpMessage += `🔄 */week* یا دکمه *وضعیت هفته*: نمایش زوج/فرد بودن هفته فعلی/بعدی + برنامه امروز شما (در خصوصی).\n`;
         helpMessage += `📅 */schedule* یا دکمه *تنظیم برنامه*: ورود به منوی مدیریت برنامه (تنظیم، مشاهده، حذف).\n`;
         helpMessage += `� دکمه *دریافت PDF*: ساخت و ارسال فایل PDF برنامه شما.\n`;
-        helpMessage += `🔮 */teleport <تاریخ>* : بررسی وضعیت هفته در تاریخ آینده (مثال: \`/teleport 1403/08/25\`).\n`;
+        helpMessage += `🔮 */teleport <تاریخ>* : بررسی وضعیت هفته و کلاس‌های شما در هر تاریخ، گذشته یا آینده (مثال: \`/teleport 1403/08/25\`).\n`;
+        helpMessage += `🗓 */month* یا دکمه *تقویم ماه*: نمایش جدول ماه شمسی با زوج/فرد بودن هر هفته.\n`;
+        helpMessage += `📝 */exams* یا دکمه *امتحانات*: ثبت تاریخ امتحان‌های میان‌ترم و پایان‌ترم و شمارش معکوس تا هر امتحان (در خصوصی).\n`;
+        helpMessage += `📌 */tasks* یا دکمه *تکالیف*: ثبت تکالیف با مهلت تحویل و علامت زدن انجام‌شده‌ها (در خصوصی).\n`;
+        helpMessage += `🙋 */attendance* یا دکمه *حضور و غیاب*: تعداد غیبت هر درس و هشدار نزدیک شدن به سقف ۳/۱۶ جلسات (در خصوصی).\n`;
+        helpMessage += `🎓 */settings* یا دکمه *تقویم دانشگاه*: انتخاب تقویم زوج/فرد دانشکده (در گروه فقط توسط ادمین‌ها).\n`;
         helpMessage += `ℹ️ */help* یا دکمه *راهنما*: نمایش همین پیام.\n\n`;
         if (isAdmin && chat.type === "private") {
             helpMessage += `*دستورات ادمین (فقط خصوصی):*\n`;
@@ -992,8 +2668,15 @@ async function handleHelpCommand(message, fromCallback = false) {
         helpMessage += `*نکات:*\n`;
         helpMessage += `• ربات را می‌توانید به گروه‌های درسی اضافه کنید.\n`;
         helpMessage += `• تمام امکانات مدیریت برنامه و PDF فقط در چت خصوصی در دسترس هستند.\n`;
-        helpMessage += `• تاریخ‌ها را به فرمت شمسی \`سال/ماه/روز\` وارد کنید.\n`;
-        helpMessage += `• محاسبه هفته بر اساس تاریخ مرجع ${REFERENCE_PERSIAN_DAY} ${getPersianMonthName(REFERENCE_PERSIAN_MONTH)} ${REFERENCE_PERSIAN_YEAR} (هفته *${REFERENCE_STATUS}*) است.\n\n`;
+        helpMessage += `• در گروه، /schedule برنامه کلاسی گروه را نشان می‌دهد؛ ادمین‌ها آن را ویرایش می‌کنند و اعضا با «عضویت» آن را به برنامه خود اضافه می‌کنند.\n`;
+        helpMessage += `• کلاس لغوشده، جابه‌جاشده یا جلسه جبرانی را از منوی /schedule برای همان تاریخ ثبت کنید؛ برنامه زوج/فرد تغییری نمی‌کند.\n`;
+        helpMessage += `• تاریخ‌ها را به فرمت شمسی \`سال/ماه/روز\` یا به صورت عبارت (مثل \`فردا\`، \`دوشنبه بعد\`، \`15 آذر\`) وارد کنید.\n`;
+        const weekInfo = await getWeekStatusForDate(getTehranTodayUTC(), await getChatCalendarProfileId(chat, user.id));
+        if (weekInfo.semester) {
+            helpMessage += `• محاسبه هفته بر اساس تقویم *${weekInfo.semester.name}* (${formatJalaliDate(weekInfo.semester.startJalali)} تا ${formatJalaliDate(weekInfo.semester.endJalali)}) است.\n\n`;
+        } else {
+            helpMessage += `• امروز در بازه هیچ ترم تعریف‌شده‌ای نیست؛ زوج/فرد بودن هفته فقط در طول ترم محاسبه می‌شود.\n\n`;
+        }
         helpMessage += `ساخته شده با ❤️ توسط @alirezamozii`;
         const replyMarkup = {
             inline_keyboard: [
@@ -1008,6 +2691,12 @@ async function handleHelpCommand(message, fromCallback = false) {
                     { text: "📤 دریافت PDF برنامه", callback_data: "pdf:export" },
                     { text: "🔮 تلپورت", callback_data: "teleport:ask_date" }
                 ],
+                [
+                    { text: "🗓 تقویم ماه", callback_data: "month:show" },
+                    { text: "🎓 تقویم دانشگاه", callback_data: "settings:menu" }
+                ],
+                chat.type === "private" ? [{ text: "📝 امتحانات", callback_data: "exam:list" }, { text: "📌 تکالیف", callback_data: "task:list" }] : [],
+                chat.type === "private" ? [{ text: "🙋 حضور و غیاب", callback_data: "attendance:summary" }] : [],
                 (isAdmin && chat.type === "private") ? [{ text: "👑 پنل مدیریت", callback_data: "admin:panel" }] : [],
             ].filter(row => row.length > 0)
         };
@@ -1029,48 +2718,120 @@ async function handleWeekCommand(message, fromCallback = false) {
     const chat = message.chat;
     await logUsage(user, chat, fromCallback ? "callback: menu:week_status" : "/week");
     try {
-        const currentWeekStatus = getWeekStatus();
+        const todayUTC = getTehranTodayUTC();
+        const profileId = await getChatCalendarProfileId(chat, user.id);
+        const currentWeekInfo = await getWeekStatusForDate(todayUTC, profileId);
+        const nextWeekInfo = await getWeekStatusForDate(new Date(todayUTC.getTime() + 7 * MS_PER_DAY), profileId);
+        const currentWeekStatus = currentWeekInfo.status;
         const persianDate = getPersianDate();
-        if (currentWeekStatus.includes("خطا") || currentWeekStatus.includes("نامشخص")) {
+        if (currentWeekInfo.error || nextWeekInfo.error) {
             const errorMsg = `❌ ${persianDate}\n\nخطا در محاسبه وضعیت هفته: ${currentWeekStatus}`;
             if (fromCallback) await editMessageText(chatId, message.message_id, errorMsg);
             else await sendMessage(chatId, errorMsg, null, message.message_id);
             return;
         }
-        const currentWeekEmoji = currentWeekStatus === "زوج" ? "🟢" : "🟣";
-        const nextWeekStatus = currentWeekStatus === "زوج" ? "فرد" : "زوج";
-        const nextWeekEmoji = nextWeekStatus === "زوج" ? "🟢" : "🟣";
-        let weekMessage = `${persianDate}\n\n`;
-        weekMessage += `${currentWeekEmoji} هفته فعلی: *${currentWeekStatus}* است\n`;
-        weekMessage += `${nextWeekEmoji} هفته بعدی: *${nextWeekStatus}* خواهد بود\n\n`;
-        let replyMarkup = {};
-        if (chat.type === "private") {
-            const schedule = await getUserSchedule(user.id);
-            const todayLuxon = DateTime.now().setZone(TEHRAN_TIMEZONE);
-            const todayIndex = (todayLuxon.weekday + 1) % 7; 
-            const todayDayKey = ENGLISH_WEEKDAYS[todayIndex]; 
-            const todayPersianDay = PERSIAN_WEEKDAYS_FULL[todayIndex];
-            const todaySchedule = currentWeekStatus === "زوج"
-                                   ? (schedule.even_week_schedule[todayDayKey] || [])
+        const todayHolidays = await getHolidaysForDate(todayUTC);
+        let weekMessage = `${persianDate}\n`;
+        if (profileId != null) {
+            weekMessage += `🎓 تقویم: *${await getCalendarProfileName(profileId)}*\n`;
+        }
+        weekMessage += `\n`;
+        if (todayHolidays.length > 0) {
+            weekMessage += `🏖 امروز تعطیل است: *${formatHolidayTitles(todayHolidays)}*\n\n`;
+        }
+        if (currentWeekInfo.outOfSemester) {
+            weekMessage += `🏖 امروز در بازه هیچ ترمی قرار ندارد.\n`;
+            if (currentWeekInfo.nextSemester) {
+                weekMessage += `📚 ${currentWeekInfo.nextSemester.name} از ${formatJalaliDate(currentWeekInfo.nextSemester.startJalali)} شروع می‌شود.\n`;
+            }
+            weekMessage += `\n`;
+        } else {
+            const currentWeekEmoji = currentWeekStatus === "زوج" ? "🟢" : "🟣";
+            weekMessage += `${currentWeekEmoji} هفته فعلی: *${currentWeekStatus}* است\n`;
+            if (nextWeekInfo.outOfSemester) {
+                weekMessage += `🏁 هفته بعدی خارج از بازه ${currentWeekInfo.semester.name} است\n\n`;
+            } else {
+                const nextWeekEmoji = nextWeekInfo.status === "زوج" ? "🟢" : "🟣";
+                weekMessage += `${nextWeekEmoji} هفته بعدی: *${nextWeekInfo.status}* خواهد بود\n\n`;
+            }
+        }
+        let replyMarkup = {};
+        if (chat.type === "private") {
+            const schedule = await getMergedSchedule(user.id);
+            const todayLuxon = DateTime.now().setZone(TEHRAN_TIMEZONE);
+            const todayIndex = (todayLuxon.weekday + 1) % 7; 
+            const todayDayKey = ENGLISH_WEEKDAYS[todayIndex]; 
+            const todayPersianDay = PERSIAN_WEEKDAYS[todayIndex];
+            const isWorkingDay = todayDayKey in schedule.odd_week_schedule;
+            let attendanceLessons = [];
+            const todayKey = formatJalaliDateKey(dateToJalali(todayUTC));
+            const regularToday = currentWeekInfo.outOfSemester || todayHolidays.length > 0 ? []
+                                   : currentWeekStatus === "زوج"
+                                   ? (schedule.even_week_schedule[todayDayKey] || [])
                                    : (schedule.odd_week_schedule[todayDayKey] || []);
-            if (todayIndex < 5 && todaySchedule.length > 0) { 
+            let todayOverrides = [];
+            try {
+                todayOverrides = await getMergedScheduleOverrides(user.id, todayKey);
+            } catch (e) {
+                console.error(`[Command:/week] Error loading overrides for user ${user.id}: ${e.stack}`);
+            }
+            const { lessons: todaySchedule, cancelled: cancelledToday } = applyScheduleOverrides(regularToday, todayOverrides, todayKey);
+            if (todaySchedule.length > 0) { 
+                attendanceLessons = todaySchedule.filter(l => !l.groupTitle && l.id != null); // Group lessons are not part of the user's own courses
                 weekMessage += `📅 *برنامه امروز (${todayPersianDay}):*\n\n`;
+                const { slots: timeSlots } = await getUserTimeSlots(user.id);
                 todaySchedule.forEach((lesson, idx) => {
-                    const startMins = parseTime(lesson.start_time);
-                    let classNum = "";
-                    if (startMins >= 8*60 && startMins < 10*60) classNum = "(کلاس اول) ";
-                    else if (startMins >= 10*60 && startMins < 12*60) classNum = "(کلاس دوم) ";
-                    else if (startMins >= 13*60 && startMins < 15*60) classNum = "(کلاس سوم) ";
-                    else if (startMins >= 15*60 && startMins < 17*60) classNum = "(کلاس چهارم) ";
-                    else if (startMins >= 17*60 && startMins < 19*60) classNum = "(کلاس پنجم) ";
-                    weekMessage += `${idx + 1}. ${classNum}*${lesson.lesson}*\n`;
-                    weekMessage += `   ⏰ ${lesson.start_time}-${lesson.end_time} | 📍 ${lesson.location || '-'}\n`;
+                    const slotIndex = findTimeSlotIndex(timeSlots, lesson.start_time);
+                    const classNum = slotIndex !== -1 ? `(${formatTimeSlotLabel(slotIndex)}) ` : "";
+                    weekMessage += `${idx + 1}. ${classNum}*${lesson.lesson}*${lesson.groupTitle ? ` 👥 ${lesson.groupTitle}` : ""}\n`;
+                    weekMessage += `   ⏰ ${lesson.start_time}-${lesson.end_time} | 📍 ${lesson.location || '-'}\n`;
+                    weekMessage += formatLessonExtras(lesson, "   ");
+                    if (lesson.override) weekMessage += `   ${formatOverrideNote(lesson.override, todayKey)}\n`;
                 });
-            } else if (todayIndex < 5) { 
+                if (attendanceLessons.length > 0) weekMessage += `\n🙋 حضور یا غیبت امروز را با دکمه‌های زیر ثبت کنید.\n`;
+            } else if (currentWeekInfo.outOfSemester) {
+                 weekMessage += `🗓️ برنامه هفتگی شما پس از شروع ترم نمایش داده می‌شود.\n`;
+            } else if (todayHolidays.length > 0) {
+                 weekMessage += `😴 به دلیل تعطیلی، کلاس‌های امروز (${todayPersianDay}) برگزار نمی‌شوند.\n`;
+            } else if (isWorkingDay && cancelledToday.length > 0) {
+                 weekMessage += `🗓️ امروز (${todayPersianDay}) کلاسی برگزار نمی‌شود.\n`;
+            } else if (isWorkingDay) { 
                  weekMessage += `🗓️ شما برای امروز (${todayPersianDay}) در هفته *${currentWeekStatus}* برنامه‌ای تنظیم نکرده‌اید.\n`;
-            } else { 
+            } else { 
                  weekMessage += `🥳 امروز ${todayPersianDay} است! آخر هفته خوبی داشته باشید.\n`;
             }
+            if (cancelledToday.length > 0) {
+                weekMessage += `\n📌 *تغییرات امروز:*\n`;
+                cancelledToday.forEach(lesson => {
+                    weekMessage += `• *${lesson.lesson}* (${lesson.start_time}-${lesson.end_time}) — ${formatOverrideNote(lesson.override, todayKey)}\n`;
+                });
+            }
+            try {
+                const nextExam = (await getUserExams(user.id)).find(e => e.dateUTC >= todayUTC);
+                if (nextExam) {
+                    const daysToExam = Math.round((nextExam.dateUTC - todayUTC) / MS_PER_DAY);
+                    weekMessage += daysToExam === 0
+                        ? `\n📝 امروز امتحان *${nextExam.course}* (${EXAM_TYPES[nextExam.examType]}) دارید، ساعت ${nextExam.start_time}. موفق باشید!\n`
+                        : `\n📝 *${daysToExam} روز* تا امتحان بعدی: *${nextExam.course}* (${EXAM_TYPES[nextExam.examType]}) - ${formatJalaliDate(nextExam.jalali)}\n`;
+                }
+            } catch (e) {
+                console.error(`[Command:/week] Error loading exams for user ${user.id}: ${e.stack}`);
+            }
+            try {
+                const openTasks = await getUserTasks(user.id);
+                const weekEndUTC = new Date(getStartOfWeekPersian(todayUTC).getTime() + 7 * MS_PER_DAY);
+                const dueThisWeek = openTasks.filter(t => t.dateUTC >= todayUTC && t.dateUTC < weekEndUTC);
+                const overdueCount = openTasks.filter(t => t.dateUTC < todayUTC).length;
+                if (dueThisWeek.length > 0) {
+                    weekMessage += `\n📌 *تکالیف این هفته:*\n`;
+                    dueThisWeek.forEach(task => {
+                        weekMessage += `• ${task.title}${task.lessonName ? ` (${task.lessonName})` : ""} — ${formatDayCountdown(task.dateUTC, todayUTC)} ⏰ ${task.due_time}\n`;
+                    });
+                }
+                if (overdueCount > 0) weekMessage += `⚠️ ${overdueCount} تکلیف از مهلتش گذشته و هنوز انجام نشده است.\n`;
+            } catch (e) {
+                console.error(`[Command:/week] Error loading tasks for user ${user.id}: ${e.stack}`);
+            }
             replyMarkup = { 
                 inline_keyboard: [
                      [
@@ -1080,13 +2841,38 @@ async function handleWeekCommand(message, fromCallback = false) {
                         { text: "📅 مشاهده برنامه کامل", callback_data: "schedule:view:full" },
                         { text: "⚙️ تنظیم/ویرایش برنامه", callback_data: "menu:schedule" },
                     ],
+                    ...(attendanceLessons.length > 0 ? buildAttendanceButtons(attendanceLessons, dateToJalali(todayUTC), "w") : []),
+                    [{ text: "📝 امتحانات", callback_data: "exam:list" }, { text: "📌 تکالیف", callback_data: "task:list" }],
+                    [{ text: "🙋 حضور و غیاب", callback_data: "attendance:summary" }],
                      [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }]
                 ],
             };
-        } else { 
+        } else { 
+            const groupSchedule = await getUserSchedule(chatId);
+            const todayDayKey = ENGLISH_WEEKDAYS[jalaliWeekday(dateToJalali(todayUTC))];
+            const weekSchedule = currentWeekInfo.parity === "even" ? groupSchedule.even_week_schedule : groupSchedule.odd_week_schedule;
+            const regularGroupLessons = !currentWeekInfo.outOfSemester && todayHolidays.length === 0 ? (weekSchedule[todayDayKey] || []) : [];
+            const todayKey = formatJalaliDateKey(dateToJalali(todayUTC));
+            let groupOverrides = [];
+            try {
+                groupOverrides = await getScheduleOverrides(chatId, todayKey);
+            } catch (e) {
+                console.error(`[Command:/week] Error loading overrides for group ${chatId}: ${e.stack}`);
+            }
+            const { lessons: groupLessons, cancelled: cancelledGroupLessons } = applyScheduleOverrides(regularGroupLessons, groupOverrides, todayKey);
+            if (groupLessons.length > 0) {
+                weekMessage += `👥 *کلاس‌های امروز گروه:*\n`;
+                groupLessons.forEach((lesson, idx) => {
+                    weekMessage += `${idx + 1}. *${lesson.lesson}* ⏰ ${lesson.start_time}-${lesson.end_time} | 📍 ${lesson.location || '-'}`;
+                    weekMessage += lesson.override ? ` (${formatOverrideNote(lesson.override, todayKey)})\n` : "\n";
+                });
+            }
+            cancelledGroupLessons.forEach(lesson => {
+                weekMessage += `• *${lesson.lesson}* (${lesson.start_time}-${lesson.end_time}) — ${formatOverrideNote(lesson.override, todayKey)}\n`;
+            });
             replyMarkup = {
                 inline_keyboard: [
-                  [{ text: "🔄 بروزرسانی وضعیت", callback_data: "menu:week_status" }],
+                  [{ text: "🔄 بروزرسانی وضعیت", callback_data: "menu:week_status" }, { text: "👥 برنامه گروه", callback_data: "group:view" }],
                 ],
             };
         }
@@ -1109,24 +2895,50 @@ async function handleScheduleCommand(message, fromCallback = false) {
     await logUsage(user, chat, fromCallback ? "callback: menu:schedule" : "/schedule");
     try {
         if (chat.type !== "private") {
-            const botInfo = await getBotInfo();
-            await sendMessage(chatId, `⚠️ مدیریت برنامه هفتگی فقط در چت خصوصی با من (@${botInfo.username}) امکان‌پذیر است.`, null, message.message_id);
+            await handleGroupScheduleCommand(message, fromCallback);
             return;
         }
-        await addUser(user, chat); 
-        const scheduleMessage = `📅 *مدیریت برنامه هفتگی*\n\nاز دکمه‌های زیر برای تنظیم، مشاهده، حذف یا گرفتن خروجی PDF برنامه خود استفاده کنید:`;
+        await addUser(user, chat); 
+        const editTarget = await getScheduleEditTarget(user.id);
+        const hiddenLessons = editTarget ? [] : await getLessonsOutsideWorkingDays(user.id, (await getUserWorkingDays(user.id)).days);
+        let scheduleMessage = editTarget
+            ? `👥 *در حال ویرایش برنامه گروه ${editTarget.title}*\n\nتغییراتی که از این منو می‌دهید روی برنامه گروه اعمال می‌شود و اعضای مشترک آن را می‌بینند.`
+            : `📅 *مدیریت برنامه هفتگی*\n\nاز دکمه‌های زیر برای تنظیم، مشاهده، حذف یا گرفتن خروجی PDF برنامه خود استفاده کنید:\n\n` +
+              "💡 برای بازگرداندن برنامه، فایل JSON یا CSV خروجی گرفته‌شده را برای من بفرستید.";
+        if (hiddenLessons.length > 0) {
+            scheduleMessage += `\n\n⚠️ ${hiddenLessons.length} درس در روزهایی است که جزء روزهای کلاس شما نیست و نمایش داده نمی‌شود. از «روزهای کلاس» آن‌ها را منتقل یا حذف کنید.`;
+        }
         const replyMarkup = {
             inline_keyboard: [
                 [
-                    { text: "⚙️ تنظیم / افزودن درس", callback_data: "schedule:set:select_week" }, 
-                    { text: "🗑️ حذف درس / روز / هفته", callback_data: "schedule:delete:main" }, 
+                    { text: "⚙️ تنظیم / افزودن درس", callback_data: "schedule:set:select_week" }, 
+                    { text: "🗑️ حذف درس / روز / هفته", callback_data: "schedule:delete:main" }, 
+                ],
+                [
+                    { text: "✏️ ویرایش درس", callback_data: "schedule:edit:select_week" },
+                    { text: "📋 افزودن گروهی", callback_data: "schedule:bulk:ask" }
+                ],
+                [
+                    { text: "🔍 بررسی تداخل‌ها", callback_data: "schedule:conflict:scan" },
+                    { text: "💾 خروجی داده (JSON/CSV)", callback_data: "schedule:export:data" }
                 ],
                  [
                      { text: "📅 مشاهده برنامه کامل", callback_data: "schedule:view:full" },
                     { text: "📤 خروجی PDF برنامه", callback_data: "pdf:export" }
                 ],
-                [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }], 
-            ],
+                [{ text: "📆 خروجی تقویم (Google Calendar / گوشی)", callback_data: "schedule:export:ics" }],
+                [{ text: "🚫 لغو / جابه‌جایی / جلسه جبرانی", callback_data: "schedule:override:list" }],
+                [
+                    { text: "🗄 ترم‌های قبل (بایگانی)", callback_data: "schedule:archive:list" },
+                    { text: "🕘 نسخه‌های قبلی", callback_data: "schedule:versions:list" }
+                ],
+                hiddenLessons.length > 0 ? [{ text: "📆 روزهای کلاس (درس‌های پنهان)", callback_data: "settings:days" }] : [],
+                editTarget ? [] : [{ text: "🔗 اشتراک‌گذاری برنامه با هم‌کلاسی‌ها", callback_data: "share:menu" }],
+                editTarget
+                    ? [{ text: "🔙 پایان ویرایش گروه (بازگشت به برنامه شخصی)", callback_data: "group:edit_done" }]
+                    : [{ text: "👥 برنامه‌های گروهی من", callback_data: "group:subs" }],
+                [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }], 
+            ].filter(row => row.length > 0),
         };
         if (fromCallback) {
             await editMessageText(chatId, message.message_id, scheduleMessage, replyMarkup);
@@ -1140,6 +2952,540 @@ async function handleScheduleCommand(message, fromCallback = false) {
         else await sendMessage(chatId, errorMsg, null, message.message_id);
     }
 }
+// A JSON/CSV file sent in private chat: validate it and offer to merge or replace the current schedule.
+async function handleScheduleFileImport(message) {
+    const { chat: { id: chatId }, from: user, document } = message;
+    const fileName = document.file_name || "";
+    if (!/\.(json|csv)$/i.test(fileName)) {
+        await sendMessage(chatId, "⚠️ فقط فایل‌های JSON یا CSV خروجی برنامه (از «💾 خروجی داده») قابل بازگردانی هستند.", null, message.message_id);
+        return;
+    }
+    if (document.file_size > SCHEDULE_IMPORT_MAX_BYTES) {
+        await sendMessage(chatId, `⚠️ حجم فایل بیش از ${SCHEDULE_IMPORT_MAX_BYTES / 1024} کیلوبایت است.`, null, message.message_id);
+        return;
+    }
+    try {
+        await addUser(user, message.chat);
+        await logUsage(user, message.chat, "input:schedule_file");
+        const { entries, errors } = parseScheduleFile(await downloadTelegramFile(document.file_id), fileName);
+        let previewText = `📥 *بازگردانی برنامه از فایل* \`${fileName}\`\n\n✅ ${entries.length} درس معتبر\n`;
+        if (errors.length > 0) {
+            previewText += `❌ ${errors.length} ردیف نامعتبر (نادیده گرفته می‌شود):\n${errors.slice(0, 10).join("\n")}\n`;
+            if (errors.length > 10) previewText += `... و ${errors.length - 10} ردیف دیگر\n`;
+        }
+        if (entries.length === 0) {
+            await sendMessage(chatId, previewText + "\nهیچ درس معتبری در فایل پیدا نشد.", null, message.message_id);
+            return;
+        }
+        const { days: workingDays } = await getUserWorkingDays(user.id);
+        const hiddenDays = [...new Set(entries.map(e => e.day))].filter(day => !workingDays.includes(day));
+        if (hiddenDays.length > 0) {
+            previewText += `\nℹ️ ${formatWorkingDays(hiddenDays)} جزو روزهای کلاس شما نیست؛ درس‌های این روزها تا فعال کردن آن‌ها در /settings نمایش داده نمی‌شوند.\n`;
+        }
+        await kv.set([`schedule_import:${user.id}`], JSON.stringify({ fileName, entries }), { expireIn: 10 * 60 * 1000 });
+        previewText += "\nبا برنامه فعلی چه کنم؟";
+        await sendMessage(chatId, previewText, {
+            inline_keyboard: [
+                [{ text: "➕ ادغام با برنامه فعلی", callback_data: "schedule:import:merge" }],
+                [{ text: "♻️ جایگزینی کامل برنامه", callback_data: "schedule:import:replace" }],
+                [{ text: "❌ لغو", callback_data: "schedule:import:cancel" }]
+            ]
+        }, message.message_id);
+    } catch (e) {
+        console.error(`[Schedule] Error reading schedule file from user ${user.id}: ${e.stack}`);
+        await sendMessage(chatId, `⚠️ فایل قابل خواندن نیست: ${e.message}`, null, message.message_id);
+    }
+}
+// /schedule in a group: the group's published schedule, subscribe buttons and an edit link for admins.
+async function handleGroupScheduleCommand(message, fromCallback = false) {
+    const { chat, chat: { id: chatId } } = message;
+    await addGroup(chat);
+    const botInfo = await getBotInfo();
+    const schedule = await getUserSchedule(chatId);
+    const scheduleText = formatCompactScheduleText(schedule);
+    const text = `👥 *برنامه کلاسی گروه ${chat.title || ""}*\n\n` +
+                 (scheduleText || "_هنوز برنامه‌ای برای این گروه ثبت نشده است._\n\n") +
+                 "با «عضویت» کلاس‌های گروه در /week و PDF شخصی شما هم نمایش داده می‌شوند.\nویرایش برنامه فقط برای ادمین‌های گروه ممکن است.";
+    const replyMarkup = {
+        inline_keyboard: [
+            [{ text: "🔔 عضویت در برنامه گروه", callback_data: "group:sub" }, { text: "🔕 لغو عضویت", callback_data: "group:unsub" }],
+            [{ text: "✏️ ویرایش برنامه (ادمین‌ها)", url: `https://t.me/${botInfo.username}?start=${GROUP_EDIT_START_PREFIX}${chatId}` }],
+            [{ text: "🔄 بروزرسانی", callback_data: "group:view" }],
+        ]
+    };
+    if (fromCallback) await editMessageText(chatId, message.message_id, text, replyMarkup);
+    else await sendMessage(chatId, text, replyMarkup, message.message_id);
+}
+// /start groupedit_<id> in private: a group admin starts editing that group's schedule.
+async function startGroupScheduleEdit(message, groupId) {
+    const { chat: { id: chatId }, from: user } = message;
+    if (!Number.isInteger(groupId) || groupId >= 0 || !(await isGroupAdmin(groupId, user.id))) {
+        await sendMessage(chatId, "⚠️ فقط ادمین‌های همان گروه می‌توانند برنامه گروه را ویرایش کنند.");
+        return;
+    }
+    const chatInfo = await telegramApiCall("getChat", { chat_id: String(groupId) });
+    const title = chatInfo.result?.title || String(groupId);
+    await kv.set([`schedule_target:${user.id}`], JSON.stringify({ groupId, title }), { expireIn: GROUP_EDIT_TARGET_TTL_MS });
+    console.log(`[GroupSchedule] Admin ${user.id} started editing the schedule of group ${groupId}`);
+    await handleScheduleCommand(message);
+}
+async function showGroupSubscriptions(chatId, messageId, userId) {
+    const subscriptions = await getGroupSubscriptions(userId);
+    const text = subscriptions.length > 0
+        ? `👥 *برنامه‌های گروهی شما*\n\nکلاس‌های این گروه‌ها در /week و PDF شما نمایش داده می‌شوند:\n${subscriptions.map(s => `• ${s.group_title || s.group_id}`).join("\n")}`
+        : "👥 *برنامه‌های گروهی شما*\n\nعضو برنامه هیچ گروهی نیستید. در گروه کلاس، /schedule را بزنید و «عضویت» را انتخاب کنید.";
+    await editMessageText(chatId, messageId, text, {
+        inline_keyboard: [
+            ...subscriptions.map(s => [{ text: `🔕 لغو عضویت ${s.group_title || s.group_id}`.substring(0, 60), callback_data: `group:unsub:${s.group_id}` }]),
+            [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+        ]
+    });
+}
+async function handleGroupCallback(query, action, params) {
+    const { id: queryId, from: user, message } = query;
+    const { chat, message_id: messageId } = message;
+    const isPrivate = chat.type === "private";
+    if (action === 'view' && !isPrivate) {
+        await handleGroupScheduleCommand(message, true);
+        await answerCallbackQuery(queryId);
+    }
+    else if (action === 'sub' && !isPrivate) {
+        try {
+            await addUser(user, chat);
+            await subscribeToGroupSchedule(user.id, chat.id, chat.title);
+            await answerCallbackQuery(queryId, `✅ کلاس‌های گروه ${chat.title || ""} به /week و PDF شخصی شما اضافه شد.`, true);
+        } catch (e) {
+            console.error(`[GroupSchedule] Error subscribing user ${user.id} to group ${chat.id}: ${e.stack}`);
+            await answerCallbackQuery(queryId, "⚠️ خطا در ثبت عضویت.", true);
+        }
+    }
+    else if (action === 'unsub') {
+        const groupId = isPrivate ? parseInt(params[0]) : chat.id;
+        try {
+            const removed = await unsubscribeFromGroupSchedule(user.id, groupId);
+            if (isPrivate) await showGroupSubscriptions(chat.id, messageId, user.id);
+            await answerCallbackQuery(queryId, removed ? "🔕 عضویت لغو شد." : "شما عضو برنامه این گروه نبودید.", !isPrivate);
+        } catch (e) {
+            console.error(`[GroupSchedule] Error unsubscribing user ${user.id} from group ${groupId}: ${e.stack}`);
+            await answerCallbackQuery(queryId, "⚠️ خطا در لغو عضویت.", true);
+        }
+    }
+    else if (action === 'subs' && isPrivate) {
+        await showGroupSubscriptions(chat.id, messageId, user.id);
+        await answerCallbackQuery(queryId);
+    }
+    else if (action === 'edit_done' && isPrivate) {
+        await kv.delete([`schedule_target:${user.id}`]);
+        await handleScheduleCommand({ ...message, from: user }, true);
+        await answerCallbackQuery(queryId, "به برنامه شخصی خود برگشتید.");
+    }
+    else {
+        await answerCallbackQuery(queryId, isPrivate ? "فقط در گروه" : "فقط در چت خصوصی", true);
+    }
+}
+async function handleTasksCommand(message, fromCallback = false) {
+    const chatId = message.chat.id;
+    const user = message.from || { id: "unknown" };
+    const chat = message.chat;
+    await logUsage(user, chat, fromCallback ? "callback: task:list" : "/tasks");
+    if (chat.type !== "private") {
+        await sendMessage(chatId, "📌 تکالیف فقط در چت خصوصی در دسترس هستند.", null, message.message_id);
+        return;
+    }
+    try {
+        await addUser(user, chat);
+        const todayUTC = getTehranTodayUTC();
+        const tasks = (await getUserTasks(user.id)).slice(0, TASK_MAX_LISTED);
+        let text = "📌 *تکالیف و مهلت‌ها*\n\n";
+        if (tasks.length === 0) text += "_تکلیف انجام‌نشده‌ای ندارید._ 🎉\n";
+        tasks.forEach((task, idx) => { text += `${idx + 1}. ${formatTaskLine(task, todayUTC)}\n`; });
+        if (tasks.length > 0) text += "\nبا زدن ✅ هر تکلیف، آن را انجام‌شده علامت بزنید.";
+        const replyMarkup = {
+            inline_keyboard: [
+                ...tasks.map((task, idx) => [
+                    { text: `✅ ${idx + 1}. ${task.title}`.substring(0, 50), callback_data: `task:done:${task.id}` },
+                    { text: "🗑", callback_data: `task:delete:${task.id}` }
+                ]),
+                [{ text: "➕ افزودن تکلیف", callback_data: "task:add" }, { text: "🗂 انجام‌شده‌ها", callback_data: "task:completed" }],
+                [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }]
+            ]
+        };
+        if (fromCallback) await editMessageText(chatId, message.message_id, text, replyMarkup);
+        else await sendMessage(chatId, text, replyMarkup, message.message_id);
+    } catch (error) {
+        console.error(`[Command:/tasks] Error for chat ${chatId}: ${error.stack}`);
+        const errorMsg = "⚠️ خطا در نمایش تکالیف.";
+        if (fromCallback) await editMessageText(chatId, message.message_id, errorMsg);
+        else await sendMessage(chatId, errorMsg, null, message.message_id);
+    }
+}
+// Add-task conversation: awaiting_task_title -> awaiting_task_lesson -> awaiting_task_due -> awaiting_task_time.
+// The answers collected so far travel in state.draft.
+async function setTaskState(userId, name, draft = {}) {
+    await kv.set([`state:${userId}`], JSON.stringify({ name, draft }), { expireIn: TASK_STATE_TTL_MS });
+}
+async function promptTaskLesson(chatId, userId, draft) {
+    const lessons = await getUserScheduleLessons(userId);
+    const uniqueLessons = lessons.filter((l, idx) => lessons.findIndex(other => other.lesson === l.lesson) === idx);
+    if (uniqueLessons.length === 0) {
+        await promptTaskDue(chatId, userId, { ...draft, lessonId: null, lessonName: "" });
+        return;
+    }
+    await setTaskState(userId, "awaiting_task_lesson", draft);
+    const buttons = uniqueLessons.map(l => ({ text: l.lesson.substring(0, 30), callback_data: `task:lesson:${l.id}` }));
+    const rows = []; for (let i = 0; i < buttons.length; i += 2) { rows.push(buttons.slice(i, i + 2)); }
+    await sendMessage(chatId, `📌 *${draft.title}*\n\n(۲/۴) این تکلیف مربوط به کدام درس است؟ (یا نام درس را تایپ کنید)`, {
+        inline_keyboard: [...rows, [{ text: "➖ بدون درس", callback_data: "task:lesson:none" }], [{ text: "❌ لغو", callback_data: "task:cancel" }]]
+    });
+}
+// The prompts edit the message when answering a button press (messageId) and send a new one after typed input.
+async function promptTaskDue(chatId, userId, draft, messageId = null) {
+    await setTaskState(userId, "awaiting_task_due", draft);
+    const text = `📌 *${draft.title}*${draft.lessonName ? ` (${draft.lessonName})` : ""}\n\n(۳/۴) مهلت تحویل چه روزی است؟\nمثال: \`1403/09/20\`، \`فردا\`، \`شنبه بعد\`، \`2 هفته دیگر\``;
+    const replyMarkup = { inline_keyboard: [[{ text: "❌ لغو", callback_data: "task:cancel" }]] };
+    if (messageId) await editMessageText(chatId, messageId, text, replyMarkup);
+    else await sendMessage(chatId, text, replyMarkup);
+}
+async function promptTaskTime(chatId, userId, draft, messageId = null) {
+    await setTaskState(userId, "awaiting_task_time", draft);
+    const text = `📌 *${draft.title}*\n📅 ${formatJalaliDate(draft.jalali)}\n\n(۴/۴) ساعت مهلت را بفرستید (مثلاً \`18:00\`)، یا \`-\` برای پایان روز (${TASK_DEFAULT_DUE_TIME}).`;
+    const replyMarkup = { inline_keyboard: [[{ text: `⏭ پایان روز (${TASK_DEFAULT_DUE_TIME})`, callback_data: "task:time:default" }], [{ text: "❌ لغو", callback_data: "task:cancel" }]] };
+    if (messageId) await editMessageText(chatId, messageId, text, replyMarkup);
+    else await sendMessage(chatId, text, replyMarkup);
+}
+async function finishTaskDraft(chatId, userId, draft, messageId = null) {
+    await kv.delete([`state:${userId}`]);
+    let text, replyMarkup;
+    try {
+        const task = await saveTask(userId, draft);
+        text = `✅ تکلیف *${task.title}* ثبت شد.\n⏳ مهلت: ${formatJalaliDate(task.jalali)} ساعت ${task.due_time} (${formatDayCountdown(task.dateUTC, getTehranTodayUTC())})`;
+        replyMarkup = { inline_keyboard: [[{ text: "➕ تکلیف دیگر", callback_data: "task:add" }, { text: "📌 لیست تکالیف", callback_data: "task:list" }]] };
+    } catch (e) {
+        console.error(`[Tasks] Error saving task for user ${userId}: ${e.stack}`);
+        text = `⚠️ خطا در ثبت تکلیف: ${e.message}`;
+        replyMarkup = { inline_keyboard: [[{ text: "📌 لیست تکالیف", callback_data: "task:list" }]] };
+    }
+    if (messageId) await editMessageText(chatId, messageId, text, replyMarkup);
+    else await sendMessage(chatId, text, replyMarkup);
+}
+async function showCompletedTasks(chatId, messageId, userId) {
+    const tasks = await getUserTasks(userId, true);
+    let text = "🗂 *تکالیف انجام‌شده*\n\n";
+    if (tasks.length === 0) text += "_هنوز تکلیفی را انجام‌شده علامت نزده‌اید._";
+    tasks.forEach((task, idx) => { text += `${idx + 1}. ✔️ ${task.title}${task.lessonName ? ` (${task.lessonName})` : ""} — ${formatJalaliDate(task.jalali)}\n`; });
+    await editMessageText(chatId, messageId, text, {
+        inline_keyboard: [
+            ...tasks.map((task, idx) => [{ text: `↩️ ${idx + 1}. ${task.title}`.substring(0, 50), callback_data: `task:undo:${task.id}` }]),
+            [{ text: "↩️ بازگشت (تکالیف)", callback_data: "task:list" }]
+        ]
+    });
+}
+// Due date answer of the add-task conversation; asks again when the date is not understood or ambiguous.
+async function handleTaskDueInput(message, draft) {
+    const { chat: { id: chatId }, from: user } = message;
+    const todayUTC = getTehranTodayUTC();
+    const candidates = parseDateExpression(message.text, todayUTC);
+    if (candidates.length === 0) {
+        await setTaskState(user.id, "awaiting_task_due", draft);
+        await sendMessage(chatId, "⚠️ تاریخ را متوجه نشدم. دوباره بفرستید؛ مثلاً `1403/09/20`، `فردا` یا `شنبه بعد`.", { inline_keyboard: [[{ text: "❌ لغو", callback_data: "task:cancel" }]] });
+        return;
+    }
+    if (candidates.length > 1) {
+        await setTaskState(user.id, "awaiting_task_due", draft);
+        await sendMessage(chatId, "🤔 منظورتان کدام تاریخ است؟", {
+            inline_keyboard: [
+                ...candidates.map(jalali => [{ text: `${PERSIAN_WEEKDAYS[jalaliWeekday(jalali)]} ${formatJalaliDate(jalali)}`, callback_data: `task:due:${jalali.year}:${jalali.month}:${jalali.day}` }]),
+                [{ text: "❌ لغو", callback_data: "task:cancel" }]
+            ]
+        });
+        return;
+    }
+    if (jalaliToDate(candidates[0]) < todayUTC) {
+        await setTaskState(user.id, "awaiting_task_due", draft);
+        await sendMessage(chatId, `⚠️ ${formatJalaliDate(candidates[0])} گذشته است. لطفاً تاریخ امروز یا بعد از آن را بفرستید.`, { inline_keyboard: [[{ text: "❌ لغو", callback_data: "task:cancel" }]] });
+        return;
+    }
+    await promptTaskTime(chatId, user.id, { ...draft, jalali: candidates[0] });
+}
+async function handleTaskCallback(query, action, params) {
+    const { id: queryId, from: user, message } = query;
+    const { chat: { id: chatId }, message_id: messageId } = message;
+    const stateResult = await kv.get([`state:${user.id}`]);
+    const state = stateResult.value ? JSON.parse(stateResult.value) : null;
+    if (action === 'list') {
+        await handleTasksCommand({ ...message, from: user }, true);
+        await answerCallbackQuery(queryId);
+    }
+    else if (action === 'add') {
+        await setTaskState(user.id, "awaiting_task_title");
+        await editMessageText(chatId, messageId, `📌 *افزودن تکلیف*\n\n(۱/۴) عنوان تکلیف را بفرستید (حداکثر ${TASK_TITLE_MAX_LENGTH} حرف)، مثلاً \`تمرین سری ۳\`.`, {
+            inline_keyboard: [[{ text: "❌ لغو", callback_data: "task:cancel" }]]
+        });
+        await answerCallbackQuery(queryId, "لطفاً عنوان تکلیف را وارد کنید...");
+    }
+    else if (action === 'cancel') {
+        if (state?.name?.startsWith("awaiting_task_")) await kv.delete([`state:${user.id}`]);
+        await handleTasksCommand({ ...message, from: user }, true);
+        await answerCallbackQuery(queryId, "افزودن تکلیف لغو شد");
+    }
+    else if (action === 'lesson' || action === 'due' || action === 'time') {
+        const expectedState = { lesson: "awaiting_task_lesson", due: "awaiting_task_due", time: "awaiting_task_time" }[action];
+        if (state?.name !== expectedState) {
+            await answerCallbackQuery(queryId, "⚠️ این مرحله منقضی شده است. دوباره «افزودن تکلیف» را بزنید.", true);
+            return;
+        }
+        if (action === 'lesson') {
+            const lesson = params[0] === 'none' ? null : await getScheduleLesson(user.id, parseInt(params[0]));
+            await promptTaskDue(chatId, user.id, { ...state.draft, lessonId: lesson?.id ?? null, lessonName: lesson?.lesson || "" }, messageId);
+        } else if (action === 'due') {
+            const [year, month, day] = params.map(p => parseInt(p));
+            if (!isValidJalaliDate(year, month, day)) { await answerCallbackQuery(queryId, "⚠️ تاریخ نامعتبر", true); return; }
+            if (jalaliToDate({ year, month, day }) < getTehranTodayUTC()) {
+                await answerCallbackQuery(queryId, `⚠️ ${formatJalaliDate({ year, month, day })} گذشته است. تاریخ امروز یا بعد از آن را انتخاب کنید.`, true);
+                return;
+            }
+            await promptTaskTime(chatId, user.id, { ...state.draft, jalali: { year, month, day } }, messageId);
+        } else {
+            await finishTaskDraft(chatId, user.id, { ...state.draft, due_time: TASK_DEFAULT_DUE_TIME }, messageId);
+        }
+        await answerCallbackQuery(queryId);
+    }
+    else if (action === 'done' || action === 'undo') {
+        try {
+            const task = await setTaskCompleted(user.id, parseInt(params[0]), action === 'done');
+            await answerCallbackQuery(queryId, !task ? "این تکلیف پیدا نشد" : action === 'done' ? `✅ «${task.title}» انجام شد` : `↩️ «${task.title}» به لیست برگشت`);
+            if (action === 'done') await handleTasksCommand({ ...message, from: user }, true);
+            else await showCompletedTasks(chatId, messageId, user.id);
+        } catch (e) {
+            console.error(`[Tasks] Error updating task ${params[0]} for user ${user.id}: ${e.stack}`);
+            await answerCallbackQuery(queryId, "⚠️ خطا در بروزرسانی تکلیف", true);
+        }
+    }
+    else if (action === 'delete') {
+        try {
+            await deleteTask(user.id, parseInt(params[0]));
+            await answerCallbackQuery(queryId, "تکلیف حذف شد");
+            await handleTasksCommand({ ...message, from: user }, true);
+        } catch (e) {
+            console.error(`[Tasks] Error deleting task ${params[0]} for user ${user.id}: ${e.stack}`);
+            await answerCallbackQuery(queryId, "⚠️ خطا در حذف تکلیف", true);
+        }
+    }
+    else if (action === 'completed') {
+        await showCompletedTasks(chatId, messageId, user.id);
+        await answerCallbackQuery(queryId);
+    }
+    else {
+        await answerCallbackQuery(queryId);
+    }
+}
+async function handleAttendanceCommand(message, fromCallback = false) {
+    const chatId = message.chat.id;
+    const user = message.from || { id: "unknown" };
+    const chat = message.chat;
+    await logUsage(user, chat, fromCallback ? "callback: attendance:summary" : "/attendance");
+    if (chat.type !== "private") {
+        await sendMessage(chatId, "🙋 حضور و غیاب فقط در چت خصوصی در دسترس است.", null, message.message_id);
+        return;
+    }
+    try {
+        await addUser(user, chat);
+        const summary = await getAttendanceSummary(user.id, await getChatCalendarProfileId(chat, user.id));
+        const promptsEnabled = await getAttendancePromptsEnabled(user.id);
+        let text;
+        if (!summary) {
+            text = "🙋 *حضور و غیاب*\n\n_هنوز ترمی در تقویم شروع نشده است._";
+        } else {
+            text = `🙋 *حضور و غیاب - ${summary.semester.name}*\n\nسقف غیبت هر درس ۳/۱۶ جلسات آن در ترم است (تعطیلات حساب نمی‌شوند).\n\n`;
+            text += summary.courses.length > 0 ? summary.courses.map(formatAttendanceLine).join("\n") : "_درسی در برنامه شما نیست._";
+            text += "\n\nحضور هر جلسه را از دکمه‌های /week یا یادآور بعد از کلاس ثبت کنید.";
+        }
+        const replyMarkup = {
+            inline_keyboard: [
+                [{ text: promptsEnabled ? "🔔 یادآور بعد از کلاس: روشن (خاموش کن)" : "🔕 یادآور بعد از کلاس: خاموش (روشن کن)", callback_data: `attendance:prompts:${promptsEnabled ? "off" : "on"}` }],
+                [{ text: "🔄 وضعیت هفته و کلاس‌های امروز", callback_data: "menu:week_status" }],
+                [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }]
+            ]
+        };
+        if (fromCallback) await editMessageText(chatId, message.message_id, text, replyMarkup);
+        else await sendMessage(chatId, text, replyMarkup, message.message_id);
+    } catch (error) {
+        console.error(`[Command:/attendance] Error for chat ${chatId}: ${error.stack}`);
+        const errorMsg = "⚠️ خطا در نمایش حضور و غیاب.";
+        if (fromCallback) await editMessageText(chatId, message.message_id, errorMsg);
+        else await sendMessage(chatId, errorMsg, null, message.message_id);
+    }
+}
+async function handleAttendanceCallback(query, action, params) {
+    const { id: queryId, from: user, message } = query;
+    const { chat, message_id: messageId } = message;
+    if (action === 'summary') {
+        await handleAttendanceCommand({ ...message, from: user }, true);
+        await answerCallbackQuery(queryId);
+    }
+    else if (action === 'prompts') {
+        await saveAttendancePromptsEnabled(user.id, params[0] === 'on');
+        await handleAttendanceCommand({ ...message, from: user }, true);
+        await answerCallbackQuery(queryId, params[0] === 'on' ? "🔔 بعد از هر کلاس از شما می‌پرسم" : "🔕 یادآور خاموش شد");
+    }
+    else if (action === 'mark') {
+        const [lessonIdText, dateCode, statusCode, source] = params;
+        const jalali = parsePersianDate(dateCode);
+        const status = ATTENDANCE_STATUS_CODES[statusCode];
+        if (!jalali || !status) { await answerCallbackQuery(queryId, "⚠️ داده نامعتبر", true); return; }
+        if (jalaliToDate(jalali) > getTehranTodayUTC()) { await answerCallbackQuery(queryId, "⚠️ هنوز این جلسه برگزار نشده است.", true); return; }
+        try {
+            const lesson = await getScheduleLesson(user.id, parseInt(lessonIdText));
+            if (!lesson) { await answerCallbackQuery(queryId, "⚠️ این درس دیگر در برنامه شما نیست.", true); return; }
+            await markAttendance(user.id, lesson, jalali, status);
+            const summary = await getAttendanceSummary(user.id, await getChatCalendarProfileId(chat, user.id), lesson.lesson);
+            const course = summary?.courses.find(c => c.course === lesson.lesson);
+            const resultText = status === "present"
+                ? `✅ حضور در «${lesson.lesson}» (${formatJalaliDate(jalali)}) ثبت شد.`
+                : `❌ غیبت در «${lesson.lesson}» (${formatJalaliDate(jalali)}) ثبت شد${course ? ` (${course.absent} از ${course.allowedAbsences} غیبت مجاز)` : ""}.`;
+            if (source === 'p') {
+                await editMessageText(chat.id, messageId, resultText, { inline_keyboard: [[{ text: "🙋 خلاصه حضور و غیاب", callback_data: "attendance:summary" }]] });
+            }
+            await answerCallbackQuery(queryId, resultText.substring(0, 190));
+            if (status === "absent" && course && course.level !== "ok") {
+                await sendMessage(chat.id, `⚠️ *هشدار غیبت*\n\n${formatAttendanceLine(course)}`, { inline_keyboard: [[{ text: "🙋 خلاصه حضور و غیاب", callback_data: "attendance:summary" }]] });
+            }
+        } catch (e) {
+            console.error(`[Attendance] Error marking attendance for user ${user.id}: ${e.stack}`);
+            await answerCallbackQuery(queryId, "⚠️ خطا در ثبت حضور و غیاب", true);
+        }
+    }
+    else {
+        await answerCallbackQuery(queryId);
+    }
+}
+async function handleExamsCommand(message, fromCallback = false) {
+    const chatId = message.chat.id;
+    const user = message.from || { id: "unknown" };
+    const chat = message.chat;
+    await logUsage(user, chat, fromCallback ? "callback: exam:list" : "/exams");
+    if (chat.type !== "private") {
+        await sendMessage(chatId, "📝 برنامه امتحانات فقط در چت خصوصی در دسترس است.", null, message.message_id);
+        return;
+    }
+    try {
+        await addUser(user, chat);
+        const todayUTC = getTehranTodayUTC();
+        const exams = await getUserExams(user.id);
+        const upcoming = exams.filter(e => e.dateUTC >= todayUTC);
+        const past = exams.filter(e => e.dateUTC < todayUTC);
+        const sameDayDates = findSameDayExamDates(upcoming);
+        let text = "📝 *برنامه امتحانات*\n\n";
+        if (upcoming.length === 0) text += "_امتحان پیش رویی ثبت نشده است._\n";
+        upcoming.forEach((exam, idx) => { text += `${idx + 1}. ${formatExamLine(exam, todayUTC, sameDayDates)}\n`; });
+        if (sameDayDates.size > 0) text += `\n⚠️ در ${sameDayDates.size} روز بیش از یک امتحان دارید.\n`;
+        if (past.length > 0) text += `\n🗂 ${past.length} امتحان گذشته`;
+        const replyMarkup = {
+            inline_keyboard: [
+                [
+                    { text: "➕ میان‌ترم", callback_data: "exam:add:midterm" },
+                    { text: "➕ پایان‌ترم", callback_data: "exam:add:final" },
+                    { text: "➕ سایر", callback_data: "exam:add:other" }
+                ],
+                ...(exams.length > 0 ? [[{ text: "🗑️ حذف امتحان", callback_data: "exam:delete_menu" }]] : []),
+                [{ text: "📤 خروجی PDF (برنامه + امتحانات)", callback_data: "pdf:export" }],
+                [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }]
+            ]
+        };
+        if (fromCallback) await editMessageText(chatId, message.message_id, text, replyMarkup);
+        else await sendMessage(chatId, text, replyMarkup, message.message_id);
+    } catch (error) {
+        console.error(`[Command:/exams] Error for chat ${chatId}: ${error.stack}`);
+        const errorMsg = "⚠️ خطا در نمایش برنامه امتحانات.";
+        if (fromCallback) await editMessageText(chatId, message.message_id, errorMsg);
+        else await sendMessage(chatId, errorMsg, null, message.message_id);
+    }
+}
+async function handleExamCallback(query, action, params) {
+    const { id: queryId, from: user, message } = query;
+    const { chat: { id: chatId }, message_id: messageId } = message;
+    const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت (امتحانات)", callback_data: "exam:list" }]] };
+    if (action === 'list') {
+        await handleExamsCommand({ ...message, from: user }, true);
+        await answerCallbackQuery(queryId);
+    }
+    else if (action === 'add' && EXAM_TYPES[params[0]]) {
+        await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_exam_details", examType: params[0] }), { expireIn: 10 * 60 * 1000 });
+        await editMessageText(chatId, messageId, `📝 *افزودن امتحان ${EXAM_TYPES[params[0]]}*\n\nاطلاعات امتحان را با این فرمت بفرستید:\n${EXAM_INPUT_FORMAT}`, {
+            inline_keyboard: [[{ text: "❌ لغو و بازگشت", callback_data: "exam:list" }]]
+        });
+        await answerCallbackQuery(queryId, "لطفاً اطلاعات امتحان را وارد کنید...");
+    }
+    else if (action === 'delete_menu') {
+        const exams = await getUserExams(user.id);
+        await editMessageText(chatId, messageId, "🗑️ *حذف امتحان*\n\nکدام امتحان حذف شود؟", {
+            inline_keyboard: [
+                ...exams.map(e => [{ text: `❌ ${e.course} - ${formatJalaliDateKey(e.jalali)}`.substring(0, 60), callback_data: `exam:delete:${e.id}` }]),
+                [{ text: "↩️ بازگشت (امتحانات)", callback_data: "exam:list" }]
+            ]
+        });
+        await answerCallbackQuery(queryId);
+    }
+    else if (action === 'delete') {
+        try {
+            const deleted = await deleteExam(user.id, parseInt(params[0]));
+            await answerCallbackQuery(queryId, deleted ? "امتحان حذف شد" : "این امتحان قبلاً حذف شده است");
+            await handleExamsCommand({ ...message, from: user }, true);
+        } catch (e) {
+            console.error(`[Exams] Error deleting exam ${params[0]} for user ${user.id}: ${e.stack}`);
+            await editMessageText(chatId, messageId, `⚠️ خطا در حذف امتحان: ${e.message}`, backMarkup);
+            await answerCallbackQuery(queryId, "خطا در حذف", true);
+        }
+    }
+    else {
+        await answerCallbackQuery(queryId);
+    }
+}
+async function handleSettingsCommand(message, fromCallback = false) {
+    const chatId = message.chat.id;
+    const user = message.from || { id: "unknown" };
+    const chat = message.chat;
+    await logUsage(user, chat, fromCallback ? "callback: settings:menu" : "/settings");
+    try {
+        const isGroup = chat.type === "group" || chat.type === "supergroup";
+        if (isGroup && !fromCallback && !(await isGroupAdmin(chatId, user.id))) {
+            await sendMessage(chatId, "⛔️ فقط ادمین‌های گروه می‌توانند تقویم گروه را تغییر دهند.", null, message.message_id);
+            return;
+        }
+        const profiles = await getCalendarProfiles();
+        const currentProfileId = await getChatCalendarProfileId(chat, user.id);
+        const weekStatus = await getWeekStatus(currentProfileId);
+        let settingsMessage = `🎓 *تقویم دانشگاه ${isGroup ? "این گروه" : "شما"}*\n\n`;
+        settingsMessage += `تقویم فعلی: *${await getCalendarProfileName(currentProfileId)}*\n`;
+        settingsMessage += `وضعیت هفته فعلی با این تقویم: *${weekStatus}*\n\n`;
+        settingsMessage += profiles.length > 0
+            ? "اگر دانشکده شما چرخه زوج/فرد متفاوتی دارد، تقویم آن را انتخاب کنید:"
+            : "_فعلاً فقط تقویم پیش‌فرض تعریف شده است._";
+        const profileButtons = [{ id: null, name: DEFAULT_CALENDAR_PROFILE_NAME }, ...profiles].map(p => ([{
+            text: `${p.id === currentProfileId ? "✅ " : ""}${p.name}`,
+            callback_data: `settings:profile:${p.id === null ? "default" : p.id}`
+        }]));
+        const replyMarkup = {
+            inline_keyboard: [
+                ...profileButtons,
+                isGroup ? [] : [{ text: "⏰ ساعت‌های کلاس", callback_data: "settings:slots" }, { text: "📆 روزهای کلاس", callback_data: "settings:days" }],
+                isGroup ? [] : [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }],
+            ].filter(row => row.length > 0)
+        };
+        if (isGroup) await addGroup(chat);
+        else await addUser(user, chat);
+        if (fromCallback) {
+            await editMessageText(chatId, message.message_id, settingsMessage, replyMarkup);
+        } else {
+            await sendMessage(chatId, settingsMessage, replyMarkup, message.message_id);
+        }
+    } catch (error) {
+        console.error(`[Command:/settings] Error for chat ${chatId}: ${error.stack}`);
+        const errorMsg = "⚠️ خطا در پردازش دستور /settings.";
+        if (fromCallback) await editMessageText(chatId, message.message_id, errorMsg);
+        else await sendMessage(chatId, errorMsg, null, message.message_id);
+    }
+}
 async function handleAdminCommand(message, fromCallback = false) {
     const chatId = message.chat.id;
     const user = message.from;
@@ -1150,11 +3496,15 @@ async function handleAdminCommand(message, fromCallback = false) {
         return;
     }
     let adminMessage = `👑 *پنل مدیریت ربات*\n\n`;
-    adminMessage += `وضعیت هفته فعلی: *${getWeekStatus()}*\n`;
+    adminMessage += `وضعیت هفته فعلی: *${await getWeekStatus()}*\n`;
     const replyMarkup = {
       inline_keyboard: [
-        [ 
+        [ 
           { text: "📊 آمار ربات", callback_data: "admin:stats" },
+          { text: "🗓 مدیریت ترم‌ها", callback_data: "admin:semesters:list" },
+        ],
+        [
+          { text: "🏖 تعطیلات و تعطیلی‌ها", callback_data: "admin:holidays:list" },
         ],
          [ 
            { text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" },
@@ -1182,7 +3532,8 @@ async function handleStatsCommand(message, fromCallback = false) {
             supabase.from("users").select('user_id', { count: 'exact', head: true }),
             supabase.from("groups").select('group_id', { count: 'exact', head: true }),
             supabase.from("bot_usage").select('*', { count: 'exact', head: true }),
-            supabase.from("user_schedules").select('user_id', { count: 'exact', head: true }),
+            // count(distinct user_id) over schedule_lessons; a plain select would stop at PostgREST's row cap
+            supabase.rpc("count_schedule_owners"),
             supabase.from("broadcasts").select('broadcast_id', { count: 'exact', head: true })
         ]);
         const { data: recentCommands, error: cmdError } = await supabase
@@ -1193,9 +3544,9 @@ async function handleStatsCommand(message, fromCallback = false) {
         const userCount = usersResult.count ?? 'خطا';
         const groupCount = groupsResult.count ?? 'خطا';
         const usageCount = usageResult.count ?? 'خطا';
-        const scheduleCount = scheduleResult.count ?? 'خطا';
+        const scheduleCount = scheduleResult.error ? 'خطا' : (scheduleResult.data ?? 'خطا');
         const broadcastCount = broadcastResult.count ?? 'خطا';
-        const currentStatus = getWeekStatus();
+        const currentStatus = await getWeekStatus();
         let commandUsage = {};
         if (recentCommands && !cmdError) {
             commandUsage = recentCommands.reduce((acc, row) => {
@@ -1248,55 +3599,32 @@ async function handleStatsCommand(message, fromCallback = false) {
          }
     }
 }
-async function calculateFutureWeekStatus(persianDateStr) {
+// userId is only passed in private chats; groups get the parity-only answer.
+async function calculateFutureWeekStatus(parsedDate, profileId = null, userId = null) {
     try {
-        const parsedDate = parsePersianDate(persianDateStr);
-        if (!parsedDate) {
-            return "⚠️ تاریخ وارد شده نامعتبر است.\nفرمت: `سال/ماه/روز` (مثال: `/teleport 1404/02/10`)";
-        }
         console.log(`[Teleport] Parsed Persian date: ${JSON.stringify(parsedDate)}`);
-        const gregorianArray = jalaliToGregorian(parsedDate.year, parsedDate.month, parsedDate.day);
-        if (!gregorianArray) {
+        const futureDateUTC = jalaliDateToUTC(parsedDate);
+        if (!futureDateUTC) {
             throw new Error("Failed to convert Persian date to Gregorian.");
         }
-        const futureDateUTC = new Date(Date.UTC(gregorianArray[0], gregorianArray[1] - 1, gregorianArray[2]));
-        futureDateUTC.setUTCHours(0, 0, 0, 0);
         console.log(`[Teleport] Future date UTC: ${futureDateUTC.toISOString()}`);
-        if (isNaN(futureDateUTC.getTime())) {
-            throw new Error("Calculated future Gregorian date is invalid.");
-        }
         const now = DateTime.now().setZone(TEHRAN_TIMEZONE);
         console.log(`[Teleport] Current Tehran time: ${now.toISO()}`);
         const todayTehranAsUTC = new Date(Date.UTC(now.year, now.month - 1, now.day));
         todayTehranAsUTC.setUTCHours(0, 0, 0, 0);
         console.log(`[Teleport] Today Tehran as UTC: ${todayTehranAsUTC.toISOString()}`);
-        if (futureDateUTC.getTime() < todayTehranAsUTC.getTime()) {
-            return "🕰 این تاریخ در گذشته است. لطفاً تاریخی در آینده وارد کنید.";
-        }
-        if (!REFERENCE_DATE_GREGORIAN || isNaN(REFERENCE_DATE_GREGORIAN.getTime())) {
-            console.error("CRITICAL ERROR: REFERENCE_DATE_GREGORIAN is not valid in calculateFutureWeekStatus.");
-            return "❌ خطا: تنظیمات تاریخ مرجع نامعتبر است.";
-        }
+        const isPast = futureDateUTC.getTime() < todayTehranAsUTC.getTime();
+        const willBe = isPast ? "بود" : "خواهد بود";
         const targetWeekStartDateUTC = getStartOfWeekPersian(futureDateUTC);
-        const referenceWeekStartDateUTC = getStartOfWeekPersian(REFERENCE_DATE_GREGORIAN);
         console.log(`[Teleport] Target week start UTC: ${targetWeekStartDateUTC.toISOString()}`);
-        console.log(`[Teleport] Reference week start UTC: ${referenceWeekStartDateUTC.toISOString()}`);
-        if (isNaN(targetWeekStartDateUTC.getTime()) || isNaN(referenceWeekStartDateUTC.getTime())) {
-            console.error(`Error: Invalid date calculation in future status. TargetStart: ${targetWeekStartDateUTC}, ReferenceStart: ${referenceWeekStartDateUTC}`);
+        const targetWeekInfo = await getWeekStatusForDate(futureDateUTC, profileId);
+        const followingWeekInfo = await getWeekStatusForDate(new Date(futureDateUTC.getTime() + 7 * MS_PER_DAY), profileId);
+        if (targetWeekInfo.error || followingWeekInfo.error) {
             return "❌ خطا در محاسبه تاریخ هفته.";
         }
-        const timeDifference = targetWeekStartDateUTC.getTime() - referenceWeekStartDateUTC.getTime();
-        const daysDifferenceFromReference = Math.floor(timeDifference / MS_PER_DAY);
-        const weeksPassedSinceReference = Math.floor(daysDifferenceFromReference / 7);
-        
-        const futureStatus = weeksPassedSinceReference % 2 === 0 
-            ? REFERENCE_STATUS 
-            : REFERENCE_STATUS === "زوج" ? "فرد" : "زوج";
-        const futureNextWeekStatus = futureStatus === "زوج" ? "فرد" : "زوج";
-        const futureStatusEmoji = futureStatus === "زوج" ? "🟢" : "🟣";
-        const nextWeekStatusEmoji = futureStatus === "زوج" ? "🟣" : "🟢";
+        const targetHolidays = await getHolidaysForDate(futureDateUTC);
         const persianDaysOfWeek = ["شنبه", "یکشنبه", "دوشنبه", "سه‌شنبه", "چهارشنبه", "پنجشنبه", "جمعه"];
-        const persianDayIndexCorrect = (futureDateUTC.getUTCDay() + 1) % 7;
+        const persianDayIndexCorrect = jalaliWeekday(parsedDate);
         const persianDayOfWeek = persianDaysOfWeek[persianDayIndexCorrect];
         const currentWeekStartDateUTC = getStartOfWeekPersian(todayTehranAsUTC);
         const weeksTimeDiff = targetWeekStartDateUTC.getTime() - currentWeekStartDateUTC.getTime();
@@ -1308,12 +3636,81 @@ async function calculateFutureWeekStatus(persianDateStr) {
         else if (weeksDifferenceFromToday > 1) weeksFromTodayText = `(${weeksDifferenceFromToday} هفته از امروز)`;
         else if (weeksDifferenceFromToday < 0) weeksFromTodayText = `(${Math.abs(weeksDifferenceFromToday)} هفته قبل)`;
         const monthName = getPersianMonthName(parsedDate.month);
-        return `🔮 نتیجه تلپورت به آینده\n📅 تاریخ: ${persianDayOfWeek} ${parsedDate.day} ${monthName} ${parsedDate.year} ${weeksFromTodayText}\n\n${futureStatusEmoji} هفته مورد نظر: هفته *${futureStatus}* خواهد بود\n${nextWeekStatusEmoji} هفته بعد آن: هفته *${futureNextWeekStatus}* خواهد بود\n\nمی‌توانید تاریخ دیگری را با دستور /teleport بررسی کنید.`;
+        let result = `🔮 نتیجه تلپورت به ${isPast ? "گذشته" : "آینده"}\n📅 تاریخ: ${persianDayOfWeek} ${parsedDate.day} ${monthName} ${parsedDate.year} ${weeksFromTodayText}\n\n`;
+        if (targetHolidays.length > 0) {
+            result += `🏖 این روز تعطیل است: *${formatHolidayTitles(targetHolidays)}* (کلاسی برگزار نمی‌شود)\n\n`;
+        }
+        if (targetWeekInfo.outOfSemester) {
+            result += `🏖 این تاریخ در بازه هیچ ترم تعریف‌شده‌ای قرار ندارد، بنابراین زوج/فرد بودن هفته مشخص نیست.\n`;
+            if (targetWeekInfo.nextSemester) {
+                result += `📚 ترم بعدی (${targetWeekInfo.nextSemester.name}) از ${formatJalaliDate(targetWeekInfo.nextSemester.startJalali)} شروع می‌شود.\n`;
+            }
+        } else {
+            const futureStatusEmoji = targetWeekInfo.status === "زوج" ? "🟢" : "🟣";
+            result += `${futureStatusEmoji} هفته مورد نظر: هفته *${targetWeekInfo.status}* ${willBe} (${targetWeekInfo.semester.name})\n`;
+            if (followingWeekInfo.outOfSemester) {
+                result += `🏁 هفته بعد آن خارج از بازه ${targetWeekInfo.semester.name} است\n`;
+            } else {
+                const nextWeekStatusEmoji = followingWeekInfo.status === "زوج" ? "🟢" : "🟣";
+                result += `${nextWeekStatusEmoji} هفته بعد آن: هفته *${followingWeekInfo.status}* ${willBe}\n`;
+            }
+        }
+        if (userId) {
+            const { dayKey, lessons, cancelled } = await getLessonsForDate(userId, futureDateUTC, profileId);
+            const targetKey = formatJalaliDateKey(parsedDate);
+            const isRegularDay = !targetWeekInfo.outOfSemester && targetHolidays.length === 0;
+            if (lessons.length > 0) {
+                result += `\n📚 *کلاس‌های شما در این روز:*\n`;
+                lessons.forEach((lesson, idx) => {
+                    result += `${idx + 1}. *${lesson.lesson}*\n`;
+                    result += `   ⏰ ${lesson.start_time}-${lesson.end_time} | 📍 ${lesson.location || '-'}\n`;
+                    if (lesson.override) result += `   ${formatOverrideNote(lesson.override, targetKey)}\n`;
+                });
+            } else if (isRegularDay && cancelled.length === 0) {
+                result += !dayKey
+                    ? `\n🥳 ${persianDayOfWeek} کلاسی ندارید.\n`
+                    : `\n🗓️ شما برای ${persianDayOfWeek}های هفته *${targetWeekInfo.status}* برنامه‌ای تنظیم نکرده‌اید.\n`;
+            }
+            if (cancelled.length > 0) {
+                result += `\n📌 *تغییرات این روز:*\n`;
+                cancelled.forEach(lesson => {
+                    result += `• *${lesson.lesson}* (${lesson.start_time}-${lesson.end_time}) — ${formatOverrideNote(lesson.override, targetKey)}\n`;
+                });
+            }
+        }
+        return result + `\nمی‌توانید تاریخ دیگری را با دستور /teleport بررسی کنید.`;
     } catch (e) {
-        console.error(`Error calculating future week status for input "${persianDateStr}": ${e.stack}`);
+        console.error(`Error calculating future week status for ${JSON.stringify(parsedDate)}: ${e.stack}`);
         return `❌ خطا در محاسبه وضعیت هفته آینده. (${e.message})`;
     }
 }
+// Parses the user's date input and answers with the teleport result, or asks which date was meant.
+async function replyWithTeleport(message, dateInput) {
+    const chat = message.chat;
+    const user = message.from || { id: "unknown" };
+    const isPrivate = chat.type === "private";
+    const candidates = parseDateExpression(dateInput, getTehranTodayUTC());
+    const retryRows = [
+        [{ text: "🔮 تلپورت دوباره", callback_data: "teleport:ask_date" }],
+        [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }],
+    ];
+    if (candidates.length === 0) {
+        const invalidMsg = "⚠️ تاریخ وارد شده را متوجه نشدم.\nنمونه‌ها: `1404/09/15`، `15 آذر`، `فردا`، `دوشنبه بعد`، `3 هفته دیگر`، `next monday`";
+        await sendMessage(chat.id, invalidMsg, { inline_keyboard: retryRows }, message.message_id);
+        return;
+    }
+    if (candidates.length > 1) {
+        const choiceRows = candidates.map(jalali => ([{
+            text: `${PERSIAN_WEEKDAYS[jalaliWeekday(jalali)]} ${formatJalaliDate(jalali)}`,
+            callback_data: `teleport:date:${jalali.year}:${jalali.month}:${jalali.day}`
+        }]));
+        await sendMessage(chat.id, `🤔 منظورتان از «${dateInput.replace(/[_*`\[]/g, "")}» کدام تاریخ است؟`, { inline_keyboard: [...choiceRows, [{ text: "❌ لغو", callback_data: "cancel_action" }]] }, message.message_id);
+        return;
+    }
+    const profileId = await getChatCalendarProfileId(chat, user.id);
+    const response = await calculateFutureWeekStatus(candidates[0], profileId, isPrivate ? user.id : null);
+    await sendMessage(chat.id, response, { inline_keyboard: retryRows }, message.message_id);
+}
 async function handleTeleportCommand(message) {
      const chatId = message.chat.id;
      const text = message.text || "";
@@ -1327,31 +3724,210 @@ async function handleTeleportCommand(message) {
         }
         if (!dateString) {
             await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_teleport_date" }), { expireIn: 5 * 60 * 1000 });
-            await sendMessage(chatId, "🔮 لطفاً تاریخ شمسی مورد نظر را به فرمت `سال/ماه/روز` ارسال کنید (مثال: `1403/08/25`).", {
+            await sendMessage(chatId, TELEPORT_DATE_PROMPT, {
                 inline_keyboard: [[{ text: "❌ لغو", callback_data: "cancel_action" }]]
             }, message.message_id);
         } else {
-            const response = await calculateFutureWeekStatus(dateString);
-            const replyMarkup = {
-                inline_keyboard: [
-                    [{ text: "🔮 تلپورت دوباره", callback_data: "teleport:ask_date" }],
-                    [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }],
-                ],
-            };
-            await sendMessage(chatId, response, replyMarkup, message.message_id);
+            await replyWithTeleport(message, dateString);
         }
      } catch (error) {
         console.error(`[Command:/teleport] Error for chat ${chatId}: ${error.stack}`);
         await sendMessage(chatId, "⚠️ خطا در پردازش دستور /teleport.", null, message.message_id);
      }
 }
-// --- Main Callback Query Handler ---
-// ... (Callback Query Handler remains unchanged, but pdf:export will now use the fixed generateSchedulePDF) ...
-async function handleCallbackQuery(query) {
-    const handlerStartTime = Date.now();
-    if (!query || !query.id || !query.from || !query.message) {
-        console.error("[Callback] Received invalid callback query structure");
-        if (query?.id) await answerCallbackQuery(query.id);
+// Parity label of a grid row: the first day of the row inside the month that falls in a semester.
+async function getMonthRowParity(rowDays, profileId) {
+    for (const dateUTC of rowDays) {
+        const weekInfo = await getWeekStatusForDate(dateUTC, profileId);
+        if (weekInfo.error) return "⚠️";
+        if (!weekInfo.outOfSemester) return weekInfo.status;
+    }
+    return "—";
+}
+async function handleMonthCommand(message, fromCallback = false, targetMonth = null) {
+    const chatId = message.chat.id;
+    const user = message.from || { id: "unknown" };
+    const chat = message.chat;
+    await logUsage(user, chat, fromCallback ? "callback: month:show" : "/month");
+    try {
+        const todayUTC = getTehranTodayUTC();
+        const todayJalali = dateToJalali(todayUTC);
+        const { year, month } = targetMonth || todayJalali;
+        const profileId = await getChatCalendarProfileId(chat, user.id);
+        const monthStartUTC = jalaliToDate({ year, month, day: 1 });
+        const monthLength = jalaliMonthLength(year, month);
+        const leadingBlanks = jalaliWeekday({ year, month, day: 1 });
+        const cells = [...Array(leadingBlanks).fill(null)];
+        for (let day = 1; day <= monthLength; day++) {
+            cells.push(new Date(monthStartUTC.getTime() + (day - 1) * MS_PER_DAY));
+        }
+        while (cells.length % 7 !== 0) cells.push(null);
+        const gridRows = [[{ text: "هفته", callback_data: "month:noop" }, ...PERSIAN_WEEKDAYS.map(d => ({ text: d.charAt(0), callback_data: "month:noop" }))]];
+        for (let i = 0; i < cells.length; i += 7) {
+            const rowCells = cells.slice(i, i + 7);
+            const parityLabel = await getMonthRowParity(rowCells.filter(Boolean), profileId);
+            gridRows.push([
+                { text: parityLabel, callback_data: "month:noop" },
+                ...rowCells.map(dateUTC => {
+                    if (!dateUTC) return { text: "·", callback_data: "month:noop" };
+                    const day = Math.round((dateUTC.getTime() - monthStartUTC.getTime()) / MS_PER_DAY) + 1;
+                    return { text: dateUTC.getTime() === todayUTC.getTime() ? `📍${day}` : String(day), callback_data: "month:noop" };
+                })
+            ]);
+        }
+        const prevMonth = addJalaliMonths({ year, month, day: 1 }, -1);
+        const nextMonth = addJalaliMonths({ year, month, day: 1 }, 1);
+        const navigationRow = [
+            { text: "▶️ ماه قبل", callback_data: `month:show:${prevMonth.year}:${prevMonth.month}` },
+            { text: "📍 امروز", callback_data: "month:show" },
+            { text: "ماه بعد ◀️", callback_data: `month:show:${nextMonth.year}:${nextMonth.month}` },
+        ];
+        let monthMessage = `🗓 *تقویم ${getPersianMonthName(month)} ${year}*\n`;
+        if (profileId != null) {
+            monthMessage += `🎓 تقویم: *${await getCalendarProfileName(profileId)}*\n`;
+        }
+        monthMessage += `\nبرچسب هر ردیف زوج/فرد بودن آن هفته است (— یعنی خارج از ترم).\n📍 امروز: ${formatJalaliDate(todayJalali)}`;
+        const replyMarkup = {
+            inline_keyboard: [
+                ...gridRows,
+                navigationRow,
+                chat.type === "private" ? [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }] : [],
+            ].filter(row => row.length > 0)
+        };
+        if (fromCallback) {
+            await editMessageText(chatId, message.message_id, monthMessage, replyMarkup);
+        } else {
+            await sendMessage(chatId, monthMessage, replyMarkup, message.message_id);
+        }
+    } catch (error) {
+        console.error(`[Command:/month] Error for chat ${chatId}: ${error.stack}`);
+        const errorMsg = "⚠️ خطا در نمایش تقویم ماه.";
+        if (fromCallback) await editMessageText(chatId, message.message_id, errorMsg);
+        else await sendMessage(chatId, errorMsg, null, message.message_id);
+    }
+}
+async function handleTimeSlotsCallback(query, action) {
+    const { id: queryId, from: user, message } = query;
+    const { chat: { id: chatId }, message_id: messageId } = message;
+    const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "settings:slots" }]] };
+    if (action === 'slots_edit') {
+        await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_time_slots" }), { expireIn: 10 * 60 * 1000 });
+        const text = "⏰ *تنظیم ساعت‌های کلاس*\n\nبازه‌های کلاس را به ترتیب ارسال کنید؛ هر بازه در یک خط یا جدا شده با کاما:\n" +
+                     "`ساعت شروع-ساعت پایان`\n\n*مثال:*\n`7:30-9:30, 9:30-11:30, 13:00-15:00, 15:00-17:00, 17:00-19:00, 19:00-21:00`";
+        await editMessageText(chatId, messageId, text, { inline_keyboard: [[{ text: "❌ لغو", callback_data: "settings:slots" }]] });
+        await answerCallbackQuery(queryId, "منتظر ساعت‌ها...");
+        return;
+    }
+    if (action === 'slots_reset') {
+        try {
+            await saveUserTimeSlots(user.id, null);
+        } catch (e) {
+            console.error(`[TimeSlots] Error resetting time slots for user ${user.id}: ${e.stack}`);
+            await editMessageText(chatId, messageId, `⚠️ خطا در بازگردانی ساعت‌ها: ${e.message}`, backMarkup);
+            await answerCallbackQuery(queryId, "خطا", true);
+            return;
+        }
+    }
+    const { slots, source } = await getUserTimeSlots(user.id);
+    const sourceLabel = source === "user" ? "تنظیم شخصی شما"
+        : source === "profile" ? `تقویم ${await getCalendarProfileName(await getChatCalendarProfileId(message.chat, user.id))}`
+        : "پیش‌فرض";
+    const text = `⏰ *ساعت‌های کلاس شما* (${sourceLabel})\n\n${formatTimeSlots(slots)}\n\n` +
+                 "این بازه‌ها در برنامه امروز (/week) و ستون‌های PDF استفاده می‌شوند. درس‌های خارج از این بازه‌ها در ستون «سایر» می‌آیند.";
+    await editMessageText(chatId, messageId, text, {
+        inline_keyboard: [
+            [{ text: "✏️ تنظیم ساعت‌ها", callback_data: "settings:slots_edit" }],
+            source === "user" ? [{ text: "♻️ بازگشت به ساعت‌های تقویم", callback_data: "settings:slots_reset" }] : [],
+            [{ text: "↩️ بازگشت", callback_data: "settings:menu" }],
+        ].filter(row => row.length > 0)
+    });
+    await answerCallbackQuery(queryId, action === 'slots_reset' ? "✅ ساعت‌ها بازگردانی شد" : "");
+}
+async function handleWorkingDaysCallback(query, action, params) {
+    const { id: queryId, from: user, message } = query;
+    const { chat: { id: chatId }, message_id: messageId } = message;
+    let notice = "";
+    try {
+        if (action === 'days_toggle' && ENGLISH_WEEKDAYS.includes(params[0])) {
+            const { days } = await getUserWorkingDays(user.id);
+            const updatedDays = days.includes(params[0]) ? days.filter(d => d !== params[0]) : [...days, params[0]];
+            if (updatedDays.length === 0) {
+                await answerCallbackQuery(queryId, "⚠️ حداقل یک روز باید انتخاب شده باشد.", true);
+                return;
+            }
+            await saveUserWorkingDays(user.id, normalizeWorkingDays(updatedDays));
+        } else if (action === 'days_reset') {
+            await saveUserWorkingDays(user.id, null);
+            notice = "✅ روزها بازگردانی شد";
+        } else if (action === 'days_move' && ENGLISH_WEEKDAYS.includes(params[0])) {
+            const { days } = await getUserWorkingDays(user.id);
+            const dayName = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(params[0])];
+            await editMessageText(chatId, messageId, `🔀 درس‌های *${dayName}* به کدام روز منتقل شوند؟`, {
+                inline_keyboard: [
+                    ...days.map(d => [{ text: PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(d)], callback_data: `settings:days_move_to:${params[0]}:${d}` }]),
+                    [{ text: "↩️ بازگشت", callback_data: "settings:days" }]
+                ]
+            });
+            await answerCallbackQuery(queryId);
+            return;
+        } else if (action === 'days_move_to' && ENGLISH_WEEKDAYS.includes(params[0]) && ENGLISH_WEEKDAYS.includes(params[1])) {
+            const { days } = await getUserWorkingDays(user.id);
+            if (!days.includes(params[1])) {
+                await answerCallbackQuery(queryId, "⚠️ این روز جزء روزهای کلاس شما نیست.", true);
+                return;
+            }
+            const lessons = (await getLessonsOutsideWorkingDays(user.id, days)).filter(l => l.day === params[0]);
+            let movedCount = 0;
+            for (const lesson of lessons) {
+                if (await updateUserScheduleLesson(user.id, lesson.id, lesson.version, { day: params[1] })) movedCount++;
+            }
+            notice = `✅ ${movedCount} درس به ${PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(params[1])]} منتقل شد`;
+        } else if (action === 'days_drop' && ENGLISH_WEEKDAYS.includes(params[0])) {
+            const { days } = await getUserWorkingDays(user.id);
+            const lessons = (await getLessonsOutsideWorkingDays(user.id, days)).filter(l => l.day === params[0]);
+            const { result: deletedCount } = await deleteThroughScheduleTrash(user.id, `درس‌های ${PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(params[0])]} (روز حذف‌شده)`, lessons.map(toLessonEntry), async () => {
+                let count = 0;
+                for (const lesson of lessons) {
+                    if (await deleteUserScheduleLesson(user.id, lesson.id, lesson.version)) count++;
+                }
+                return count;
+            });
+            notice = `🗑 ${deletedCount} درس به سطل زباله رفت`;
+        }
+    } catch (e) {
+        console.error(`[WorkingDays] Error updating working days for user ${user.id}: ${e.stack}`);
+        await answerCallbackQuery(queryId, `⚠️ خطا در ذخیره روزها: ${e.message}`, true);
+        return;
+    }
+    const { days, source } = await getUserWorkingDays(user.id);
+    const sourceLabel = source === "user" ? "تنظیم شخصی شما" : source === "profile" ? "تقویم دانشکده شما" : "پیش‌فرض";
+    let text = `📆 *روزهای کلاس شما* (${sourceLabel})\n\n${formatWorkingDays(days)}\n\n` +
+                 "روزهایی که در آن‌ها کلاس دارید را انتخاب کنید. این روزها در انتخاب روز، برنامه کامل، /week و PDF استفاده می‌شوند.";
+    const hiddenDays = [...new Set((await getLessonsOutsideWorkingDays(user.id, days)).map(l => l.day))]
+        .sort((a, b) => ENGLISH_WEEKDAYS.indexOf(a) - ENGLISH_WEEKDAYS.indexOf(b));
+    if (hiddenDays.length > 0) {
+        text += `\n\n⚠️ در ${formatWorkingDays(hiddenDays)} درس ثبت شده ولی این روزها جزء روزهای کلاس نیستند، پس درس‌هایشان هیچ‌جا نمایش داده نمی‌شود. آن‌ها را به روز دیگری منتقل یا حذف کنید (یا روز را دوباره انتخاب کنید).`;
+    }
+    await editMessageText(chatId, messageId, text, {
+        inline_keyboard: [
+            ...buildWorkingDayButtons(days, "settings:days_toggle"),
+            ...hiddenDays.map(d => {
+                const dayName = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(d)];
+                return [{ text: `🔀 انتقال درس‌های ${dayName}`, callback_data: `settings:days_move:${d}` }, { text: `🗑 حذف درس‌های ${dayName}`, callback_data: `settings:days_drop:${d}` }];
+            }),
+            source === "user" ? [{ text: "♻️ بازگشت به روزهای تقویم", callback_data: "settings:days_reset" }] : [],
+            [{ text: "↩️ بازگشت", callback_data: "settings:menu" }],
+        ].filter(row => row.length > 0)
+    });
+    await answerCallbackQuery(queryId, notice);
+}
+// --- Main Callback Query Handler ---
+// ... (Callback Query Handler remains unchanged, but pdf:export will now use the fixed generateSchedulePDF) ...
+async function handleCallbackQuery(query) {
+    const handlerStartTime = Date.now();
+    if (!query || !query.id || !query.from || !query.message) {
+        console.error("[Callback] Received invalid callback query structure");
+        if (query?.id) await answerCallbackQuery(query.id);
         return;
     }
     const queryId = query.id;
@@ -1418,18 +3994,87 @@ async function handleCallbackQuery(query) {
              }
         }
         else if (command === 'teleport') {
+            if (action === 'date') { // Choice from an ambiguous date input, allowed in groups too
+                const [year, month, day] = params.map(p => parseInt(p));
+                if (!isValidJalaliDate(year, month, day)) { await answerCallbackQuery(queryId, "⚠️ تاریخ نامعتبر", true); return; }
+                const response = await calculateFutureWeekStatus({ year, month, day }, await getChatCalendarProfileId(chat, userId), isPrivate ? userId : null);
+                await editMessageText(chatId, messageId, response, {
+                    inline_keyboard: [
+                        [{ text: "🔮 تلپورت دوباره", callback_data: "teleport:ask_date" }],
+                        [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }],
+                    ]
+                });
+                await answerCallbackQuery(queryId);
+                return;
+            }
             if (!isPrivate) { await answerCallbackQuery(queryId, "فقط در چت خصوصی", true); return; }
              if (action === 'ask_date') {
                 await kv.set([`state:${userId}`], JSON.stringify({ name: "awaiting_teleport_date" }), { expireIn: 5 * 60 * 1000 });
-                await editMessageText(chatId, messageId, "🔮 لطفاً تاریخ شمسی مورد نظر را به فرمت `سال/ماه/روز` ارسال کنید (مثال: `1403/08/25`).", {
+                await editMessageText(chatId, messageId, TELEPORT_DATE_PROMPT, {
                     inline_keyboard: [[{ text: "❌ لغو", callback_data: "cancel_action" }]]
                 });
                 await answerCallbackQuery(queryId, "منتظر دریافت تاریخ...");
             }
         }
+        else if (command === 'month') {
+            if (action === 'show') {
+                const year = parseInt(params[0]), month = parseInt(params[1]);
+                const targetMonth = isValidJalaliDate(year, month, 1) ? { year, month } : null;
+                await handleMonthCommand({ ...query.message, from: user, callback_query_id: queryId }, true, targetMonth);
+            }
+            await answerCallbackQuery(queryId);
+        }
         else if (command === 'schedule') {
              if (!isPrivate) { await answerCallbackQuery(queryId, "فقط در چت خصوصی", true); return; }
-             await handleScheduleCallback(query, action, params); 
+             await handleScheduleCallback(query, action, params); 
+        }
+        else if (command === 'group') {
+             await handleGroupCallback(query, action, params);
+        }
+        else if (command === 'attendance') {
+             if (!isPrivate) { await answerCallbackQuery(queryId, "فقط در چت خصوصی", true); return; }
+             await handleAttendanceCallback(query, action, params);
+        }
+        else if (command === 'task') {
+             if (!isPrivate) { await answerCallbackQuery(queryId, "فقط در چت خصوصی", true); return; }
+             await handleTaskCallback(query, action, params);
+        }
+        else if (command === 'exam') {
+             if (!isPrivate) { await answerCallbackQuery(queryId, "فقط در چت خصوصی", true); return; }
+             await handleExamCallback(query, action, params);
+        }
+        else if (command === 'share') {
+             if (!isPrivate) { await answerCallbackQuery(queryId, "فقط در چت خصوصی", true); return; }
+             await handleShareCallback(query, action, params);
+        }
+        else if (command === 'settings') {
+            if (!isPrivate && !(await isGroupAdmin(chatId, userId))) {
+                await answerCallbackQuery(queryId, "⛔️ فقط ادمین‌های گروه می‌توانند تقویم گروه را تغییر دهند.", true);
+                return;
+            }
+            if (action === 'menu') {
+                await handleSettingsCommand({ ...query.message, from: user, callback_query_id: queryId }, true);
+                await answerCallbackQuery(queryId);
+            } else if (action === 'profile') {
+                const profileId = params[0] === 'default' ? null : parseInt(params[0]);
+                if (profileId !== null && !(await getCalendarProfiles()).some(p => p.id === profileId)) {
+                    await answerCallbackQuery(queryId, "⚠️ این تقویم دیگر وجود ندارد.", true);
+                    return;
+                }
+                const result = isPrivate ? await addUser(user, chat, profileId) : await addGroup(chat, profileId);
+                if (!result?.success) {
+                    await answerCallbackQuery(queryId, "⚠️ خطا در ذخیره تقویم.", true);
+                    return;
+                }
+                await handleSettingsCommand({ ...query.message, from: user, callback_query_id: queryId }, true);
+                await answerCallbackQuery(queryId, `✅ ${await getCalendarProfileName(profileId)} انتخاب شد`);
+            } else if (action === 'slots' || action === 'slots_edit' || action === 'slots_reset') {
+                if (!isPrivate) { await answerCallbackQuery(queryId, "فقط در چت خصوصی", true); return; }
+                await handleTimeSlotsCallback(query, action);
+            } else if (['days', 'days_toggle', 'days_reset', 'days_move', 'days_move_to', 'days_drop'].includes(action)) {
+                if (!isPrivate) { await answerCallbackQuery(queryId, "فقط در چت خصوصی", true); return; }
+                await handleWorkingDaysCallback(query, action, params);
+            }
         }
         else if (command === 'admin') {
             if (!isAdmin || !isPrivate) { await answerCallbackQuery(queryId, "⛔️ فقط ادمین در چت خصوصی", true); return; }
@@ -1473,14 +4118,155 @@ async function handleCallbackQuery(query) {
         await sendMessage(ADMIN_CHAT_ID, `🆘 Error in handleCallbackQuery for data ${query?.data} User ${query?.from?.id}: ${error.message}`).catch(ne => console.error("Failed admin notify", ne));
     }
 }
+function buildLessonEditMenu(lesson, notice = "") {
+    const weekLabel = formatWeekTypeLabel(lesson.weekType);
+    const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(lesson.day)];
+    let text = notice ? `${notice}\n\n` : "";
+    text += `✏️ *ویرایش درس*\nروز: ${dayLabel} | هفته: ${weekLabel}\n\n`;
+    text += `*درس:* ${lesson.lesson}\n*زمان:* ${lesson.start_time} - ${lesson.end_time}\n*محل:* ${lesson.location || '-'}\n`;
+    text += `*استاد:* ${lesson.instructor || '-'}\n*کد درس:* ${lesson.course_code || '-'}\n*تعداد واحد:* ${lesson.units ?? '-'}\n*توضیحات:* ${lesson.notes || '-'}\n\n`;
+    text += "کدام بخش را می‌خواهید تغییر دهید؟";
+    const fieldButton = (field) => ({ text: LESSON_EDIT_FIELDS[field].label, callback_data: `schedule:edit:field:${lesson.id}:${lesson.version}:${field}` });
+    const replyMarkup = {
+        inline_keyboard: [
+            [fieldButton("name"), fieldButton("location")],
+            [fieldButton("start"), fieldButton("end")],
+            [fieldButton("instructor"), fieldButton("code")],
+            [fieldButton("units"), fieldButton("notes")],
+            [{ text: "↩️ بازگشت (انتخاب درس)", callback_data: `schedule:edit:select_lesson:${lesson.weekType}:${lesson.day}` }],
+        ]
+    };
+    return { text, replyMarkup };
+}
+// Guided entry of the optional lesson fields, one LESSON_DETAIL_STEPS entry per message.
+async function promptLessonDetailStep(chatId, userId, lessonId, stepIndex, messageId = null) {
+    const lesson = await getScheduleLesson(await getScheduleOwnerId(userId), lessonId);
+    const show = (text, replyMarkup) => messageId ? editMessageText(chatId, messageId, text, replyMarkup) : sendMessage(chatId, text, replyMarkup);
+    if (!lesson) {
+        await show("⚠️ این درس دیگر وجود ندارد.", { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "menu:schedule" }]] });
+        return;
+    }
+    if (stepIndex >= LESSON_DETAIL_STEPS.length) {
+        await kv.delete([`state:${userId}`]);
+        const text = `✅ *جزئیات درس ${lesson.lesson} ثبت شد*\n\n` + (formatLessonExtras(lesson, "") || "_جزئیاتی وارد نشد._\n");
+        await show(text, {
+            inline_keyboard: [
+                [{ text: "✏️ ویرایش درس", callback_data: `schedule:edit:lesson:${lesson.id}` }],
+                [{ text: "↩️ بازگشت به روز", callback_data: `schedule:set:show_day:${lesson.weekType}:${lesson.day}` }]
+            ]
+        });
+        return;
+    }
+    const field = LESSON_DETAIL_STEPS[stepIndex];
+    const { label, column, prompt } = LESSON_EDIT_FIELDS[field];
+    await kv.set([`state:${userId}`], JSON.stringify({
+        name: "awaiting_lesson_detail",
+        lessonId: lesson.id,
+        step: stepIndex
+    }), { expireIn: 10 * 60 * 1000 });
+    const currentValue = lesson[column] ?? "";
+    const text = `📝 *جزئیات درس ${lesson.lesson}* (مرحله ${stepIndex + 1} از ${LESSON_DETAIL_STEPS.length})\n\n` +
+                 `*${label}:* ${prompt}\n` +
+                 (currentValue !== "" ? `مقدار فعلی: \`${currentValue}\`\n` : "") +
+                 "\nاگر این مورد را ندارید، دکمه «رد کردن» را بزنید.";
+    await show(text, {
+        inline_keyboard: [
+            [{ text: "⏭ رد کردن", callback_data: `schedule:details:step:${lesson.id}:${stepIndex + 1}` }],
+            [{ text: "✅ پایان", callback_data: `schedule:details:step:${lesson.id}:${LESSON_DETAIL_STEPS.length}` }]
+        ]
+    });
+}
+// Delete confirmation buttons: undo (when something went to the trash) plus a way back.
+function buildUndoMarkup(trashId, backButton) {
+    return { inline_keyboard: [...(trashId ? [[{ text: "↩️ بازگردانی", callback_data: `schedule:trash:restore:${trashId}` }]] : []), [backButton]] };
+}
+async function sendArchiveView(chatId, userId, archive, messageId = null) {
+    const scheduleText = formatCompactScheduleText(await buildArchivedSchedule(userId, archive.lessons)) || "_این بایگانی درسی ندارد._";
+    const text = `🗄 *${archive.name}*\n📅 بایگانی‌شده در ${formatTehranTimestamp(archive.created_at)} | ${archive.lessons.length} درس\n\n${scheduleText}`;
+    const replyMarkup = {
+        inline_keyboard: [
+            [{ text: "📤 خروجی PDF", callback_data: `schedule:archive:pdf:${archive.archive_id}` }, { text: "💾 خروجی JSON", callback_data: `schedule:archive:json:${archive.archive_id}` }],
+            [{ text: "🧬 شروع ترم جدید از روی این برنامه", callback_data: `schedule:archive:clone:${archive.archive_id}` }],
+            [{ text: "🗑 حذف بایگانی", callback_data: `schedule:archive:delete:${archive.archive_id}` }],
+            [{ text: "↩️ بازگشت (ترم‌های قبل)", callback_data: "schedule:archive:list" }]
+        ]
+    };
+    if (messageId) await editMessageText(chatId, messageId, text, replyMarkup);
+    else await sendMessage(chatId, text, replyMarkup);
+}
+// Upcoming overrides of a schedule owner, each with a delete button.
+async function sendScheduleOverrideList(chatId, ownerId, messageId = null, notice = "") {
+    const overrides = await getScheduleOverrides(ownerId, formatJalaliDateKey(dateToJalali(getTehranTodayUTC())), null);
+    const listed = overrides.slice(0, OVERRIDE_MAX_LISTED);
+    let text = notice ? `${notice}\n\n` : "";
+    text += "📆 *تغییرات موردی برنامه*\n\nکلاس لغوشده، جابه‌جاشده یا جلسه جبرانی را برای یک تاریخ مشخص ثبت کنید. برنامه زوج/فرد دست نمی‌خورد و /week، تلپورت و خروجی‌ها این تغییرات را اعمال می‌کنند.\n\n";
+    if (listed.length === 0) text += "_تغییری برای روزهای پیش رو ثبت نشده است._";
+    listed.forEach((o, idx) => { text += `${idx + 1}. ${formatOverrideLine(o)}\n`; });
+    if (overrides.length > listed.length) text += `\n... و ${overrides.length - listed.length} مورد دیگر`;
+    const replyMarkup = {
+        inline_keyboard: [
+            ...listed.map((o, idx) => [{ text: `🗑 حذف ${idx + 1}. ${o.lessonName}`.substring(0, 60), callback_data: `schedule:override:delete:${o.id}` }]),
+            [{ text: "🚫 لغو یا 🔀 جابه‌جایی جلسه", callback_data: "schedule:override:ask_date" }, { text: "🔁 جلسه جبرانی", callback_data: "schedule:override:extra" }],
+            [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+        ]
+    };
+    if (messageId) await editMessageText(chatId, messageId, text, replyMarkup);
+    else await sendMessage(chatId, text, replyMarkup);
+}
+// The regular lessons of a date, to pick the one that is cancelled or moved.
+async function showOverrideDateLessons(chatId, ownerId, jalali, messageId = null) {
+    const dateKey = formatJalaliDateKey(jalali);
+    const { weekInfo, holidays, lessons, cancelled } = await getLessonsForDate(ownerId, jalaliToDate(jalali), await getScheduleOwnerProfileId(ownerId));
+    const regular = lessons.filter(l => !l.override);
+    let text = `📆 *${formatOverrideDay(jalali)}*\n\n`;
+    if (regular.length > 0) text += "کدام جلسه لغو یا جابه‌جا شود؟";
+    else if (holidays.length > 0) text += `🏖 این روز تعطیل است (${formatHolidayTitles(holidays)}) و کلاسی ندارد.`;
+    else if (weekInfo.outOfSemester) text += "🏖 این تاریخ خارج از ترم است و کلاسی ندارد.";
+    else text += "🗓️ در این روز کلاسی در برنامه نیست.";
+    if (cancelled.length > 0) {
+        text += "\n\n📌 *تغییرات ثبت‌شده این روز:*\n" + cancelled.map(l => `• ${l.lesson} — ${formatOverrideNote(l.override, dateKey)}`).join("\n");
+    }
+    const replyMarkup = {
+        inline_keyboard: [
+            ...regular.map(l => [{ text: `${l.lesson} (${l.start_time}-${l.end_time})`.substring(0, 60), callback_data: `schedule:override:lesson:${l.id}:${dateKey.replace(/\//g, "")}` }]),
+            [{ text: "📅 تاریخ دیگر", callback_data: "schedule:override:ask_date" }, { text: "↩️ بازگشت", callback_data: "schedule:override:list" }]
+        ]
+    };
+    if (messageId) await editMessageText(chatId, messageId, text, replyMarkup);
+    else await sendMessage(chatId, text, replyMarkup);
+}
+// Follow-up after a lesson is added: the day's lessons with shortcuts to keep going.
+async function sendDayScheduleAfterSave(chatId, userId, weekType, day, savedLessonId = null) {
+    const weekLabel = formatWeekTypeLabel(weekType);
+    const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
+    const schedule = await getUserSchedule(userId);
+    const lessons = getWeekTypeLessons(schedule, weekType, day);
+    let messageText = `🗓️ *برنامه روز ${dayLabel} - هفته ${weekLabel}*\n\n`;
+    lessons.forEach((l, idx) => {
+        messageText += `${idx + 1}. *${l.lesson}*\n   ⏰ ${l.start_time} - ${l.end_time}\n   📍 ${l.location || '-'}\n`;
+    });
+    const replyMarkup = {
+        inline_keyboard: [
+            savedLessonId ? [{ text: "📝 افزودن استاد، کد درس، واحد و توضیحات", callback_data: `schedule:details:step:${savedLessonId}:0` }] : [],
+            [{ text: "➕ افزودن درس دیگر", callback_data: `schedule:set:ask_details:${weekType}:${day}` }],
+            [{ text: "↩️ بازگشت به انتخاب روز", callback_data: `schedule:set:select_day:${weekType}` }],
+            [{ text: "🏠 منوی اصلی", callback_data: "menu:help" }]
+        ].filter(row => row.length > 0)
+    };
+    await sendMessage(chatId, messageText, replyMarkup);
+}
 async function handleScheduleCallback(query, action, params) {
     const { id: queryId, from: user, message } = query;
     const { chat: { id: chatId }, message_id: messageId } = message;
-    const userId = user.id;
+    const userId = await getScheduleOwnerId(user.id); // The group's id while a group schedule is being edited
+    if (userId === null) {
+        await editMessageText(chatId, messageId, GROUP_EDIT_REVOKED_TEXT, { inline_keyboard: [[{ text: "↩️ برنامه شخصی من", callback_data: "menu:schedule" }]] });
+        await answerCallbackQuery(queryId, "دسترسی ویرایش گروه لغو شد", true);
+        return;
+    }
     await addUser(user, message.chat);
     const weekType = params[0]; 
-    const day = params[1]; 
-    const lessonIndex = params[2] ? parseInt(params[2]) : null;
+    const day = params[1]; 
     console.log(`[ScheduleCallback] Action: ${action}, Params: ${params}`);
     if (action === 'view' && params[0] === 'full') {
         const schedule = await getUserSchedule(userId);
@@ -1490,13 +4276,14 @@ async function handleScheduleCallback(query, action, params) {
             const label = type === 'odd' ? 'فرد 🟣' : 'زوج 🟢';
             let weekText = `*--- هفته ${label} ---*\n`;
             let hasScheduleThisWeek = false;
-            ENGLISH_WEEKDAYS.forEach((dKey, index) => {
+            Object.keys(scheduleData).forEach(dKey => {
                 const lessons = scheduleData[dKey] || [];
                 if (lessons.length > 0) {
                     hasScheduleThisWeek = true; hasAnySchedule = true;
-                    weekText += `\n*${PERSIAN_WEEKDAYS[index]}:*\n`;
-                    lessons.forEach((l, idx) => { 
-                        weekText += ` ${idx + 1}. *${l.lesson}*\n    ⏰ ${l.start_time}-${l.end_time} | 📍 ${l.location || '-'}\n`;
+                    weekText += `\n*${PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(dKey)]}:*\n`;
+                    lessons.forEach((l, idx) => { 
+                        weekText += ` ${idx + 1}. *${l.lesson}*${l.weekType === "both" ? " 🔁" : ""}\n    ⏰ ${l.start_time}-${l.end_time} | 📍 ${l.location || '-'}\n`;
+                        weekText += formatLessonExtras(l, "    ");
                     });
                 }
             });
@@ -1505,7 +4292,20 @@ async function handleScheduleCallback(query, action, params) {
         };
         scheduleMessage += formatWeek("odd", schedule.odd_week_schedule);
         scheduleMessage += formatWeek("even", schedule.even_week_schedule);
+        if (Object.keys(schedule.odd_week_schedule).some(d => getWeekTypeLessons(schedule, "both", d).length > 0)) scheduleMessage += "🔁 = درسی که هر هفته (فرد و زوج) برگزار می‌شود.\n";
+        const { courseCount, totalUnits, missingCount } = summarizeScheduleUnits(schedule);
+        if (courseCount > 0) {
+            scheduleMessage += `\n🎓 *مجموع واحدها:* ${totalUnits} واحد در ${courseCount} درس`;
+            if (missingCount > 0) scheduleMessage += ` (تعداد واحد ${missingCount} درس وارد نشده است)`;
+            scheduleMessage += "\n";
+        }
         if (!hasAnySchedule) scheduleMessage = "📅 *برنامه هفتگی شما*\n\n_هنوز هیچ درسی برای هیچ هفته‌ای تنظیم نکرده‌اید._";
+        const todayUTC = getTehranTodayUTC();
+        const holidayDays = (await getHolidayDaysInRange(getStartOfWeekPersian(todayUTC), HOLIDAY_VIEW_DAYS)).filter(d => d.date >= todayUTC);
+        if (holidayDays.length > 0) {
+            scheduleMessage += `\n🏖 *تعطیلات این هفته و هفته بعد (کلاسی برگزار نمی‌شود):*\n`;
+            holidayDays.forEach(d => { scheduleMessage += `• ${PERSIAN_WEEKDAYS[jalaliWeekday(d.jalali)]} ${formatJalaliDate(d.jalali)}: ${formatHolidayTitles(d.holidays)}\n`; });
+        }
         const replyMarkup = {
              inline_keyboard: [
                 [{ text: "⚙️ تنظیم / افزودن درس", callback_data: "schedule:set:select_week" }],
@@ -1517,12 +4317,397 @@ async function handleScheduleCallback(query, action, params) {
         await editMessageText(chatId, messageId, scheduleMessage, replyMarkup);
         await answerCallbackQuery(queryId);
     }
+    else if (action === 'conflict') {
+        if (params[0] === 'scan') {
+            const schedule = await getUserSchedule(userId);
+            const conflicts = findScheduleConflicts(schedule);
+            let messageText = "🔍 *بررسی تداخل‌های برنامه*\n\n";
+            if (conflicts.length === 0) {
+                messageText += "✅ هیچ تداخل زمانی در برنامه شما پیدا نشد.";
+            } else {
+                messageText += `⚠️ ${conflicts.length} تداخل زمانی پیدا شد:\n`;
+                conflicts.forEach(({ weekType, day, lessons }, idx) => {
+                    const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
+                    messageText += `\n${idx + 1}. *${dayLabel}* (هفته ${formatWeekTypeLabel(weekType)})\n`;
+                    lessons.forEach(l => {
+                        messageText += `   • *${l.lesson}*${l.weekType === "both" ? " 🔁" : ""} ⏰ ${l.start_time} - ${l.end_time}\n`;
+                    });
+                });
+                messageText += "\nبرای رفع تداخل‌ها می‌توانید درس‌ها را ویرایش یا حذف کنید.";
+            }
+            const replyMarkup = {
+                inline_keyboard: [
+                    conflicts.length > 0 ? [
+                        { text: "✏️ ویرایش درس", callback_data: "schedule:edit:select_week" },
+                        { text: "🗑️ حذف درس", callback_data: "schedule:delete:main" }
+                    ] : [],
+                    [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+                ].filter(row => row.length > 0)
+            };
+            await editMessageText(chatId, messageId, messageText, replyMarkup);
+            await answerCallbackQuery(queryId);
+            return;
+        }
+        // save / replace: finish a lesson addition that was held back by a time conflict
+        const pendingResult = await kv.get([`pending_lesson:${user.id}`]);
+        if (!pendingResult.value) {
+            await editMessageText(chatId, messageId, "⚠️ زمان تایید این درس به پایان رسیده است. لطفاً دوباره آن را وارد کنید.", { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "schedule:set:select_week" }]] });
+            await answerCallbackQuery(queryId, "منقضی شده", true);
+            return;
+        }
+        const pending = JSON.parse(pendingResult.value);
+        const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:set:show_day:${pending.weekType}:${pending.day}` }]] };
+        let savedLesson;
+        try {
+            if (params[0] === 'replace') {
+                const currentLessons = await getUserScheduleLessons(userId);
+                for (const conflict of pending.conflicts) {
+                    // An every-week lesson only gives up the week the new lesson is added to
+                    const keepsOtherWeek = conflict.weekType === "both" && pending.weekType !== "both";
+                    const current = currentLessons.find(l => l.id === conflict.id && l.version === conflict.version);
+                    const { result: replaced } = current ? await deleteThroughScheduleTrash(userId,
+                        `درس ${current.lesson} (جایگزین‌شده با ${pending.lesson.lesson})`,
+                        [keepsOtherWeek ? { ...toLessonEntry(current), weekType: pending.weekType } : toLessonEntry(current)],
+                        () => keepsOtherWeek
+                            ? updateUserScheduleLesson(userId, conflict.id, conflict.version, { week_type: oppositeParity(pending.weekType) })
+                            : deleteUserScheduleLesson(userId, conflict.id, conflict.version)) : { result: null };
+                    if (!replaced) {
+                        await kv.delete([`pending_lesson:${user.id}`]);
+                        await editMessageText(chatId, messageId, "⚠️ درس‌های روز در این فاصله تغییر کرده‌اند. لطفاً درس جدید را دوباره وارد کنید.", backMarkup);
+                        await answerCallbackQuery(queryId, "برنامه تغییر کرده است", true);
+                        return;
+                    }
+                }
+            }
+            savedLesson = await saveUserSchedule(userId, pending.weekType, pending.day, pending.lesson);
+            await kv.delete([`pending_lesson:${user.id}`]);
+        } catch (e) {
+            console.error(`[Schedule] Error resolving lesson conflict for user ${userId}: ${e.stack}`);
+            await editMessageText(chatId, messageId, `⚠️ خطا در ذخیره درس: ${e.message}`, backMarkup);
+            await answerCallbackQuery(queryId, "خطا در ذخیره", true);
+            return;
+        }
+        const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(pending.day)];
+        const savedNote = params[0] === 'replace' ? "جایگزین درس(های) قبلی شد؛ درس‌های قبلی در سطل زباله هستند" : "با وجود تداخل ذخیره شد";
+        await editMessageText(chatId, messageId, `✅ درس *${pending.lesson.lesson}* در روز ${dayLabel} (هفته ${formatWeekTypeLabel(pending.weekType)}) ${savedNote}.`);
+        await sendDayScheduleAfterSave(chatId, userId, pending.weekType, pending.day, savedLesson.id);
+        await answerCallbackQuery(queryId, "ذخیره شد");
+    }
+    else if (action === 'bulk') {
+        if (params[0] === 'ask') {
+            await kv.delete([`bulk_import:${user.id}`]);
+            await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_bulk_import" }), { expireIn: 10 * 60 * 1000 });
+            const messageText = "📋 *افزودن گروهی درس‌ها*\n\n" +
+                                `همه درس‌ها را در یک پیام بفرستید؛ هر درس در یک خط (حداکثر ${BULK_IMPORT_MAX_LINES} خط):\n` +
+                                "`روز | هفته | نام درس | شروع | پایان | محل`\n\n" +
+                                "*مثال:*\n" +
+                                "`شنبه | فرد | ریاضی ۱ | ۸:۰۰ | ۱۰:۰۰ | کلاس ۲۰۱`\n" +
+                                "`دوشنبه | هر هفته | فیزیک ۱ | 10 | 12 | کلاس 105 | دکتر احمدی | 1914123 | 3`\n\n" +
+                                "*نکات:*\n" +
+                                "• هفته: `فرد`، `زوج` یا `هر هفته`.\n" +
+                                "• به جای `|` می‌توانید از `،` یا `؛` یا ` - ` هم استفاده کنید. اعداد فارسی هم پذیرفته می‌شوند.\n" +
+                                "• بعد از محل، استاد، کد درس، تعداد واحد و توضیحات اختیاری هستند.\n" +
+                                "• قبل از ذخیره، پیش‌نمایش برای تایید نمایش داده می‌شود.";
+            await editMessageText(chatId, messageId, messageText, { inline_keyboard: [[{ text: "❌ لغو و بازگشت", callback_data: "menu:schedule" }]] });
+            await answerCallbackQuery(queryId, "لطفاً درس‌ها را ارسال کنید...");
+        }
+        else if (params[0] === 'confirm') {
+            const importResult = await kv.get([`bulk_import:${user.id}`]);
+            if (!importResult.value) {
+                await editMessageText(chatId, messageId, "⚠️ زمان تایید به پایان رسیده است. لطفاً درس‌ها را دوباره ارسال کنید.", { inline_keyboard: [[{ text: "📋 ارسال مجدد", callback_data: "schedule:bulk:ask" }]] });
+                await answerCallbackQuery(queryId, "منقضی شده", true);
+                return;
+            }
+            await kv.delete([`bulk_import:${user.id}`]);
+            const entries = JSON.parse(importResult.value);
+            let savedCount = 0;
+            const failures = [];
+            for (const entry of entries) {
+                try {
+                    await saveUserSchedule(userId, entry.weekType, entry.day, entry.lesson);
+                    savedCount++;
+                } catch (e) {
+                    failures.push(`• خط ${entry.lineNumber}: ${e.message}`);
+                }
+            }
+            let messageText = `✅ ${savedCount} درس به برنامه شما اضافه شد.`;
+            if (failures.length > 0) messageText += `\n\n⚠️ ${failures.length} درس ذخیره نشد:\n${failures.join("\n")}`;
+            await editMessageText(chatId, messageId, messageText, {
+                inline_keyboard: [
+                    [{ text: "📅 مشاهده برنامه کامل", callback_data: "schedule:view:full" }, { text: "🔍 بررسی تداخل‌ها", callback_data: "schedule:conflict:scan" }],
+                    [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+                ]
+            });
+            await answerCallbackQuery(queryId, "ذخیره شد");
+        }
+        else if (params[0] === 'cancel') {
+            await kv.delete([`bulk_import:${user.id}`]);
+            await editMessageText(chatId, messageId, "❌ افزودن گروهی لغو شد. چیزی ذخیره نشد.", { inline_keyboard: [[{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]] });
+            await answerCallbackQuery(queryId, "لغو شد");
+        }
+    }
+    else if (action === 'export' && params[0] === 'data') {
+        const lessons = await getUserScheduleLessons(userId);
+        if (lessons.length === 0) {
+            await answerCallbackQuery(queryId, "برنامه شما خالی است؛ چیزی برای خروجی وجود ندارد.", true);
+            return;
+        }
+        await answerCallbackQuery(queryId, "⏳ در حال آماده‌سازی فایل‌ها...");
+        const encoder = new TextEncoder();
+        const baseName = `schedule_${userId}`;
+        await sendDocument(chatId, encoder.encode(buildScheduleExportJson(lessons)), `${baseName}.json`, `💾 برنامه هفتگی شما (${lessons.length} درس) - JSON`, null, "application/json");
+        await sendDocument(chatId, encoder.encode(buildScheduleExportCsv(lessons)), `${baseName}.csv`, "💾 همان برنامه به صورت CSV (قابل ویرایش در Excel)\n\nبرای بازگرداندن، هر کدام از این فایل‌ها را برای من بفرستید.", {
+            inline_keyboard: [[{ text: "↩️ بازگشت به منوی برنامه", callback_data: "menu:schedule" }]]
+        }, "text/csv");
+    }
+    else if (action === 'export' && params[0] === 'ics') {
+        const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت به منوی برنامه", callback_data: "menu:schedule" }]] };
+        try {
+            const result = await generateScheduleIcs(userId, await getChatCalendarProfileId(message.chat, user.id));
+            if (!result) {
+                await answerCallbackQuery(queryId, "⚠️ ترم جاری یا آینده‌ای در تقویم ثبت نشده است.", true);
+                return;
+            }
+            if (result.eventCount === 0) {
+                await answerCallbackQuery(queryId, "برنامه شما خالی است؛ ابتدا درس‌ها را اضافه کنید.", true);
+                return;
+            }
+            await answerCallbackQuery(queryId, "⏳ در حال آماده‌سازی فایل تقویم...");
+            const caption = `📆 برنامه کلاسی شما برای ${result.semester.name} (تا ${formatJalaliDate(result.semester.endJalali)})\n\n` +
+                            "این فایل را در Google Calendar (Settings › Import) یا با باز کردن آن در گوشی وارد کنید. تعطیلات ثبت‌شده از تکرارها حذف شده‌اند.";
+            await sendDocument(chatId, new TextEncoder().encode(result.ics), `schedule_${userId}.ics`, caption, backMarkup, "text/calendar");
+        } catch (e) {
+            console.error(`[Schedule] Error generating ICS for user ${userId}: ${e.stack}`);
+            await answerCallbackQuery(queryId, "⚠️ خطا در ساخت فایل تقویم.", true);
+        }
+    }
+    else if (action === 'import') {
+        const importResult = await kv.get([`schedule_import:${user.id}`]);
+        if (params[0] === 'cancel' || !importResult.value) {
+            await kv.delete([`schedule_import:${user.id}`]);
+            const text = params[0] === 'cancel' ? "❌ بازگردانی فایل لغو شد. چیزی تغییر نکرد." : "⚠️ زمان تایید به پایان رسیده است. لطفاً فایل را دوباره بفرستید.";
+            await editMessageText(chatId, messageId, text, { inline_keyboard: [[{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]] });
+            await answerCallbackQuery(queryId);
+            return;
+        }
+        const { fileName, entries } = JSON.parse(importResult.value);
+        if (params[0] === 'replace') {
+            await editMessageText(chatId, messageId, `⚠️ *جایگزینی کامل برنامه*\n\nهمه درس‌های فعلی شما حذف و ${entries.length} درس فایل \`${fileName}\` جایگزین آن‌ها می‌شود. ادامه می‌دهید؟`, {
+                inline_keyboard: [
+                    [{ text: "✅ بله، جایگزین کن", callback_data: "schedule:import:replace_confirm" }],
+                    [{ text: "❌ نه، لغو", callback_data: "schedule:import:cancel" }]
+                ]
+            });
+            await answerCallbackQuery(queryId);
+            return;
+        }
+        await kv.delete([`schedule_import:${user.id}`]);
+        const replacing = params[0] === 'replace_confirm';
+        let savedCount, skippedCount, failures, rolledBack = false;
+        try {
+            ({ savedCount, skippedCount, failures, rolledBack = false } = replacing
+                ? await replaceUserSchedule(userId, entries, `جایگزینی با فایل ${fileName}`)
+                : await copyLessonsIntoSchedule(userId, entries, true));
+        } catch (e) {
+            console.error(`[Schedule] Error importing schedule file for user ${userId}: ${e.stack}`);
+            await editMessageText(chatId, messageId, `⚠️ خطا در بازگردانی برنامه: ${e.message}`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "menu:schedule" }]] });
+            await answerCallbackQuery(queryId, "خطا در بازگردانی", true);
+            return;
+        }
+        let messageText = rolledBack
+            ? `⚠️ جایگزینی با فایل \`${fileName}\` انجام نشد و برنامه قبلی شما دست نخورد.`
+            : `✅ ${savedCount} درس از فایل \`${fileName}\` ${replacing ? "جایگزین برنامه قبلی شد" : "به برنامه شما اضافه شد"}.`;
+        if (replacing && !rolledBack) messageText += "\n♻️ درس‌های قبلی در سطل زباله و نسخه‌های قبلی برنامه نگه داشته شدند.";
+        if (skippedCount > 0) messageText += `\n↪️ ${skippedCount} درس تکراری بود و دوباره اضافه نشد.`;
+        if (failures.length > 0) messageText += `\n\n⚠️ ${failures.length} درس ذخیره نشد:\n${failures.join("\n")}`;
+        await editMessageText(chatId, messageId, messageText, {
+            inline_keyboard: [
+                [{ text: "📅 مشاهده برنامه کامل", callback_data: "schedule:view:full" }, { text: "🔍 بررسی تداخل‌ها", callback_data: "schedule:conflict:scan" }],
+                ...(replacing && !rolledBack ? [[{ text: "🕘 نسخه‌های قبلی", callback_data: "schedule:versions:list" }]] : []),
+                [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+            ]
+        });
+        await answerCallbackQuery(queryId, rolledBack ? "برنامه قبلی حفظ شد" : "انجام شد");
+    }
+    else if (action === 'archive') {
+        const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت (ترم‌های قبل)", callback_data: "schedule:archive:list" }]] };
+        const archiveId = parseInt(params[1]);
+        if (params[0] === 'list') {
+            const archives = await getScheduleArchives(userId);
+            let text = "🗄 *ترم‌های قبل*\n\nبرنامه هر ترم را قبل از پاک کردن بایگانی کنید تا بعداً ببینید، خروجی بگیرید یا ترم جدید را از روی آن شروع کنید.\n\n";
+            if (archives.length === 0) text += "_هنوز برنامه‌ای بایگانی نکرده‌اید._";
+            archives.forEach((a, idx) => { text += `${idx + 1}. *${a.name}* — ${a.lessons.length} درس (${formatTehranTimestamp(a.created_at)})\n`; });
+            await editMessageText(chatId, messageId, text, {
+                inline_keyboard: [
+                    ...archives.map((a, idx) => [{ text: `🗄 ${idx + 1}. ${a.name}`.substring(0, 60), callback_data: `schedule:archive:view:${a.archive_id}` }]),
+                    [{ text: "📥 بایگانی برنامه فعلی", callback_data: "schedule:archive:ask" }],
+                    [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+                ]
+            });
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'ask') {
+            if ((await getUserScheduleLessons(userId)).length === 0) {
+                await answerCallbackQuery(queryId, "برنامه فعلی خالی است؛ چیزی برای بایگانی وجود ندارد.", true);
+                return;
+            }
+            const semester = await getLatestStartedSemester(await getChatCalendarProfileId(message.chat, user.id));
+            await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_archive_name", semesterId: semester?.id ?? null }), { expireIn: 10 * 60 * 1000 });
+            const replyMarkup = { inline_keyboard: [
+                ...(semester ? [[{ text: `💾 ذخیره با نام «${semester.name}»`.substring(0, 60), callback_data: "schedule:archive:save_semester" }]] : []),
+                [{ text: "❌ لغو و بازگشت", callback_data: "schedule:archive:list" }]
+            ] };
+            await editMessageText(chatId, messageId, `📥 *بایگانی برنامه فعلی*\n\nیک نام برای این بایگانی بفرستید (حداکثر ${ARCHIVE_NAME_MAX_LENGTH} حرف)، مثلاً \`نیمسال اول ۱۴۰۳\`.`, replyMarkup);
+            await answerCallbackQuery(queryId, "لطفاً نام بایگانی را ارسال کنید...");
+        }
+        else if (params[0] === 'save_semester') {
+            await kv.delete([`state:${user.id}`]);
+            const semester = await getLatestStartedSemester(await getChatCalendarProfileId(message.chat, user.id));
+            if (!semester) { await answerCallbackQuery(queryId, "ترمی در تقویم پیدا نشد؛ لطفاً نام را تایپ کنید.", true); return; }
+            try {
+                const archive = await createScheduleArchive(userId, semester.name, semester.id);
+                await sendArchiveView(chatId, userId, archive, messageId);
+                await answerCallbackQuery(queryId, "✅ بایگانی شد");
+            } catch (e) {
+                console.error(`[Archive] Error archiving schedule for user ${userId}: ${e.stack}`);
+                await editMessageText(chatId, messageId, `⚠️ خطا در بایگانی برنامه: ${e.message}`, backMarkup);
+                await answerCallbackQuery(queryId, "خطا در بایگانی", true);
+            }
+        }
+        else {
+            const archive = await getScheduleArchive(userId, archiveId);
+            if (!archive) {
+                await editMessageText(chatId, messageId, "⚠️ این بایگانی پیدا نشد یا حذف شده است.", backMarkup);
+                await answerCallbackQuery(queryId, "یافت نشد", true);
+                return;
+            }
+            if (params[0] === 'view') {
+                await sendArchiveView(chatId, userId, archive, messageId);
+                await answerCallbackQuery(queryId);
+            }
+            else if (params[0] === 'pdf') {
+                await answerCallbackQuery(queryId, "⏳ در حال آماده‌سازی PDF...");
+                try {
+                    const fullName = `${user.first_name || ""} ${user.last_name || ""}`.trim() || `کاربر ${user.id}`;
+                    const pdfBuffer = await generateSchedulePDF(userId, `${fullName} - ${archive.name}`, await buildArchivedSchedule(userId, archive.lessons));
+                    await sendDocument(chatId, pdfBuffer, `schedule_archive_${archive.archive_id}.pdf`, `🗄 برنامه بایگانی‌شده: ${archive.name}`, backMarkup);
+                } catch (e) {
+                    console.error(`[Archive] Error sending archive PDF ${archiveId} for user ${userId}: ${e.stack}`);
+                    await sendMessage(chatId, "⚠️ متاسفانه در تولید PDF خطایی رخ داد.", backMarkup);
+                }
+            }
+            else if (params[0] === 'json') {
+                await sendDocument(chatId, new TextEncoder().encode(buildScheduleExportJson(archive.lessons.map(toScheduleLesson))), `schedule_archive_${archive.archive_id}.json`,
+                                   `💾 ${archive.name} (${archive.lessons.length} درس)\n\nبا فرستادن این فایل برای من می‌توانید آن را به برنامه فعلی اضافه کنید.`, backMarkup, "application/json");
+                await answerCallbackQuery(queryId);
+            }
+            else if (params[0] === 'clone') {
+                await editMessageText(chatId, messageId, `🧬 *شروع ترم جدید از روی «${archive.name}»*\n\nبرنامه فعلی حذف و ${archive.lessons.length} درس این بایگانی جایگزین آن می‌شود. برنامه فعلی در «🕘 نسخه‌های قبلی» می‌ماند؛ برای نگه‌داشتن دائمی، اول آن را بایگانی کنید.`, {
+                    inline_keyboard: [
+                        [{ text: "✅ بله، جایگزین کن", callback_data: `schedule:archive:clone_confirm:${archive.archive_id}` }],
+                        [{ text: "📥 اول برنامه فعلی را بایگانی کن", callback_data: "schedule:archive:ask" }],
+                        [{ text: "❌ نه، بازگشت", callback_data: `schedule:archive:view:${archive.archive_id}` }]
+                    ]
+                });
+                await answerCallbackQuery(queryId);
+            }
+            else if (params[0] === 'clone_confirm') {
+                try {
+                    const { savedCount, failures, rolledBack } = await replaceScheduleWithRows(userId, archive.lessons, `برنامه قبل از شروع ترم از «${archive.name}»`);
+                    let text = rolledBack
+                        ? `⚠️ ساخت برنامه از «${archive.name}» انجام نشد و برنامه فعلی شما دست نخورد.`
+                        : `✅ برنامه ترم جدید با ${savedCount} درس از «${archive.name}» ساخته شد. حالا می‌توانید آن را ویرایش کنید.\n♻️ درس‌های قبلی در سطل زباله هستند.`;
+                    if (failures.length > 0) text += `\n\n⚠️ ${failures.length} درس ذخیره نشد:\n${failures.join("\n")}`;
+                    await editMessageText(chatId, messageId, text, {
+                        inline_keyboard: [
+                            [{ text: "📅 مشاهده برنامه کامل", callback_data: "schedule:view:full" }, { text: "✏️ ویرایش درس", callback_data: "schedule:edit:select_week" }],
+                            [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+                        ]
+                    });
+                    await answerCallbackQuery(queryId, "انجام شد");
+                } catch (e) {
+                    console.error(`[Archive] Error cloning archive ${archiveId} for user ${userId}: ${e.stack}`);
+                    await editMessageText(chatId, messageId, `⚠️ خطا در ساخت برنامه از بایگانی: ${e.message}`, backMarkup);
+                    await answerCallbackQuery(queryId, "خطا", true);
+                }
+            }
+            else if (params[0] === 'delete') {
+                await editMessageText(chatId, messageId, `❓ بایگانی «${archive.name}» برای همیشه حذف شود؟`, {
+                    inline_keyboard: [
+                        [{ text: "✅ بله، حذف کن", callback_data: `schedule:archive:delete_confirm:${archive.archive_id}` }],
+                        [{ text: "❌ نه، بازگشت", callback_data: `schedule:archive:view:${archive.archive_id}` }]
+                    ]
+                });
+                await answerCallbackQuery(queryId);
+            }
+            else if (params[0] === 'delete_confirm') {
+                await deleteScheduleArchive(userId, archive.archive_id);
+                await editMessageText(chatId, messageId, `✅ بایگانی «${archive.name}» حذف شد.`, backMarkup);
+                await answerCallbackQuery(queryId, "حذف شد");
+            }
+        }
+    }
+    else if (action === 'versions') {
+        const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت (نسخه‌ها)", callback_data: "schedule:versions:list" }]] };
+        if (params[0] === 'list') {
+            const versions = await getScheduleVersions(userId);
+            let text = `🕘 *نسخه‌های قبلی برنامه*\n\nقبل از هر تغییر، برنامه به صورت خودکار ذخیره می‌شود (${SCHEDULE_VERSION_KEEP} نسخه آخر نگه داشته می‌شود).\n\n`;
+            if (versions.length === 0) text += "_هنوز نسخه‌ای ثبت نشده است._";
+            versions.forEach((v, idx) => { text += `${idx + 1}. ${formatTehranTimestamp(v.created_at)} — قبل از «${v.reason}» (${v.lessons.length} درس)\n`; });
+            const buttons = versions.map((v, idx) => ({ text: `🕘 ${idx + 1}`, callback_data: `schedule:versions:view:${v.version_id}` }));
+            const rows = []; for (let i = 0; i < buttons.length; i += 5) { rows.push(buttons.slice(i, i + 5)); }
+            await editMessageText(chatId, messageId, text, { inline_keyboard: [...rows, [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]] });
+            await answerCallbackQuery(queryId);
+            return;
+        }
+        const version = await getScheduleVersion(userId, parseInt(params[1]));
+        if (!version) {
+            await editMessageText(chatId, messageId, "⚠️ این نسخه دیگر وجود ندارد.", backMarkup);
+            await answerCallbackQuery(queryId, "یافت نشد", true);
+            return;
+        }
+        if (params[0] === 'view') {
+            const scheduleText = formatCompactScheduleText(await buildArchivedSchedule(userId, version.lessons)) || "_برنامه در این نسخه خالی بود._";
+            await editMessageText(chatId, messageId, `🕘 *نسخه ${formatTehranTimestamp(version.created_at)}*\nقبل از «${version.reason}» | ${version.lessons.length} درس\n\n${scheduleText}`, {
+                inline_keyboard: [
+                    [{ text: "♻️ بازگردانی این نسخه", callback_data: `schedule:versions:restore:${version.version_id}` }],
+                    [{ text: "↩️ بازگشت (نسخه‌ها)", callback_data: "schedule:versions:list" }]
+                ]
+            });
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'restore') {
+            try {
+                const { savedCount, failures, rolledBack } = await replaceScheduleWithRows(userId, version.lessons, `برنامه قبل از بازگردانی نسخه ${formatTehranTimestamp(version.created_at)}`);
+                let text = rolledBack
+                    ? "⚠️ بازگردانی این نسخه انجام نشد و برنامه فعلی شما دست نخورد."
+                    : `♻️ برنامه به نسخه ${formatTehranTimestamp(version.created_at)} برگشت (${savedCount} درس).\nبرنامه قبل از بازگردانی هم به عنوان یک نسخه و در سطل زباله ذخیره شد.`;
+                if (failures.length > 0) text += `\n\n⚠️ ${failures.length} درس ذخیره نشد:\n${failures.join("\n")}`;
+                await editMessageText(chatId, messageId, text, {
+                    inline_keyboard: [
+                        [{ text: "📅 مشاهده برنامه کامل", callback_data: "schedule:view:full" }],
+                        [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+                    ]
+                });
+                await answerCallbackQuery(queryId, "بازگردانی شد");
+            } catch (e) {
+                console.error(`[Versions] Error restoring version ${version.version_id} for user ${userId}: ${e.stack}`);
+                await editMessageText(chatId, messageId, `⚠️ خطا در بازگردانی نسخه: ${e.message}`, backMarkup);
+                await answerCallbackQuery(queryId, "خطا", true);
+            }
+        }
+    }
+    else if (action === 'details' && params[0] === 'step') {
+        await promptLessonDetailStep(chatId, user.id, parseInt(params[1]), parseInt(params[2]), messageId);
+        await answerCallbackQuery(queryId);
+    }
     else if (action === 'set') {
         if (params[0] === 'select_week') {
              const scheduleMessage = `📅 *تنظیم برنامه هفتگی*\n\nبرنامه کدام هفته را می‌خواهید تنظیم یا ویرایش کنید؟`;
              const replyMarkup = {
                   inline_keyboard: [
                       [{ text: "هفته فرد 🟣", callback_data: "schedule:set:select_day:odd" }, { text: "هفته زوج 🟢", callback_data: "schedule:set:select_day:even" }],
+                      [{ text: "هر هفته 🔁 (فرد و زوج)", callback_data: "schedule:set:select_day:both" }],
                       [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
                     ]
              };
@@ -1531,9 +4716,10 @@ async function handleScheduleCallback(query, action, params) {
         }
         else if (params[0] === 'select_day') {
              const weekType = params[1]; 
-             const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
-             const dayButtons = ENGLISH_WEEKDAYS.map((dayKey, index) => ({
-                text: PERSIAN_WEEKDAYS[index],
+             const weekLabel = formatWeekTypeLabel(weekType);
+             const { days: workingDays } = await getUserWorkingDays(userId);
+             const dayButtons = workingDays.map(dayKey => ({
+                text: PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(dayKey)],
                 callback_data: `schedule:set:show_day:${weekType}:${dayKey}`
              }));
              const rows = [];
@@ -1552,24 +4738,25 @@ async function handleScheduleCallback(query, action, params) {
          else if (params[0] === 'show_day') {
              const weekType = params[1];
              const day = params[2];
-             const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+             const weekLabel = formatWeekTypeLabel(weekType);
              const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
              const schedule = await getUserSchedule(userId);
-             const lessons = (weekType === "odd" ? schedule.odd_week_schedule[day] : schedule.even_week_schedule[day]) || [];
+             const lessons = getWeekTypeLessons(schedule, weekType, day);
              let messageText = `🗓️ *برنامه روز ${dayLabel} - هفته ${weekLabel}*\n\n`;
              if (lessons.length === 0) {
                 messageText += "_هنوز درسی برای این روز ثبت نشده است._\n";
              } else {
                  lessons.forEach((l, idx) => {
-                    messageText += ` ${idx + 1}. *${l.lesson}* ( ${l.start_time} - ${l.end_time} | ${l.location || '-'} )\n`;
+                    messageText += ` ${idx + 1}. *${l.lesson}*${l.weekType === "both" && weekType !== "both" ? " 🔁" : ""} ( ${l.start_time} - ${l.end_time} | ${l.location || '-'} )\n`;
                  });
              }
               messageText += "\nمی‌توانید درس جدیدی اضافه کنید:";
              const replyMarkup = {
                   inline_keyboard: [
                     [{ text: "➕ افزودن درس جدید", callback_data: `schedule:set:ask_details:${weekType}:${day}` }],
+                    lessons.length > 0 ? [{ text: "✏️ ویرایش درس‌های این روز", callback_data: `schedule:edit:select_lesson:${weekType}:${day}` }] : [],
                     [{ text: `↩️ بازگشت (انتخاب روز ${weekLabel})`, callback_data: `schedule:set:select_day:${weekType}` }]
-                  ]
+                  ].filter(row => row.length > 0)
              };
              await editMessageText(chatId, messageId, messageText, replyMarkup);
              await answerCallbackQuery(queryId);
@@ -1577,9 +4764,9 @@ async function handleScheduleCallback(query, action, params) {
         else if (params[0] === 'ask_details') {
             const weekType = params[1];
             const day = params[2];
-            const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+            const weekLabel = formatWeekTypeLabel(weekType);
             const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
-             await kv.set([`state:${userId}`], JSON.stringify({
+             await kv.set([`state:${user.id}`], JSON.stringify({
                 name: "awaiting_lesson_details",
                 weekType: weekType,
                 day: day
@@ -1591,7 +4778,8 @@ async function handleScheduleCallback(query, action, params) {
                                 "`برنامه سازی پیشرفته` - `8:00` - `10:00` - `کلاس 309 ابریشم چیان`\n\n" +
                                 "*نکات:*\n" +
                                 "• از خط تیره (-) برای جدا کردن بخش‌ها استفاده کنید.\n" +
-                                "• ساعت‌ها را به فرمت `HH:MM` (مانند `13:30` یا `08:00`) وارد کنید.";
+                                "• ساعت‌ها را به فرمت `HH:MM` (مانند `13:30` یا `08:00`) وارد کنید.\n" +
+                                "• استاد، کد درس، تعداد واحد و توضیحات را بعد از ذخیره درس می‌توانید اضافه کنید.";
             const replyMarkup = { inline_keyboard: [[{ text: "❌ لغو و بازگشت", callback_data: `schedule:set:show_day:${weekType}:${day}` }]] };
             await editMessageText(chatId, messageId, messageText, replyMarkup);
             await answerCallbackQuery(queryId, "لطفاً اطلاعات درس را وارد کنید...");
@@ -1605,30 +4793,33 @@ async function handleScheduleCallback(query, action, params) {
                      [{ text: "🟢 حذف کل هفته زوج", callback_data: "schedule:delete:confirm_week:even" }],
                      [{ text: "🗑️ حذف دروس یک روز خاص", callback_data: "schedule:delete:select_week:day" }],
                      [{ text: "❌ حذف یک درس خاص", callback_data: "schedule:delete:select_week:lesson" }],
+                     [{ text: "♻️ سطل زباله (بازگردانی)", callback_data: "schedule:trash:list" }],
                      [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
                  ]
             };
-            await editMessageText(chatId, messageId, "🗑️ *حذف برنامه*\n\nکدام بخش از برنامه را می‌خواهید حذف کنید؟\n*توجه:* این عملیات غیرقابل بازگشت است.", replyMarkup);
+            await editMessageText(chatId, messageId, `🗑️ *حذف برنامه*\n\nکدام بخش از برنامه را می‌خواهید حذف کنید؟\n*توجه:* موارد حذف‌شده تا ${TRASH_RETENTION_DAYS} روز در سطل زباله می‌مانند و قابل بازگردانی هستند.`, replyMarkup);
             await answerCallbackQuery(queryId);
         }
         else if (params[0] === 'confirm_week') { 
              const weekType = params[1];
-             const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+             const weekLabel = formatWeekTypeLabel(weekType);
              const replyMarkup = {
                  inline_keyboard: [
                     [{ text: `✅ بله، حذف کن هفته ${weekLabel}`, callback_data: `schedule:delete:execute_week:${weekType}` }],
+                    [{ text: "📥 اول برنامه این ترم را بایگانی کن", callback_data: "schedule:archive:ask" }],
                     [{ text: "❌ نه، بازگشت", callback_data: "schedule:delete:main" }]
                  ]
              };
-             await editMessageText(chatId, messageId, `❓ *تایید حذف کل هفته ${weekLabel}*\n\nآیا مطمئن هستید که می‌خواهید تمام دروس ثبت شده برای هفته ${weekLabel} را حذف کنید؟`, replyMarkup);
+             await editMessageText(chatId, messageId, `❓ *تایید حذف کل هفته ${weekLabel}*\n\nآیا مطمئن هستید که می‌خواهید تمام دروس ثبت شده برای هفته ${weekLabel} را حذف کنید؟\n\n💡 اگر ترم تمام شده، اول برنامه را بایگانی کنید تا در «ترم‌های قبل» بماند.`, replyMarkup);
              await answerCallbackQuery(queryId);
         }
          else if (params[0] === 'execute_week') { 
              const weekType = params[1];
-             const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+             const weekLabel = formatWeekTypeLabel(weekType);
              try {
-                 await deleteEntireWeekSchedule(userId, weekType);
-                 await editMessageText(chatId, messageId, `✅ تمام دروس هفته ${weekLabel} با موفقیت حذف شدند.`, { inline_keyboard: [[{ text: "↩️ بازگشت به منوی حذف", callback_data: "schedule:delete:main" }]] });
+                 const entries = await collectWeekTypeEntries(userId, weekType);
+                 const { trashId } = await deleteThroughScheduleTrash(userId, `هفته ${weekLabel}`, entries, () => deleteEntireWeekSchedule(userId, weekType));
+                 await editMessageText(chatId, messageId, `✅ تمام دروس هفته ${weekLabel} با موفقیت حذف شدند.`, buildUndoMarkup(trashId, { text: "↩️ بازگشت به منوی حذف", callback_data: "schedule:delete:main" }));
                  await answerCallbackQuery(queryId, `هفته ${weekLabel} حذف شد`);
              } catch (e) {
                  await editMessageText(chatId, messageId, `⚠️ خطا در حذف هفته ${weekLabel}: ${e.message}`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "schedule:delete:main" }]] });
@@ -1642,6 +4833,7 @@ async function handleScheduleCallback(query, action, params) {
              const replyMarkup = {
                  inline_keyboard: [
                     [{ text: "هفته فرد 🟣", callback_data: `${nextAction}:odd` }, { text: "هفته زوج 🟢", callback_data: `${nextAction}:even` }],
+                    [{ text: "هر هفته 🔁", callback_data: `${nextAction}:both` }],
                     [{ text: "↩️ بازگشت (منو حذف)", callback_data: "schedule:delete:main" }]
                  ]
              };
@@ -1652,11 +4844,10 @@ async function handleScheduleCallback(query, action, params) {
              const deleteType = params[1]; 
              const weekType = params[2]; 
              const typeLabel = deleteType === 'day' ? 'روز' : 'درس';
-             const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+             const weekLabel = formatWeekTypeLabel(weekType);
              const schedule = await getUserSchedule(userId);
-             const weekSchedule = weekType === 'odd' ? schedule.odd_week_schedule : schedule.even_week_schedule;
-             const dayButtons = ENGLISH_WEEKDAYS
-                 .filter(dayKey => weekSchedule[dayKey] && weekSchedule[dayKey].length > 0) 
+             const dayButtons = Object.keys(schedule.odd_week_schedule)
+                 .filter(dayKey => getWeekTypeLessons(schedule, weekType, dayKey).length > 0) 
                  .map((dayKey, index) => ({
                      text: PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(dayKey)], 
                      callback_data: deleteType === 'day'
@@ -1681,7 +4872,7 @@ async function handleScheduleCallback(query, action, params) {
           else if (params[0] === 'confirm_day') { 
              const weekType = params[1];
              const day = params[2];
-             const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+             const weekLabel = formatWeekTypeLabel(weekType);
              const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
              const replyMarkup = {
                  inline_keyboard: [
@@ -1695,11 +4886,12 @@ async function handleScheduleCallback(query, action, params) {
          else if (params[0] === 'execute_day') { 
              const weekType = params[1];
              const day = params[2];
-             const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+             const weekLabel = formatWeekTypeLabel(weekType);
              const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
              try {
-                 await deleteUserScheduleDay(userId, weekType, day);
-                 await editMessageText(chatId, messageId, `✅ تمام دروس روز ${dayLabel} (${weekLabel}) حذف شدند.`, { inline_keyboard: [[{ text: "↩️ بازگشت به منوی حذف", callback_data: "schedule:delete:main" }]] });
+                 const entries = await collectWeekTypeEntries(userId, weekType, day);
+                 const { trashId } = await deleteThroughScheduleTrash(userId, `روز ${dayLabel} (هفته ${weekLabel})`, entries, () => deleteUserScheduleDay(userId, weekType, day));
+                 await editMessageText(chatId, messageId, `✅ تمام دروس روز ${dayLabel} (${weekLabel}) حذف شدند.`, buildUndoMarkup(trashId, { text: "↩️ بازگشت به منوی حذف", callback_data: "schedule:delete:main" }));
                  await answerCallbackQuery(queryId, `روز ${dayLabel} حذف شد`);
              } catch (e) {
                  await editMessageText(chatId, messageId, `⚠️ خطا در حذف روز ${dayLabel} (${weekLabel}): ${e.message}`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "schedule:delete:main" }]] });
@@ -1709,10 +4901,10 @@ async function handleScheduleCallback(query, action, params) {
          else if (params[0] === 'select_lesson') { 
              const weekType = params[1];
              const day = params[2];
-             const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+             const weekLabel = formatWeekTypeLabel(weekType);
              const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
              const schedule = await getUserSchedule(userId);
-             const lessons = (weekType === "odd" ? schedule.odd_week_schedule[day] : schedule.even_week_schedule[day]) || [];
+             const lessons = getWeekTypeLessons(schedule, weekType, day);
               if (lessons.length === 0) {
                  await editMessageText(chatId, messageId, `⚠️ در روز ${dayLabel} (${weekLabel}) درسی برای حذف یافت نشد.`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:delete:select_day:lesson:${weekType}` }]] });
                  await answerCallbackQuery(queryId, "درسی یافت نشد");
@@ -1720,8 +4912,8 @@ async function handleScheduleCallback(query, action, params) {
              }
              let messageText = `🗑️ *حذف درس خاص*\nروز: ${dayLabel} | هفته: ${weekLabel}\n\nکدام درس را می‌خواهید حذف کنید؟\n`;
              const lessonButtons = lessons.map((l, idx) => ([{
-                text: `❌ ${idx + 1}. ${l.lesson} (${l.start_time}-${l.end_time})`,
-                callback_data: `schedule:delete:confirm_lesson:${weekType}:${day}:${idx}`
+                text: `❌ ${idx + 1}. ${l.lesson} (${l.start_time}-${l.end_time})${l.weekType === "both" && weekType !== "both" ? " 🔁" : ""}`,
+                callback_data: `schedule:delete:confirm_lesson:${weekType}:${day}:${l.id}:${l.version}`
              }]));
              const replyMarkup = {
                  inline_keyboard: [
@@ -1735,37 +4927,56 @@ async function handleScheduleCallback(query, action, params) {
          else if (params[0] === 'confirm_lesson') { 
              const weekType = params[1];
              const day = params[2];
-             const lessonIndex = parseInt(params[3]);
-             const weekLabel = weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
+             const lessonId = parseInt(params[3]);
+             const version = parseInt(params[4]);
+             const weekLabel = formatWeekTypeLabel(weekType);
              const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
-             const schedule = await getUserSchedule(userId);
-             const lesson = (weekType === "odd" ? schedule.odd_week_schedule[day]?.[lessonIndex] : schedule.even_week_schedule[day]?.[lessonIndex]);
-             if (!lesson) {
-                await editMessageText(chatId, messageId, "⚠️ خطا: درس مورد نظر یافت نشد.", { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }]] });
+             const lesson = await getScheduleLesson(userId, lessonId);
+             if (!lesson || lesson.version !== version) {
+                await editMessageText(chatId, messageId, "⚠️ این درس در این فاصله حذف یا ویرایش شده است. لطفاً دوباره انتخاب کنید.", { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }]] });
                 await answerCallbackQuery(queryId, "درس یافت نشد", true);
                 return;
              }
+             const lessonDetails = `*درس:* ${lesson.lesson}\n*زمان:* ${lesson.start_time} - ${lesson.end_time}\n*روز:* ${dayLabel} (${weekLabel})`;
+             if (lesson.weekType === "both" && weekType !== "both") {
+                 const otherWeekLabel = formatWeekTypeLabel(oppositeParity(weekType));
+                 const replyMarkup = {
+                     inline_keyboard: [
+                        [{ text: "🗑️ حذف از هر دو هفته", callback_data: `schedule:delete:execute_lesson:${weekType}:${day}:${lesson.id}:${lesson.version}` }],
+                        [{ text: `✂️ فقط از هفته ${weekLabel} (در هفته ${otherWeekLabel} بماند)`, callback_data: `schedule:delete:execute_one_week:${weekType}:${day}:${lesson.id}:${lesson.version}` }],
+                        [{ text: "❌ نه، بازگشت", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }]
+                     ]
+                 };
+                 await editMessageText(chatId, messageId, `❓ *تایید حذف درس*\n\nاین درس *هر هفته* برگزار می‌شود. می‌خواهید آن را از هر دو هفته حذف کنید یا فقط از هفته ${weekLabel}؟\n\n${lessonDetails}`, replyMarkup);
+                 await answerCallbackQuery(queryId);
+                 return;
+             }
              const replyMarkup = {
                  inline_keyboard: [
-                    [{ text: `✅ بله، حذف کن`, callback_data: `schedule:delete:execute_lesson:${weekType}:${day}:${lessonIndex}` }],
+                    [{ text: `✅ بله، حذف کن`, callback_data: `schedule:delete:execute_lesson:${weekType}:${day}:${lesson.id}:${lesson.version}` }],
                     [{ text: "❌ نه، بازگشت", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }]
                  ]
              };
-             await editMessageText(chatId, messageId, `❓ *تایید حذف درس*\n\nآیا مطمئن هستید می‌خواهید درس زیر را حذف کنید؟\n\n*درس:* ${lesson.lesson}\n*زمان:* ${lesson.start_time} - ${lesson.end_time}\n*روز:* ${dayLabel} (${weekLabel})`, replyMarkup);
+             await editMessageText(chatId, messageId, `❓ *تایید حذف درس*\n\nآیا مطمئن هستید می‌خواهید درس زیر را حذف کنید؟\n\n${lessonDetails}`, replyMarkup);
              await answerCallbackQuery(queryId);
         }
         else if (params[0] === 'execute_lesson') { 
              const weekType = params[1];
              const day = params[2];
-             const lessonIndex = parseInt(params[3]);
+             const lessonId = parseInt(params[3]);
+             const version = parseInt(params[4]);
              try {
-                 const success = await deleteUserScheduleLesson(userId, weekType, day, lessonIndex);
-                 if (success) {
-                     query.data = `schedule:delete:select_lesson:${weekType}:${day}`;
-                     await handleCallbackQuery(query); 
+                 const lesson = await getScheduleLesson(userId, lessonId);
+                 const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
+                 const { result: deleted, trashId } = lesson?.version === version
+                     ? await deleteThroughScheduleTrash(userId, `درس ${lesson.lesson} (${dayLabel}، هفته ${formatWeekTypeLabel(lesson.weekType)})`, [toLessonEntry(lesson)],
+                                                        () => deleteUserScheduleLesson(userId, lessonId, version))
+                     : { result: null, trashId: null };
+                 if (deleted) {
+                     await editMessageText(chatId, messageId, `✅ درس *${deleted.lesson}* حذف شد.`, buildUndoMarkup(trashId, { text: "↩️ بازگشت (لیست دروس)", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }));
                      await answerCallbackQuery(queryId, `درس حذف شد`);
                  } else {
-                      await editMessageText(chatId, messageId, `⚠️ درس مورد نظر یافت نشد یا قبلاً حذف شده است.`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }]] });
+                      await editMessageText(chatId, messageId, `⚠️ درس مورد نظر یافت نشد، قبلاً حذف شده یا در این فاصله ویرایش شده است.`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }]] });
                       await answerCallbackQuery(queryId, "درس یافت نشد");
                  }
              } catch (e) {
@@ -1773,34 +4984,701 @@ async function handleScheduleCallback(query, action, params) {
                  await answerCallbackQuery(queryId, "خطا در حذف", true);
              }
          }
-    } 
-    else {
-         console.warn(`[ScheduleCallback] Unhandled action: ${action} with params: ${params}`);
-         await answerCallbackQuery(queryId); 
-    }
-}
-async function handleAdminCallback(query, action, params) {
-     const { id: queryId, from: user, message } = query;
-     const { chat: { id: chatId }, message_id: messageId } = message;
-     if (action === 'panel') {
-        await handleAdminCommand({ ...message, from: user, callback_query_id: queryId }, true);
-        await answerCallbackQuery(queryId);
-     }
-     else if (action === 'stats') {
-        await handleStatsCommand({ ...message, from: user, callback_query_id: queryId }, true);
-        // answerCallbackQuery is handled inside handleStatsCommand
-     }
-     // Note: Broadcast confirm/cancel moved to main handleCallbackQuery for clarity
-     else {
-        console.warn(`[AdminCallback] Unhandled admin action: ${action} with params: ${params}`);
-        await answerCallbackQuery(queryId);
-    }
-}
-// --- Main Message Handler ---
-// ... (Main Message Handler remains unchanged) ...
-async function handleMessage(message) {
-    const handlerStartTime = Date.now();
-    if (!message || !message.chat || !message.from) {
+        else if (params[0] === 'execute_one_week') { 
+             const weekType = params[1];
+             const day = params[2];
+             const lessonId = parseInt(params[3]);
+             const version = parseInt(params[4]);
+             try {
+                 const lesson = await getScheduleLesson(userId, lessonId);
+                 const weekLabel = formatWeekTypeLabel(weekType);
+                 const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
+                 const { result: updated, trashId } = lesson?.version === version
+                     ? await deleteThroughScheduleTrash(userId, `درس ${lesson.lesson} (${dayLabel}، هفته ${weekLabel})`, [{ ...toLessonEntry(lesson), weekType }],
+                                                        () => updateUserScheduleLesson(userId, lessonId, version, { week_type: oppositeParity(weekType) }))
+                     : { result: null, trashId: null };
+                 if (updated) {
+                     await editMessageText(chatId, messageId, `✅ درس *${updated.lesson}* از هفته ${weekLabel} حذف شد.`, buildUndoMarkup(trashId, { text: "↩️ بازگشت (لیست دروس)", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }));
+                     await answerCallbackQuery(queryId, `درس از هفته ${weekLabel} حذف شد`);
+                 } else {
+                      await editMessageText(chatId, messageId, `⚠️ درس مورد نظر یافت نشد، قبلاً حذف شده یا در این فاصله ویرایش شده است.`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }]] });
+                      await answerCallbackQuery(queryId, "درس یافت نشد");
+                 }
+             } catch (e) {
+                 await editMessageText(chatId, messageId, `⚠️ خطا در حذف درس: ${e.message}`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:delete:select_lesson:${weekType}:${day}` }]] });
+                 await answerCallbackQuery(queryId, "خطا در حذف", true);
+             }
+         }
+    } 
+    else if (action === 'override') {
+        const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت (تغییرات موردی)", callback_data: "schedule:override:list" }]] };
+        if (params[0] === 'list') {
+            await sendScheduleOverrideList(chatId, userId, messageId);
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'ask_date') {
+            await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_override_date" }), { expireIn: 10 * 60 * 1000 });
+            await editMessageText(chatId, messageId, "🚫 *لغو یا جابه‌جایی یک جلسه*\n\nتاریخ جلسه را بفرستید، مثلاً `سه‌شنبه`، `فردا`، `15 آذر` یا `1404/09/15`.", {
+                inline_keyboard: [[{ text: "❌ لغو و بازگشت", callback_data: "schedule:override:list" }]]
+            });
+            await answerCallbackQuery(queryId, "لطفاً تاریخ را ارسال کنید...");
+        }
+        else if (params[0] === 'date') {
+            const jalali = parsePersianDate(params[1]);
+            if (!jalali) { await answerCallbackQuery(queryId, "⚠️ تاریخ نامعتبر", true); return; }
+            await showOverrideDateLessons(chatId, userId, jalali, messageId);
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'lesson' || params[0] === 'cancel' || params[0] === 'move') {
+            const lesson = await getScheduleLesson(userId, parseInt(params[1]));
+            const jalali = parsePersianDate(params[2]);
+            if (!lesson || !jalali) {
+                await editMessageText(chatId, messageId, "⚠️ این درس دیگر در برنامه نیست.", backMarkup);
+                await answerCallbackQuery(queryId, "یافت نشد", true);
+                return;
+            }
+            const dateKey = formatJalaliDateKey(jalali);
+            const alreadyChanged = (await getScheduleOverrides(userId, dateKey)).some(o => o.type !== "extra" && o.lessonId === lesson.id && o.dateKey === dateKey);
+            if (alreadyChanged) {
+                await answerCallbackQuery(queryId, "برای این جلسه قبلاً تغییری ثبت شده است. برای تغییر دوباره، اول آن را از لیست حذف کنید.", true);
+                return;
+            }
+            const sessionText = `*${lesson.lesson}* — ${formatOverrideDay(jalali)} ⏰ ${lesson.start_time}-${lesson.end_time}`;
+            if (params[0] === 'lesson') {
+                await editMessageText(chatId, messageId, `📆 ${sessionText}\n\nبا این جلسه چه کنم؟`, {
+                    inline_keyboard: [
+                        [{ text: "🚫 لغو جلسه", callback_data: `schedule:override:cancel:${lesson.id}:${params[2]}` }, { text: "🔀 جابه‌جایی", callback_data: `schedule:override:move:${lesson.id}:${params[2]}` }],
+                        [{ text: "↩️ بازگشت", callback_data: `schedule:override:date:${params[2]}` }]
+                    ]
+                });
+                await answerCallbackQuery(queryId);
+            }
+            else if (params[0] === 'cancel') {
+                try {
+                    await saveScheduleOverride(userId, { type: "cancel", lessonId: lesson.id, lessonName: lesson.lesson, jalali });
+                    await sendScheduleOverrideList(chatId, userId, messageId, `✅ جلسه ${sessionText} لغو شد.`);
+                    await answerCallbackQuery(queryId, "✅ لغو شد");
+                } catch (e) {
+                    console.error(`[Overrides] Error cancelling lesson ${lesson.id} for ${userId}: ${e.stack}`);
+                    await editMessageText(chatId, messageId, `⚠️ خطا در ثبت لغو جلسه: ${e.message}`, backMarkup);
+                    await answerCallbackQuery(queryId, "خطا در ثبت", true);
+                }
+            }
+            else {
+                await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_override_session", mode: "move", lessonId: lesson.id, date: dateKey }), { expireIn: 10 * 60 * 1000 });
+                await editMessageText(chatId, messageId, `🔀 *جابه‌جایی جلسه*\n${sessionText}\n\nتاریخ، ساعت و محل جلسه جدید را بفرستید (اگر محل را ننویسید همان محل قبلی می‌ماند):\n${OVERRIDE_SESSION_FORMAT}`, {
+                    inline_keyboard: [[{ text: "❌ لغو و بازگشت", callback_data: "schedule:override:list" }]]
+                });
+                await answerCallbackQuery(queryId, "لطفاً زمان جلسه جدید را ارسال کنید...");
+            }
+        }
+        else if (params[0] === 'extra') {
+            const courses = [...new Map((await getUserScheduleLessons(userId)).map(l => [l.lesson, l])).values()];
+            if (courses.length === 0) {
+                await answerCallbackQuery(queryId, "برنامه شما درسی ندارد؛ ابتدا درس‌ها را اضافه کنید.", true);
+                return;
+            }
+            await editMessageText(chatId, messageId, "🔁 *جلسه جبرانی*\n\nجلسه جبرانی برای کدام درس است؟", {
+                inline_keyboard: [
+                    ...courses.map(l => [{ text: l.lesson.substring(0, 60), callback_data: `schedule:override:extra_lesson:${l.id}` }]),
+                    [{ text: "↩️ بازگشت", callback_data: "schedule:override:list" }]
+                ]
+            });
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'extra_lesson') {
+            const lesson = await getScheduleLesson(userId, parseInt(params[1]));
+            if (!lesson) {
+                await editMessageText(chatId, messageId, "⚠️ این درس دیگر در برنامه نیست.", backMarkup);
+                await answerCallbackQuery(queryId, "یافت نشد", true);
+                return;
+            }
+            await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_override_session", mode: "extra", lessonId: lesson.id }), { expireIn: 10 * 60 * 1000 });
+            await editMessageText(chatId, messageId, `🔁 *جلسه جبرانی ${lesson.lesson}*\n\nتاریخ، ساعت و محل جلسه را بفرستید (اگر محل را ننویسید محل همیشگی درس ثبت می‌شود):\n${OVERRIDE_SESSION_FORMAT}`, {
+                inline_keyboard: [[{ text: "❌ لغو و بازگشت", callback_data: "schedule:override:list" }]]
+            });
+            await answerCallbackQuery(queryId, "لطفاً زمان جلسه را ارسال کنید...");
+        }
+        else if (params[0] === 'delete') {
+            try {
+                const deleted = await deleteScheduleOverride(userId, parseInt(params[1]));
+                await sendScheduleOverrideList(chatId, userId, messageId, deleted ? "🗑 تغییر حذف شد و آن روز طبق برنامه عادی است." : "⚠️ این تغییر قبلاً حذف شده است.");
+                await answerCallbackQuery(queryId, deleted ? "حذف شد" : "");
+            } catch (e) {
+                console.error(`[Overrides] Error deleting override ${params[1]} for ${userId}: ${e.stack}`);
+                await editMessageText(chatId, messageId, `⚠️ خطا در حذف تغییر: ${e.message}`, backMarkup);
+                await answerCallbackQuery(queryId, "خطا در حذف", true);
+            }
+        }
+    }
+    else if (action === 'trash') {
+        if (params[0] === 'list') {
+            const items = await getScheduleTrash(userId);
+            const listed = items.slice(0, TRASH_MAX_LISTED);
+            let text = `♻️ *سطل زباله برنامه*\n\nموارد حذف‌شده ${TRASH_RETENTION_DAYS} روز نگه داشته می‌شوند و سپس خودکار پاک می‌شوند.\n\n`;
+            if (listed.length === 0) text += "_سطل زباله خالی است._";
+            listed.forEach((item, idx) => {
+                const daysLeft = Math.max(1, Math.ceil((item.deletedAt + TRASH_RETENTION_MS - Date.now()) / MS_PER_DAY));
+                text += `${idx + 1}. ${item.label} — ${item.entries.length} درس (${daysLeft} روز باقی‌مانده)\n`;
+            });
+            if (items.length > listed.length) text += `\n... و ${items.length - listed.length} مورد قدیمی‌تر`;
+            await editMessageText(chatId, messageId, text, {
+                inline_keyboard: [
+                    ...listed.map((item, idx) => [{ text: `♻️ ${idx + 1}. ${item.label}`.substring(0, 60), callback_data: `schedule:trash:restore:${item.id}` }]),
+                    [{ text: "↩️ بازگشت (منو حذف)", callback_data: "schedule:delete:main" }]
+                ]
+            });
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'restore') {
+            const backMarkup = { inline_keyboard: [[{ text: "♻️ سطل زباله", callback_data: "schedule:trash:list" }, { text: "↩️ منو برنامه", callback_data: "menu:schedule" }]] };
+            try {
+                const restored = await restoreFromScheduleTrash(userId, params[1]);
+                if (!restored) {
+                    await editMessageText(chatId, messageId, "⚠️ این مورد قبلاً بازگردانی شده یا مهلت نگهداری آن تمام شده است.", backMarkup);
+                    await answerCallbackQuery(queryId, "یافت نشد", true);
+                    return;
+                }
+                let text = `♻️ *${restored.item.label}* بازگردانی شد.\n\n✅ ${restored.savedCount} درس برگشت.`;
+                if (restored.skippedCount > 0) text += `\n⏭ ${restored.skippedCount} درس از قبل در برنامه بود.`;
+                if (restored.failures.length > 0) text += `\n⚠️ بازگردانی ${restored.failures.length} درس ناموفق بود (در سطل زباله ماند):\n${restored.failures.join("\n")}`;
+                await editMessageText(chatId, messageId, text, backMarkup);
+                await answerCallbackQuery(queryId, "بازگردانی شد");
+            } catch (e) {
+                console.error(`[Trash] Error restoring ${params[1]} for user ${userId}: ${e.stack}`);
+                await editMessageText(chatId, messageId, `⚠️ خطا در بازگردانی: ${e.message}`, backMarkup);
+                await answerCallbackQuery(queryId, "خطا در بازگردانی", true);
+            }
+        }
+    }
+    else if (action === 'edit') {
+        if (params[0] === 'select_week') {
+            const replyMarkup = {
+                inline_keyboard: [
+                    [{ text: "هفته فرد 🟣", callback_data: "schedule:edit:select_day:odd" }, { text: "هفته زوج 🟢", callback_data: "schedule:edit:select_day:even" }],
+                    [{ text: "هر هفته 🔁", callback_data: "schedule:edit:select_day:both" }],
+                    [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+                ]
+            };
+            await editMessageText(chatId, messageId, "✏️ *ویرایش درس*\n\nلطفاً هفته مورد نظر را انتخاب کنید:", replyMarkup);
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'select_day') {
+            const weekType = params[1];
+            const weekLabel = formatWeekTypeLabel(weekType);
+            const schedule = await getUserSchedule(userId);
+            const dayButtons = Object.keys(schedule.odd_week_schedule)
+                .filter(dayKey => getWeekTypeLessons(schedule, weekType, dayKey).length > 0)
+                .map(dayKey => ({
+                    text: PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(dayKey)],
+                    callback_data: `schedule:edit:select_lesson:${weekType}:${dayKey}`
+                }));
+            if (dayButtons.length === 0) {
+                await editMessageText(chatId, messageId, `⚠️ در هفته ${weekLabel} هیچ درسی برای ویرایش ثبت نشده است.`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "schedule:edit:select_week" }]] });
+                await answerCallbackQuery(queryId, "برنامه‌ای یافت نشد");
+                return;
+            }
+            const rows = []; for (let i = 0; i < dayButtons.length; i += 2) { rows.push(dayButtons.slice(i, i + 2)); }
+            const replyMarkup = {
+                inline_keyboard: [
+                    ...rows,
+                    [{ text: "↩️ بازگشت (انتخاب هفته)", callback_data: "schedule:edit:select_week" }]
+                ]
+            };
+            await editMessageText(chatId, messageId, `✏️ *ویرایش درس (هفته ${weekLabel})*\n\nلطفاً روز مورد نظر را انتخاب کنید:`, replyMarkup);
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'select_lesson') {
+            const weekType = params[1];
+            const day = params[2];
+            const weekLabel = formatWeekTypeLabel(weekType);
+            const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)];
+            const schedule = await getUserSchedule(userId);
+            const lessons = getWeekTypeLessons(schedule, weekType, day);
+            if (lessons.length === 0) {
+                await editMessageText(chatId, messageId, `⚠️ در روز ${dayLabel} (${weekLabel}) درسی برای ویرایش یافت نشد.`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:edit:select_day:${weekType}` }]] });
+                await answerCallbackQuery(queryId, "درسی یافت نشد");
+                return;
+            }
+            const lessonButtons = lessons.map((l, idx) => ([{
+                text: `✏️ ${idx + 1}. ${l.lesson} (${l.start_time}-${l.end_time})${l.weekType === "both" && weekType !== "both" ? " 🔁" : ""}`,
+                callback_data: `schedule:edit:lesson:${l.id}`
+            }]));
+            const replyMarkup = {
+                inline_keyboard: [
+                    ...lessonButtons,
+                    [{ text: "↩️ بازگشت (انتخاب روز)", callback_data: `schedule:edit:select_day:${weekType}` }]
+                ]
+            };
+            await editMessageText(chatId, messageId, `✏️ *ویرایش درس*\nروز: ${dayLabel} | هفته: ${weekLabel}\n\nکدام درس را می‌خواهید ویرایش کنید؟`, replyMarkup);
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'lesson') {
+            const lesson = await getScheduleLesson(userId, parseInt(params[1]));
+            if (!lesson) {
+                await editMessageText(chatId, messageId, "⚠️ این درس دیگر وجود ندارد.", { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "schedule:edit:select_week" }]] });
+                await answerCallbackQuery(queryId, "درس یافت نشد", true);
+                return;
+            }
+            const { text, replyMarkup } = buildLessonEditMenu(lesson);
+            await editMessageText(chatId, messageId, text, replyMarkup);
+            await answerCallbackQuery(queryId);
+        }
+        else if (params[0] === 'field') {
+            const lessonId = parseInt(params[1]);
+            const version = parseInt(params[2]);
+            const field = params[3];
+            const lesson = await getScheduleLesson(userId, lessonId);
+            if (!lesson || lesson.version !== version || !LESSON_EDIT_FIELDS[field]) {
+                await editMessageText(chatId, messageId, "⚠️ این درس در این فاصله حذف یا ویرایش شده است. لطفاً دوباره انتخاب کنید.", { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: lesson ? `schedule:edit:lesson:${lesson.id}` : "schedule:edit:select_week" }]] });
+                await answerCallbackQuery(queryId, "درس تغییر کرده است", true);
+                return;
+            }
+            await kv.set([`state:${user.id}`], JSON.stringify({
+                name: "awaiting_lesson_edit",
+                lessonId: lessonId,
+                version: version,
+                field: field
+            }), { expireIn: 10 * 60 * 1000 });
+            const { label, column } = LESSON_EDIT_FIELDS[field];
+            let messageText = `✏️ *ویرایش ${label}*\n\nمقدار فعلی: \`${String(lesson[column] ?? '') || '-'}\`\n\nلطفاً مقدار جدید را ارسال کنید.`;
+            if (field === 'start' || field === 'end') messageText += "\nساعت را به فرمت `HH:MM` (مانند `13:30` یا `08:00`) وارد کنید.";
+            if (LESSON_EDIT_FIELDS[field].optional) messageText += `\n${LESSON_EDIT_FIELDS[field].prompt}\nبرای پاک کردن، \`-\` بفرستید.`;
+            await editMessageText(chatId, messageId, messageText, { inline_keyboard: [[{ text: "❌ لغو و بازگشت", callback_data: `schedule:edit:lesson:${lesson.id}` }]] });
+            await answerCallbackQuery(queryId, `لطفاً ${label} جدید را وارد کنید...`);
+        }
+    }
+    else {
+         console.warn(`[ScheduleCallback] Unhandled action: ${action} with params: ${params}`);
+         await answerCallbackQuery(queryId); 
+    }
+}
+// Preview of a shared schedule for a recipient; messageId edits an existing message instead of sending one.
+async function showSharedSchedule(chatId, userId, code, messageId = null) {
+    const show = (text, replyMarkup) => messageId ? editMessageText(chatId, messageId, text, replyMarkup) : sendMessage(chatId, text, replyMarkup);
+    const share = await getScheduleShareByCode(code);
+    if (!share) {
+        await show("⚠️ این لینک اشتراک معتبر نیست یا توسط صاحب آن لغو شده است.", { inline_keyboard: [[{ text: "🏠 منوی اصلی", callback_data: "menu:help" }]] });
+        return;
+    }
+    if (share.owner_id === userId) {
+        await show("ℹ️ این لینک اشتراک برنامه خود شماست. آن را برای هم‌کلاسی‌هایتان بفرستید.", { inline_keyboard: [[{ text: "🔗 مدیریت اشتراک", callback_data: "share:menu" }]] });
+        return;
+    }
+    const lessons = await getUserScheduleLessons(share.owner_id);
+    const { data: owner } = await supabase.from("users").select("full_name").eq("user_id", share.owner_id).maybeSingle();
+    let text = `📥 *برنامه به اشتراک گذاشته‌شده${owner?.full_name ? ` توسط ${owner.full_name}` : ""}*\n\n`;
+    if (lessons.length === 0) {
+        await show(text + "_این برنامه در حال حاضر خالی است._", { inline_keyboard: [[{ text: "🏠 منوی اصلی", callback_data: "menu:help" }]] });
+        return;
+    }
+    for (const day of ENGLISH_WEEKDAYS) {
+        const dayLessons = lessons.filter(l => l.day === day);
+        if (dayLessons.length === 0) continue;
+        text += `*${PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(day)]}:*\n`;
+        dayLessons.forEach(l => {
+            text += ` • *${l.lesson}* (${formatWeekTypeLabel(l.weekType)}) ⏰ ${l.start_time}-${l.end_time}\n`;
+        });
+    }
+    text += "\nمی‌توانید کل این برنامه یا فقط درس‌های دلخواه را به برنامه خود اضافه کنید.";
+    await show(text, {
+        inline_keyboard: [
+            [{ text: `📋 کپی همه (${lessons.length} درس)`, callback_data: `share:copy_all:${code}` }],
+            [{ text: "☑️ انتخاب درس‌ها", callback_data: `share:pick:${code}` }],
+            [{ text: "❌ نه، ممنون", callback_data: "menu:help" }]
+        ]
+    });
+}
+async function handleShareCallback(query, action, params) {
+    const { id: queryId, from: user, message } = query;
+    const { chat: { id: chatId }, message_id: messageId } = message;
+    const userId = user.id;
+    await addUser(user, message.chat);
+    const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]] };
+    if (action === 'menu' || action === 'create' || action === 'revoke') {
+        let notice = "";
+        if (action === 'create') {
+            await createScheduleShare(userId);
+            notice = "✅ لینک اشتراک ساخته شد.\n\n";
+        } else if (action === 'revoke') {
+            const revokedCount = await revokeScheduleShares(userId);
+            notice = revokedCount > 0 ? "🚫 لینک قبلی لغو شد و دیگر کار نمی‌کند.\n\n" : "";
+        }
+        const share = await getActiveScheduleShare(userId);
+        const shareLink = share ? await buildShareLink(share.share_code) : null;
+        let text = `${notice}🔗 *اشتراک‌گذاری برنامه*\n\n`;
+        if (share) {
+            // In code style: the "_" in the start payload would otherwise open an italic entity
+            text += `هر کسی این لینک را باز کند، برنامه فعلی شما را می‌بیند و می‌تواند آن را در برنامه خودش کپی کند:\n\n\`${shareLink}\`\n\n` +
+                    "تغییرات بعدی برنامه شما هم از طریق همین لینک دیده می‌شود.";
+        } else {
+            text += "با ساخت لینک اشتراک، هم‌کلاسی‌هایتان می‌توانند برنامه شما را ببینند و کپی کنند. هر زمان بخواهید می‌توانید لینک را لغو کنید.";
+        }
+        await editMessageText(chatId, messageId, text, {
+            inline_keyboard: [
+                ...(share ? [[{ text: "📤 ارسال لینک برای دیگران", url: `https://t.me/share/url?url=${encodeURIComponent(shareLink)}` }]] : []),
+                share ? [{ text: "🚫 لغو لینک", callback_data: "share:revoke" }] : [{ text: "🔗 ساخت لینک اشتراک", callback_data: "share:create" }],
+                [{ text: "↩️ بازگشت (منو برنامه)", callback_data: "menu:schedule" }]
+            ]
+        });
+        await answerCallbackQuery(queryId);
+        return;
+    }
+    const code = params[0];
+    const share = code ? await getScheduleShareByCode(code) : null;
+    if (!share || share.owner_id === userId) {
+        await editMessageText(chatId, messageId, "⚠️ این لینک اشتراک دیگر معتبر نیست.", backMarkup);
+        await answerCallbackQuery(queryId, "لینک نامعتبر", true);
+        return;
+    }
+    const ownerLessons = await getUserScheduleLessons(share.owner_id);
+    if (action === 'pick' || action === 'toggle') {
+        const pickKey = [`share_pick:${userId}`];
+        const stored = (await kv.get(pickKey)).value;
+        let selected = stored ? JSON.parse(stored) : null;
+        if (!selected || selected.code !== code || action === 'pick') selected = { code, lessonIds: [] };
+        if (action === 'toggle') {
+            const lessonId = parseInt(params[1]);
+            selected.lessonIds = selected.lessonIds.includes(lessonId) ? selected.lessonIds.filter(id => id !== lessonId) : [...selected.lessonIds, lessonId];
+        }
+        await kv.set(pickKey, JSON.stringify(selected), { expireIn: 30 * 60 * 1000 });
+        const lessonButtons = ownerLessons.map(l => [{
+            text: `${selected.lessonIds.includes(l.id) ? "✅" : "⬜️"} ${PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(l.day)]} ${l.start_time} - ${l.lesson}${l.weekType === "both" ? " 🔁" : ""}`.substring(0, 60),
+            callback_data: `share:toggle:${code}:${l.id}`
+        }]);
+        await editMessageText(chatId, messageId, "☑️ *انتخاب درس‌ها*\n\nدرس‌هایی را که می‌خواهید به برنامه شما اضافه شوند انتخاب کنید:", {
+            inline_keyboard: [
+                ...lessonButtons,
+                selected.lessonIds.length > 0 ? [{ text: `💾 افزودن ${selected.lessonIds.length} درس انتخاب‌شده`, callback_data: `share:copy_selected:${code}` }] : [],
+                [{ text: "↩️ بازگشت", callback_data: `share:preview:${code}` }]
+            ].filter(row => row.length > 0)
+        });
+        await answerCallbackQuery(queryId);
+    }
+    else if (action === 'preview') {
+        await showSharedSchedule(chatId, userId, code, messageId);
+        await answerCallbackQuery(queryId);
+    }
+    else if (action === 'copy_all' || action === 'copy_selected') {
+        let lessonsToCopy = ownerLessons;
+        if (action === 'copy_selected') {
+            const stored = (await kv.get([`share_pick:${userId}`])).value;
+            const selectedIds = stored ? JSON.parse(stored).lessonIds : [];
+            lessonsToCopy = ownerLessons.filter(l => selectedIds.includes(l.id));
+            await kv.delete([`share_pick:${userId}`]);
+        }
+        if (lessonsToCopy.length === 0) {
+            await answerCallbackQuery(queryId, "هیچ درسی انتخاب نشده است.", true);
+            return;
+        }
+        try {
+            const { savedCount, skippedCount, failures } = await copyLessonsIntoSchedule(userId, lessonsToCopy.map(toLessonEntry));
+            let text = `✅ ${savedCount} درس به برنامه شما اضافه شد.`;
+            if (skippedCount > 0) text += `\n↪️ ${skippedCount} درس از قبل در برنامه شما بود.`;
+            if (failures.length > 0) text += `\n\n⚠️ ${failures.length} درس ذخیره نشد:\n${failures.join("\n")}`;
+            await editMessageText(chatId, messageId, text, {
+                inline_keyboard: [
+                    [{ text: "📅 مشاهده برنامه کامل", callback_data: "schedule:view:full" }, { text: "🔍 بررسی تداخل‌ها", callback_data: "schedule:conflict:scan" }],
+                    [{ text: "🏠 منوی اصلی", callback_data: "menu:help" }]
+                ]
+            });
+            await answerCallbackQuery(queryId, "انجام شد");
+        } catch (e) {
+            console.error(`[Share] Error copying shared schedule ${code} for user ${userId}: ${e.stack}`);
+            await editMessageText(chatId, messageId, `⚠️ خطا در کپی برنامه: ${e.message}`, backMarkup);
+            await answerCallbackQuery(queryId, "خطا در کپی", true);
+        }
+    }
+    else {
+        console.warn(`[ShareCallback] Unhandled action: ${action} with params: ${params}`);
+        await answerCallbackQuery(queryId);
+    }
+}
+async function handleAdminCallback(query, action, params) {
+     const { id: queryId, from: user, message } = query;
+     const { chat: { id: chatId }, message_id: messageId } = message;
+     if (action === 'panel') {
+        await handleAdminCommand({ ...message, from: user, callback_query_id: queryId }, true);
+        await answerCallbackQuery(queryId);
+     }
+     else if (action === 'stats') {
+        await handleStatsCommand({ ...message, from: user, callback_query_id: queryId }, true);
+        // answerCallbackQuery is handled inside handleStatsCommand
+     }
+     else if (action === 'semesters') {
+        await handleSemesterAdminCallback(query, params);
+     }
+     else if (action === 'holidays') {
+        await handleHolidayAdminCallback(query, params);
+     }
+     // Note: Broadcast confirm/cancel moved to main handleCallbackQuery for clarity
+     else {
+        console.warn(`[AdminCallback] Unhandled admin action: ${action} with params: ${params}`);
+        await answerCallbackQuery(queryId);
+    }
+}
+function formatSemesterSummary(semester) {
+    let text = `*${semester.name}*\n   📅 ${formatJalaliDate(semester.startJalali)} تا ${formatJalaliDate(semester.endJalali)}\n   شروع با هفته *${PARITY_LABELS[semester.startParity]}*\n`;
+    semester.resets.forEach(reset => {
+        text += `   🔁 از ${formatJalaliDate(reset.jalali)}: هفته *${PARITY_LABELS[reset.parity]}*\n`;
+    });
+    return text;
+}
+function parseParityInput(text) {
+    const normalized = String(text || "").trim().toLowerCase();
+    if (normalized === "زوج" || normalized === "even") return "even";
+    if (normalized === "فرد" || normalized === "odd") return "odd";
+    return null;
+}
+async function handleSemesterAdminCallback(query, params) {
+    const { id: queryId, from: user, message } = query;
+    const { chat: { id: chatId }, message_id: messageId } = message;
+    const subAction = params[0];
+    const semesterId = params[1] ? parseInt(params[1]) : null;
+    const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت به ترم‌ها", callback_data: "admin:semesters:list" }]] };
+    if (subAction === 'list') {
+        const semesters = await getSemesters(true);
+        let text = `🗓 *مدیریت ترم‌ها*\n\n`;
+        const profiles = [{ id: null, name: DEFAULT_CALENDAR_PROFILE_NAME }, ...(await getCalendarProfiles(true))];
+        if (semesters.length === 0) {
+            text += "_هنوز هیچ ترمی تعریف نشده است. تا زمانی که ترمی اضافه نشود، وضعیت هفته «خارج از ترم» نمایش داده می‌شود._\n\n";
+        }
+        profiles.forEach(profile => {
+            const profileSemesters = semesters.filter(s => s.profileId === profile.id);
+            text += `🎓 *${profile.name}*\n`;
+            if (profileSemesters.length === 0) {
+                text += profile.id === null ? "   _بدون ترم_\n\n" : "   _بدون ترم (از تقویم پیش‌فرض پیروی می‌کند)_\n\n";
+            } else {
+                profileSemesters.forEach((s, idx) => { text += `${idx + 1}. ${formatSemesterSummary(s)}\n`; });
+            }
+        });
+        const semesterButtons = semesters.map(s => ([
+            { text: `🔁 ریست زوج/فرد ${s.name}`, callback_data: `admin:semesters:reset:${s.id}` },
+            { text: `🗑️ حذف`, callback_data: `admin:semesters:confirm_delete:${s.id}` },
+        ]));
+        const addButtons = profiles.map(p => ([
+            { text: `➕ ترم جدید برای ${p.name}`, callback_data: `admin:semesters:add:${p.id === null ? "default" : p.id}` },
+            ...(p.id === null ? [] : [
+                { text: `⏰ ساعت‌ها`, callback_data: `admin:semesters:slots:${p.id}` },
+                { text: `📆 روزها`, callback_data: `admin:semesters:days:${p.id}` }
+            ])
+        ]));
+        await editMessageText(chatId, messageId, text, {
+            inline_keyboard: [
+                ...semesterButtons,
+                ...addButtons,
+                [{ text: "🎓 افزودن تقویم (دانشکده) جدید", callback_data: "admin:semesters:add_profile" }],
+                [{ text: "↩️ بازگشت به پنل ادمین", callback_data: "admin:panel" }],
+            ]
+        });
+        await answerCallbackQuery(queryId);
+    }
+    else if (subAction === 'slots') {
+        const profile = (await getCalendarProfiles()).find(p => p.id === parseInt(params[1]));
+        if (!profile) {
+            await editMessageText(chatId, messageId, "⚠️ تقویم مورد نظر یافت نشد.", backMarkup);
+            await answerCallbackQuery(queryId, "تقویم یافت نشد", true);
+            return;
+        }
+        await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_profile_time_slots", profileId: profile.id }), { expireIn: 10 * 60 * 1000 });
+        const text = `⏰ *ساعت‌های کلاس - ${profile.name}*\n\nساعت‌های فعلی${profile.timeSlots ? "" : " (پیش‌فرض)"}:\n${formatTimeSlots(profile.timeSlots || DEFAULT_TIME_SLOTS)}\n\n` +
+                     "بازه‌های جدید را ارسال کنید (هر بازه در یک خط یا جدا شده با کاما)، مثال:\n`7:30-9:30, 9:30-11:30, 13:00-15:00`\n\n" +
+                     "برای بازگشت به ساعت‌های پیش‌فرض، کلمه `پیش‌فرض` را ارسال کنید.";
+        await editMessageText(chatId, messageId, text, { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin:semesters:list" }]] });
+        await answerCallbackQuery(queryId, "منتظر ساعت‌ها...");
+    }
+    else if (subAction === 'days' || subAction === 'days_toggle' || subAction === 'days_reset') {
+        const profile = (await getCalendarProfiles()).find(p => p.id === parseInt(params[1]));
+        if (!profile) {
+            await editMessageText(chatId, messageId, "⚠️ تقویم مورد نظر یافت نشد.", backMarkup);
+            await answerCallbackQuery(queryId, "تقویم یافت نشد", true);
+            return;
+        }
+        let days = profile.workingDays || DEFAULT_WORKING_DAYS;
+        try {
+            if (subAction === 'days_toggle' && ENGLISH_WEEKDAYS.includes(params[2])) {
+                const updatedDays = days.includes(params[2]) ? days.filter(d => d !== params[2]) : [...days, params[2]];
+                if (updatedDays.length === 0) {
+                    await answerCallbackQuery(queryId, "⚠️ حداقل یک روز باید انتخاب شده باشد.", true);
+                    return;
+                }
+                days = normalizeWorkingDays(updatedDays);
+                await saveProfileWorkingDays(profile.id, days);
+            } else if (subAction === 'days_reset') {
+                await saveProfileWorkingDays(profile.id, null);
+                days = DEFAULT_WORKING_DAYS;
+            }
+        } catch (e) {
+            await answerCallbackQuery(queryId, `⚠️ خطا در ذخیره روزها: ${e.message}`, true);
+            return;
+        }
+        await editMessageText(chatId, messageId, `📆 *روزهای کلاس - ${profile.name}*\n\n${formatWorkingDays(days)}\n\nکاربرانی که روزهای شخصی تنظیم نکرده‌اند از این روزها پیروی می‌کنند.`, {
+            inline_keyboard: [
+                ...buildWorkingDayButtons(days, `admin:semesters:days_toggle:${profile.id}`),
+                [{ text: "♻️ پیش‌فرض (شنبه تا چهارشنبه)", callback_data: `admin:semesters:days_reset:${profile.id}` }],
+                [{ text: "↩️ بازگشت به ترم‌ها", callback_data: "admin:semesters:list" }],
+            ]
+        });
+        await answerCallbackQuery(queryId);
+    }
+    else if (subAction === 'add_profile') {
+        await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_calendar_profile_name" }), { expireIn: 10 * 60 * 1000 });
+        await editMessageText(chatId, messageId, "🎓 *افزودن تقویم جدید*\n\nنام دانشکده یا دانشگاه را ارسال کنید (مثال: `دانشکده فنی`).", { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin:semesters:list" }]] });
+        await answerCallbackQuery(queryId, "منتظر نام تقویم...");
+    }
+    else if (subAction === 'add') {
+        const profileId = params[1] && params[1] !== 'default' ? parseInt(params[1]) : null;
+        await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_semester_details", profileId }), { expireIn: 10 * 60 * 1000 });
+        const text = `➕ *افزودن ترم جدید (${await getCalendarProfileName(profileId)})*\n\nاطلاعات ترم را با فرمت زیر ارسال کنید:\n` +
+                     "`نام ترم` - `تاریخ شروع` - `تاریخ پایان` - `زوج/فرد`\n\n" +
+                     "*مثال:*\n`نیمسال دوم ۱۴۰۳-۱۴۰۴` - `1403/11/20` - `1404/04/10` - `فرد`\n\n" +
+                     "آخرین بخش مشخص می‌کند هفته اول ترم زوج است یا فرد.";
+        await editMessageText(chatId, messageId, text, { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin:semesters:list" }]] });
+        await answerCallbackQuery(queryId, "منتظر اطلاعات ترم...");
+    }
+    else if (subAction === 'reset') {
+        const semester = (await getSemesters()).find(s => s.id === semesterId);
+        if (!semester) {
+            await editMessageText(chatId, messageId, "⚠️ ترم مورد نظر یافت نشد.", backMarkup);
+            await answerCallbackQuery(queryId, "ترم یافت نشد", true);
+            return;
+        }
+        await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_parity_reset", semesterId }), { expireIn: 10 * 60 * 1000 });
+        const text = `🔁 *ریست زوج/فرد - ${semester.name}*\n\nاز تاریخی که وارد می‌کنید، شمارش هفته‌ها دوباره شروع می‌شود (مثلاً بعد از تعطیلات).\n` +
+                     "با فرمت زیر ارسال کنید:\n`تاریخ` - `زوج/فرد`\n\n*مثال:* `1404/01/16` - `فرد`";
+        await editMessageText(chatId, messageId, text, { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin:semesters:list" }]] });
+        await answerCallbackQuery(queryId, "منتظر تاریخ ریست...");
+    }
+    else if (subAction === 'confirm_delete') {
+        const semester = (await getSemesters()).find(s => s.id === semesterId);
+        if (!semester) {
+            await editMessageText(chatId, messageId, "⚠️ ترم مورد نظر یافت نشد.", backMarkup);
+            await answerCallbackQuery(queryId, "ترم یافت نشد", true);
+            return;
+        }
+        await editMessageText(chatId, messageId, `❓ *تایید حذف ترم*\n\n${formatSemesterSummary(semester)}\nآیا مطمئن هستید؟`, {
+            inline_keyboard: [
+                [{ text: "✅ بله، حذف کن", callback_data: `admin:semesters:execute_delete:${semesterId}` }],
+                [{ text: "❌ نه، بازگشت", callback_data: "admin:semesters:list" }],
+            ]
+        });
+        await answerCallbackQuery(queryId);
+    }
+    else if (subAction === 'execute_delete') {
+        try {
+            await deleteSemester(semesterId);
+            await editMessageText(chatId, messageId, "✅ ترم حذف شد.", backMarkup);
+            await answerCallbackQuery(queryId, "ترم حذف شد");
+        } catch (e) {
+            await editMessageText(chatId, messageId, `⚠️ خطا در حذف ترم: ${e.message}`, backMarkup);
+            await answerCallbackQuery(queryId, "خطا در حذف", true);
+        }
+    }
+    else {
+        console.warn(`[AdminCallback] Unhandled semesters action: ${subAction}`);
+        await answerCallbackQuery(queryId);
+    }
+}
+function formatHolidaySummary(holiday) {
+    if (holiday.calendar === "closure") {
+        const range = holiday.startDate.getTime() === holiday.endDate.getTime()
+            ? formatJalaliDate(holiday.startJalali)
+            : `${formatJalaliDate(holiday.startJalali)} تا ${formatJalaliDate(holiday.endJalali)}`;
+        return `⛔️ ${holiday.title} (${range})`;
+    }
+    const calendarLabel = holiday.calendar === "hijri" ? "قمری" : "شمسی";
+    return `🔁 ${holiday.title} (هر سال ${holiday.day}/${holiday.month} ${calendarLabel})`;
+}
+async function handleHolidayAdminCallback(query, params) {
+    const { id: queryId, from: user, message } = query;
+    const { chat: { id: chatId }, message_id: messageId } = message;
+    const subAction = params[0];
+    const holidayId = params[1] ? parseInt(params[1]) : null;
+    const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت به تعطیلات", callback_data: "admin:holidays:list" }]] };
+    if (subAction === 'list') {
+        const todayUTC = getTehranTodayUTC();
+        const holidays = (await getHolidays(true)).filter(h => h.calendar !== "closure" || h.endDate >= todayUTC);
+        let text = `🏖 *تعطیلات و تعطیلی‌ها*\n\n`;
+        text += `تعطیلات رسمی (${OFFICIAL_HOLIDAYS.length} مناسبت شمسی و قمری) به صورت خودکار اعمال می‌شوند.\n`;
+        text += `🌙 برای اینکه تعطیلات قمری درست بیفتند، آغاز هر ماه قمری را طبق اعلام رسمی ثبت کنید.\n\n`;
+        if (holidays.length === 0) {
+            text += "_هیچ تعطیلی اضافه‌ای ثبت نشده است._\n";
+        } else {
+            text += `*موارد ثبت‌شده:*\n`;
+            holidays.forEach((h, idx) => { text += `${idx + 1}. ${formatHolidaySummary(h)}\n`; });
+        }
+        const deleteButtons = holidays.map((h, idx) => ([{ text: `🗑️ حذف ${idx + 1}. ${h.title}`, callback_data: `admin:holidays:delete:${h.id}` }]));
+        await editMessageText(chatId, messageId, text, {
+            inline_keyboard: [
+                ...deleteButtons,
+                [{ text: "➕ ثبت تعطیلی جدید", callback_data: "admin:holidays:add" }],
+                [{ text: "🌙 آغاز ماه‌های قمری", callback_data: "admin:holidays:hijri" }],
+                [{ text: "↩️ بازگشت به پنل ادمین", callback_data: "admin:panel" }],
+            ]
+        });
+        await answerCallbackQuery(queryId);
+    }
+    else if (subAction === 'add') {
+        await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_closure_details" }), { expireIn: 10 * 60 * 1000 });
+        const text = "➕ *ثبت تعطیلی*\n\nبا یکی از فرمت‌های زیر ارسال کنید:\n" +
+                     "`تاریخ` - `عنوان`\n`تاریخ شروع` تا `تاریخ پایان` - `عنوان`\n\n" +
+                     "*مثال:*\n`1403/09/20` - `آلودگی هوا`\n`1403/09/20` تا `1403/09/22` - `آلودگی هوا`";
+        await editMessageText(chatId, messageId, text, { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin:holidays:list" }]] });
+        await answerCallbackQuery(queryId, "منتظر اطلاعات تعطیلی...");
+    }
+    else if (subAction === 'hijri') {
+        await getHolidays(true);
+        const monthStarts = holidayCache.hijriMonthStarts.slice(-12);
+        const todayHijri = getHijriDateParts(getTehranTodayUTC(), holidayCache.hijriMonthStarts);
+        let text = `🌙 *آغاز ماه‌های قمری*\n\nامروز طبق محاسبه ربات: ${todayHijri.day} ${HIJRI_MONTH_NAMES[todayHijri.month - 1]} ${todayHijri.year}\n\n`;
+        text += monthStarts.length === 0 ? "_هنوز آغاز هیچ ماهی ثبت نشده؛ تقویم قمری محاسباتی استفاده می‌شود._\n" : `*ثبت‌شده‌ها:*\n`;
+        monthStarts.forEach((m, idx) => { text += `${idx + 1}. ${HIJRI_MONTH_NAMES[m.month - 1]} ${m.year}: ${formatJalaliDate(m.jalali)}\n`; });
+        await editMessageText(chatId, messageId, text, {
+            inline_keyboard: [
+                ...monthStarts.map((m, idx) => [{ text: `🗑️ حذف ${idx + 1}. ${HIJRI_MONTH_NAMES[m.month - 1]} ${m.year}`, callback_data: `admin:holidays:hijri_delete:${m.id}` }]),
+                [{ text: "➕ ثبت آغاز ماه قمری", callback_data: "admin:holidays:hijri_add" }],
+                [{ text: "↩️ بازگشت به تعطیلات", callback_data: "admin:holidays:list" }],
+            ]
+        });
+        await answerCallbackQuery(queryId);
+    }
+    else if (subAction === 'hijri_add') {
+        await kv.set([`state:${user.id}`], JSON.stringify({ name: "awaiting_hijri_month_start" }), { expireIn: 10 * 60 * 1000 });
+        const text = "🌙 *ثبت آغاز ماه قمری*\n\nبا فرمت زیر ارسال کنید:\n`سال/ماه قمری` - `تاریخ شمسی اول ماه`\n\n*مثال:*\n`1447/3` - `1404/06/03`";
+        await editMessageText(chatId, messageId, text, { inline_keyboard: [[{ text: "❌ لغو", callback_data: "admin:holidays:hijri" }]] });
+        await answerCallbackQuery(queryId, "منتظر تاریخ آغاز ماه...");
+    }
+    else if (subAction === 'hijri_delete') {
+        const hijriBackMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت به ماه‌های قمری", callback_data: "admin:holidays:hijri" }]] };
+        try {
+            await deleteHijriMonthStart(holidayId);
+            await editMessageText(chatId, messageId, "✅ آغاز ماه قمری حذف شد.", hijriBackMarkup);
+            await answerCallbackQuery(queryId, "حذف شد");
+        } catch (e) {
+            await editMessageText(chatId, messageId, `⚠️ خطا در حذف: ${e.message}`, hijriBackMarkup);
+            await answerCallbackQuery(queryId, "خطا در حذف", true);
+        }
+    }
+    else if (subAction === 'delete') {
+        try {
+            await deleteHoliday(holidayId);
+            await editMessageText(chatId, messageId, "✅ تعطیلی حذف شد.", backMarkup);
+            await answerCallbackQuery(queryId, "حذف شد");
+        } catch (e) {
+            await editMessageText(chatId, messageId, `⚠️ خطا در حذف تعطیلی: ${e.message}`, backMarkup);
+            await answerCallbackQuery(queryId, "خطا در حذف", true);
+        }
+    }
+    else {
+        console.warn(`[AdminCallback] Unhandled holidays action: ${subAction}`);
+        await answerCallbackQuery(queryId);
+    }
+}
+// --- Main Message Handler ---
+// ... (Main Message Handler remains unchanged) ...
+async function handleMessage(message) {
+    const handlerStartTime = Date.now();
+    if (!message || !message.chat || !message.from) {
         console.warn(`[handleMessage] Ignoring message with missing info`);
         return;
     }
@@ -1816,9 +5694,11 @@ async function handleMessage(message) {
         const botInfo = await getBotInfo();
         if (botInfo.id && message.new_chat_members?.some(member => String(member.id) === botInfo.id)) {
             console.log(`[handleMessage:${messageId}] Bot added to group ${chatId} (${chat.title})`);
-            await addGroup(chat); 
+            await addGroup(chat); 
             await logUsage(user, chat, "bot_added_to_group");
-            const welcomeMessage = `سلام! 👋 من ربات وضعیت هفته و برنامه درسی هستم.\nدستورات اصلی:\n/week - نمایش وضعیت هفته\n/help - راهنما\n\nبرای تنظیم برنامه شخصی، در چت خصوصی با من (@${botInfo.username}) صحبت کنید.`;
+            const profileId = await getChatCalendarProfileId(chat, user.id);
+            const weekStatus = await getWeekStatus(profileId);
+            const welcomeMessage = `سلام! 👋 من ربات وضعیت هفته و برنامه درسی هستم.\n📅 وضعیت هفته فعلی (${await getCalendarProfileName(profileId)}): *${weekStatus}*\n\nدستورات اصلی:\n/week - نمایش وضعیت هفته\n/settings - انتخاب تقویم دانشکده (ادمین‌ها)\n/help - راهنما\n\nبرای تنظیم برنامه شخصی، در چت خصوصی با من (@${botInfo.username}) صحبت کنید.`;
             await sendMessage(chatId, welcomeMessage);
             return;
         }
@@ -1832,18 +5712,26 @@ async function handleMessage(message) {
         console.log(`[handleMessage:${messageId}] Ignoring message from bot ${user.id}`);
         return;
     }
+    if (chatType === "private" && message.document) {
+        await handleScheduleFileImport(message);
+        return;
+    }
     if (chatType === "private") {
         const stateResult = await kv.get([`state:${user.id}`]);
         if (stateResult.value) {
             let state;
             try { state = JSON.parse(stateResult.value); } catch (e) { await kv.delete([`state:${user.id}`]); return; }
             console.log(`[handleMessage:${messageId}] User ${user.id} has state: ${state.name}`);
+            const scheduleOwnerId = await getScheduleOwnerId(user.id); // Lesson states edit a group schedule while one is targeted
+            if (scheduleOwnerId === null) {
+                await kv.delete([`state:${user.id}`]);
+                await sendMessage(chatId, GROUP_EDIT_REVOKED_TEXT, { inline_keyboard: [[{ text: "↩️ برنامه شخصی من", callback_data: "menu:schedule" }]] }, messageId);
+                return;
+            }
             if (state.name === "awaiting_teleport_date") {
                  await kv.delete([`state:${user.id}`]); 
                  await logUsage(user, chat, `input:teleport_date`);
-                 const response = await calculateFutureWeekStatus(text); 
-                 const replyMarkup = { inline_keyboard: [ [{ text: "🔮 تلپورت دوباره", callback_data: "teleport:ask_date" }], [{ text: "↩️ بازگشت به منوی اصلی", callback_data: "menu:help" }] ] };
-                 await sendMessage(chatId, response, replyMarkup, messageId);
+                 await replyWithTeleport(message, text);
                  return;
             }
              else if (state.name === "awaiting_lesson_details") {
@@ -1859,49 +5747,456 @@ async function handleMessage(message) {
                  }
                  const [lesson, startTime, endTime, location] = parts;
                  
-                 if (!SCHEDULE_TIME_REGEX.test(startTime) || !SCHEDULE_TIME_REGEX.test(endTime)) {
-                     await sendMessage(chatId, "⚠️ فرمت ساعت باید به صورت `HH:MM` باشد. مثال: `08:30` یا `13:45`", {
+                 const timeError = validateLessonTimes(startTime, endTime);
+                 if (timeError) {
+                     await sendMessage(chatId, timeError, {
                          inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:set:show_day:${state.weekType}:${state.day}` }]]
                      });
                      return;
                  }
-                 const startMinutes = parseTime(startTime);
-                 const endMinutes = parseTime(endTime);
-                 if (startMinutes == null || endMinutes == null || startMinutes >= endMinutes) { // Added null check for parseTime
-                     await sendMessage(chatId, "⚠️ ساعت شروع باید قبل از ساعت پایان و معتبر باشد.", {
-                         inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:set:show_day:${state.weekType}:${state.day}` }]]
+                 try {
+                     const newLesson = { lesson: lesson, start_time: startTime, end_time: endTime, location: location };
+                     const weekLabel = formatWeekTypeLabel(state.weekType);
+                     const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(state.day)];
+                     const conflicts = findLessonConflicts(await getUserSchedule(scheduleOwnerId), state.weekType, state.day, newLesson);
+                     if (conflicts.length > 0) {
+                         await kv.set([`pending_lesson:${user.id}`], JSON.stringify({
+                             weekType: state.weekType,
+                             day: state.day,
+                             lesson: newLesson,
+                             conflicts: conflicts.map(c => ({ id: c.id, version: c.version, weekType: c.weekType }))
+                         }), { expireIn: 10 * 60 * 1000 });
+                         let warningText = `⚠️ *تداخل زمانی*\n\nدرس *${lesson}* (⏰ ${startTime} - ${endTime}) در روز ${dayLabel} (هفته ${weekLabel}) با این درس‌ها تداخل دارد:\n`;
+                         conflicts.forEach(c => {
+                             warningText += `• *${c.lesson}*${c.weekType === "both" ? " 🔁" : ""} ⏰ ${c.start_time} - ${c.end_time} | 📍 ${c.location || '-'}\n`;
+                         });
+                         warningText += "\nچه کاری انجام شود؟";
+                         await sendMessage(chatId, warningText, {
+                             inline_keyboard: [
+                                 [{ text: "✅ در هر صورت ذخیره کن", callback_data: "schedule:conflict:save" }],
+                                 [{ text: conflicts.length > 1 ? "🔄 جایگزین درس‌های بالا شود" : "🔄 جایگزین این درس شود", callback_data: "schedule:conflict:replace" }],
+                                 [{ text: "✏️ ورود مجدد اطلاعات", callback_data: `schedule:set:ask_details:${state.weekType}:${state.day}` }],
+                                 [{ text: "❌ لغو", callback_data: `schedule:set:show_day:${state.weekType}:${state.day}` }]
+                             ]
+                         });
+                         return;
+                     }
+                     const savedLesson = await saveUserSchedule(scheduleOwnerId, state.weekType, state.day, newLesson);
+                     await sendMessage(chatId, `✅ درس *${lesson}* با موفقیت به برنامه روز ${dayLabel} (هفته ${weekLabel}) اضافه شد.`);
+                     await sendDayScheduleAfterSave(chatId, scheduleOwnerId, state.weekType, state.day, savedLesson.id);
+                 } catch (e) {
+                     console.error(`[Schedule] Error saving lesson for user ${user.id}:`, e.stack);
+                     await sendMessage(chatId, `⚠️ خطا در ذخیره درس: ${e.message}`, {
+                         inline_keyboard: [[{ text: "↩️ تلاش مجدد", callback_data: `schedule:set:show_day:${state.weekType}:${state.day}` }]]
                      });
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_lesson_edit") {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:lesson_edit:${state.field}`);
+                 const backMarkup = { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: `schedule:edit:lesson:${state.lessonId}` }]] };
+                 const value = text.trim();
+                 const fieldInfo = LESSON_EDIT_FIELDS[state.field];
+                 try {
+                     const lesson = await getScheduleLesson(scheduleOwnerId, state.lessonId);
+                     if (!lesson || lesson.version !== state.version || !fieldInfo) {
+                         await sendMessage(chatId, "⚠️ این درس در این فاصله حذف یا ویرایش شده است. لطفاً دوباره تلاش کنید.", backMarkup);
+                         return;
+                     }
+                     let newValue = value;
+                     if (fieldInfo.optional) {
+                         const parsed = parseLessonFieldValue(state.field, value);
+                         if (parsed.error) {
+                             await sendMessage(chatId, parsed.error, backMarkup);
+                             return;
+                         }
+                         newValue = parsed.value;
+                     } else if (!value || (state.field === 'name' && value.startsWith("/"))) {
+                         await sendMessage(chatId, `⚠️ ${fieldInfo.label} نمی‌تواند خالی باشد.`, backMarkup);
+                         return;
+                     }
+                     if (state.field === 'start' || state.field === 'end') {
+                         const timeError = state.field === 'start'
+                             ? validateLessonTimes(value, lesson.end_time)
+                             : validateLessonTimes(lesson.start_time, value);
+                         if (timeError) {
+                             await sendMessage(chatId, timeError, backMarkup);
+                             return;
+                         }
+                     }
+                     const updated = await updateUserScheduleLesson(scheduleOwnerId, lesson.id, lesson.version, { [fieldInfo.column]: newValue });
+                     if (!updated) {
+                         await sendMessage(chatId, "⚠️ این درس در این فاصله حذف یا ویرایش شده است. لطفاً دوباره تلاش کنید.", backMarkup);
+                         return;
+                     }
+                     const { text: menuText, replyMarkup } = buildLessonEditMenu(updated, `✅ ${fieldInfo.label} به‌روزرسانی شد.`);
+                     await sendMessage(chatId, menuText, replyMarkup);
+                 } catch (e) {
+                     console.error(`[Schedule] Error editing lesson ${state.lessonId} for user ${user.id}:`, e.stack);
+                     await sendMessage(chatId, `⚠️ خطا در ویرایش درس: ${e.message}`, backMarkup);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_bulk_import") {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:bulk_import`);
+                 const retryMarkup = { inline_keyboard: [[{ text: "📋 ارسال مجدد", callback_data: "schedule:bulk:ask" }, { text: "↩️ بازگشت", callback_data: "menu:schedule" }]] };
+                 const lines = text.split("\n").map((line, idx) => ({ line: line.trim(), lineNumber: idx + 1 })).filter(l => l.line);
+                 if (lines.length === 0 || lines.length > BULK_IMPORT_MAX_LINES) {
+                     await sendMessage(chatId, `⚠️ پیام باید بین ۱ تا ${BULK_IMPORT_MAX_LINES} خط درس داشته باشد.`, retryMarkup);
                      return;
                  }
                  try {
-                     await saveUserSchedule(user.id, state.weekType, state.day, {
-                         lesson: lesson,
-                         start_time: startTime,
-                         end_time: endTime,
-                         location: location
-                     });
-                     const weekLabel = state.weekType === "odd" ? "فرد 🟣" : "زوج 🟢";
-                     const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(state.day)];
-                     await sendMessage(chatId, `✅ درس *${lesson}* با موفقیت به برنامه روز ${dayLabel} (هفته ${weekLabel}) اضافه شد.`);
-                     const schedule = await getUserSchedule(user.id);
-                     const lessons = (state.weekType === "odd" ? schedule.odd_week_schedule[state.day] : schedule.even_week_schedule[state.day]) || [];
-                     let messageText = `🗓️ *برنامه روز ${dayLabel} - هفته ${weekLabel}*\n\n`;
-                     lessons.forEach((l, idx) => {
-                         messageText += `${idx + 1}. *${l.lesson}*\n   ⏰ ${l.start_time} - ${l.end_time}\n   📍 ${l.location || '-'}\n`;
+                     const { days: workingDays } = await getUserWorkingDays(scheduleOwnerId);
+                     const schedule = await getUserSchedule(scheduleOwnerId);
+                     const entries = [];
+                     let conflictCount = 0;
+                     let previewText = "📋 *پیش‌نمایش افزودن گروهی*\n\n";
+                     for (const { line, lineNumber } of lines) {
+                         const parsed = parseBulkLessonLine(line, workingDays);
+                         if (parsed.error) {
+                             previewText += `❌ خط ${lineNumber}: ${parsed.error}\n`;
+                             continue;
+                         }
+                         // Pasted lines can clash with each other too, not only with the stored lessons
+                         const pastedConflicts = entries.filter(e => e.day === parsed.day && lessonsOverlap(e.lesson, parsed.lesson) &&
+                             (e.weekType === "both" || parsed.weekType === "both" || e.weekType === parsed.weekType));
+                         entries.push({ ...parsed, lineNumber });
+                         const dayLabel = PERSIAN_WEEKDAYS[ENGLISH_WEEKDAYS.indexOf(parsed.day)];
+                         previewText += `✅ خط ${lineNumber}: ${dayLabel} (${formatWeekTypeLabel(parsed.weekType)}) *${parsed.lesson.lesson}* ⏰ ${parsed.lesson.start_time}-${parsed.lesson.end_time}\n`;
+                         const conflicts = findLessonConflicts(schedule, parsed.weekType, parsed.day, parsed.lesson);
+                         if (conflicts.length > 0) previewText += `   ⚠️ تداخل با: ${conflicts.map(c => c.lesson).join("، ")}\n`;
+                         if (pastedConflicts.length > 0) previewText += `   ⚠️ تداخل با ${pastedConflicts.map(e => `خط ${e.lineNumber} (${e.lesson.lesson})`).join("، ")}\n`;
+                         if (conflicts.length > 0 || pastedConflicts.length > 0) conflictCount++;
+                     }
+                     if (entries.length === 0) {
+                         await sendMessage(chatId, previewText + "\nهیچ خط معتبری پیدا نشد.", retryMarkup);
+                         return;
+                     }
+                     await kv.set([`bulk_import:${user.id}`], JSON.stringify(entries), { expireIn: 10 * 60 * 1000 });
+                     const invalidCount = lines.length - entries.length;
+                     previewText += `\n${entries.length} درس آماده ذخیره است` + (invalidCount > 0 ? ` و ${invalidCount} خط نادیده گرفته می‌شود.` : ".");
+                     if (conflictCount > 0) previewText += `\n⚠️ ${conflictCount} درس تداخل دارد؛ اگر اشتباه است، خط‌ها را اصلاح و دوباره ارسال کنید.`;
+                     await sendMessage(chatId, previewText, {
+                         inline_keyboard: [
+                             [{ text: `✅ ذخیره ${entries.length} درس`, callback_data: "schedule:bulk:confirm" }],
+                             [{ text: "✏️ ارسال مجدد", callback_data: "schedule:bulk:ask" }, { text: "❌ لغو", callback_data: "schedule:bulk:cancel" }]
+                         ]
                      });
-                     const replyMarkup = {
+                 } catch (e) {
+                     console.error(`[Schedule] Error parsing bulk import for user ${user.id}:`, e.stack);
+                     await sendMessage(chatId, `⚠️ خطا در پردازش درس‌ها: ${e.message}`, retryMarkup);
+                 }
+                 return;
+            }
+             else if (state.name.startsWith("awaiting_task_")) {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:${state.name.replace("awaiting_", "")}`);
+                 const draft = state.draft || {};
+                 const value = text.trim();
+                 if (state.name === "awaiting_task_title") {
+                     if (!value || value.length > TASK_TITLE_MAX_LENGTH) {
+                         await setTaskState(user.id, state.name, draft);
+                         await sendMessage(chatId, `⚠️ عنوان تکلیف باید بین ۱ تا ${TASK_TITLE_MAX_LENGTH} حرف باشد. دوباره بفرستید.`, { inline_keyboard: [[{ text: "❌ لغو", callback_data: "task:cancel" }]] });
+                         return;
+                     }
+                     if (value.startsWith("/")) {
+                         // Most likely a command sent mid-conversation, not a title
+                         await setTaskState(user.id, state.name, draft);
+                         await sendMessage(chatId, "⚠️ عنوان تکلیف نمی‌تواند با `/` شروع شود. عنوان را بفرستید یا برای اجرای دستور، اول «لغو» را بزنید.", { inline_keyboard: [[{ text: "❌ لغو", callback_data: "task:cancel" }]] });
+                         return;
+                     }
+                     await promptTaskLesson(chatId, user.id, { title: value });
+                 } else if (state.name === "awaiting_task_lesson") {
+                     await promptTaskDue(chatId, user.id, { ...draft, lessonId: null, lessonName: value.substring(0, TASK_TITLE_MAX_LENGTH) });
+                 } else if (state.name === "awaiting_task_due") {
+                     await handleTaskDueInput(message, draft);
+                 } else if (state.name === "awaiting_task_time") {
+                     const dueTime = value === "-" ? TASK_DEFAULT_DUE_TIME : normalizeLessonTime(toLatinDigits(value));
+                     if (!SCHEDULE_TIME_REGEX.test(dueTime)) {
+                         await setTaskState(user.id, state.name, draft);
+                         await sendMessage(chatId, "⚠️ فرمت ساعت باید به صورت `HH:MM` باشد (مثلاً `18:00`)، یا `-` برای پایان روز.", { inline_keyboard: [[{ text: "❌ لغو", callback_data: "task:cancel" }]] });
+                         return;
+                     }
+                     await finishTaskDraft(chatId, user.id, { ...draft, due_time: dueTime });
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_exam_details") {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:exam_details`);
+                 const retryMarkup = { inline_keyboard: [[{ text: "✏️ ورود مجدد", callback_data: `exam:add:${state.examType}` }, { text: "↩️ بازگشت", callback_data: "exam:list" }]] };
+                 const parsed = parseExamInput(text, state.examType);
+                 if (parsed.error) {
+                     await sendMessage(chatId, parsed.error, retryMarkup);
+                     return;
+                 }
+                 try {
+                     const exam = await saveExam(user.id, parsed.exam);
+                     const exams = await getUserExams(user.id);
+                     const sameDay = exams.filter(e => e.id !== exam.id && formatJalaliDateKey(e.jalali) === formatJalaliDateKey(exam.jalali));
+                     let reply = `✅ امتحان ${EXAM_TYPES[exam.examType]} *${exam.course}* برای ${formatJalaliDate(exam.jalali)} ساعت ${exam.start_time} ثبت شد (${formatDayCountdown(exam.dateUTC, getTehranTodayUTC())}).`;
+                     if (sameDay.length > 0) {
+                         reply += `\n\n⚠️ *هشدار:* در همین روز امتحان دیگری هم دارید:\n${sameDay.map(e => `• ${e.course} ⏰ ${e.start_time}`).join("\n")}`;
+                     }
+                     await sendMessage(chatId, reply, {
                          inline_keyboard: [
-                             [{ text: "➕ افزودن درس دیگر", callback_data: `schedule:set:ask_details:${state.weekType}:${state.day}` }],
-                             [{ text: "↩️ بازگشت به انتخاب روز", callback_data: `schedule:set:select_day:${state.weekType}` }],
-                             [{ text: "🏠 منوی اصلی", callback_data: "menu:help" }]
+                             [{ text: "➕ امتحان دیگر", callback_data: `exam:add:${exam.examType}` }, { text: "📝 لیست امتحانات", callback_data: "exam:list" }]
                          ]
-                     };
-                     await sendMessage(chatId, messageText, replyMarkup);
+                     });
                  } catch (e) {
-                     console.error(`[Schedule] Error saving lesson for user ${user.id}:`, e.stack);
-                     await sendMessage(chatId, `⚠️ خطا در ذخیره درس: ${e.message}`, {
-                         inline_keyboard: [[{ text: "↩️ تلاش مجدد", callback_data: `schedule:set:show_day:${state.weekType}:${state.day}` }]]
+                     console.error(`[Exams] Error saving exam for user ${user.id}:`, e.stack);
+                     await sendMessage(chatId, `⚠️ خطا در ثبت امتحان: ${e.message}`, retryMarkup);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_override_date") {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:override_date`);
+                 const candidates = parseDateExpression(text, getTehranTodayUTC());
+                 if (candidates.length === 0) {
+                     await sendMessage(chatId, "⚠️ تاریخ وارد شده را متوجه نشدم.\nنمونه‌ها: `1404/09/15`، `15 آذر`، `فردا`، `سه‌شنبه`", {
+                         inline_keyboard: [[{ text: "✏️ ورود مجدد", callback_data: "schedule:override:ask_date" }, { text: "↩️ بازگشت", callback_data: "schedule:override:list" }]]
                      });
+                 } else if (candidates.length > 1) {
+                     const choiceRows = candidates.map(jalali => ([{
+                         text: formatOverrideDay(jalali),
+                         callback_data: `schedule:override:date:${formatJalaliDateKey(jalali).replace(/\//g, "")}`
+                     }]));
+                     await sendMessage(chatId, "🤔 منظورتان کدام تاریخ است؟", { inline_keyboard: [...choiceRows, [{ text: "↩️ بازگشت", callback_data: "schedule:override:list" }]] });
+                 } else {
+                     await showOverrideDateLessons(chatId, scheduleOwnerId, candidates[0]);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_override_session") {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:override_session`);
+                 const retryCallback = state.mode === "move"
+                     ? `schedule:override:move:${state.lessonId}:${state.date.replace(/\//g, "")}`
+                     : `schedule:override:extra_lesson:${state.lessonId}`;
+                 const retryMarkup = { inline_keyboard: [[{ text: "✏️ ورود مجدد", callback_data: retryCallback }, { text: "↩️ بازگشت", callback_data: "schedule:override:list" }]] };
+                 const parsed = parseOverrideSessionInput(text, getTehranTodayUTC());
+                 if (parsed.error) {
+                     await sendMessage(chatId, parsed.error, retryMarkup);
+                     return;
+                 }
+                 try {
+                     const lesson = await getScheduleLesson(scheduleOwnerId, state.lessonId);
+                     if (!lesson) {
+                         await sendMessage(chatId, "⚠️ این درس دیگر در برنامه نیست.", { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "schedule:override:list" }]] });
+                         return;
+                     }
+                     const { session } = parsed;
+                     const saved = await saveScheduleOverride(scheduleOwnerId, {
+                         type: state.mode === "move" ? "move" : "extra",
+                         lessonId: lesson.id,
+                         lessonName: lesson.lesson,
+                         jalali: state.mode === "move" ? parsePersianDate(state.date) : session.jalali,
+                         newJalali: state.mode === "move" ? session.jalali : null,
+                         start_time: session.start_time,
+                         end_time: session.end_time,
+                         location: session.location || lesson.location,
+                     });
+                     await sendScheduleOverrideList(chatId, scheduleOwnerId, null, `✅ ثبت شد: ${formatOverrideLine(saved)}`);
+                 } catch (e) {
+                     console.error(`[Overrides] Error saving override for user ${user.id}:`, e.stack);
+                     await sendMessage(chatId, `⚠️ خطا در ثبت تغییر: ${e.message}`, retryMarkup);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_archive_name") {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:archive_name`);
+                 const name = text.trim();
+                 if (!name || name.length > ARCHIVE_NAME_MAX_LENGTH || name.startsWith("/")) {
+                     await sendMessage(chatId, `⚠️ نام بایگانی باید بین ۱ تا ${ARCHIVE_NAME_MAX_LENGTH} حرف باشد.`, { inline_keyboard: [[{ text: "📥 تلاش مجدد", callback_data: "schedule:archive:ask" }]] });
+                     return;
+                 }
+                 try {
+                     const archive = await createScheduleArchive(scheduleOwnerId, name, state.semesterId ?? null);
+                     await sendArchiveView(chatId, scheduleOwnerId, archive);
+                 } catch (e) {
+                     console.error(`[Archive] Error archiving schedule for user ${user.id}:`, e.stack);
+                     await sendMessage(chatId, `⚠️ خطا در بایگانی برنامه: ${e.message}`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "schedule:archive:list" }]] });
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_lesson_detail") {
+                 await kv.delete([`state:${user.id}`]);
+                 const field = LESSON_DETAIL_STEPS[state.step];
+                 await logUsage(user, chat, `input:lesson_detail:${field}`);
+                 const retryMarkup = { inline_keyboard: [[{ text: "🔄 تلاش مجدد", callback_data: `schedule:details:step:${state.lessonId}:${state.step}` }, { text: "⏭ رد کردن", callback_data: `schedule:details:step:${state.lessonId}:${state.step + 1}` }]] };
+                 const parsed = field ? parseLessonFieldValue(field, text) : { error: "⚠️ مرحله نامعتبر است." };
+                 if (parsed.error) {
+                     await sendMessage(chatId, parsed.error, retryMarkup);
+                     return;
+                 }
+                 try {
+                     const lesson = await getScheduleLesson(scheduleOwnerId, state.lessonId);
+                     const updated = lesson && await updateUserScheduleLesson(scheduleOwnerId, lesson.id, lesson.version, { [LESSON_EDIT_FIELDS[field].column]: parsed.value });
+                     if (!updated) {
+                         await sendMessage(chatId, "⚠️ این درس در این فاصله حذف یا ویرایش شده است. لطفاً دوباره تلاش کنید.", retryMarkup);
+                         return;
+                     }
+                     await promptLessonDetailStep(chatId, user.id, state.lessonId, state.step + 1);
+                 } catch (e) {
+                     console.error(`[Schedule] Error saving lesson detail ${field} for lesson ${state.lessonId}, user ${user.id}:`, e.stack);
+                     await sendMessage(chatId, `⚠️ خطا در ذخیره جزئیات درس: ${e.message}`, retryMarkup);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_semester_details" && isAdmin) {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:semester_details`);
+                 const retryMarkup = { inline_keyboard: [[{ text: "🔄 تلاش مجدد", callback_data: `admin:semesters:add:${state.profileId ?? "default"}` }, { text: "↩️ بازگشت", callback_data: "admin:semesters:list" }]] };
+                 const parts = text.split(' - ').map(p => p.trim());
+                 if (parts.length !== 4) {
+                     await sendMessage(chatId, "⚠️ فرمت وارد شده صحیح نیست. لطفاً با فرمت زیر وارد کنید:\n`نام ترم` - `تاریخ شروع` - `تاریخ پایان` - `زوج/فرد`", retryMarkup);
+                     return;
+                 }
+                 const [name, startStr, endStr, parityStr] = parts;
+                 const startJalali = parsePersianDate(startStr);
+                 const endJalali = parsePersianDate(endStr);
+                 const startParity = parseParityInput(parityStr);
+                 if (!name || !startJalali || !endJalali || !startParity) {
+                     await sendMessage(chatId, "⚠️ نام ترم، تاریخ‌ها یا وضعیت هفته (زوج/فرد) نامعتبر است.", retryMarkup);
+                     return;
+                 }
+                 if (jalaliDateToUTC(startJalali) > jalaliDateToUTC(endJalali)) {
+                     await sendMessage(chatId, "⚠️ تاریخ شروع ترم باید قبل از تاریخ پایان آن باشد.", retryMarkup);
+                     return;
+                 }
+                 if ((jalaliDateToUTC(endJalali) - jalaliDateToUTC(startJalali)) / MS_PER_DAY + 1 > MAX_SEMESTER_DAYS) {
+                     await sendMessage(chatId, `⚠️ یک ترم نمی‌تواند بیشتر از ${MAX_SEMESTER_DAYS} روز باشد. تاریخ‌ها را بررسی کنید.`, retryMarkup);
+                     return;
+                 }
+                 try {
+                     await addSemester({ name, startDate: formatJalaliDateKey(startJalali), endDate: formatJalaliDateKey(endJalali), startParity, profileId: state.profileId ?? null });
+                     await sendMessage(chatId, `✅ ترم *${name}* اضافه شد.`, { inline_keyboard: [[{ text: "↩️ بازگشت به ترم‌ها", callback_data: "admin:semesters:list" }]] });
+                 } catch (e) {
+                     await sendMessage(chatId, `⚠️ خطا در ذخیره ترم: ${e.message}`, retryMarkup);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_calendar_profile_name" && isAdmin) {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:calendar_profile_name`);
+                 const name = text.trim();
+                 if (!name || name.startsWith("/")) {
+                     await sendMessage(chatId, "⚠️ نام تقویم نامعتبر است.", { inline_keyboard: [[{ text: "🔄 تلاش مجدد", callback_data: "admin:semesters:add_profile" }]] });
+                     return;
+                 }
+                 try {
+                     await addCalendarProfile(name);
+                     await sendMessage(chatId, `✅ تقویم *${name}* اضافه شد. حالا ترم‌های آن را تعریف کنید.`, { inline_keyboard: [[{ text: "↩️ بازگشت به ترم‌ها", callback_data: "admin:semesters:list" }]] });
+                 } catch (e) {
+                     await sendMessage(chatId, `⚠️ خطا در ذخیره تقویم: ${e.message}`, { inline_keyboard: [[{ text: "↩️ بازگشت", callback_data: "admin:semesters:list" }]] });
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_time_slots") {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:time_slots`);
+                 const retryMarkup = { inline_keyboard: [[{ text: "🔄 تلاش مجدد", callback_data: "settings:slots_edit" }, { text: "↩️ بازگشت", callback_data: "settings:slots" }]] };
+                 const { slots, error } = parseTimeSlotsInput(text);
+                 if (error) {
+                     await sendMessage(chatId, error, retryMarkup);
+                     return;
+                 }
+                 try {
+                     await saveUserTimeSlots(user.id, slots);
+                     await sendMessage(chatId, `✅ ساعت‌های کلاس شما ذخیره شد:\n\n${formatTimeSlots(slots)}`, { inline_keyboard: [[{ text: "↩️ بازگشت به تنظیمات", callback_data: "settings:menu" }]] });
+                 } catch (e) {
+                     console.error(`[TimeSlots] Error saving time slots for user ${user.id}: ${e.stack}`);
+                     await sendMessage(chatId, `⚠️ خطا در ذخیره ساعت‌ها: ${e.message}`, retryMarkup);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_profile_time_slots" && isAdmin) {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:profile_time_slots`);
+                 const retryMarkup = { inline_keyboard: [[{ text: "🔄 تلاش مجدد", callback_data: `admin:semesters:slots:${state.profileId}` }, { text: "↩️ بازگشت", callback_data: "admin:semesters:list" }]] };
+                 const resetToDefault = text.trim() === "پیش‌فرض" || text.trim() === "پیش فرض";
+                 const { slots, error } = resetToDefault ? { slots: null } : parseTimeSlotsInput(text);
+                 if (error) {
+                     await sendMessage(chatId, error, retryMarkup);
+                     return;
+                 }
+                 try {
+                     await saveProfileTimeSlots(state.profileId, slots);
+                     const summary = slots ? formatTimeSlots(slots) : `_پیش‌فرض_\n${formatTimeSlots(DEFAULT_TIME_SLOTS)}`;
+                     await sendMessage(chatId, `✅ ساعت‌های کلاس *${await getCalendarProfileName(state.profileId)}* ذخیره شد:\n\n${summary}`, { inline_keyboard: [[{ text: "↩️ بازگشت به ترم‌ها", callback_data: "admin:semesters:list" }]] });
+                 } catch (e) {
+                     await sendMessage(chatId, `⚠️ خطا در ذخیره ساعت‌ها: ${e.message}`, retryMarkup);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_parity_reset" && isAdmin) {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:parity_reset`);
+                 const retryMarkup = { inline_keyboard: [[{ text: "🔄 تلاش مجدد", callback_data: `admin:semesters:reset:${state.semesterId}` }, { text: "↩️ بازگشت", callback_data: "admin:semesters:list" }]] };
+                 const parts = text.split('-').map(p => p.trim());
+                 const resetJalali = parts.length === 2 ? parsePersianDate(parts[0]) : null;
+                 const parity = parts.length === 2 ? parseParityInput(parts[1]) : null;
+                 if (!resetJalali || !parity) {
+                     await sendMessage(chatId, "⚠️ فرمت وارد شده صحیح نیست. مثال: `1404/01/16` - `فرد`", retryMarkup);
+                     return;
+                 }
+                 const semester = (await getSemesters()).find(s => s.id === state.semesterId);
+                 const resetDate = jalaliDateToUTC(resetJalali);
+                 if (!semester || resetDate < semester.startDate || resetDate > semester.endDate) {
+                     await sendMessage(chatId, "⚠️ تاریخ ریست باید داخل بازه همان ترم باشد.", retryMarkup);
+                     return;
+                 }
+                 try {
+                     await addParityReset(state.semesterId, { date: formatJalaliDateKey(resetJalali), parity });
+                     await sendMessage(chatId, `✅ از ${formatJalaliDate(resetJalali)} هفته *${PARITY_LABELS[parity]}* در نظر گرفته می‌شود.`, { inline_keyboard: [[{ text: "↩️ بازگشت به ترم‌ها", callback_data: "admin:semesters:list" }]] });
+                 } catch (e) {
+                     await sendMessage(chatId, `⚠️ خطا در ذخیره ریست: ${e.message}`, retryMarkup);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_hijri_month_start" && isAdmin) {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:hijri_month_start`);
+                 const retryMarkup = { inline_keyboard: [[{ text: "🔄 تلاش مجدد", callback_data: "admin:holidays:hijri_add" }, { text: "↩️ بازگشت", callback_data: "admin:holidays:hijri" }]] };
+                 const match = toLatinDigits(text).match(/^\s*(\d{3,4})\s*\/\s*(\d{1,2})\s+-\s+(.+)$/);
+                 const year = match ? parseInt(match[1]) : null;
+                 const month = match ? parseInt(match[2]) : null;
+                 const startJalali = match ? parsePersianDate(match[3]) : null;
+                 if (!startJalali || !(month >= 1 && month <= 12)) {
+                     await sendMessage(chatId, "⚠️ فرمت وارد شده صحیح نیست. مثال: `1447/3` - `1404/06/03`", retryMarkup);
+                     return;
+                 }
+                 try {
+                     await saveHijriMonthStart({ year, month, startDate: formatJalaliDateKey(startJalali) });
+                     await sendMessage(chatId, `✅ آغاز ${HIJRI_MONTH_NAMES[month - 1]} ${year}: ${formatJalaliDate(startJalali)} ثبت شد.`, { inline_keyboard: [[{ text: "↩️ بازگشت به ماه‌های قمری", callback_data: "admin:holidays:hijri" }]] });
+                 } catch (e) {
+                     await sendMessage(chatId, `⚠️ خطا در ثبت: ${e.message}`, retryMarkup);
+                 }
+                 return;
+            }
+             else if (state.name === "awaiting_closure_details" && isAdmin) {
+                 await kv.delete([`state:${user.id}`]);
+                 await logUsage(user, chat, `input:closure_details`);
+                 const retryMarkup = { inline_keyboard: [[{ text: "🔄 تلاش مجدد", callback_data: "admin:holidays:add" }, { text: "↩️ بازگشت", callback_data: "admin:holidays:list" }]] };
+                 const match = text.match(/^(.+?)\s+-\s+(.+)$/);
+                 const datePart = match ? match[1].trim() : "";
+                 const title = match ? match[2].trim() : "";
+                 const [startStr, endStr] = datePart.split(/\s+تا\s+/);
+                 const startJalali = parsePersianDate(startStr);
+                 const endJalali = endStr ? parsePersianDate(endStr) : startJalali;
+                 if (!title || !startJalali || !endJalali || jalaliDateToUTC(startJalali) > jalaliDateToUTC(endJalali)) {
+                     await sendMessage(chatId, "⚠️ فرمت وارد شده صحیح نیست. مثال: `1403/09/20` تا `1403/09/22` - `آلودگی هوا`", retryMarkup);
+                     return;
+                 }
+                 try {
+                     await addClosure({ startDate: formatJalaliDateKey(startJalali), endDate: formatJalaliDateKey(endJalali), title });
+                     await sendMessage(chatId, `✅ تعطیلی *${title}* ثبت شد.`, { inline_keyboard: [[{ text: "↩️ بازگشت به تعطیلات", callback_data: "admin:holidays:list" }]] });
+                 } catch (e) {
+                     await sendMessage(chatId, `⚠️ خطا در ثبت تعطیلی: ${e.message}`, retryMarkup);
                  }
                  return;
             }
@@ -1929,6 +6224,11 @@ async function handleMessage(message) {
               case "/admin": await handleAdminCommand(message); break;
               case "/stats": await handleStatsCommand(message); break;
               case "/teleport": await handleTeleportCommand(message); break;
+              case "/settings": await handleSettingsCommand(message); break;
+              case "/month": await handleMonthCommand(message); break;
+              case "/exams": await handleExamsCommand(message); break;
+              case "/tasks": await handleTasksCommand(message); break;
+              case "/attendance": await handleAttendanceCommand(message); break;
               default:
                 logAction = `unknown_command: ${commandPart}`;
                 if (chatType === "private") {
@@ -2005,6 +6305,8 @@ async function handleRequest(request) {
         return new Response("Internal Server Error", { status: 500 });
     }
 }
+// Post-class attendance prompts (Deno.cron runs in UTC; the job itself works in Tehran time)
+Deno.cron("attendance-prompts", `*/${ATTENDANCE_PROMPT_INTERVAL_MIN} * * * *`, sendAttendancePrompts);
 // --- Startup Sequence ---
 // ... (Startup sequence remains unchanged) ...
 (async () => {
@@ -2012,7 +6314,11 @@ async function handleRequest(request) {
     let botInfo = null;
     let startError = null;
     try {
-        if (!REFERENCE_DATE_GREGORIAN) throw new Error("Reference Gregorian Date calculation failed.");
+        console.log("[Startup] Loading semesters...");
+        const semesters = await getSemesters(true);
+        if (semesters.length === 0) {
+            console.warn("[Startup] No semesters defined: every date is reported as outside the semester until an admin adds one.");
+        }
         console.log("[Startup] Getting Bot Info...");
         botInfo = await getBotInfo();
         if (!botInfo || !botInfo.id) {
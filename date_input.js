@@ -0,0 +1,156 @@
+// date_input.js
+// Parsing of dates that users type or that callback data carries, on top of jalali.js.
+// Jalali dates are plain objects: { year, month, day }; invalid input gives null, never a guess.
+import { addJalaliMonths, dateToJalali, isValidJalaliDate, jalaliToDate } from "./jalali.js";
+
+const PERSIAN_DIGITS = { "۰": 0, "۱": 1, "۲": 2, "۳": 3, "۴": 4, "۵": 5, "۶": 6, "۷": 7, "۸": 8, "۹": 9 };
+const ARABIC_DIGITS = { "٠": 0, "١": 1, "٢": 2, "٣": 3, "٤": 4, "٥": 5, "٦": 6, "٧": 7, "٨": 8, "٩": 9 };
+const MIN_INPUT_YEAR = 1300;
+const MAX_INPUT_YEAR = 1500;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Vocabulary for natural-language date input (/teleport). Weekday indexes start at Saturday = 0.
+const DATE_EXPRESSION_DAY_OFFSETS = {
+    "امروز": 0, "today": 0, "فردا": 1, "tomorrow": 1, "پسفردا": 2, "پس فردا": 2, "day after tomorrow": 2,
+    "دیروز": -1, "yesterday": -1, "پریروز": -2, "day before yesterday": -2,
+};
+export const DATE_EXPRESSION_WEEKDAYS = {
+    "شنبه": 0, "یکشنبه": 1, "دوشنبه": 2, "سهشنبه": 3, "سشنبه": 3, "چهارشنبه": 4, "پنجشنبه": 5, "جمعه": 6,
+    "saturday": 0, "sat": 0, "sunday": 1, "sun": 1, "monday": 2, "mon": 2, "tuesday": 3, "tue": 3,
+    "wednesday": 4, "wed": 4, "thursday": 5, "thu": 5, "friday": 6, "fri": 6,
+};
+const DATE_EXPRESSION_MONTHS_LATIN = ["farvardin", "ordibehesht", "khordad", "tir", "mordad", "shahrivar", "mehr", "aban", "azar", "dey", "bahman", "esfand"];
+const DATE_EXPRESSION_NUMBER_WORDS = {
+    "یک": 1, "دو": 2, "سه": 3, "چهار": 4, "پنج": 5, "شش": 6, "هفت": 7, "هشت": 8, "نه": 9, "ده": 10,
+    "a": 1, "an": 1, "one": 1, "two": 2, "three": 3, "four": 4, "five": 5, "six": 6, "seven": 7, "eight": 8, "nine": 9, "ten": 10,
+};
+
+export function toLatinDigits(text) {
+    return String(text).replace(/[۰-۹٠-٩]/g, d => PERSIAN_DIGITS[d] ?? ARABIC_DIGITS[d]);
+}
+// Accepts only YYYY/MM/DD (month and day may have one digit) and the compact YYYYMMDD form used in
+// callback data. Other orders are rejected rather than guessed: 1403/20/05 is an error, not 1403/05/20.
+export function parsePersianDate(dateStr) {
+    if (dateStr === null || dateStr === undefined) return null;
+    const text = toLatinDigits(dateStr).trim();
+    const match = text.match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(part => parseInt(part, 10));
+    if (year < MIN_INPUT_YEAR || year > MAX_INPUT_YEAR || !isValidJalaliDate(year, month, day)) return null;
+    return { year, month, day };
+}
+// The zero-padded "YYYY/MM/DD" form used as a storage and lookup key (it sorts like the dates themselves).
+export function formatJalaliDateKey(jalaliDate) {
+    return `${jalaliDate.year}/${String(jalaliDate.month).padStart(2, "0")}/${String(jalaliDate.day).padStart(2, "0")}`;
+}
+export function getPersianMonthName(monthNumber) {
+    const persianMonths = ["فروردین", "اردیبهشت", "خرداد", "تیر", "مرداد", "شهریور", "مهر", "آبان", "آذر", "دی", "بهمن", "اسفند"];
+    monthNumber = parseInt(monthNumber);
+    return (monthNumber >= 1 && monthNumber <= 12) ? persianMonths[monthNumber - 1] : "نامعتبر";
+}
+// Function to get start of Persian week (Saturday) UTC
+export function getStartOfWeekPersian(date) {
+    const targetDate = new Date(date.getTime());
+    const dayOfWeekUTC = targetDate.getUTCDay(); // Sunday = 0, Saturday = 6
+    const daysToSubtract = (dayOfWeekUTC + 1) % 7;
+    targetDate.setUTCDate(targetDate.getUTCDate() - daysToSubtract);
+    targetDate.setUTCHours(0, 0, 0, 0);
+    return targetDate;
+}
+// Parses free-form date input ("فردا", "دوشنبه بعد", "۳ هفته دیگر", "next monday", "15 آذر", "1404/09/15")
+// relative to todayUTC. Returns every plausible Jalali date: empty when the input is not understood,
+// more than one entry when it is ambiguous.
+export function parseDateExpression(input, todayUTC) {
+    try {
+        if (!input) return [];
+        const text = toLatinDigits(String(input)).toLowerCase()
+            .replace(/ي/g, "ی").replace(/ك/g, "ک")
+            .replace(/[\u200c\u200e\u200f]/g, "") // ZWNJ and direction marks
+            .replace(/[،,]/g, " ")
+            .replace(/\s+/g, " ").trim();
+        if (!text) return [];
+        const toJalali = (dateUTC) => dateToJalali(dateUTC);
+        const addDays = (dateUTC, days) => new Date(dateUTC.getTime() + days * MS_PER_DAY);
+        const parseCount = (word) => {
+            if (word === undefined) return 1;
+            if (/^\d{1,3}$/.test(word)) return parseInt(word, 10);
+            return DATE_EXPRESSION_NUMBER_WORDS[word] ?? null;
+        };
+        const shift = (count, unit, direction) => {
+            if (count === null) return [];
+            const signed = count * direction;
+            if (unit === "month") return [addJalaliMonths(toJalali(todayUTC), signed)];
+            return [toJalali(addDays(todayUTC, unit === "week" ? signed * 7 : signed))];
+        };
+        // Numeric dates: only 1404/09/15 (or 14040915); other orders are rejected by parsePersianDate
+        if (/^[\d\/\-\. ]+$/.test(text)) {
+            const parsed = parsePersianDate(text);
+            return parsed ? [parsed] : [];
+        }
+        if (text in DATE_EXPRESSION_DAY_OFFSETS) {
+            return [toJalali(addDays(todayUTC, DATE_EXPRESSION_DAY_OFFSETS[text]))];
+        }
+        // "3 هفته دیگر", "هفته بعد", "2 روز پیش"
+        const faUnits = { "روز": "day", "هفته": "week", "ماه": "month" };
+        let match = text.match(/^(?:(\S+) )?(روز|هفته|ماه) (دیگر|بعد|آینده|پیش|قبل|گذشته)$/);
+        // A weekday in front ("دوشنبه هفته بعد") is not a count: leave it to the weekday rules below
+        if (match && parseCount(match[1]) !== null) {
+            const direction = ["پیش", "قبل", "گذشته"].includes(match[3]) ? -1 : 1;
+            return shift(parseCount(match[1]), faUnits[match[2]], direction);
+        }
+        // "in 3 weeks", "2 days ago", "next week", "last month"
+        match = text.match(/^in (\S+) (day|week|month)s?$/);
+        if (match) return shift(parseCount(match[1]), match[2], 1);
+        match = text.match(/^(\S+) (day|week|month)s? (later|from now|ago)$/);
+        if (match) return shift(parseCount(match[1]), match[2], match[3] === "ago" ? -1 : 1);
+        match = text.match(/^(next|last) (week|month)$/);
+        if (match) return shift(1, match[2], match[1] === "next" ? 1 : -1);
+        // Weekdays: "دوشنبه", "دوشنبه بعد", "دوشنبه هفته قبل", "next monday", "monday next week"
+        const weekdayMatch = text.match(/^(?:(next|this|last) )?(\S+(?: ?شنبه)?)(?: (بعد|آینده|دیگر|هفته بعد|هفته آینده|این هفته|قبل|پیش|گذشته|هفته قبل|هفته پیش|هفته گذشته|next week|this week|last week))?$/);
+        const weekdayIndex = weekdayMatch ? DATE_EXPRESSION_WEEKDAYS[weekdayMatch[2].replace(/ /g, "")] : undefined;
+        if (weekdayIndex !== undefined && !(weekdayMatch[1] && weekdayMatch[3])) {
+            const qualifier = weekdayMatch[1] || weekdayMatch[3] || "";
+            const thisWeekDay = addDays(getStartOfWeekPersian(todayUTC), weekdayIndex);
+            const nextWeekDay = addDays(thisWeekDay, 7);
+            if (/next|بعد|آینده|دیگر/.test(qualifier)) {
+                // "دوشنبه بعد" on a Saturday may mean this week's Monday or next week's
+                return thisWeekDay > todayUTC && !qualifier.includes("week") && !qualifier.includes("هفته")
+                    ? [toJalali(thisWeekDay), toJalali(nextWeekDay)]
+                    : [toJalali(nextWeekDay)];
+            }
+            if (/last|قبل|پیش|گذشته/.test(qualifier)) return [toJalali(addDays(thisWeekDay, -7))];
+            if (qualifier || thisWeekDay >= todayUTC) return [toJalali(thisWeekDay)];
+            return [toJalali(thisWeekDay), toJalali(nextWeekDay)];
+        }
+        // Day and month name, optional year: "15 آذر", "آذر 15 1404", "15 azar"
+        const monthTokens = {};
+        for (let m = 1; m <= 12; m++) {
+            monthTokens[getPersianMonthName(m)] = m;
+            monthTokens[DATE_EXPRESSION_MONTHS_LATIN[m - 1]] = m;
+        }
+        monthTokens["امرداد"] = 5; monthTokens["amordad"] = 5; monthTokens["dei"] = 10;
+        match = text.match(/^(\d{1,2}) (\S+)(?: (\d{2}|\d{4}))?$/) || text.match(/^(\S+) (\d{1,2})(?: (\d{2}|\d{4}))?$/);
+        if (match) {
+            const [dayToken, monthToken] = /^\d+$/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+            const month = monthTokens[monthToken];
+            const day = parseInt(dayToken, 10);
+            if (!month) return [];
+            if (match[3]) {
+                const year = match[3].length === 2 ? 1400 + parseInt(match[3], 10) : parseInt(match[3], 10);
+                return isValidJalaliDate(year, month, day) ? [{ year, month, day }] : [];
+            }
+            // Without a year: this year's date, plus next year's when this year's has already passed
+            const currentYear = toJalali(todayUTC).year;
+            const candidates = [currentYear, currentYear + 1]
+                .filter(year => isValidJalaliDate(year, month, day))
+                .map(year => ({ year, month, day }));
+            if (candidates.length > 0 && candidates[0].year === currentYear && jalaliToDate(candidates[0]) >= todayUTC) {
+                return [candidates[0]];
+            }
+            return candidates;
+        }
+        return [];
+    } catch (e) {
+        console.error(`[DateParser] Error parsing "${input}": ${e.stack}`);
+        return [];
+    }
+}
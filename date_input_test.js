@@ -0,0 +1,110 @@
+// date_input_test.js
+// Run with: deno test date_input_test.js
+import { assertEquals } from "https://deno.land/std@0.224.0/assert/mod.ts";
+import { formatJalaliDateKey, parseDateExpression, parsePersianDate, toLatinDigits } from "./date_input.js";
+import { jalaliToDate } from "./jalali.js";
+
+const SATURDAY = jalaliToDate({ year: 1404, month: 8, day: 3 });
+const WEDNESDAY = jalaliToDate({ year: 1404, month: 8, day: 7 });
+const LATE_ESFAND = jalaliToDate({ year: 1404, month: 12, day: 20 }); // A Wednesday near the year end
+const j = (year, month, day) => ({ year, month, day });
+
+Deno.test("toLatinDigits converts Persian and Arabic digits", () => {
+    assertEquals(toLatinDigits("۱۴۰۳/۰۸/۲۵"), "1403/08/25");
+    assertEquals(toLatinDigits("١٤٠٣"), "1403");
+    assertEquals(toLatinDigits("کلاس ۲۰۱"), "کلاس 201");
+});
+
+Deno.test("parsePersianDate reads YYYY/MM/DD", () => {
+    assertEquals(parsePersianDate("1403/08/25"), { year: 1403, month: 8, day: 25 });
+    assertEquals(parsePersianDate("1403/8/5"), { year: 1403, month: 8, day: 5 });
+    assertEquals(parsePersianDate(" ۱۴۰۳/۱۲/۳۰ "), { year: 1403, month: 12, day: 30 });
+});
+
+Deno.test("parsePersianDate reads the compact callback form", () => {
+    assertEquals(parsePersianDate("14031120"), { year: 1403, month: 11, day: 20 });
+    assertEquals(parsePersianDate(14040101), { year: 1404, month: 1, day: 1 });
+});
+
+Deno.test("parsePersianDate rejects other orders instead of guessing", () => {
+    assertEquals(parsePersianDate("1403/20/05"), null); // YYYY/DD/MM
+    assertEquals(parsePersianDate("25/08/1403"), null); // DD/MM/YYYY
+    assertEquals(parsePersianDate("03/08/25"), null); // Two-digit year
+    assertEquals(parsePersianDate("030825"), null);
+    assertEquals(parsePersianDate("1403-08-25"), null);
+    assertEquals(parsePersianDate("1403.08.25"), null);
+});
+
+Deno.test("parsePersianDate rejects invalid and malformed dates", () => {
+    assertEquals(parsePersianDate("1404/12/30"), null); // 1404 is not a leap year
+    assertEquals(parsePersianDate("1403/07/31"), null);
+    assertEquals(parsePersianDate("1403/13/01"), null);
+    assertEquals(parsePersianDate("1403/00/10"), null);
+    assertEquals(parsePersianDate("1299/01/01"), null);
+    assertEquals(parsePersianDate("1403/08/25 ساعت 10"), null);
+    assertEquals(parsePersianDate("فردا"), null);
+    assertEquals(parsePersianDate(""), null);
+    assertEquals(parsePersianDate(null), null);
+    assertEquals(parsePersianDate(undefined), null);
+});
+
+Deno.test("formatJalaliDateKey pads month and day so keys sort by date", () => {
+    assertEquals(formatJalaliDateKey(j(1404, 8, 3)), "1404/08/03");
+    assertEquals(parsePersianDate(formatJalaliDateKey(j(1403, 12, 30))), j(1403, 12, 30));
+    assertEquals(["1404/10/01", "1404/09/30"].sort(), [formatJalaliDateKey(j(1404, 9, 30)), formatJalaliDateKey(j(1404, 10, 1))]);
+});
+
+Deno.test("parseDateExpression resolves relative days", () => {
+    assertEquals(parseDateExpression("فردا", SATURDAY), [j(1404, 8, 4)]);
+    assertEquals(parseDateExpression("tomorrow", SATURDAY), [j(1404, 8, 4)]);
+    assertEquals(parseDateExpression("امروز", LATE_ESFAND), [j(1404, 12, 20)]);
+    assertEquals(parseDateExpression("پس‌فردا", WEDNESDAY), [j(1404, 8, 9)]);
+    assertEquals(parseDateExpression("فردا", jalaliToDate(j(1403, 12, 30))), [j(1404, 1, 1)]);
+});
+
+Deno.test("parseDateExpression counts days, weeks and months", () => {
+    assertEquals(parseDateExpression("۳ هفته دیگر", SATURDAY), [j(1404, 8, 24)]);
+    assertEquals(parseDateExpression("3 هفته دیگر", LATE_ESFAND), [j(1405, 1, 12)]);
+    assertEquals(parseDateExpression("2 days ago", SATURDAY), [j(1404, 8, 1)]);
+    assertEquals(parseDateExpression("in 2 months", LATE_ESFAND), [j(1405, 2, 20)]);
+    assertEquals(parseDateExpression("هفته بعد", SATURDAY), [j(1404, 8, 10)]);
+});
+
+Deno.test("parseDateExpression reads weekday names", () => {
+    // Later in the current week: that day
+    assertEquals(parseDateExpression("دوشنبه", SATURDAY), [j(1404, 8, 5)]);
+    assertEquals(parseDateExpression("شنبه", SATURDAY), [j(1404, 8, 3)]);
+    assertEquals(parseDateExpression("دوشنبه هفته بعد", SATURDAY), [j(1404, 8, 12)]);
+    assertEquals(parseDateExpression("last monday", WEDNESDAY), [j(1404, 7, 28)]);
+    assertEquals(parseDateExpression("next monday", WEDNESDAY), [j(1404, 8, 12)]);
+    assertEquals(parseDateExpression("سه شنبه", SATURDAY), [j(1404, 8, 6)]);
+});
+
+Deno.test("parseDateExpression returns every candidate for ambiguous input", () => {
+    // "Monday" on a Wednesday: the one that passed or the coming one
+    assertEquals(parseDateExpression("دوشنبه", WEDNESDAY), [j(1404, 8, 5), j(1404, 8, 12)]);
+    // "Next Monday" on a Saturday: this week's Monday or the one after
+    assertEquals(parseDateExpression("دوشنبه بعد", SATURDAY), [j(1404, 8, 5), j(1404, 8, 12)]);
+    assertEquals(parseDateExpression("next monday", SATURDAY), [j(1404, 8, 5), j(1404, 8, 12)]);
+});
+
+Deno.test("parseDateExpression reads day and month names across the year boundary", () => {
+    assertEquals(parseDateExpression("15 آذر", SATURDAY), [j(1404, 9, 15)]);
+    assertEquals(parseDateExpression("آذر 15", SATURDAY), [j(1404, 9, 15)]);
+    assertEquals(parseDateExpression("15 azar", SATURDAY), [j(1404, 9, 15)]);
+    // Already past this year: this year's and next year's date
+    assertEquals(parseDateExpression("15 آذر", LATE_ESFAND), [j(1404, 9, 15), j(1405, 9, 15)]);
+    assertEquals(parseDateExpression("۱۵ فروردین", LATE_ESFAND), [j(1404, 1, 15), j(1405, 1, 15)]);
+    // An explicit year is never ambiguous
+    assertEquals(parseDateExpression("15 آذر 1405", LATE_ESFAND), [j(1405, 9, 15)]);
+    assertEquals(parseDateExpression("30 اسفند 1404", SATURDAY), []);
+});
+
+Deno.test("parseDateExpression handles numeric and unknown input", () => {
+    assertEquals(parseDateExpression("1404/09/15", SATURDAY), [j(1404, 9, 15)]);
+    assertEquals(parseDateExpression("۱۴۰۴/۰۹/۱۵", SATURDAY), [j(1404, 9, 15)]);
+    assertEquals(parseDateExpression("15/09/1404", SATURDAY), []);
+    assertEquals(parseDateExpression("15 بلابلا", SATURDAY), []);
+    assertEquals(parseDateExpression("یک روزی", SATURDAY), []);
+    assertEquals(parseDateExpression("", SATURDAY), []);
+});
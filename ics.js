@@ -0,0 +1,110 @@
+// ics.js
+// iCalendar (RFC 5545) export of an odd/even weekly schedule, kept free of I/O so it can be tested.
+// Days are Date objects at UTC midnight; lesson times are "HH:MM" wall-clock times in the calendar's time zone.
+import { DateTime } from "https://esm.sh/luxon@3.5.0";
+import { getStartOfWeekPersian } from "./date_input.js";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function escapeIcsText(text) {
+    return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+// Folds a content line to 75 octets as RFC 5545 requires, without splitting a UTF-8 character.
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let current = "", currentBytes = 0;
+    for (const ch of line) {
+        const bytes = encoder.encode(ch).length;
+        if (currentBytes + bytes > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = "";
+            currentBytes = 0;
+        }
+        current += ch;
+        currentBytes += bytes;
+    }
+    chunks.push(current);
+    return chunks.join("\r\n ");
+}
+function formatIcsLocalDateTime(dateUTC, time) {
+    const [hours, minutes] = time.split(":").map(p => parseInt(p, 10));
+    const date = `${dateUTC.getUTCFullYear()}${String(dateUTC.getUTCMonth() + 1).padStart(2, "0")}${String(dateUTC.getUTCDate()).padStart(2, "0")}`;
+    return `${date}T${String(hours).padStart(2, "0")}${String(minutes).padStart(2, "0")}00`;
+}
+function formatIcsUtcDateTime(dateUTC, time, timeZone) {
+    const [hour, minute] = time.split(":").map(p => parseInt(p, 10));
+    return DateTime.fromObject(
+        { year: dateUTC.getUTCFullYear(), month: dateUTC.getUTCMonth() + 1, day: dateUTC.getUTCDate(), hour, minute },
+        { zone: timeZone }
+    ).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+// Splits a semester into [start, end] segments with the parity of each segment's first week. Odd/even lessons
+// repeat every two weeks from the first week of their parity, and a parity reset can shift which weeks are odd.
+export function getSemesterParitySegments(semester) {
+    const anchors = [{ date: semester.startDate, parity: semester.startParity }, ...semester.resets.filter(r => r.date > semester.startDate && r.date <= semester.endDate)];
+    return anchors.map((anchor, idx) => ({
+        start: anchor.date,
+        end: idx + 1 < anchors.length ? new Date(anchors[idx + 1].date.getTime() - MS_PER_DAY) : semester.endDate,
+        parity: anchor.parity,
+    }));
+}
+// Dates of a weekly lesson (dayIndex 0 = Saturday; weekType "odd", "even" or "both") within a parity segment:
+// every week for "both", every other week from the segment's first matching week otherwise.
+export function getLessonOccurrences(segment, dayIndex, weekType) {
+    const stepDays = weekType === "both" ? 7 : 14;
+    const weekOffset = weekType === "both" || weekType === segment.parity ? 0 : 7;
+    let date = new Date(getStartOfWeekPersian(segment.start).getTime() + (weekOffset + dayIndex) * MS_PER_DAY);
+    if (date < segment.start) date = new Date(date.getTime() + stepDays * MS_PER_DAY);
+    const dates = [];
+    for (; date <= segment.end; date = new Date(date.getTime() + stepDays * MS_PER_DAY)) dates.push(date);
+    return dates;
+}
+// Builds the calendar of a semester from the week of fromUTC on (earlier weeks are left out, so an export made
+// mid-term doesn't fill the calendar with past classes).
+// lessons: weekly events { id, dayIndex, weekType, start_time, end_time, summary, location, description };
+// every segment of a lesson is one RRULE event, and the dates isSkipped(lesson, date) rejects become EXDATEs.
+// sessions: one-off events { id, date, start_time, end_time, summary, location, description }.
+// Returns { ics, eventCount }.
+export function buildScheduleIcs({ appName, calendarName, timeZone, dtStamp, semester, fromUTC, lessons, sessions, isSkipped }) {
+    const firstWeekStart = getStartOfWeekPersian(fromUTC);
+    const lines = [
+        "BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:-//${appName}//Weekly Schedule//FA`,
+        "CALSCALE:GREGORIAN", "METHOD:PUBLISH", `X-WR-CALNAME:${escapeIcsText(calendarName)}`, `X-WR-TIMEZONE:${timeZone}`,
+        // Iran has had no daylight saving time since 2022
+        "BEGIN:VTIMEZONE", `TZID:${timeZone}`, "BEGIN:STANDARD", "DTSTART:19700101T000000",
+        "TZOFFSETFROM:+0330", "TZOFFSETTO:+0330", "TZNAME:+0330", "END:STANDARD", "END:VTIMEZONE",
+    ];
+    const eventLines = (uid, date, event, extraLines = []) => [
+        "BEGIN:VEVENT",
+        `UID:${uid}@${appName}`,
+        `DTSTAMP:${dtStamp}`,
+        `DTSTART;TZID=${timeZone}:${formatIcsLocalDateTime(date, event.start_time)}`,
+        `DTEND;TZID=${timeZone}:${formatIcsLocalDateTime(date, event.end_time)}`,
+        ...extraLines,
+        `SUMMARY:${escapeIcsText(event.summary)}`,
+        ...(event.location ? [`LOCATION:${escapeIcsText(event.location)}`] : []),
+        ...(event.description ? [`DESCRIPTION:${escapeIcsText(event.description)}`] : []),
+        "END:VEVENT",
+    ];
+    let eventCount = 0;
+    for (const [segmentIndex, segment] of getSemesterParitySegments(semester).entries()) {
+        for (const lesson of lessons) {
+            const occurrences = getLessonOccurrences(segment, lesson.dayIndex, lesson.weekType).filter(date => date >= firstWeekStart);
+            if (occurrences.length === 0) continue;
+            const excluded = occurrences.filter(date => isSkipped(lesson, date));
+            lines.push(...eventLines(`lesson-${lesson.id}-s${semester.id}-${segmentIndex}`, occurrences[0], lesson, [
+                `RRULE:FREQ=WEEKLY;INTERVAL=${lesson.weekType === "both" ? 1 : 2};UNTIL=${formatIcsUtcDateTime(occurrences.at(-1), lesson.start_time, timeZone)}`,
+                ...(excluded.length > 0 ? [`EXDATE;TZID=${timeZone}:${excluded.map(date => formatIcsLocalDateTime(date, lesson.start_time)).join(",")}`] : []),
+            ]));
+            eventCount++;
+        }
+    }
+    for (const session of sessions) {
+        if (session.date < firstWeekStart) continue;
+        lines.push(...eventLines(`override-${session.id}`, session.date, session));
+        eventCount++;
+    }
+    lines.push("END:VCALENDAR");
+    return { ics: lines.map(foldIcsLine).join("\r\n") + "\r\n", eventCount };
+}
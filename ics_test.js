@@ -0,0 +1,116 @@
+// ics_test.js
+// Run with: deno test ics_test.js
+import { assert, assertEquals } from "https://deno.land/std@0.224.0/assert/mod.ts";
+import { buildScheduleIcs, getLessonOccurrences, getSemesterParitySegments } from "./ics.js";
+import { jalaliToDate } from "./jalali.js";
+
+const day = (year, month, dayOfMonth) => jalaliToDate({ year, month, day: dayOfMonth });
+// Saturday 1404/07/05 to Tuesday 1404/10/30. Left alone, the week of 1404/08/17 would be even (six weeks in);
+// the reset makes it odd again.
+const SEMESTER = {
+    id: 7,
+    name: "پاییز ۱۴۰۴",
+    startDate: day(1404, 7, 5),
+    endDate: day(1404, 10, 30),
+    startParity: "odd",
+    resets: [{ date: day(1404, 8, 17), parity: "odd" }],
+};
+const ODD_MONDAY = { id: 1, dayIndex: 2, weekType: "odd", start_time: "08:00", end_time: "10:00", summary: "ریاضی ۱", location: "کلاس ۲۰۱", description: "هفته فرد" };
+const EVEN_TUESDAY = { id: 2, dayIndex: 3, weekType: "even", start_time: "14:00", end_time: "15:30", summary: "فیزیک, عملی", location: "", description: "" };
+const HOLIDAY = day(1404, 9, 17); // A Monday of an odd week after the reset
+const MAKE_UP = { id: 9, date: day(1404, 8, 1), start_time: "16:00", end_time: "17:00", summary: "ریاضی ۱", location: "", description: "جلسه جبرانی" };
+
+function build(fromUTC, sessions = []) {
+    return buildScheduleIcs({
+        appName: "schedule_test_bot",
+        calendarName: `برنامه کلاسی - ${SEMESTER.name}`,
+        timeZone: "Asia/Tehran",
+        dtStamp: "20251001T000000Z",
+        semester: SEMESTER,
+        fromUTC,
+        lessons: [ODD_MONDAY, EVEN_TUESDAY],
+        sessions,
+        isSkipped: (_lesson, date) => date.getTime() === HOLIDAY.getTime(),
+    });
+}
+// Unfolded VEVENT blocks as { property: value } maps (parameters kept in the property name).
+function parseEvents(ics) {
+    const events = [];
+    let current = null;
+    for (const line of ics.replace(/\r\n /g, "").split("\r\n")) {
+        if (line === "BEGIN:VEVENT") events.push(current = {});
+        else if (line === "END:VEVENT") current = null;
+        else if (current) {
+            const separator = line.indexOf(":");
+            current[line.slice(0, separator)] = line.slice(separator + 1);
+        }
+    }
+    return events;
+}
+
+Deno.test("getSemesterParitySegments splits the semester at a parity reset", () => {
+    assertEquals(getSemesterParitySegments(SEMESTER), [
+        { start: day(1404, 7, 5), end: day(1404, 8, 16), parity: "odd" },
+        { start: day(1404, 8, 17), end: day(1404, 10, 30), parity: "odd" },
+    ]);
+});
+
+Deno.test("getLessonOccurrences steps two weeks from the first week of the lesson's parity", () => {
+    const [first, second] = getSemesterParitySegments(SEMESTER);
+    assertEquals(getLessonOccurrences(first, 2, "odd"), [day(1404, 7, 7), day(1404, 7, 21), day(1404, 8, 5)]);
+    assertEquals(getLessonOccurrences(first, 3, "even"), [day(1404, 7, 15), day(1404, 7, 29), day(1404, 8, 13)]);
+    assertEquals(getLessonOccurrences(second, 3, "even").at(-1), day(1404, 10, 23));
+    // An every-week lesson on a day before the segment start begins the following week
+    assertEquals(getLessonOccurrences({ ...first, start: day(1404, 7, 7) }, 0, "both")[0], day(1404, 7, 12));
+});
+
+Deno.test("buildScheduleIcs writes one RRULE per lesson and parity segment, with holidays as EXDATE", () => {
+    const { ics, eventCount } = build(SEMESTER.startDate);
+    const events = parseEvents(ics);
+    assertEquals(eventCount, 4);
+    assertEquals(events.map(event => event.UID), [
+        "lesson-1-s7-0@schedule_test_bot",
+        "lesson-2-s7-0@schedule_test_bot",
+        "lesson-1-s7-1@schedule_test_bot",
+        "lesson-2-s7-1@schedule_test_bot",
+    ]);
+    const [mondayBefore, tuesdayBefore, mondayAfter, tuesdayAfter] = events;
+    assertEquals(mondayBefore["DTSTART;TZID=Asia/Tehran"], "20250929T080000");
+    assertEquals(mondayBefore["DTEND;TZID=Asia/Tehran"], "20250929T100000");
+    // UNTIL is the last session's start in UTC (Tehran is UTC+03:30)
+    assertEquals(mondayBefore.RRULE, "FREQ=WEEKLY;INTERVAL=2;UNTIL=20251027T043000Z");
+    assertEquals(mondayBefore["EXDATE;TZID=Asia/Tehran"], undefined);
+    assertEquals(tuesdayBefore["DTSTART;TZID=Asia/Tehran"], "20251007T140000");
+    assertEquals(tuesdayBefore.RRULE, "FREQ=WEEKLY;INTERVAL=2;UNTIL=20251104T103000Z");
+    // Without the reset the first Monday after it (1404/08/19) would have been an even-week day
+    assertEquals(mondayAfter["DTSTART;TZID=Asia/Tehran"], "20251110T080000");
+    assertEquals(mondayAfter.RRULE, "FREQ=WEEKLY;INTERVAL=2;UNTIL=20260119T043000Z");
+    assertEquals(mondayAfter["EXDATE;TZID=Asia/Tehran"], "20251208T080000");
+    assertEquals(tuesdayAfter["DTSTART;TZID=Asia/Tehran"], "20251118T140000");
+    assertEquals(tuesdayAfter.RRULE, "FREQ=WEEKLY;INTERVAL=2;UNTIL=20260113T103000Z");
+    assertEquals(mondayBefore.LOCATION, "کلاس ۲۰۱");
+    assertEquals(tuesdayBefore.SUMMARY, "فیزیک\\, عملی");
+    assertEquals(tuesdayBefore.LOCATION, undefined);
+});
+
+Deno.test("buildScheduleIcs starts mid-term exports at the current week", () => {
+    const { ics, eventCount } = build(day(1404, 9, 12), [MAKE_UP]); // Wednesday; its week starts on 1404/09/08
+    const events = parseEvents(ics);
+    assertEquals(eventCount, 2);
+    assertEquals(events.map(event => event.UID), ["lesson-1-s7-1@schedule_test_bot", "lesson-2-s7-1@schedule_test_bot"]);
+    assertEquals(events[0]["DTSTART;TZID=Asia/Tehran"], "20251208T080000");
+    assertEquals(events[0]["EXDATE;TZID=Asia/Tehran"], "20251208T080000");
+    assertEquals(events[1]["DTSTART;TZID=Asia/Tehran"], "20251202T140000");
+    assertEquals(events[1].RRULE, "FREQ=WEEKLY;INTERVAL=2;UNTIL=20260113T103000Z");
+});
+
+Deno.test("buildScheduleIcs adds one-off sessions and folds long lines", () => {
+    const { ics, eventCount } = build(SEMESTER.startDate, [{ ...MAKE_UP, description: "جلسه جبرانی ".repeat(10) }]);
+    const makeUp = parseEvents(ics).at(-1);
+    assertEquals(eventCount, 5);
+    assertEquals(makeUp.UID, "override-9@schedule_test_bot");
+    assertEquals(makeUp["DTSTART;TZID=Asia/Tehran"], "20251023T160000");
+    assertEquals(makeUp.RRULE, undefined);
+    assert(ics.endsWith("END:VCALENDAR\r\n"));
+    for (const line of ics.split("\r\n")) assert(new TextEncoder().encode(line).length <= 75, line);
+});
@@ -0,0 +1,150 @@
+// jalali.js
+// Self-contained Jalali (Solar Hijri) calendar engine used by the bot.
+// Leap years follow the astronomical break table (Borkowski), valid for Jalali years -61 to 3177.
+// Jalali dates are plain objects: { year, month, day } with 1-based month and day.
+// Calendar days are represented as JS Dates at 00:00 UTC; time zones are the caller's concern.
+
+const JALALI_BREAKS = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210, 1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
+export const MIN_JALALI_YEAR = JALALI_BREAKS[0];
+export const MAX_JALALI_YEAR = JALALI_BREAKS[JALALI_BREAKS.length - 1] - 1;
+
+function div(a, b) {
+    return Math.trunc(a / b);
+}
+function mod(a, b) {
+    return a - Math.trunc(a / b) * b;
+}
+// Computes the Gregorian year, the March day of 1 Farvardin and the leap status
+// (years since the last leap year, 0 means jy itself is leap) for a Jalali year.
+function jalaliCalendarInfo(jy) {
+    if (!Number.isInteger(jy) || jy < MIN_JALALI_YEAR || jy > MAX_JALALI_YEAR) {
+        throw new RangeError(`Jalali year out of supported range: ${jy}`);
+    }
+    const gy = jy + 621;
+    let leapJ = -14;
+    let jp = JALALI_BREAKS[0];
+    let jump = 0;
+    for (let i = 1; i < JALALI_BREAKS.length; i++) {
+        const jm = JALALI_BREAKS[i];
+        jump = jm - jp;
+        if (jy < jm) break;
+        leapJ += div(jump, 33) * 8 + div(mod(jump, 33), 4);
+        jp = jm;
+    }
+    let n = jy - jp;
+    leapJ += div(n, 33) * 8 + div(mod(n, 33) + 3, 4);
+    if (mod(jump, 33) === 4 && jump - n === 4) leapJ += 1;
+    const leapG = div(gy, 4) - div((div(gy, 100) + 1) * 3, 4) - 150;
+    const march = 20 + leapJ - leapG;
+    if (jump - n < 6) n = n - jump + div(jump + 4, 33) * 33;
+    let leap = mod(mod(n + 1, 33) - 1, 4);
+    if (leap === -1) leap = 4;
+    return { gy, march, leap };
+}
+// Julian Day Number helpers (proleptic Gregorian calendar)
+function gregorianToDayNumber(gy, gm, gd) {
+    let d = div((gy + div(gm - 8, 6) + 100100) * 1461, 4) + div(153 * mod(gm + 9, 12) + 2, 5) + gd - 34840408;
+    d = d - div(div(gy + 100100 + div(gm - 8, 6), 100) * 3, 4) + 752;
+    return d;
+}
+function dayNumberToGregorian(jdn) {
+    let j = 4 * jdn + 139361631;
+    j = j + div(div(4 * jdn + 183187720, 146097) * 3, 4) * 4 - 3908;
+    const i = div(mod(j, 1461), 4) * 5 + 308;
+    const day = div(mod(i, 153), 5) + 1;
+    const month = mod(div(i, 153), 12) + 1;
+    const year = div(j, 1461) - 100100 + div(8 - month, 6);
+    return { year, month, day };
+}
+function jalaliToDayNumber(jy, jm, jd) {
+    const { gy, march } = jalaliCalendarInfo(jy);
+    return gregorianToDayNumber(gy, 3, march) + (jm - 1) * 31 - div(jm, 7) * (jm - 7) + jd - 1;
+}
+function dayNumberToJalali(jdn) {
+    const gy = dayNumberToGregorian(jdn).year;
+    let year = gy - 621;
+    const info = jalaliCalendarInfo(year);
+    let k = jdn - gregorianToDayNumber(gy, 3, info.march);
+    if (k >= 0) {
+        if (k <= 185) {
+            return { year, month: 1 + div(k, 31), day: mod(k, 31) + 1 };
+        }
+        k -= 186;
+    } else {
+        year -= 1;
+        k += 179;
+        if (info.leap === 1) k += 1;
+    }
+    return { year, month: 7 + div(k, 30), day: mod(k, 30) + 1 };
+}
+
+export function isJalaliLeapYear(year) {
+    return jalaliCalendarInfo(year).leap === 0;
+}
+export function jalaliMonthLength(year, month) {
+    if (month <= 6) return 31;
+    if (month <= 11) return 30;
+    return isJalaliLeapYear(year) ? 30 : 29;
+}
+export function isValidJalaliDate(year, month, day) {
+    if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) return false;
+    if (year < MIN_JALALI_YEAR || year > MAX_JALALI_YEAR || month < 1 || month > 12 || day < 1) return false;
+    return day <= jalaliMonthLength(year, month);
+}
+function assertValidJalaliDate(year, month, day) {
+    if (!isValidJalaliDate(year, month, day)) {
+        throw new RangeError(`Invalid Jalali date: ${year}/${month}/${day}`);
+    }
+}
+export function jalaliToGregorian(year, month, day) {
+    assertValidJalaliDate(year, month, day);
+    return dayNumberToGregorian(jalaliToDayNumber(year, month, day));
+}
+export function gregorianToJalali(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day) ||
+        date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        throw new RangeError(`Invalid Gregorian date: ${year}-${month}-${day}`);
+    }
+    return dayNumberToJalali(gregorianToDayNumber(year, month, day));
+}
+// Jalali date -> Date at 00:00 UTC of the same calendar day
+export function jalaliToDate(jalaliDate) {
+    const { year, month, day } = jalaliToGregorian(jalaliDate.year, jalaliDate.month, jalaliDate.day);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setUTCFullYear(year); // Date.UTC maps years 0-99 to 1900-1999
+    return date;
+}
+// Date (its UTC calendar day) -> Jalali date
+export function dateToJalali(date) {
+    return gregorianToJalali(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+// 0 = Saturday (شنبه) ... 6 = Friday (جمعه)
+export function jalaliWeekday(jalaliDate) {
+    assertValidJalaliDate(jalaliDate.year, jalaliDate.month, jalaliDate.day);
+    return mod(mod(jalaliToDayNumber(jalaliDate.year, jalaliDate.month, jalaliDate.day) + 2, 7) + 7, 7);
+}
+export function addJalaliDays(jalaliDate, days) {
+    assertValidJalaliDate(jalaliDate.year, jalaliDate.month, jalaliDate.day);
+    return dayNumberToJalali(jalaliToDayNumber(jalaliDate.year, jalaliDate.month, jalaliDate.day) + days);
+}
+export function addJalaliWeeks(jalaliDate, weeks) {
+    return addJalaliDays(jalaliDate, weeks * 7);
+}
+// Moves by calendar months; the day is clamped to the target month's length (31 Shahrivar + 1 month = 30 Mehr).
+export function addJalaliMonths(jalaliDate, months) {
+    assertValidJalaliDate(jalaliDate.year, jalaliDate.month, jalaliDate.day);
+    const monthIndex = jalaliDate.year * 12 + (jalaliDate.month - 1) + months;
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex - year * 12 + 1;
+    return { year, month, day: Math.min(jalaliDate.day, jalaliMonthLength(year, month)) };
+}
+// Number of days from a to b (positive when b is later)
+export function jalaliDaysBetween(a, b) {
+    assertValidJalaliDate(a.year, a.month, a.day);
+    assertValidJalaliDate(b.year, b.month, b.day);
+    return jalaliToDayNumber(b.year, b.month, b.day) - jalaliToDayNumber(a.year, a.month, a.day);
+}
+export function compareJalaliDates(a, b) {
+    return Math.sign(jalaliDaysBetween(b, a));
+}
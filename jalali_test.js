@@ -0,0 +1,113 @@
+// jalali_test.js
+// Run with: deno test jalali_test.js
+import { assert, assertEquals, assertThrows } from "https://deno.land/std@0.224.0/assert/mod.ts";
+import {
+    addJalaliDays,
+    addJalaliMonths,
+    addJalaliWeeks,
+    compareJalaliDates,
+    dateToJalali,
+    gregorianToJalali,
+    isJalaliLeapYear,
+    isValidJalaliDate,
+    jalaliDaysBetween,
+    jalaliMonthLength,
+    jalaliToDate,
+    jalaliToGregorian,
+    jalaliWeekday,
+} from "./jalali.js";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// [jalali, gregorian] pairs from the official Iranian calendar
+const KNOWN_DATES = [
+    [{ year: 1300, month: 1, day: 1 }, { year: 1921, month: 3, day: 21 }],
+    [{ year: 1357, month: 11, day: 22 }, { year: 1979, month: 2, day: 11 }],
+    [{ year: 1379, month: 10, day: 11 }, { year: 2000, month: 12, day: 31 }],
+    [{ year: 1399, month: 12, day: 30 }, { year: 2021, month: 3, day: 20 }],
+    [{ year: 1400, month: 1, day: 1 }, { year: 2021, month: 3, day: 21 }],
+    [{ year: 1403, month: 1, day: 1 }, { year: 2024, month: 3, day: 20 }],
+    [{ year: 1403, month: 11, day: 20 }, { year: 2025, month: 2, day: 8 }],
+    [{ year: 1403, month: 12, day: 30 }, { year: 2025, month: 3, day: 20 }],
+    [{ year: 1404, month: 1, day: 1 }, { year: 2025, month: 3, day: 21 }],
+    [{ year: 1404, month: 7, day: 1 }, { year: 2025, month: 9, day: 23 }],
+];
+
+Deno.test("jalaliToGregorian and gregorianToJalali match known dates", () => {
+    for (const [jalali, gregorian] of KNOWN_DATES) {
+        assertEquals(jalaliToGregorian(jalali.year, jalali.month, jalali.day), gregorian);
+        assertEquals(gregorianToJalali(gregorian.year, gregorian.month, gregorian.day), jalali);
+    }
+});
+
+Deno.test("leap years follow the astronomical calendar", () => {
+    const leapYears = [];
+    for (let year = 1390; year <= 1420; year++) {
+        if (isJalaliLeapYear(year)) leapYears.push(year);
+    }
+    assertEquals(leapYears, [1391, 1395, 1399, 1403, 1408, 1412, 1416, 1420]);
+    assertEquals(jalaliMonthLength(1403, 12), 30);
+    assertEquals(jalaliMonthLength(1404, 12), 29);
+    assertEquals(jalaliMonthLength(1408, 12), 30);
+});
+
+Deno.test("isValidJalaliDate checks month lengths", () => {
+    assert(isValidJalaliDate(1403, 6, 31));
+    assert(!isValidJalaliDate(1403, 7, 31));
+    assert(isValidJalaliDate(1403, 12, 30));
+    assert(!isValidJalaliDate(1404, 12, 30));
+    assert(!isValidJalaliDate(1404, 13, 1));
+    assert(!isValidJalaliDate(1404, 0, 1));
+    assert(!isValidJalaliDate(1404, 1, 0));
+    assert(!isValidJalaliDate(1404.5, 1, 1));
+    assertThrows(() => jalaliToGregorian(1404, 12, 30), RangeError);
+    assertThrows(() => gregorianToJalali(2025, 2, 29), RangeError);
+});
+
+Deno.test("conversions round-trip day by day over 1200-1600", () => {
+    let date = jalaliToDate({ year: 1200, month: 1, day: 1 });
+    let previous = null;
+    const end = jalaliToDate({ year: 1600, month: 12, day: 29 });
+    while (date <= end) {
+        const jalali = dateToJalali(date);
+        assert(isValidJalaliDate(jalali.year, jalali.month, jalali.day), `invalid ${JSON.stringify(jalali)}`);
+        assertEquals(jalaliToDate(jalali).getTime(), date.getTime());
+        assertEquals(jalaliWeekday(jalali), (date.getUTCDay() + 1) % 7);
+        if (previous) {
+            assertEquals(addJalaliDays(previous, 1), jalali);
+            assertEquals(compareJalaliDates(previous, jalali), -1);
+        }
+        previous = jalali;
+        date = new Date(date.getTime() + MS_PER_DAY);
+    }
+});
+
+Deno.test("year lengths add up to 365 or 366 days", () => {
+    for (let year = 1200; year < 1600; year++) {
+        const days = jalaliDaysBetween({ year, month: 1, day: 1 }, { year: year + 1, month: 1, day: 1 });
+        assertEquals(days, isJalaliLeapYear(year) ? 366 : 365, `year ${year}`);
+    }
+});
+
+Deno.test("jalaliWeekday counts from Saturday", () => {
+    assertEquals(jalaliWeekday({ year: 1403, month: 1, day: 1 }), 4); // Wednesday
+    assertEquals(jalaliWeekday({ year: 1403, month: 11, day: 20 }), 0); // Saturday
+    assertEquals(jalaliWeekday({ year: 1404, month: 1, day: 1 }), 6); // Friday
+});
+
+Deno.test("date arithmetic crosses month and year boundaries", () => {
+    assertEquals(addJalaliDays({ year: 1403, month: 12, day: 30 }, 1), { year: 1404, month: 1, day: 1 });
+    assertEquals(addJalaliDays({ year: 1404, month: 1, day: 1 }, -1), { year: 1403, month: 12, day: 30 });
+    assertEquals(addJalaliDays({ year: 1403, month: 6, day: 31 }, 1), { year: 1403, month: 7, day: 1 });
+    assertEquals(addJalaliWeeks({ year: 1403, month: 12, day: 25 }, 1), { year: 1404, month: 1, day: 2 });
+    assertEquals(addJalaliWeeks({ year: 1404, month: 1, day: 2 }, -1), { year: 1403, month: 12, day: 25 });
+    assertEquals(jalaliDaysBetween({ year: 1403, month: 1, day: 1 }, { year: 1404, month: 1, day: 1 }), 366);
+    assertEquals(jalaliDaysBetween({ year: 1404, month: 1, day: 1 }, { year: 1403, month: 1, day: 1 }), -366);
+});
+
+Deno.test("addJalaliMonths clamps the day to the target month", () => {
+    assertEquals(addJalaliMonths({ year: 1403, month: 6, day: 31 }, 1), { year: 1403, month: 7, day: 30 });
+    assertEquals(addJalaliMonths({ year: 1403, month: 12, day: 30 }, 12), { year: 1404, month: 12, day: 29 });
+    assertEquals(addJalaliMonths({ year: 1403, month: 1, day: 15 }, -1), { year: 1402, month: 12, day: 15 });
+    assertEquals(addJalaliMonths({ year: 1403, month: 11, day: 10 }, 14), { year: 1405, month: 1, day: 10 });
+    assertEquals(addJalaliMonths({ year: 1403, month: 2, day: 10 }, -26), { year: 1400, month: 12, day: 10 });
+});
@@ -0,0 +1,185 @@
+// lesson_input.js
+// Parsing and validation of the lessons users type (guided entry fields, bulk-import lines) or send back as
+// exported JSON/CSV files. Days are the keys of ENGLISH_WEEKDAYS (Saturday = 0), week types "odd", "even" or
+// "both", times "HH:MM". A bad lesson comes back as { error } with a Persian message for the user; only a file
+// that cannot be read at all throws.
+import { DATE_EXPRESSION_WEEKDAYS, toLatinDigits } from "./date_input.js";
+
+export const PERSIAN_WEEKDAYS = ["شنبه", "یکشنبه", "دوشنبه", "سه‌شنبه", "چهارشنبه", "پنج‌شنبه", "جمعه"];
+export const ENGLISH_WEEKDAYS = ["saturday", "sunday", "monday", "tuesday", "wednesday", "thursday", "friday"];
+export const SCHEDULE_TIME_REGEX = /^(?:[01]\d|2[0-3]|[89]):[0-5]\d$/; // HH:MM or H:MM
+export const LESSON_EDIT_FIELDS = {
+    name: { label: "نام درس", column: "lesson" },
+    start: { label: "ساعت شروع", column: "start_time" },
+    end: { label: "ساعت پایان", column: "end_time" },
+    location: { label: "محل برگزاری", column: "location" },
+    instructor: { label: "استاد", column: "instructor", optional: true, prompt: "نام استاد این درس را بنویسید. (مثال: `دکتر احمدی`)" },
+    code: { label: "کد درس", column: "course_code", optional: true, prompt: "کد درس را وارد کنید. (مثال: `1914123`)" },
+    units: { label: "تعداد واحد", column: "units", optional: true, prompt: "تعداد واحد درس را به عدد وارد کنید. (مثال: `3`)" },
+    notes: { label: "توضیحات", column: "notes", optional: true, prompt: "یک یادداشت کوتاه برای این درس بنویسید. (مثال: `روپوش آزمایشگاه همراه باشد`)" },
+};
+export const LESSON_DETAIL_STEPS = ["instructor", "code", "units", "notes"]; // Guided entry order for the optional fields
+// Bulk import: one lesson per line, "day | week | name | start | end | location [| instructor | code | units | notes]"
+const BULK_IMPORT_SEPARATORS = [/\|/, /\t/, /[؛;]/, /[،,]/, /\s+-\s+/, /-/]; // First one that splits a line into enough parts wins
+const BULK_IMPORT_WEEK_TYPES = {
+    "فرد": "odd", "odd": "odd", "زوج": "even", "even": "even",
+    "هرهفته": "both", "هردو": "both", "هردوهفته": "both", "فردوزوج": "both", "ثابت": "both", "both": "both", "every": "both", "weekly": "both",
+};
+const MAX_LESSON_UNITS = 10;
+// Columns of the JSON/CSV schedule export, in file order; the same files can be sent back to import them.
+export const SCHEDULE_EXPORT_FIELDS = ["week_type", "day", "lesson", "start_time", "end_time", "location", "instructor", "course_code", "units", "notes"];
+
+export function parseTime(timeStr) {
+    if (!timeStr || !SCHEDULE_TIME_REGEX.test(timeStr)) {
+        console.warn(`[Util] Invalid time format for parsing: ${timeStr}`);
+        return null;
+    }
+    try {
+        const parts = timeStr.split(":");
+        const hours = parseInt(parts[0], 10);
+        const minutes = parseInt(parts[1], 10);
+        if (isNaN(hours) || isNaN(minutes) || hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
+            console.warn(`[Util] Invalid time values after parsing: ${timeStr}`);
+            return null;
+        }
+        return hours * 60 + minutes;
+    } catch (e) {
+        console.error(`[Util] Error parsing time string ${timeStr}:`, e);
+        return null;
+    }
+}
+// Shared by the add and edit lesson flows; returns an error message or null when the times are fine.
+export function validateLessonTimes(startTime, endTime) {
+    if (!SCHEDULE_TIME_REGEX.test(startTime) || !SCHEDULE_TIME_REGEX.test(endTime)) {
+        return "⚠️ فرمت ساعت باید به صورت `HH:MM` باشد. مثال: `08:30` یا `13:45`";
+    }
+    const startMinutes = parseTime(startTime);
+    const endMinutes = parseTime(endTime);
+    if (startMinutes == null || endMinutes == null || startMinutes >= endMinutes) {
+        return "⚠️ ساعت شروع باید قبل از ساعت پایان و معتبر باشد.";
+    }
+    return null;
+}
+// Validates input for an optional lesson field; "-" clears it. Returns { value } or { error }.
+export function parseLessonFieldValue(field, text) {
+    const value = text.trim();
+    if (value === "-") return { value: null };
+    if (field === "units") {
+        const units = Number(toLatinDigits(value));
+        if (!Number.isInteger(units) || units < 0 || units > MAX_LESSON_UNITS) {
+            return { error: `⚠️ تعداد واحد باید عددی صحیح بین 0 و ${MAX_LESSON_UNITS} باشد.` };
+        }
+        return { value: units };
+    }
+    const maxLength = field === "notes" ? 200 : 100;
+    if (!value || value.startsWith("/")) return { error: `⚠️ ${LESSON_EDIT_FIELDS[field].label} نمی‌تواند خالی باشد.` };
+    if (value.length > maxLength) return { error: `⚠️ ${LESSON_EDIT_FIELDS[field].label} حداکثر می‌تواند ${maxLength} کاراکتر باشد.` };
+    return { value };
+}
+// "8", "8:30", "08.30" -> "08:00", "08:30", "08:30"; anything else is returned as typed so validation can reject it.
+export function normalizeLessonTime(value) {
+    const match = value.trim().match(/^(\d{1,2})(?:[:.](\d{2}))?$/);
+    return match ? `${match[1].padStart(2, "0")}:${match[2] || "00"}` : value.trim();
+}
+// Parses one bulk-import line. Returns { weekType, day, lesson } or { error }.
+export function parseBulkLessonLine(line, workingDays) {
+    const text = line.replace(/[\u200e\u200f]/g, "").trim();
+    const separator = BULK_IMPORT_SEPARATORS.find(sep => text.split(sep).length >= 6);
+    if (!separator) return { error: "حداقل ۶ بخش لازم است (روز، هفته، نام درس، شروع، پایان، محل)." };
+    const parts = text.split(separator).map(p => p.trim());
+    if (parts.length > 10) return { error: "بخش‌های این خط بیش از حد مجاز (۱۰) است." };
+    const [dayText, weekText, name, startText, endText, location, ...extras] = parts;
+    const normalizeKey = (value) => value.toLowerCase().replace(/ي/g, "ی").replace(/ك/g, "ک").replace(/[\u200c\s]/g, "");
+    const dayIndex = DATE_EXPRESSION_WEEKDAYS[normalizeKey(dayText)];
+    if (dayIndex === undefined) return { error: `روز «${dayText}» شناخته نشد.` };
+    const day = ENGLISH_WEEKDAYS[dayIndex];
+    if (!workingDays.includes(day)) return { error: `${PERSIAN_WEEKDAYS[dayIndex]} جزو روزهای کلاس شما نیست (/settings).` };
+    const weekType = BULK_IMPORT_WEEK_TYPES[normalizeKey(weekText)];
+    if (!weekType) return { error: `نوع هفته «${weekText}» باید فرد، زوج یا هر هفته باشد.` };
+    if (!name) return { error: "نام درس خالی است." };
+    const start_time = normalizeLessonTime(toLatinDigits(startText));
+    const end_time = normalizeLessonTime(toLatinDigits(endText));
+    const timeError = validateLessonTimes(start_time, end_time);
+    if (timeError) return { error: timeError.replace(/^⚠️ /, "") };
+    const lesson = { lesson: name, start_time, end_time, location: location === "-" ? "" : location };
+    for (const [idx, value] of extras.entries()) {
+        if (!value) continue;
+        const field = LESSON_DETAIL_STEPS[idx];
+        const parsed = parseLessonFieldValue(field, value);
+        if (parsed.error) return { error: parsed.error.replace(/^⚠️ /, "") };
+        lesson[LESSON_EDIT_FIELDS[field].column] = parsed.value;
+    }
+    return { weekType, day, lesson };
+}
+// Minimal RFC 4180 reader: quoted fields, doubled quotes and newlines inside quotes.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [], field = "", inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ",") {
+            row.push(field); field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            row.push(field); field = "";
+            if (row.some(value => value.trim() !== "")) rows.push(row);
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(value => value.trim() !== "")) rows.push(row);
+    return rows;
+}
+// Validates one imported row (object keyed by SCHEDULE_EXPORT_FIELDS). Returns { weekType, day, lesson } or { error }.
+export function validateImportedLesson(row) {
+    const value = (field) => row[field] == null ? "" : String(row[field]).trim();
+    const weekType = value("week_type").toLowerCase();
+    if (!["odd", "even", "both"].includes(weekType)) return { error: `week_type نامعتبر: «${value("week_type")}»` };
+    const day = value("day").toLowerCase();
+    if (!ENGLISH_WEEKDAYS.includes(day)) return { error: `day نامعتبر: «${value("day")}»` };
+    if (!value("lesson")) return { error: "نام درس خالی است." };
+    const start_time = normalizeLessonTime(toLatinDigits(value("start_time")));
+    const end_time = normalizeLessonTime(toLatinDigits(value("end_time")));
+    const timeError = validateLessonTimes(start_time, end_time);
+    if (timeError) return { error: timeError.replace(/^⚠️ /, "") };
+    const lesson = { lesson: value("lesson").substring(0, 100), start_time, end_time, location: value("location").substring(0, 100) };
+    for (const field of LESSON_DETAIL_STEPS) {
+        const { column } = LESSON_EDIT_FIELDS[field];
+        if (!value(column)) continue;
+        const parsed = parseLessonFieldValue(field, value(column));
+        if (parsed.error) return { error: parsed.error.replace(/^⚠️ /, "") };
+        lesson[column] = parsed.value;
+    }
+    return { weekType, day, lesson };
+}
+// Parses an exported schedule file. Returns { entries, errors } or throws when the file itself is unreadable.
+export function parseScheduleFile(text, fileName) {
+    let rows;
+    if (fileName.toLowerCase().endsWith(".json")) {
+        const parsed = JSON.parse(text);
+        rows = Array.isArray(parsed) ? parsed : parsed?.lessons;
+        if (!Array.isArray(rows)) throw new Error("فایل JSON فهرست lessons ندارد.");
+    } else {
+        const [header, ...dataRows] = parseCsv(text.replace(/^\uFEFF/, ""));
+        const columns = (header || []).map(h => h.trim().toLowerCase());
+        const missing = ["week_type", "day", "lesson", "start_time", "end_time"].filter(c => !columns.includes(c));
+        if (missing.length > 0) throw new Error(`ستون‌های ${missing.join(", ")} در فایل CSV پیدا نشد.`);
+        rows = dataRows.map(cells => Object.fromEntries(columns.map((c, idx) => [c, cells[idx]])));
+    }
+    const entries = [];
+    const errors = [];
+    rows.forEach((row, idx) => {
+        const result = row && typeof row === "object" ? validateImportedLesson(row) : { error: "ردیف نامعتبر" };
+        if (result.error) errors.push(`ردیف ${idx + 1}: ${result.error}`);
+        else entries.push(result);
+    });
+    return { entries, errors };
+}
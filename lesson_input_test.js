@@ -0,0 +1,148 @@
+// lesson_input_test.js
+// Run with: deno test lesson_input_test.js
+import { assert, assertEquals, assertThrows } from "https://deno.land/std@0.224.0/assert/mod.ts";
+import {
+    SCHEDULE_EXPORT_FIELDS,
+    normalizeLessonTime,
+    parseBulkLessonLine,
+    parseCsv,
+    parseScheduleFile,
+    validateImportedLesson,
+    validateLessonTimes,
+} from "./lesson_input.js";
+
+const WORKING_DAYS = ["saturday", "sunday", "monday", "tuesday", "wednesday"];
+
+Deno.test("normalizeLessonTime pads hours and accepts a dot", () => {
+    assertEquals(normalizeLessonTime("8"), "08:00");
+    assertEquals(normalizeLessonTime(" 8:30 "), "08:30");
+    assertEquals(normalizeLessonTime("08.30"), "08:30");
+    assertEquals(normalizeLessonTime("8:3"), "8:3"); // Left for validation to reject
+});
+
+Deno.test("validateLessonTimes rejects bad formats and reversed ranges", () => {
+    assertEquals(validateLessonTimes("08:00", "10:00"), null);
+    assert(validateLessonTimes("25:00", "26:00").includes("HH:MM"));
+    assert(validateLessonTimes("10:00", "08:00").includes("قبل از ساعت پایان"));
+    assert(validateLessonTimes("10:00", "10:00").includes("قبل از ساعت پایان"));
+});
+
+Deno.test("parseBulkLessonLine reads a pipe-separated line", () => {
+    assertEquals(parseBulkLessonLine("شنبه | فرد | ریاضی ۱ | 8 | 10 | کلاس ۲۰۱", WORKING_DAYS), {
+        weekType: "odd",
+        day: "saturday",
+        lesson: { lesson: "ریاضی ۱", start_time: "08:00", end_time: "10:00", location: "کلاس ۲۰۱" },
+    });
+});
+
+Deno.test("parseBulkLessonLine reads Persian digits in times", () => {
+    const result = parseBulkLessonLine("دوشنبه | زوج | فیزیک | ۱۰:۳۰ | ۱۲ | -", WORKING_DAYS);
+    assertEquals(result.lesson, { lesson: "فیزیک", start_time: "10:30", end_time: "12:00", location: "" });
+    // The lesson name keeps its digits as typed
+    assertEquals(parseBulkLessonLine("شنبه | فرد | ریاضی ۲ | ۸ | ۱۰ | کلاس", WORKING_DAYS).lesson.lesson, "ریاضی ۲");
+});
+
+Deno.test("parseBulkLessonLine accepts Persian and dash separators", () => {
+    const comma = parseBulkLessonLine("یکشنبه، هر هفته، شیمی، 13، 15، آزمایشگاه", WORKING_DAYS);
+    assertEquals([comma.weekType, comma.day, comma.lesson.start_time, comma.lesson.location], ["both", "sunday", "13:00", "آزمایشگاه"]);
+    const semicolon = parseBulkLessonLine("سه‌شنبه؛ فرد؛ ادبیات؛ 8.30؛ 10؛ کلاس ۳", WORKING_DAYS);
+    assertEquals([semicolon.weekType, semicolon.day, semicolon.lesson.start_time], ["odd", "tuesday", "08:30"]);
+    // " - " wins over a bare "-", so hyphens inside a field survive
+    const dash = parseBulkLessonLine("Wednesday - even - Data-Structures - 15 - 17 - B-12", WORKING_DAYS);
+    assertEquals(dash, {
+        weekType: "even",
+        day: "wednesday",
+        lesson: { lesson: "Data-Structures", start_time: "15:00", end_time: "17:00", location: "B-12" },
+    });
+    assertEquals(parseBulkLessonLine("شنبه-فرد-ریاضی-8-10-کلاس", WORKING_DAYS).lesson.lesson, "ریاضی");
+});
+
+Deno.test("parseBulkLessonLine reads the optional fields in order", () => {
+    const result = parseBulkLessonLine("شنبه | فرد | ریاضی | 8 | 10 | کلاس | دکتر احمدی | 1914123 | ۳ | -", WORKING_DAYS);
+    assertEquals(result.lesson, {
+        lesson: "ریاضی", start_time: "08:00", end_time: "10:00", location: "کلاس",
+        instructor: "دکتر احمدی", course_code: "1914123", units: 3, notes: null,
+    });
+    assert(parseBulkLessonLine("شنبه | فرد | ریاضی | 8 | 10 | کلاس | | | 20", WORKING_DAYS).error.includes("تعداد واحد"));
+});
+
+Deno.test("parseBulkLessonLine rejects bad times", () => {
+    const invalid = parseBulkLessonLine("شنبه | فرد | ریاضی | 25 | 26 | کلاس", WORKING_DAYS);
+    assert(invalid.error.includes("HH:MM"));
+    assert(!invalid.error.startsWith("⚠️"));
+    assert(parseBulkLessonLine("شنبه | فرد | ریاضی | ۱۰ | ۸ | کلاس", WORKING_DAYS).error.includes("قبل از ساعت پایان"));
+    assert(parseBulkLessonLine("شنبه | فرد | ریاضی | ساعت ۸ | 10 | کلاس", WORKING_DAYS).error.includes("HH:MM"));
+});
+
+Deno.test("parseBulkLessonLine rejects unknown days, week types and short lines", () => {
+    assert(parseBulkLessonLine("روز | فرد | ریاضی | 8 | 10 | کلاس", WORKING_DAYS).error.includes("«روز»"));
+    assert(parseBulkLessonLine("پنجشنبه | فرد | ریاضی | 8 | 10 | کلاس", WORKING_DAYS).error.includes("پنج‌شنبه جزو روزهای کلاس"));
+    assert(parseBulkLessonLine("شنبه | گاهی | ریاضی | 8 | 10 | کلاس", WORKING_DAYS).error.includes("«گاهی»"));
+    assert(parseBulkLessonLine("شنبه | فرد | ریاضی | 8 | 10", WORKING_DAYS).error.includes("۶ بخش"));
+    assert(parseBulkLessonLine("شنبه | فرد |  | 8 | 10 | کلاس", WORKING_DAYS).error.includes("نام درس"));
+});
+
+Deno.test("parseCsv reads quoted fields with commas, quotes and newlines", () => {
+    const text = 'lesson,location,notes\r\n"ریاضی, گروه ۱","کلاس ""الف""","خط اول\nخط دوم"\r\nفیزیک,,\n';
+    assertEquals(parseCsv(text), [
+        ["lesson", "location", "notes"],
+        ["ریاضی, گروه ۱", 'کلاس "الف"', "خط اول\nخط دوم"],
+        ["فیزیک", "", ""],
+    ]);
+});
+
+Deno.test("parseCsv skips blank lines and reads a last line without a newline", () => {
+    assertEquals(parseCsv("a,b\n\n , \r\n1,2"), [["a", "b"], ["1", "2"]]);
+});
+
+Deno.test("validateImportedLesson normalises an exported row", () => {
+    const row = {
+        week_type: "Both", day: "Monday", lesson: " آمار ", start_time: "۸", end_time: "9.30",
+        location: "", instructor: "دکتر رضایی", course_code: "", units: "۲", notes: null,
+    };
+    assertEquals(validateImportedLesson(row), {
+        weekType: "both",
+        day: "monday",
+        lesson: { lesson: "آمار", start_time: "08:00", end_time: "09:30", location: "", instructor: "دکتر رضایی", units: 2 },
+    });
+});
+
+Deno.test("validateImportedLesson rejects bad rows", () => {
+    const row = { week_type: "odd", day: "saturday", lesson: "ریاضی", start_time: "08:00", end_time: "10:00" };
+    assertEquals(validateImportedLesson(row).error, undefined);
+    assert(validateImportedLesson({ ...row, start_time: "8:75" }).error.includes("HH:MM"));
+    assert(validateImportedLesson({ ...row, start_time: "11:00" }).error.includes("قبل از ساعت پایان"));
+    assert(validateImportedLesson({ ...row, week_type: "weekly" }).error.includes("week_type"));
+    assert(validateImportedLesson({ ...row, day: "شنبه" }).error.includes("day"));
+    assert(validateImportedLesson({ ...row, lesson: " " }).error.includes("نام درس"));
+    assert(validateImportedLesson({ ...row, units: 12 }).error.includes("تعداد واحد"));
+});
+
+Deno.test("parseScheduleFile reads an exported CSV with a BOM and reports bad rows by number", () => {
+    const csv = "\uFEFF" + [
+        SCHEDULE_EXPORT_FIELDS.join(","),
+        'odd,saturday,"ریاضی, گروه ۱",08:00,10:00,کلاس ۲۰۱,,,3,',
+        "even,sunday,فیزیک,۱۰:۰۰,۱۲:۰۰,,,,,",
+        "both,monday,شیمی,14:00,13:00,,,,,",
+    ].join("\r\n") + "\r\n";
+    const { entries, errors } = parseScheduleFile(csv, "schedule_1.CSV");
+    assertEquals(entries.map(e => [e.weekType, e.day, e.lesson.lesson, e.lesson.start_time]), [
+        ["odd", "saturday", "ریاضی, گروه ۱", "08:00"],
+        ["even", "sunday", "فیزیک", "10:00"],
+    ]);
+    assertEquals(entries[0].lesson.units, 3);
+    assertEquals(errors.length, 1);
+    assert(errors[0].startsWith("ردیف 3:"));
+});
+
+Deno.test("parseScheduleFile reads the JSON export and rejects unreadable files", () => {
+    const json = JSON.stringify({ format: "weekly-schedule", version: 1, lessons: [
+        { week_type: "odd", day: "saturday", lesson: "ریاضی", start_time: "08:00", end_time: "10:00", location: null, units: null },
+        "not a lesson",
+    ] });
+    const { entries, errors } = parseScheduleFile(json, "schedule_1.json");
+    assertEquals(entries.length, 1);
+    assertEquals(errors, ["ردیف 2: ردیف نامعتبر"]);
+    assertThrows(() => parseScheduleFile("{}", "schedule.json"), Error, "lessons");
+    assertThrows(() => parseScheduleFile("name,time\nریاضی,8\n", "schedule.csv"), Error, "week_type");
+});
@@ -0,0 +1,49 @@
+// overrides.js
+// Date-specific exceptions in "schedule_overrides", layered on top of the odd/even pattern: "cancel" drops a
+// lesson on override_date, "move" drops it there and holds it on new_date instead, "extra" adds a make-up
+// session on override_date. Dates are Jalali YYYY/MM/DD strings; the lesson name, times and location are
+// copied into the row so it still reads right after the lesson is edited or deleted.
+import { formatJalaliDateKey, parsePersianDate } from "./date_input.js";
+import { parseTime } from "./lesson_input.js";
+
+// A "schedule_overrides" row as a plain object, or null when its date is unreadable.
+export function normalizeScheduleOverride(row) {
+    const jalali = parsePersianDate(row.override_date);
+    if (!jalali) return null;
+    const newJalali = row.new_date ? parsePersianDate(row.new_date) : null;
+    return {
+        id: row.override_id,
+        ownerId: row.user_id,
+        type: row.override_type,
+        lessonId: row.lesson_id ?? null,
+        lessonName: row.lesson_name,
+        jalali,
+        dateKey: formatJalaliDateKey(jalali),
+        newJalali,
+        newDateKey: newJalali ? formatJalaliDateKey(newJalali) : null,
+        start_time: row.start_time || "",
+        end_time: row.end_time || "",
+        location: row.location || "",
+    };
+}
+// Applies overrides to the regular lessons of the day dateKey. Returns { lessons, cancelled }: the sessions held
+// that day (moved-in and make-up ones carry their override as `override`) and the regular lessons cancelled or moved away.
+// On a holiday callers pass no regular lessons, so only the make-up and moved-in sessions are held.
+export function applyScheduleOverrides(lessons, overrides, dateKey) {
+    const removals = new Map(overrides.filter(o => o.type !== "extra" && o.dateKey === dateKey).map(o => [o.lessonId, o]));
+    const held = lessons.filter(l => !removals.has(l.id));
+    const cancelled = lessons.filter(l => removals.has(l.id)).map(l => ({ ...l, override: removals.get(l.id) }));
+    for (const o of overrides) {
+        const isHeldHere = (o.type === "extra" && o.dateKey === dateKey) || (o.type === "move" && o.newDateKey === dateKey);
+        if (!isHeldHere) continue;
+        held.push({
+            id: o.lessonId, weekType: null, day: null, lesson: o.lessonName,
+            start_time: o.start_time, end_time: o.end_time, location: o.location,
+            instructor: "", course_code: "", units: null, notes: "",
+            ...(o.groupTitle ? { groupTitle: o.groupTitle } : {}),
+            override: o,
+        });
+    }
+    held.sort((a, b) => (parseTime(a.start_time) ?? 9999) - (parseTime(b.start_time) ?? 9999));
+    return { lessons: held, cancelled };
+}
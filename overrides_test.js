@@ -0,0 +1,64 @@
+// overrides_test.js
+// Run with: deno test overrides_test.js
+import { assertEquals } from "https://deno.land/std@0.224.0/assert/mod.ts";
+import { applyScheduleOverrides, normalizeScheduleOverride } from "./overrides.js";
+
+const SATURDAY = "1404/08/03";
+const MONDAY = "1404/08/05";
+const lesson = (id, name, start_time, end_time) => ({
+    id, weekType: "odd", day: "saturday", lesson: name, start_time, end_time, location: "کلاس ۲۰۱",
+    instructor: "", course_code: "", units: null, notes: "",
+});
+const MATH = lesson(1, "ریاضی", "08:00", "10:00");
+const PHYSICS = lesson(2, "فیزیک", "10:00", "12:00");
+const override = (id, type, fields) => normalizeScheduleOverride({
+    override_id: id, user_id: 42, override_type: type, lesson_id: null, lesson_name: null,
+    override_date: SATURDAY, new_date: null, start_time: null, end_time: null, location: null, ...fields,
+});
+const CANCEL_MATH = override(10, "cancel", { lesson_id: 1, lesson_name: "ریاضی" });
+const MOVE_PHYSICS = override(11, "move", { lesson_id: 2, lesson_name: "فیزیک", new_date: MONDAY, start_time: "13:00", end_time: "15:00", location: "آمفی‌تئاتر" });
+const EXTRA_MATH = override(12, "extra", { lesson_id: 1, lesson_name: "ریاضی", start_time: "07:00", end_time: "08:00" });
+
+Deno.test("normalizeScheduleOverride pads date keys and rejects unreadable dates", () => {
+    const moved = override(1, "move", { lesson_id: 2, lesson_name: "فیزیک", override_date: "1404/8/3", new_date: "1404/8/5" });
+    assertEquals([moved.dateKey, moved.newDateKey], [SATURDAY, MONDAY]);
+    assertEquals(moved.jalali, { year: 1404, month: 8, day: 3 });
+    assertEquals([moved.start_time, moved.location], ["", ""]);
+    assertEquals(CANCEL_MATH.newDateKey, null);
+    assertEquals(override(2, "cancel", { override_date: "03/08/1404" }), null);
+});
+
+Deno.test("applyScheduleOverrides drops a cancelled lesson and reports it", () => {
+    const { lessons, cancelled } = applyScheduleOverrides([MATH, PHYSICS], [CANCEL_MATH], SATURDAY);
+    assertEquals(lessons, [PHYSICS]);
+    assertEquals(cancelled, [{ ...MATH, override: CANCEL_MATH }]);
+});
+
+Deno.test("applyScheduleOverrides moves a lesson to another date", () => {
+    const from = applyScheduleOverrides([MATH, PHYSICS], [MOVE_PHYSICS], SATURDAY);
+    assertEquals(from.lessons, [MATH]);
+    assertEquals(from.cancelled.map(l => [l.id, l.override.type]), [[2, "move"]]);
+    const to = applyScheduleOverrides([], [MOVE_PHYSICS], MONDAY);
+    assertEquals(to.lessons, [{
+        id: 2, weekType: null, day: null, lesson: "فیزیک", start_time: "13:00", end_time: "15:00", location: "آمفی‌تئاتر",
+        instructor: "", course_code: "", units: null, notes: "", override: MOVE_PHYSICS,
+    }]);
+    assertEquals(to.cancelled, []);
+});
+
+Deno.test("applyScheduleOverrides adds an extra session in time order", () => {
+    const { lessons, cancelled } = applyScheduleOverrides([MATH, PHYSICS], [EXTRA_MATH], SATURDAY);
+    assertEquals(lessons.map(l => [l.id, l.start_time, l.override?.type ?? null]), [[1, "07:00", "extra"], [1, "08:00", null], [2, "10:00", null]]);
+    assertEquals(cancelled, []);
+    // A make-up session on another day leaves this one alone
+    assertEquals(applyScheduleOverrides([MATH], [{ ...EXTRA_MATH, dateKey: MONDAY }], SATURDAY).lessons, [MATH]);
+});
+
+Deno.test("applyScheduleOverrides on a holiday keeps only make-up and moved-in sessions", () => {
+    // Callers pass no regular lessons on a holiday; a cancellation then has nothing left to cancel
+    const movedIn = { ...MOVE_PHYSICS, dateKey: "1404/08/01", newDateKey: SATURDAY, groupTitle: "ورودی ۱۴۰۳" };
+    const { lessons, cancelled } = applyScheduleOverrides([], [CANCEL_MATH, EXTRA_MATH, movedIn], SATURDAY);
+    assertEquals(lessons.map(l => [l.lesson, l.start_time, l.override.type]), [["ریاضی", "07:00", "extra"], ["فیزیک", "13:00", "move"]]);
+    assertEquals(lessons[1].groupTitle, "ورودی ۱۴۰۳");
+    assertEquals(cancelled, []);
+});